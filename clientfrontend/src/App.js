@@ -1,4 +1,5 @@
-import React from "react";
+import React, { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
 import "./App.css";
 import "./responsive.css";
 import "react-toastify/dist/ReactToastify.css";
@@ -9,14 +10,35 @@ import Login from "./screens/Login";
 import Register from "./screens/Register";
 import CartScreen from "./screens/CartScreen";
 import ShippingScreen from "./screens/ShippingScreen";
+import ShippingMethodScreen from "./screens/ShippingMethodScreen";
 import ProfileScreen from "./screens/ProfileScreen";
 import PaymentScreen from "./screens/PaymentScreen";
 import PlaceOrderScreen from "./screens/PlaceOrderScreen";
 import OrderScreen from "./screens/OrderScreen";
 import NotFound from "./screens/NotFound";
 import PrivateRouter from "./PrivateRouter";
+import { loadCart } from "./Redux/Actions/cartActions";
+import { listWishlist } from "./Redux/Actions/WishlistActions";
+import { listNotifications } from "./Redux/Actions/NotificationActions";
 
 const App = () => {
+  const dispatch = useDispatch();
+
+  // The saved cart may have changed on another device
+  useEffect(() => {
+    dispatch(loadCart());
+  }, [dispatch]);
+
+  const userLogin = useSelector((state) => state.userLogin);
+  const { userInfo } = userLogin;
+
+  useEffect(() => {
+    if (userInfo) {
+      dispatch(listWishlist());
+      dispatch(listNotifications());
+    }
+  }, [dispatch, userInfo]);
+
   return (
     <Router>
       <Switch>
@@ -24,7 +46,13 @@ const App = () => {
         <Route path="/search/:keyword" component={HomeScreen} exact />
         <Route path="/page/:pagenumber" component={HomeScreen} exact />
         <Route
-          path="/search/:keyword/page/:pageNumber"
+          path="/search/:keyword/page/:pagenumber"
+          component={HomeScreen}
+          exact
+        />
+        <Route path="/category/:category" component={HomeScreen} exact />
+        <Route
+          path="/category/:category/page/:pagenumber"
           component={HomeScreen}
           exact
         />
@@ -33,10 +61,12 @@ const App = () => {
         <Route path="/register" component={Register} />
         <PrivateRouter path="/profile" component={ProfileScreen} />
         <Route path="/cart/:id?" component={CartScreen} />
-        <PrivateRouter path="/shipping" component={ShippingScreen} />
-        <PrivateRouter path="/payment" component={PaymentScreen} />
-        <PrivateRouter path="/placeorder" component={PlaceOrderScreen} />
-        <PrivateRouter path="/order/:id" component={OrderScreen} />
+        {/* Guests can check out too */}
+        <Route path="/shipping" component={ShippingScreen} />
+        <Route path="/shipping-method" component={ShippingMethodScreen} />
+        <Route path="/payment" component={PaymentScreen} />
+        <Route path="/placeorder" component={PlaceOrderScreen} />
+        <Route path="/order/:id" component={OrderScreen} />
         <Route path="*" component={NotFound} />
       </Switch>
     </Router>
@@ -0,0 +1,62 @@
+import axios from "axios";
+import {
+  ADDRESS_LIST_FAIL,
+  ADDRESS_LIST_REQUEST,
+  ADDRESS_LIST_SUCCESS,
+} from "../Constants/AddressConstants";
+import { logout } from "./userActions";
+
+// Every address book request returns the whole book. Resolves to the saved
+// addresses, or null when the request failed.
+const addressRequest = (request) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: ADDRESS_LIST_REQUEST });
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await request(
+      `/api/users/users/${userInfo._id}/addresses`,
+      config
+    );
+    dispatch({ type: ADDRESS_LIST_SUCCESS, payload: data.addresses });
+    return data.addresses;
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: ADDRESS_LIST_FAIL,
+      payload: message,
+    });
+    return null;
+  }
+};
+
+// LIST ADDRESSES
+export const listAddresses = () =>
+  addressRequest((url, config) => axios.get(url, config));
+
+// ADD ADDRESS
+export const createAddress = (address) =>
+  addressRequest((url, config) => axios.post(url, address, config));
+
+// UPDATE ADDRESS
+// Also used to make an address the default shipping or billing address
+export const updateAddress = (id, address) =>
+  addressRequest((url, config) => axios.put(`${url}/${id}`, address, config));
+
+// DELETE ADDRESS
+export const deleteAddress = (id) =>
+  addressRequest((url, config) => axios.delete(`${url}/${id}`, config));
@@ -0,0 +1,23 @@
+import axios from "axios";
+import {
+  CATEGORY_TREE_FAIL,
+  CATEGORY_TREE_REQUEST,
+  CATEGORY_TREE_SUCCESS,
+} from "../Constants/CategoryConstants";
+
+// CATEGORY TREE
+export const listCategoryTree = () => async (dispatch) => {
+  try {
+    dispatch({ type: CATEGORY_TREE_REQUEST });
+    const { data } = await axios.get(`/api/categories/tree`);
+    dispatch({ type: CATEGORY_TREE_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: CATEGORY_TREE_FAIL,
+      payload:
+        error.response && error.response.data.message
+          ? error.response.data.message
+          : error.message,
+    });
+  }
+};
@@ -0,0 +1,106 @@
+import axios from "axios";
+import {
+  NOTIFICATION_LIST_FAIL,
+  NOTIFICATION_LIST_REQUEST,
+  NOTIFICATION_LIST_SUCCESS,
+  NOTIFICATION_SETTINGS_FAIL,
+  NOTIFICATION_SETTINGS_REQUEST,
+  NOTIFICATION_SETTINGS_SUCCESS,
+} from "../Constants/NotificationConstants";
+import { logout } from "./userActions";
+
+const notificationConfig = (getState) => {
+  const {
+    userLogin: { userInfo },
+  } = getState();
+
+  return {
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${userInfo.token}`,
+    },
+  };
+};
+
+const errorMessage = (dispatch, error) => {
+  const message =
+    error.response && error.response.data.message
+      ? error.response.data.message
+      : error.message;
+  if (message === "Not authorized, token failed") {
+    dispatch(logout());
+  }
+  return message;
+};
+
+// LIST NOTIFICATIONS
+export const listNotifications = () => async (dispatch, getState) => {
+  try {
+    dispatch({ type: NOTIFICATION_LIST_REQUEST });
+    const { data } = await axios.get(
+      `/api/notifications`,
+      notificationConfig(getState)
+    );
+    dispatch({ type: NOTIFICATION_LIST_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: NOTIFICATION_LIST_FAIL,
+      payload: errorMessage(dispatch, error),
+    });
+  }
+};
+
+// MARK NOTIFICATIONS READ
+// Without an id every notification is marked as read
+export const markNotificationsRead = (id) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: NOTIFICATION_LIST_REQUEST });
+    const { data } = await axios.put(
+      id ? `/api/notifications/${id}/read` : `/api/notifications/read`,
+      {},
+      notificationConfig(getState)
+    );
+    dispatch({ type: NOTIFICATION_LIST_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: NOTIFICATION_LIST_FAIL,
+      payload: errorMessage(dispatch, error),
+    });
+  }
+};
+
+// NOTIFICATION SETTINGS
+export const getNotificationSettings = () => async (dispatch, getState) => {
+  try {
+    dispatch({ type: NOTIFICATION_SETTINGS_REQUEST });
+    const { data } = await axios.get(
+      `/api/notifications/settings`,
+      notificationConfig(getState)
+    );
+    dispatch({ type: NOTIFICATION_SETTINGS_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: NOTIFICATION_SETTINGS_FAIL,
+      payload: errorMessage(dispatch, error),
+    });
+  }
+};
+
+// UPDATE NOTIFICATION SETTINGS
+export const updateNotificationSettings =
+  (settings) => async (dispatch, getState) => {
+    try {
+      dispatch({ type: NOTIFICATION_SETTINGS_REQUEST });
+      const { data } = await axios.put(
+        `/api/notifications/settings`,
+        settings,
+        notificationConfig(getState)
+      );
+      dispatch({ type: NOTIFICATION_SETTINGS_SUCCESS, payload: data });
+    } catch (error) {
+      dispatch({
+        type: NOTIFICATION_SETTINGS_FAIL,
+        payload: errorMessage(dispatch, error),
+      });
+    }
+  };
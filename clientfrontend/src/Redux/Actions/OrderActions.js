@@ -11,11 +11,27 @@ import {
   ORDER_PAY_FAIL,
   ORDER_PAY_REQUEST,
   ORDER_PAY_SUCCESS,
+  ORDER_QUOTE_FAIL,
+  ORDER_QUOTE_REQUEST,
+  ORDER_QUOTE_SUCCESS,
 } from "../Constants/OrderConstants";
 import axios from "axios";
-import { CART_CLEAR_ITEMS } from "../Constants/CartConstants";
+import {
+  CART_CLEAR_ITEMS,
+  CART_REMOVE_COUPON,
+} from "../Constants/CartConstants";
 import { logout } from "./userActions";
 
+// Guests are not logged in, their orders are opened with the access token
+// of the order link
+const orderConfig = (userInfo, access) => ({
+  headers: {
+    "Content-Type": "application/json",
+    ...(userInfo && { Authorization: `Bearer ${userInfo.token}` }),
+  },
+  params: access ? { access } : {},
+});
+
 // CREATE ORDER
 export const createOrder = (order) => async (dispatch, getState) => {
   try {
@@ -25,18 +41,15 @@ export const createOrder = (order) => async (dispatch, getState) => {
       userLogin: { userInfo },
     } = getState();
 
-    const config = {
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${userInfo.token}`,
-      },
-    };
+    const config = orderConfig(userInfo);
 
     const { data } = await axios.post(`/api/orders`, order, config);
     dispatch({ type: ORDER_CREATE_SUCCESS, payload: data });
     dispatch({ type: CART_CLEAR_ITEMS, payload: data });
+    dispatch({ type: CART_REMOVE_COUPON });
 
     localStorage.removeItem("cartItems");
+    localStorage.removeItem("couponCode");
   } catch (error) {
     const message =
       error.response && error.response.data.message
@@ -52,8 +65,34 @@ export const createOrder = (order) => async (dispatch, getState) => {
   }
 };
 
+// QUOTE ORDER
+export const getOrderQuote = (order) => async (dispatch) => {
+  try {
+    dispatch({ type: ORDER_QUOTE_REQUEST });
+    const { data } = await axios.post(`/api/orders/quote`, {
+      orderItems: order.orderItems.map(({ product, variant, qty }) => ({
+        product,
+        variant,
+        qty,
+      })),
+      shippingAddress: order.shippingAddress,
+      shippingMethod: order.shippingMethod,
+      couponCode: order.couponCode,
+    });
+    dispatch({ type: ORDER_QUOTE_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: ORDER_QUOTE_FAIL,
+      payload:
+        error.response && error.response.data.message
+          ? error.response.data.message
+          : error.message,
+    });
+  }
+};
+
 // ORDER DETAILS
-export const getOrderDetails = (id) => async (dispatch, getState) => {
+export const getOrderDetails = (id, access) => async (dispatch, getState) => {
   try {
     dispatch({ type: ORDER_DETAILS_REQUEST });
 
@@ -61,11 +100,7 @@ export const getOrderDetails = (id) => async (dispatch, getState) => {
       userLogin: { userInfo },
     } = getState();
 
-    const config = {
-      headers: {
-        Authorization: `Bearer ${userInfo.token}`,
-      },
-    };
+    const config = orderConfig(userInfo, access);
 
     const { data } = await axios.get(`/api/orders/${id}`, config);
     dispatch({ type: ORDER_DETAILS_SUCCESS, payload: data });
@@ -84,9 +119,44 @@ export const getOrderDetails = (id) => async (dispatch, getState) => {
   }
 };
 
+// START PAYMENT
+// Resolves to what the payment provider needs, for PayPal the id of the
+// PayPal order the server created for the order total
+export const initiatePayment =
+  (orderId, access) => async (dispatch, getState) => {
+    try {
+      const {
+        userLogin: { userInfo },
+      } = getState();
+
+      const config = orderConfig(userInfo, access);
+
+      const { data } = await axios.post(
+        `/api/orders/${orderId}/payment`,
+        {},
+        config
+      );
+      return data;
+    } catch (error) {
+      const message =
+        error.response && error.response.data.message
+          ? error.response.data.message
+          : error.message;
+      if (message === "Not authorized, token failed") {
+        dispatch(logout());
+      }
+      dispatch({
+        type: ORDER_PAY_FAIL,
+        payload: message,
+      });
+      throw error;
+    }
+  };
+
 // ORDER PAY
+// The server captures the approved PayPal order and checks the amount
 export const payOrder =
-  (orderId, paymentResult) => async (dispatch, getState) => {
+  (orderId, paypalOrderId, access) => async (dispatch, getState) => {
     try {
       dispatch({ type: ORDER_PAY_REQUEST });
 
@@ -94,16 +164,11 @@ export const payOrder =
         userLogin: { userInfo },
       } = getState();
 
-      const config = {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${userInfo.token}`,
-        },
-      };
+      const config = orderConfig(userInfo, access);
 
       const { data } = await axios.put(
         `/api/orders/${orderId}/pay`,
-        paymentResult,
+        { orderID: paypalOrderId },
         config
       );
       dispatch({ type: ORDER_PAY_SUCCESS, payload: data });
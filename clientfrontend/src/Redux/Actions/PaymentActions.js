@@ -0,0 +1,23 @@
+import axios from "axios";
+import {
+  PAYMENT_METHODS_FAIL,
+  PAYMENT_METHODS_REQUEST,
+  PAYMENT_METHODS_SUCCESS,
+} from "../Constants/PaymentConstants";
+
+// CHECKOUT PAYMENT METHODS
+export const listPaymentMethods = () => async (dispatch) => {
+  try {
+    dispatch({ type: PAYMENT_METHODS_REQUEST });
+    const { data } = await axios.get(`/api/payments/methods`);
+    dispatch({ type: PAYMENT_METHODS_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: PAYMENT_METHODS_FAIL,
+      payload:
+        error.response && error.response.data.message
+          ? error.response.data.message
+          : error.message,
+    });
+  }
+};
@@ -9,19 +9,26 @@ import {
   PRODUCT_LIST_FAIL,
   PRODUCT_LIST_REQUEST,
   PRODUCT_LIST_SUCCESS,
+  PRODUCT_SUGGEST_FAIL,
+  PRODUCT_SUGGEST_REQUEST,
+  PRODUCT_SUGGEST_SUCCESS,
 } from "../Constants/ProductConstants";
 import { logout } from "./userActions";
 
 
 // PRODUCT LIST
 export const listProduct =
-  (keyword = " ", pageNumber = " ") =>
+  (search = {}) =>
   async (dispatch) => {
     try {
       dispatch({ type: PRODUCT_LIST_REQUEST });
-      const { data } = await axios.get(
-        `/api/products?keyword=${keyword}&pageNumber=${pageNumber}`
-      );
+      const params = new URLSearchParams();
+      Object.keys(search).forEach((key) => {
+        if (search[key]) {
+          params.set(key, search[key]);
+        }
+      });
+      const { data } = await axios.get(`/api/products?${params.toString()}`);
       dispatch({ type: PRODUCT_LIST_SUCCESS, payload: data });
     } catch (error) {
       dispatch({
@@ -34,6 +41,25 @@ export const listProduct =
     }
   };
 
+// SEARCH SUGGESTIONS
+export const suggestProducts = (query) => async (dispatch) => {
+  try {
+    dispatch({ type: PRODUCT_SUGGEST_REQUEST });
+    const { data } = await axios.get(
+      `/api/products/suggest?q=${encodeURIComponent(query)}`
+    );
+    dispatch({ type: PRODUCT_SUGGEST_SUCCESS, payload: data });
+  } catch (error) {
+    dispatch({
+      type: PRODUCT_SUGGEST_FAIL,
+      payload:
+        error.response && error.response.data.message
+          ? error.response.data.message
+          : error.message,
+    });
+  }
+};
+
 // SINGLE PRODUCT
 export const listProductDetails = (id) => async (dispatch) => {
   try {
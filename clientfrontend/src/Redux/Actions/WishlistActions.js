@@ -0,0 +1,78 @@
+import axios from "axios";
+import {
+  WISHLIST_FAIL,
+  WISHLIST_REQUEST,
+  WISHLIST_SUCCESS,
+} from "../Constants/WishlistConstants";
+import { logout } from "./userActions";
+import { addToCart, removefromcart } from "./cartActions";
+
+// Every wishlist request returns the whole list
+const wishlistRequest = (request) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: WISHLIST_REQUEST });
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await request(
+      `/api/users/users/${userInfo._id}/favorites`,
+      config
+    );
+    dispatch({ type: WISHLIST_SUCCESS, payload: data.favoriteProducts });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: WISHLIST_FAIL,
+      payload: message,
+    });
+  }
+};
+
+// LIST WISHLIST
+export const listWishlist = () =>
+  wishlistRequest((url, config) => axios.get(url, config));
+
+// ADD TO WISHLIST
+export const addToWishlist = (productId, variant) =>
+  wishlistRequest((url, config) =>
+    axios.post(url, { productId, variant: variant || null }, config)
+  );
+
+// REMOVE FROM WISHLIST
+// Without a variant every saved variant of the product is removed
+export const removeFromWishlist = (productId, variant) =>
+  wishlistRequest((url, config) =>
+    axios.delete(`${url}/${productId}`, {
+      ...config,
+      params: variant ? { variant } : {},
+    })
+  );
+
+// MOVE TO CART
+export const moveToCart = (item) => async (dispatch) => {
+  await dispatch(addToCart(item.product, 1, item.variant));
+  await dispatch(removeFromWishlist(item.product, item.variant));
+};
+
+// SAVE FOR LATER
+// The cart line is only removed once it is on the wishlist
+export const saveForLater = (item) => async (dispatch, getState) => {
+  await dispatch(addToWishlist(item.product, item.variant));
+  if (!getState().wishlist.error) {
+    await dispatch(removefromcart(item.product, item.variant));
+  }
+};
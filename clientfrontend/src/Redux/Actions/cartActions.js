@@ -1,39 +1,185 @@
 import axios from "axios";
 import {
+  CART_ACKNOWLEDGE_CHANGES,
   CART_ADD_ITEM,
+  CART_COUPON_FAIL,
+  CART_COUPON_REQUEST,
+  CART_COUPON_SUCCESS,
+  CART_REMOVE_COUPON,
   CART_REMOVE_ITEM,
+  CART_SAVE_BILLING_ADDRESS,
+  CART_SAVE_GUEST_EMAIL,
   CART_SAVE_PAYMENT_METHOD,
   CART_SAVE_SHIPPING_ADDRESS,
+  CART_SAVE_SHIPPING_METHOD,
+  CART_SET_ITEMS,
+  CART_VALIDATE_FAIL,
+  CART_VALIDATE_REQUEST,
+  CART_VALIDATE_SUCCESS,
 } from "../Constants/CartConstants";
 
+const cartLines = (cartItems) =>
+  cartItems.map(({ product, variant, qty }) => ({ product, variant, qty }));
+
+const cartConfig = (userInfo) => ({
+  headers: {
+    "Content-Type": "application/json",
+    Authorization: `Bearer ${userInfo.token}`,
+  },
+});
+
+// Keep the cart in localStorage, and on the server for a logged in user so
+// it is the same on every device. The cart still works when the server copy
+// can't be saved.
+const saveCart = async (getState) => {
+  const {
+    cart: { cartItems },
+    userLogin: { userInfo },
+  } = getState();
+
+  localStorage.setItem("cartItems", JSON.stringify(cartItems));
+
+  if (userInfo) {
+    try {
+      await axios.put(
+        `/api/users/users/${userInfo._id}/cart`,
+        { cartItems: cartLines(cartItems) },
+        cartConfig(userInfo)
+      );
+    } catch (error) {
+      console.error(error);
+    }
+  }
+};
+
+const setCart = (dispatch, cartItems) => {
+  dispatch({ type: CART_SET_ITEMS, payload: cartItems });
+
+  localStorage.setItem("cartItems", JSON.stringify(cartItems));
+};
+
+// LOAD CART
+// The saved cart of the logged in user replaces the one on this device
+export const loadCart = () => async (dispatch, getState) => {
+  const {
+    userLogin: { userInfo },
+  } = getState();
+  if (!userInfo) {
+    return;
+  }
+
+  try {
+    const { data } = await axios.get(
+      `/api/users/users/${userInfo._id}/cart`,
+      cartConfig(userInfo)
+    );
+    setCart(dispatch, data.cart);
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+// MERGE CART
+// On login the cart filled before logging in is added to the saved one
+export const mergeCart = () => async (dispatch, getState) => {
+  const {
+    cart: { cartItems },
+    userLogin: { userInfo },
+  } = getState();
+
+  try {
+    const { data } = await axios.post(
+      `/api/users/users/${userInfo._id}/cart/merge`,
+      { cartItems: cartLines(cartItems) },
+      cartConfig(userInfo)
+    );
+    setCart(dispatch, data.cart);
+  } catch (error) {
+    console.error(error);
+  }
+};
 
 // ADD TO CART
-export const addToCart = (id, qty) => async (dispatch, getState) => {
+export const addToCart = (id, qty, variantId) => async (dispatch, getState) => {
   const { data } = await axios.get(`/api/products/${id}`);
+  const variant = variantId
+    ? (data.variants || []).find((v) => v._id === variantId)
+    : null;
+  if (variantId && !variant) {
+    return;
+  }
 
   dispatch({
     type: CART_ADD_ITEM,
     payload: {
       product: data._id,
+      variant: variant ? variant._id : null,
+      sku: variant ? variant.sku : undefined,
+      options: variant ? variant.options : [],
       name: data.name,
-      image: data.image,
-      price: data.price,
-      countInStock: data.countInStock,
+      image: (variant && variant.image) || data.image,
+      price: variant && variant.price != null ? variant.price : data.price,
+      countInStock: variant ? variant.countInStock : data.countInStock,
       qty,
     },
   });
 
-  localStorage.setItem("cartItems", JSON.stringify(getState().cart.cartItems));
+  await saveCart(getState);
 };
 
 // REMOVE PRODUCT FROM CART
-export const removefromcart = (id) => (dispatch, getState) => {
+export const removefromcart = (id, variantId) => async (dispatch, getState) => {
   dispatch({
     type: CART_REMOVE_ITEM,
-    payload: id,
+    payload: { product: id, variant: variantId || null },
   });
 
-  localStorage.setItem("cartItems", JSON.stringify(getState().cart.cartItems));
+  await saveCart(getState);
+};
+
+// VALIDATE CART
+// The cart keeps the price and stock from when the items were added. The
+// server updates them and tells what changed.
+export const validateCart = () => async (dispatch, getState) => {
+  try {
+    dispatch({ type: CART_VALIDATE_REQUEST });
+
+    const {
+      cart: { cartItems },
+    } = getState();
+
+    const { data } = await axios.post(`/api/cart/validate`, { cartItems });
+
+    // Items added while checking are kept as they are
+    if (data.changes.length) {
+      const isSameItem = (a, b) =>
+        a.product === b.product && (a.variant || null) === (b.variant || null);
+      const dropped = data.changes.filter(
+        (change) => change.type === "removed" || change.type === "out_of_stock"
+      );
+      const items = getState()
+        .cart.cartItems.filter(
+          (item) => !dropped.some((change) => isSameItem(change, item))
+        )
+        .map((item) => data.cartItems.find((i) => isSameItem(i, item)) || item);
+      dispatch({ type: CART_SET_ITEMS, payload: items });
+      await saveCart(getState);
+    }
+    dispatch({ type: CART_VALIDATE_SUCCESS, payload: data.changes });
+  } catch (error) {
+    dispatch({
+      type: CART_VALIDATE_FAIL,
+      payload:
+        error.response && error.response.data.message
+          ? error.response.data.message
+          : error.message,
+    });
+  }
+};
+
+// ACKNOWLEDGE CART CHANGES
+export const acknowledgeCartChanges = () => (dispatch) => {
+  dispatch({ type: CART_ACKNOWLEDGE_CHANGES });
 };
 
 // SAVE SHIPPING ADDRESS
@@ -46,6 +192,31 @@ export const saveShippingAddress = (data) => (dispatch) => {
   localStorage.setItem("shippingAddress", JSON.stringify(data));
 };
 
+// SAVE BILLING ADDRESS
+// null bills the order to the shipping address
+export const saveBillingAddress = (data) => (dispatch) => {
+  dispatch({
+    type: CART_SAVE_BILLING_ADDRESS,
+    payload: data,
+  });
+
+  if (data) {
+    localStorage.setItem("billingAddress", JSON.stringify(data));
+  } else {
+    localStorage.removeItem("billingAddress");
+  }
+};
+
+// SAVE SHIPPING METHOD
+export const saveShippingMethod = (data) => (dispatch) => {
+  dispatch({
+    type: CART_SAVE_SHIPPING_METHOD,
+    payload: data,
+  });
+
+  localStorage.setItem("shippingMethod", JSON.stringify(data));
+};
+
 // SAVE PAYMENT METHOD
 export const savePaymentMethod = (data) => (dispatch) => {
   dispatch({
@@ -55,3 +226,54 @@ export const savePaymentMethod = (data) => (dispatch) => {
 
   localStorage.setItem("paymentMethod", JSON.stringify(data));
 };
+
+// SAVE GUEST EMAIL
+// Guests check out with an email instead of an account
+export const saveGuestEmail = (email) => (dispatch) => {
+  dispatch({
+    type: CART_SAVE_GUEST_EMAIL,
+    payload: email,
+  });
+
+  localStorage.setItem("guestEmail", JSON.stringify(email));
+};
+
+// APPLY COUPON
+export const applyCoupon = (code) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: CART_COUPON_REQUEST });
+
+    const {
+      cart: { cartItems },
+    } = getState();
+
+    // The quote checks the code against the items in the cart
+    const { data } = await axios.post(`/api/orders/quote`, {
+      orderItems: cartItems.map(({ product, variant, qty }) => ({
+        product,
+        variant,
+        qty,
+      })),
+      couponCode: code,
+    });
+
+    dispatch({ type: CART_COUPON_SUCCESS, payload: data.coupon });
+
+    localStorage.setItem("couponCode", JSON.stringify(data.coupon.code));
+  } catch (error) {
+    dispatch({
+      type: CART_COUPON_FAIL,
+      payload:
+        error.response && error.response.data.message
+          ? error.response.data.message
+          : error.message,
+    });
+  }
+};
+
+// REMOVE COUPON
+export const removeCoupon = () => (dispatch) => {
+  dispatch({ type: CART_REMOVE_COUPON });
+
+  localStorage.removeItem("couponCode");
+};
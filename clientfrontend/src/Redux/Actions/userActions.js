@@ -1,4 +1,7 @@
 import {
+  USER_CLAIM_ORDERS_FAIL,
+  USER_CLAIM_ORDERS_REQUEST,
+  USER_CLAIM_ORDERS_SUCCESS,
   USER_DETAILS_FAIL,
   USER_DETAILS_REQUEST,
   USER_DETAILS_RESET,
@@ -16,6 +19,11 @@ import {
 } from "../Constants/UserContants";
 import axios from "axios";
 import { ORDER_LIST_MY_RESET } from "../Constants/OrderConstants";
+import { CART_CLEAR_ITEMS } from "../Constants/CartConstants";
+import { WISHLIST_RESET } from "../Constants/WishlistConstants";
+import { ADDRESS_LIST_RESET } from "../Constants/AddressConstants";
+import { NOTIFICATION_LIST_RESET } from "../Constants/NotificationConstants";
+import { mergeCart } from "./cartActions";
 
 // LOGIN
 export const login = (email, password) => async (dispatch) => {
@@ -36,6 +44,7 @@ export const login = (email, password) => async (dispatch) => {
     dispatch({ type: USER_LOGIN_SUCCESS, payload: data });
 
     localStorage.setItem("userInfo", JSON.stringify(data));
+    dispatch(mergeCart());
   } catch (error) {
     dispatch({
       type: USER_LOGIN_FAIL,
@@ -48,11 +57,17 @@ export const login = (email, password) => async (dispatch) => {
 };
 
 // LOGOUT
+// The cart stays saved with the account, not on this device
 export const logout = () => (dispatch) => {
   localStorage.removeItem("userInfo");
+  localStorage.removeItem("cartItems");
   dispatch({ type: USER_LOGOUT });
+  dispatch({ type: CART_CLEAR_ITEMS });
   dispatch({ type: USER_DETAILS_RESET });
   dispatch({ type: ORDER_LIST_MY_RESET });
+  dispatch({ type: WISHLIST_RESET });
+  dispatch({ type: ADDRESS_LIST_RESET });
+  dispatch({ type: NOTIFICATION_LIST_RESET });
 };
 
 // REGISTER
@@ -75,6 +90,7 @@ export const register = (name, email, password) => async (dispatch) => {
     dispatch({ type: USER_LOGIN_SUCCESS, payload: data });
 
     localStorage.setItem("userInfo", JSON.stringify(data));
+    dispatch(mergeCart());
   } catch (error) {
     dispatch({
       type: USER_REGISTER_FAIL,
@@ -86,6 +102,77 @@ export const register = (name, email, password) => async (dispatch) => {
   }
 };
 
+// REGISTER GUEST
+// The guest of an order creates an account with the order's email, and their
+// guest orders move to it
+export const registerGuest =
+  (orderId, access, name, password) => async (dispatch) => {
+    try {
+      dispatch({ type: USER_REGISTER_REQUEST });
+
+      const config = {
+        headers: {
+          "Content-Type": "application/json",
+        },
+      };
+
+      const { data } = await axios.post(
+        `/api/users/guest`,
+        { orderId, access, name, password },
+        config
+      );
+      dispatch({ type: USER_REGISTER_SUCCESS, payload: data });
+      dispatch({ type: USER_LOGIN_SUCCESS, payload: data });
+
+      localStorage.setItem("userInfo", JSON.stringify(data));
+      dispatch(mergeCart());
+    } catch (error) {
+      dispatch({
+        type: USER_REGISTER_FAIL,
+        payload:
+          error.response && error.response.data.message
+            ? error.response.data.message
+            : error.message,
+      });
+    }
+  };
+
+// CLAIM GUEST ORDERS
+// A logged in user adds the guest orders placed with their email to the
+// account, with the link of one of them
+export const claimGuestOrders =
+  (orderId, access) => async (dispatch, getState) => {
+    try {
+      dispatch({ type: USER_CLAIM_ORDERS_REQUEST });
+
+      const {
+        userLogin: { userInfo },
+      } = getState();
+
+      const config = {
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${userInfo.token}`,
+        },
+      };
+
+      const { data } = await axios.post(
+        `/api/users/guest/claim`,
+        { orderId, access },
+        config
+      );
+      dispatch({ type: USER_CLAIM_ORDERS_SUCCESS, payload: data });
+    } catch (error) {
+      dispatch({
+        type: USER_CLAIM_ORDERS_FAIL,
+        payload:
+          error.response && error.response.data.message
+            ? error.response.data.message
+            : error.message,
+      });
+    }
+  };
+
 // USER DETAILS
 export const getUserDetails = (id) => async (dispatch, getState) => {
   try {
@@ -0,0 +1,4 @@
+export const ADDRESS_LIST_REQUEST = "ADDRESS_LIST_REQUEST";
+export const ADDRESS_LIST_SUCCESS = "ADDRESS_LIST_SUCCESS";
+export const ADDRESS_LIST_FAIL = "ADDRESS_LIST_FAIL";
+export const ADDRESS_LIST_RESET = "ADDRESS_LIST_RESET";
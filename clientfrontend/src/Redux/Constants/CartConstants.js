@@ -1,5 +1,19 @@
 export const CART_ADD_ITEM = "CART_ADD_ITEM";
 export const CART_REMOVE_ITEM = "CART_REMOVE_ITEM";
 export const CART_CLEAR_ITEMS = "CART_CLEAR_ITEMS";
+export const CART_SET_ITEMS = "CART_SET_ITEMS";
 export const CART_SAVE_SHIPPING_ADDRESS = "CART_SAVE_SHIPPING_ADDRESS";
+export const CART_SAVE_BILLING_ADDRESS = "CART_SAVE_BILLING_ADDRESS";
+export const CART_SAVE_SHIPPING_METHOD = "CART_SAVE_SHIPPING_METHOD";
 export const CART_SAVE_PAYMENT_METHOD = "CART_SAVE_PAYMENT_METHOD";
+export const CART_SAVE_GUEST_EMAIL = "CART_SAVE_GUEST_EMAIL";
+
+export const CART_COUPON_REQUEST = "CART_COUPON_REQUEST";
+export const CART_COUPON_SUCCESS = "CART_COUPON_SUCCESS";
+export const CART_COUPON_FAIL = "CART_COUPON_FAIL";
+export const CART_REMOVE_COUPON = "CART_REMOVE_COUPON";
+
+export const CART_VALIDATE_REQUEST = "CART_VALIDATE_REQUEST";
+export const CART_VALIDATE_SUCCESS = "CART_VALIDATE_SUCCESS";
+export const CART_VALIDATE_FAIL = "CART_VALIDATE_FAIL";
+export const CART_ACKNOWLEDGE_CHANGES = "CART_ACKNOWLEDGE_CHANGES";
@@ -0,0 +1,3 @@
+export const CATEGORY_TREE_REQUEST = "CATEGORY_TREE_REQUEST";
+export const CATEGORY_TREE_SUCCESS = "CATEGORY_TREE_SUCCESS";
+export const CATEGORY_TREE_FAIL = "CATEGORY_TREE_FAIL";
@@ -0,0 +1,8 @@
+export const NOTIFICATION_LIST_REQUEST = "NOTIFICATION_LIST_REQUEST";
+export const NOTIFICATION_LIST_SUCCESS = "NOTIFICATION_LIST_SUCCESS";
+export const NOTIFICATION_LIST_FAIL = "NOTIFICATION_LIST_FAIL";
+export const NOTIFICATION_LIST_RESET = "NOTIFICATION_LIST_RESET";
+
+export const NOTIFICATION_SETTINGS_REQUEST = "NOTIFICATION_SETTINGS_REQUEST";
+export const NOTIFICATION_SETTINGS_SUCCESS = "NOTIFICATION_SETTINGS_SUCCESS";
+export const NOTIFICATION_SETTINGS_FAIL = "NOTIFICATION_SETTINGS_FAIL";
@@ -3,6 +3,10 @@ export const ORDER_CREATE_SUCCESS = "ORDER_CREATE_SUCCESS";
 export const ORDER_CREATE_FAIL = "ORDER_CREATE_FAIL";
 export const ORDER_CREATE_RESET = "ORDER_CREATE_RESET";
 
+export const ORDER_QUOTE_REQUEST = "ORDER_QUOTE_REQUEST";
+export const ORDER_QUOTE_SUCCESS = "ORDER_QUOTE_SUCCESS";
+export const ORDER_QUOTE_FAIL = "ORDER_QUOTE_FAIL";
+
 export const ORDER_DETAILS_REQUEST = "ORDER_DETAILS_REQUEST";
 export const ORDER_DETAILS_SUCCESS = "ORDER_DETAILS_SUCCESS";
 export const ORDER_DETAILS_FAIL = "ORDER_DETAILS_FAIL";
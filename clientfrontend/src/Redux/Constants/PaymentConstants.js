@@ -0,0 +1,3 @@
+export const PAYMENT_METHODS_REQUEST = "PAYMENT_METHODS_REQUEST";
+export const PAYMENT_METHODS_SUCCESS = "PAYMENT_METHODS_SUCCESS";
+export const PAYMENT_METHODS_FAIL = "PAYMENT_METHODS_FAIL";
@@ -10,3 +10,8 @@ export const PRODUCT_CREATE_REVIEW_REQUEST = "PRODUCT_CREATE_REVIEW_REQUEST";
 export const PRODUCT_CREATE_REVIEW_SUCCESS = "PRODUCT_CREATE_REVIEW_SUCCESS";
 export const PRODUCT_CREATE_REVIEW_FAIL = "PRODUCT_CREATE_REVIEW_FAIL";
 export const PRODUCT_CREATE_REVIEW_RESET = "PRODUCT_CREATE_REVIEW_RESET";
+
+export const PRODUCT_SUGGEST_REQUEST = "PRODUCT_SUGGEST_REQUEST";
+export const PRODUCT_SUGGEST_SUCCESS = "PRODUCT_SUGGEST_SUCCESS";
+export const PRODUCT_SUGGEST_FAIL = "PRODUCT_SUGGEST_FAIL";
+export const PRODUCT_SUGGEST_RESET = "PRODUCT_SUGGEST_RESET";
@@ -7,6 +7,10 @@ export const USER_REGISTER_REQUEST = "USER_REGISTER_REQUEST";
 export const USER_REGISTER_SUCCESS = "USER_REGISTER_SUCCESS";
 export const USER_REGISTER_FAIL = "USER_REGISTER_FAIL";
 
+export const USER_CLAIM_ORDERS_REQUEST = "USER_CLAIM_ORDERS_REQUEST";
+export const USER_CLAIM_ORDERS_SUCCESS = "USER_CLAIM_ORDERS_SUCCESS";
+export const USER_CLAIM_ORDERS_FAIL = "USER_CLAIM_ORDERS_FAIL";
+
 export const USER_DETAILS_REQUEST = "USER_DETAILS_REQUEST";
 export const USER_DETAILS_SUCCESS = "USER_DETAILS_SUCCESS";
 export const USER_DETAILS_FAIL = "USER_DETAILS_FAIL";
@@ -0,0 +1,4 @@
+export const WISHLIST_REQUEST = "WISHLIST_REQUEST";
+export const WISHLIST_SUCCESS = "WISHLIST_SUCCESS";
+export const WISHLIST_FAIL = "WISHLIST_FAIL";
+export const WISHLIST_RESET = "WISHLIST_RESET";
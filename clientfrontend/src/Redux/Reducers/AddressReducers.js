@@ -0,0 +1,22 @@
+import {
+  ADDRESS_LIST_FAIL,
+  ADDRESS_LIST_REQUEST,
+  ADDRESS_LIST_RESET,
+  ADDRESS_LIST_SUCCESS,
+} from "../Constants/AddressConstants";
+
+// ADDRESS BOOK
+export const addressListReducer = (state = { addresses: [] }, action) => {
+  switch (action.type) {
+    case ADDRESS_LIST_REQUEST:
+      return { ...state, loading: true, error: null };
+    case ADDRESS_LIST_SUCCESS:
+      return { loading: false, loaded: true, addresses: action.payload };
+    case ADDRESS_LIST_FAIL:
+      return { ...state, loading: false, error: action.payload };
+    case ADDRESS_LIST_RESET:
+      return { addresses: [] };
+    default:
+      return state;
+  }
+};
@@ -1,11 +1,27 @@
 import {
+  CART_ACKNOWLEDGE_CHANGES,
   CART_ADD_ITEM,
   CART_CLEAR_ITEMS,
+  CART_COUPON_FAIL,
+  CART_COUPON_REQUEST,
+  CART_COUPON_SUCCESS,
+  CART_REMOVE_COUPON,
   CART_REMOVE_ITEM,
+  CART_SAVE_BILLING_ADDRESS,
+  CART_SAVE_GUEST_EMAIL,
   CART_SAVE_PAYMENT_METHOD,
   CART_SAVE_SHIPPING_ADDRESS,
+  CART_SAVE_SHIPPING_METHOD,
+  CART_SET_ITEMS,
+  CART_VALIDATE_FAIL,
+  CART_VALIDATE_REQUEST,
+  CART_VALIDATE_SUCCESS,
 } from "../Constants/CartConstants";
 
+// Each variant of a product is a separate cart line
+const isSameItem = (a, b) =>
+  a.product === b.product && (a.variant || null) === (b.variant || null);
+
 export const cartReducer = (
   state = { cartItems: [], shippingAddress: {} },
   action
@@ -13,13 +29,13 @@ export const cartReducer = (
   switch (action.type) {
     case CART_ADD_ITEM:
       const item = action.payload;
-      const existItem = state.cartItems.find((x) => x.product === item.product);
+      const existItem = state.cartItems.find((x) => isSameItem(x, item));
 
       if (existItem) {
         return {
           ...state,
           cartItems: state.cartItems.map((x) =>
-            x.product === existItem.product ? item : x
+            isSameItem(x, existItem) ? item : x
           ),
         };
       } else {
@@ -31,23 +47,91 @@ export const cartReducer = (
     case CART_REMOVE_ITEM:
       return {
         ...state,
-        cartItems: state.cartItems.filter((x) => x.product !== action.payload),
+        cartItems: state.cartItems.filter(
+          (x) => !isSameItem(x, action.payload)
+        ),
       };
     case CART_SAVE_SHIPPING_ADDRESS:
       return {
         ...state,
         shippingAddress: action.payload,
       };
+    case CART_SAVE_BILLING_ADDRESS:
+      return {
+        ...state,
+        billingAddress: action.payload,
+      };
+    case CART_SAVE_SHIPPING_METHOD:
+      return {
+        ...state,
+        shippingMethod: action.payload,
+      };
     case CART_SAVE_PAYMENT_METHOD:
       return {
         ...state,
         paymentMethod: action.payload,
       };
+    case CART_SAVE_GUEST_EMAIL:
+      return {
+        ...state,
+        guestEmail: action.payload,
+      };
+    case CART_COUPON_SUCCESS:
+      return {
+        ...state,
+        couponCode: action.payload.code,
+      };
+    case CART_REMOVE_COUPON:
+      return {
+        ...state,
+        couponCode: null,
+      };
     case CART_CLEAR_ITEMS:
       return {
         ...state,
         cartItems: [],
       };
+    case CART_SET_ITEMS:
+      return {
+        ...state,
+        cartItems: action.payload,
+      };
+    default:
+      return state;
+  }
+};
+
+// APPLY COUPON
+export const cartCouponReducer = (state = {}, action) => {
+  switch (action.type) {
+    case CART_COUPON_REQUEST:
+      return { loading: true };
+    case CART_COUPON_SUCCESS:
+      return { loading: false, coupon: action.payload };
+    case CART_COUPON_FAIL:
+      return { loading: false, error: action.payload };
+    case CART_REMOVE_COUPON:
+      return {};
+    default:
+      return state;
+  }
+};
+
+// VALIDATE CART
+// Changes stay until the shopper acknowledges them
+export const cartValidateReducer = (state = { changes: [] }, action) => {
+  switch (action.type) {
+    case CART_VALIDATE_REQUEST:
+      return { ...state, loading: true };
+    case CART_VALIDATE_SUCCESS:
+      return {
+        loading: false,
+        changes: [...state.changes, ...action.payload],
+      };
+    case CART_VALIDATE_FAIL:
+      return { ...state, loading: false, error: action.payload };
+    case CART_ACKNOWLEDGE_CHANGES:
+      return { changes: [] };
     default:
       return state;
   }
@@ -0,0 +1,19 @@
+import {
+  CATEGORY_TREE_FAIL,
+  CATEGORY_TREE_REQUEST,
+  CATEGORY_TREE_SUCCESS,
+} from "../Constants/CategoryConstants";
+
+// CATEGORY TREE
+export const categoryTreeReducer = (state = { categories: [] }, action) => {
+  switch (action.type) {
+    case CATEGORY_TREE_REQUEST:
+      return { ...state, loading: true };
+    case CATEGORY_TREE_SUCCESS:
+      return { loading: false, categories: action.payload };
+    case CATEGORY_TREE_FAIL:
+      return { loading: false, categories: [], error: action.payload };
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,46 @@
+import {
+  NOTIFICATION_LIST_FAIL,
+  NOTIFICATION_LIST_REQUEST,
+  NOTIFICATION_LIST_RESET,
+  NOTIFICATION_LIST_SUCCESS,
+  NOTIFICATION_SETTINGS_FAIL,
+  NOTIFICATION_SETTINGS_REQUEST,
+  NOTIFICATION_SETTINGS_SUCCESS,
+} from "../Constants/NotificationConstants";
+
+// NOTIFICATION LIST
+export const notificationListReducer = (
+  state = { notifications: [], unreadCount: 0 },
+  action
+) => {
+  switch (action.type) {
+    case NOTIFICATION_LIST_REQUEST:
+      return { ...state, loading: true };
+    case NOTIFICATION_LIST_SUCCESS:
+      return {
+        loading: false,
+        notifications: action.payload.notifications,
+        unreadCount: action.payload.unreadCount,
+      };
+    case NOTIFICATION_LIST_FAIL:
+      return { ...state, loading: false, error: action.payload };
+    case NOTIFICATION_LIST_RESET:
+      return { notifications: [], unreadCount: 0 };
+    default:
+      return state;
+  }
+};
+
+// NOTIFICATION SETTINGS
+export const notificationSettingsReducer = (state = {}, action) => {
+  switch (action.type) {
+    case NOTIFICATION_SETTINGS_REQUEST:
+      return { ...state, loading: true };
+    case NOTIFICATION_SETTINGS_SUCCESS:
+      return { loading: false, settings: action.payload };
+    case NOTIFICATION_SETTINGS_FAIL:
+      return { ...state, loading: false, error: action.payload };
+    default:
+      return state;
+  }
+};
@@ -14,6 +14,9 @@ import {
   ORDER_PAY_REQUEST,
   ORDER_PAY_RESET,
   ORDER_PAY_SUCCESS,
+  ORDER_QUOTE_FAIL,
+  ORDER_QUOTE_REQUEST,
+  ORDER_QUOTE_SUCCESS,
 } from "../Constants/OrderConstants";
 
 // CREATE ORDER
@@ -32,6 +35,20 @@ export const orderCreateReducer = (state = {}, action) => {
   }
 };
 
+// QUOTE ORDER
+export const orderQuoteReducer = (state = {}, action) => {
+  switch (action.type) {
+    case ORDER_QUOTE_REQUEST:
+      return { loading: true };
+    case ORDER_QUOTE_SUCCESS:
+      return { loading: false, quote: action.payload };
+    case ORDER_QUOTE_FAIL:
+      return { loading: false, error: action.payload };
+    default:
+      return state;
+  }
+};
+
 // ORDER DETAILS
 export const orderDetailsReducer = (
   state = { loading: true, orderItems: [], shippingAddress: {} },
@@ -0,0 +1,19 @@
+import {
+  PAYMENT_METHODS_FAIL,
+  PAYMENT_METHODS_REQUEST,
+  PAYMENT_METHODS_SUCCESS,
+} from "../Constants/PaymentConstants";
+
+// CHECKOUT PAYMENT METHODS
+export const paymentMethodListReducer = (state = { methods: [] }, action) => {
+  switch (action.type) {
+    case PAYMENT_METHODS_REQUEST:
+      return { ...state, loading: true };
+    case PAYMENT_METHODS_SUCCESS:
+      return { loading: false, methods: action.payload };
+    case PAYMENT_METHODS_FAIL:
+      return { ...state, loading: false, error: action.payload };
+    default:
+      return state;
+  }
+};
@@ -9,18 +9,25 @@ import {
   PRODUCT_LIST_FAIL,
   PRODUCT_LIST_REQUEST,
   PRODUCT_LIST_SUCCESS,
+  PRODUCT_SUGGEST_FAIL,
+  PRODUCT_SUGGEST_REQUEST,
+  PRODUCT_SUGGEST_RESET,
+  PRODUCT_SUGGEST_SUCCESS,
 } from "../Constants/ProductConstants";
 
 // PRODUCT LIST
 export const productListReducer = (state = { products: [] }, action) => {
   switch (action.type) {
     case PRODUCT_LIST_REQUEST:
-      return { loading: true, products: [] };
+      return { loading: true, products: [], facets: state.facets };
     case PRODUCT_LIST_SUCCESS:
       return {
         loading: false,
         pages: action.payload.pages,
         page: action.payload.page,
+        count: action.payload.count,
+        facets: action.payload.facets,
+        search: action.payload.search,
         products: action.payload.products,
       };
     case PRODUCT_LIST_FAIL:
@@ -62,3 +69,22 @@ export const productCreateReviewReducer = (state = {}, action) => {
       return state;
   }
 };
+
+// SEARCH SUGGESTIONS
+export const productSuggestReducer = (
+  state = { products: [], categories: [] },
+  action
+) => {
+  switch (action.type) {
+    case PRODUCT_SUGGEST_REQUEST:
+      return { ...state, loading: true };
+    case PRODUCT_SUGGEST_SUCCESS:
+      return { loading: false, ...action.payload };
+    case PRODUCT_SUGGEST_FAIL:
+      return { loading: false, products: [], categories: [] };
+    case PRODUCT_SUGGEST_RESET:
+      return { products: [], categories: [] };
+    default:
+      return state;
+  }
+};
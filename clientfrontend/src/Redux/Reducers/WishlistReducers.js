@@ -0,0 +1,22 @@
+import {
+  WISHLIST_FAIL,
+  WISHLIST_REQUEST,
+  WISHLIST_RESET,
+  WISHLIST_SUCCESS,
+} from "../Constants/WishlistConstants";
+
+// WISHLIST
+export const wishlistReducer = (state = { items: [] }, action) => {
+  switch (action.type) {
+    case WISHLIST_REQUEST:
+      return { ...state, loading: true };
+    case WISHLIST_SUCCESS:
+      return { loading: false, items: action.payload };
+    case WISHLIST_FAIL:
+      return { ...state, loading: false, error: action.payload };
+    case WISHLIST_RESET:
+      return { items: [] };
+    default:
+      return state;
+  }
+};
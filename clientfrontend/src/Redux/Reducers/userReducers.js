@@ -1,4 +1,7 @@
 import {
+  USER_CLAIM_ORDERS_FAIL,
+  USER_CLAIM_ORDERS_REQUEST,
+  USER_CLAIM_ORDERS_SUCCESS,
   USER_DETAILS_FAIL,
   USER_DETAILS_REQUEST,
   USER_DETAILS_RESET,
@@ -45,6 +48,22 @@ export const userRegisterReducer = (state = {}, action) => {
   }
 };
 
+// CLAIM GUEST ORDERS
+export const userClaimOrdersReducer = (state = {}, action) => {
+  switch (action.type) {
+    case USER_CLAIM_ORDERS_REQUEST:
+      return { loading: true };
+    case USER_CLAIM_ORDERS_SUCCESS:
+      return { loading: false, claimedOrders: action.payload.claimedOrders };
+    case USER_CLAIM_ORDERS_FAIL:
+      return { loading: false, error: action.payload };
+    case USER_LOGOUT:
+      return {};
+    default:
+      return state;
+  }
+};
+
 // USER DETAILS
 export const userDetailsReducer = (state = { user: {} }, action) => {
   switch (action.type) {
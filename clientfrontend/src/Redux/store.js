@@ -5,9 +5,15 @@ import {
   productCreateReviewReducer,
   productDetailsReducer,
   productListReducer,
+  productSuggestReducer,
 } from "./Reducers/ProductReducers";
-import { cartReducer } from "./Reducers/CartReducers";
 import {
+  cartCouponReducer,
+  cartReducer,
+  cartValidateReducer,
+} from "./Reducers/CartReducers";
+import {
+  userClaimOrdersReducer,
   userDetailsReducer,
   userLoginReducer,
   userRegisterReducer,
@@ -18,21 +24,41 @@ import {
   orderDetailsReducer,
   orderListMyReducer,
   orderPayReducer,
+  orderQuoteReducer,
 } from "./Reducers/OrderReducres";
+import { categoryTreeReducer } from "./Reducers/CategoryReducers";
+import { wishlistReducer } from "./Reducers/WishlistReducers";
+import { addressListReducer } from "./Reducers/AddressReducers";
+import { paymentMethodListReducer } from "./Reducers/PaymentReducers";
+import {
+  notificationListReducer,
+  notificationSettingsReducer,
+} from "./Reducers/NotificationReducers";
 
 const reducer = combineReducers({
   productList: productListReducer,
   productDetails: productDetailsReducer,
   productReviewCreate: productCreateReviewReducer,
+  productSuggest: productSuggestReducer,
   cart: cartReducer,
+  cartCoupon: cartCouponReducer,
+  cartValidation: cartValidateReducer,
   userLogin: userLoginReducer,
   userRegister: userRegisterReducer,
+  userClaimOrders: userClaimOrdersReducer,
   userDetails: userDetailsReducer,
   userUpdateProfile: userUpdateProfileReducer,
   orderCreate: orderCreateReducer,
+  orderQuote: orderQuoteReducer,
   orderDetails: orderDetailsReducer,
   orderPay: orderPayReducer,
   orderListMy: orderListMyReducer,
+  categoryTree: categoryTreeReducer,
+  wishlist: wishlistReducer,
+  addressList: addressListReducer,
+  paymentMethodList: paymentMethodListReducer,
+  notificationList: notificationListReducer,
+  notificationSettings: notificationSettingsReducer,
 });
 
 const cartItemsFromLocalStorage = localStorage.getItem("cartItems")
@@ -49,10 +75,40 @@ const shippingAddressFromLocalStorage = localStorage.getItem("shippingAddress")
   ? JSON.parse(localStorage.getItem("shippingAddress"))
   : {};
 
+// shippingMethod
+const shippingMethodFromLocalStorage = localStorage.getItem("shippingMethod")
+  ? JSON.parse(localStorage.getItem("shippingMethod"))
+  : null;
+
+// couponCode
+const couponCodeFromLocalStorage = localStorage.getItem("couponCode")
+  ? JSON.parse(localStorage.getItem("couponCode"))
+  : null;
+
+// billingAddress, null when it is the shipping address
+const billingAddressFromLocalStorage = localStorage.getItem("billingAddress")
+  ? JSON.parse(localStorage.getItem("billingAddress"))
+  : null;
+
+// paymentMethod
+const paymentMethodFromLocalStorage = localStorage.getItem("paymentMethod")
+  ? JSON.parse(localStorage.getItem("paymentMethod"))
+  : null;
+
+// guestEmail
+const guestEmailFromLocalStorage = localStorage.getItem("guestEmail")
+  ? JSON.parse(localStorage.getItem("guestEmail"))
+  : "";
+
 const initialState = {
   cart: {
     cartItems: cartItemsFromLocalStorage,
     shippingAddress: shippingAddressFromLocalStorage,
+    billingAddress: billingAddressFromLocalStorage,
+    shippingMethod: shippingMethodFromLocalStorage,
+    paymentMethod: paymentMethodFromLocalStorage,
+    couponCode: couponCodeFromLocalStorage,
+    guestEmail: guestEmailFromLocalStorage,
   },
   userLogin: { userInfo: userInfoFromLocalStorage },
 };
@@ -0,0 +1,88 @@
+import React from "react";
+import { formatAddress } from "../utils/addresses";
+
+// Choose one of the saved addresses or type a new one. value holds the chosen
+// address id ("new" for the typed address), the typed fields and whether to
+// save the new address to the address book.
+const AddressPicker = ({ name, addresses, value, onChange }) => {
+  const isNew =
+    value.selected === "new" ||
+    !addresses.some((address) => address._id === value.selected);
+
+  const setField = (field) => (e) =>
+    onChange({ ...value, [field]: e.target.value });
+
+  return (
+    <div className="address-picker">
+      {addresses.map((address) => (
+        <label className="address-option" key={address._id}>
+          <input
+            type="radio"
+            name={name}
+            checked={value.selected === address._id}
+            onChange={() => onChange({ ...value, selected: address._id })}
+          />
+          <span>
+            {address.label && <b>{address.label}</b>}
+            {formatAddress(address)}
+          </span>
+        </label>
+      ))}
+      {addresses.length > 0 && (
+        <label className="address-option">
+          <input
+            type="radio"
+            name={name}
+            checked={isNew}
+            onChange={() => onChange({ ...value, selected: "new" })}
+          />
+          <span>Add a new address</span>
+        </label>
+      )}
+      {isNew && (
+        <>
+          <input
+            type="text"
+            placeholder="Enter address"
+            value={value.address}
+            required
+            onChange={setField("address")}
+          />
+          <input
+            type="text"
+            placeholder="Enter city"
+            value={value.city}
+            required
+            onChange={setField("city")}
+          />
+          <input
+            type="text"
+            placeholder="Enter postal code"
+            value={value.postalCode}
+            required
+            onChange={setField("postalCode")}
+          />
+          <input
+            type="text"
+            placeholder="Enter country"
+            value={value.country}
+            required
+            onChange={setField("country")}
+          />
+          {value.save !== undefined && (
+            <label className="address-option">
+              <input
+                type="checkbox"
+                checked={value.save}
+                onChange={(e) => onChange({ ...value, save: e.target.checked })}
+              />
+              <span>Save to my address book</span>
+            </label>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AddressPicker;
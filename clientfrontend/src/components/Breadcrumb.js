@@ -0,0 +1,27 @@
+import React from "react";
+import { Link } from "react-router-dom";
+
+const Breadcrumb = (props) => {
+  const { items = [], current } = props;
+  return (
+    <nav aria-label="breadcrumb">
+      <ol className="breadcrumb category-breadcrumb">
+        <li className="breadcrumb-item">
+          <Link to="/">Home</Link>
+        </li>
+        {items.map((item) => (
+          <li className="breadcrumb-item" key={item._id}>
+            <Link to={`/category/${item.slug}`}>{item.name}</Link>
+          </li>
+        ))}
+        {current && (
+          <li className="breadcrumb-item active" aria-current="page">
+            {current}
+          </li>
+        )}
+      </ol>
+    </nav>
+  );
+};
+
+export default Breadcrumb;
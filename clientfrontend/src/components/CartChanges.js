@@ -0,0 +1,39 @@
+import React from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { acknowledgeCartChanges } from "../Redux/Actions/cartActions";
+
+const ICONS = {
+  removed: "fas fa-times-circle",
+  out_of_stock: "fas fa-box-open",
+  price_changed: "fas fa-tag",
+  quantity_reduced: "fas fa-sort-amount-down",
+};
+
+// What changed in the cart since the items were added. Checkout waits until
+// the shopper has seen them.
+const CartChanges = () => {
+  const dispatch = useDispatch();
+  const cartValidation = useSelector((state) => state.cartValidation);
+  const { changes } = cartValidation;
+
+  if (!changes.length) {
+    return null;
+  }
+  return (
+    <div className="alert alert-warning mt-3 cart-changes">
+      <h6>Your cart was updated</h6>
+      <ul>
+        {changes.map((change, index) => (
+          <li key={index}>
+            <i className={ICONS[change.type]}></i> {change.message}
+          </li>
+        ))}
+      </ul>
+      <button type="button" onClick={() => dispatch(acknowledgeCartChanges())}>
+        OK, continue
+      </button>
+    </div>
+  );
+};
+
+export default CartChanges;
@@ -0,0 +1,60 @@
+import React, { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { applyCoupon, removeCoupon } from "../Redux/Actions/cartActions";
+import Message from "./LoadingError/Error";
+
+// Coupon code input, or the applied code with a way to remove it
+const CouponForm = () => {
+  const [code, setCode] = useState("");
+  const dispatch = useDispatch();
+
+  const cart = useSelector((state) => state.cart);
+  const { couponCode } = cart;
+  const cartCoupon = useSelector((state) => state.cartCoupon);
+  const { loading, error, coupon } = cartCoupon;
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    if (code.trim()) {
+      dispatch(applyCoupon(code.trim()));
+      setCode("");
+    }
+  };
+
+  if (couponCode) {
+    return (
+      <div className="coupon-form coupon-applied">
+        <span>
+          <i className="fas fa-tag"></i> <strong>{couponCode}</strong>
+          {coupon && coupon.code === couponCode && coupon.description && (
+            <span className="coupon-description"> {coupon.description}</span>
+          )}
+        </span>
+        <button type="button" onClick={() => dispatch(removeCoupon())}>
+          Remove
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="coupon-form" onSubmit={submitHandler}>
+      <input
+        type="text"
+        placeholder="Coupon code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+      />
+      <button type="submit" disabled={loading}>
+        {loading ? "Checking..." : "Apply"}
+      </button>
+      {error && (
+        <div className="col-12 mt-2">
+          <Message variant="alert-danger">{error}</Message>
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default CouponForm;
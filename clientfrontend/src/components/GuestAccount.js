@@ -0,0 +1,130 @@
+import React, { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { claimGuestOrders, registerGuest } from "../Redux/Actions/userActions";
+import { getOrderDetails } from "../Redux/Actions/OrderActions";
+import Message from "./LoadingError/Error";
+import Loading from "./LoadingError/Loading";
+
+// Lets the guest of an order create an account with the order's email, or
+// add the order to their account when they log in with it. Their guest
+// orders are added to the account.
+const GuestAccount = ({ order, access }) => {
+  const [name, setName] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [message, setMessage] = useState(null);
+
+  const dispatch = useDispatch();
+  const userLogin = useSelector((state) => state.userLogin);
+  const { userInfo } = userLogin;
+  const userRegister = useSelector((state) => state.userRegister);
+  const { loading, error } = userRegister;
+  const registered = userRegister.userInfo;
+  const userClaimOrders = useSelector((state) => state.userClaimOrders);
+
+  const claimHandler = async () => {
+    await dispatch(claimGuestOrders(order._id, access));
+    dispatch(getOrderDetails(order._id, access));
+  };
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      setMessage("Passwords do not match");
+      return;
+    }
+    setMessage(null);
+    await dispatch(registerGuest(order._id, access, name, password));
+    dispatch(getOrderDetails(order._id, access));
+  };
+
+  if (
+    userInfo &&
+    registered &&
+    registered._id === userInfo._id &&
+    registered.claimedOrders !== undefined
+  ) {
+    return (
+      <Message variant="alert-success mt-3">
+        Your account was created. {registered.claimedOrders} guest order
+        {registered.claimedOrders === 1 ? " was" : "s were"} added to it.
+      </Message>
+    );
+  }
+  if (userInfo && userClaimOrders.claimedOrders !== undefined) {
+    return (
+      <Message variant="alert-success mt-3">
+        {userClaimOrders.claimedOrders} guest order
+        {userClaimOrders.claimedOrders === 1 ? " was" : "s were"} added to your
+        account.
+      </Message>
+    );
+  }
+  if (!order.guestEmail) {
+    return null;
+  }
+  if (userInfo) {
+    if (userInfo.email.toLowerCase() !== order.guestEmail) {
+      return null;
+    }
+    return (
+      <div className="guest-account mt-3">
+        <h6>Add to your account</h6>
+        <p>
+          Keep track of this and your other orders placed with{" "}
+          <b>{order.guestEmail}</b> in your profile.
+        </p>
+        {userClaimOrders.error && (
+          <Message variant="alert-danger">{userClaimOrders.error}</Message>
+        )}
+        {userClaimOrders.loading && <Loading />}
+        <button
+          type="button"
+          disabled={userClaimOrders.loading}
+          onClick={claimHandler}
+        >
+          Add orders
+        </button>
+      </div>
+    );
+  }
+  return (
+    <form className="guest-account mt-3" onSubmit={submitHandler}>
+      <h6>Create an account</h6>
+      <p>
+        Keep track of this and your other orders placed with{" "}
+        <b>{order.guestEmail}</b>.
+      </p>
+      {(message || error) && (
+        <Message variant="alert-danger">{message || error}</Message>
+      )}
+      {loading && <Loading />}
+      <input
+        type="text"
+        placeholder="Your name"
+        value={name}
+        required
+        onChange={(e) => setName(e.target.value)}
+      />
+      <input
+        type="password"
+        placeholder="Password"
+        value={password}
+        required
+        onChange={(e) => setPassword(e.target.value)}
+      />
+      <input
+        type="password"
+        placeholder="Confirm password"
+        value={confirmPassword}
+        required
+        onChange={(e) => setConfirmPassword(e.target.value)}
+      />
+      <button type="submit" disabled={loading}>
+        Create account
+      </button>
+    </form>
+  );
+};
+
+export default GuestAccount;
@@ -1,12 +1,12 @@
-import React, { useState } from "react";
-import { Link, useHistory } from "react-router-dom";
+import React from "react";
+import { Link } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
 import { logout } from "../Redux/Actions/userActions";
+import SearchBox from "./SearchBox";
+import NotificationBell from "./NotificationBell";
 
 const Header = () => {
-  const [keyword, setKeyword] = useState();
   const dispatch = useDispatch();
-  let history = useHistory();
 
   const cart = useSelector((state) => state.cart);
   const { cartItems } = cart;
@@ -16,15 +16,6 @@ const Header = () => {
   const logoutHandler = () => {
     dispatch(logout());
   };
-
-  const submitHandler = (e) => {
-    e.preventDefault();
-    if (keyword.trim()) {
-      history.push(`/search/${keyword}`);
-    } else {
-      history.push("/");
-    }
-  };
   return (
     <div>
       {/* Top Header */}
@@ -116,23 +107,15 @@ const Header = () => {
                     </div>
                   )}
 
+                  {userInfo && <NotificationBell />}
+
                   <Link to="/cart" className="cart-mobile-icon">
                     <i className="fas fa-shopping-bag"></i>
                     <span className="badge">{cartItems.length}</span>
                   </Link>
                 </div>
                 <div className="col-12 d-flex align-items-center">
-                  <form onSubmit={submitHandler} className="input-group">
-                    <input
-                      type="search"
-                      className="form-control rounded search"
-                      placeholder="Search"
-                      onChange={(e) => setKeyword(e.target.value)}
-                    />
-                    <button type="submit" className="search-button">
-                      search
-                    </button>
-                  </form>
+                  <SearchBox />
                 </div>
               </div>
             </div>
@@ -147,17 +130,7 @@ const Header = () => {
                 </Link>
               </div>
               <div className="col-md-6 col-8 d-flex align-items-center">
-                <form onSubmit={submitHandler} className="input-group">
-                  <input
-                    type="search"
-                    className="form-control rounded search"
-                    placeholder="Search"
-                    onChange={(e) => setKeyword(e.target.value)}
-                  />
-                  <button type="submit" className="search-button">
-                    search
-                  </button>
-                </form>
+                <SearchBox />
               </div>
               <div className="col-md-3 d-flex align-items-center justify-content-end Login-Register">
                 {userInfo ? (
@@ -192,6 +165,8 @@ const Header = () => {
                   </>
                 )}
 
+                {userInfo && <NotificationBell />}
+
                 <Link to="/cart">
                   <i className="fas fa-shopping-bag"></i>
                   <span className="badge">{cartItems.length}</span>
@@ -0,0 +1,69 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import moment from "moment";
+import { markNotificationsRead } from "../Redux/Actions/NotificationActions";
+
+const BELL_LIMIT = 5;
+
+// Unread wishlist alerts in the header, all of them are in the profile
+const NotificationBell = () => {
+  const dispatch = useDispatch();
+  const notificationList = useSelector((state) => state.notificationList);
+  const { notifications, unreadCount } = notificationList;
+
+  const openHandler = (notification) => {
+    if (!notification.isRead) {
+      dispatch(markNotificationsRead(notification._id));
+    }
+  };
+
+  return (
+    <div className="btn-group notification-bell">
+      <button
+        type="button"
+        className="name-button dropdown-toggle"
+        data-toggle="dropdown"
+        aria-haspopup="true"
+        aria-expanded="false"
+        title="Notifications"
+      >
+        <i className="fas fa-bell"></i>
+        {unreadCount > 0 && <span className="badge">{unreadCount}</span>}
+      </button>
+      <div className="dropdown-menu dropdown-menu-right">
+        {notifications.length === 0 ? (
+          <span className="dropdown-item-text">No notifications yet</span>
+        ) : (
+          notifications.slice(0, BELL_LIMIT).map((notification) => (
+            <Link
+              key={notification._id}
+              className={`dropdown-item ${notification.isRead ? "" : "unread"}`}
+              to={notification.link}
+              onClick={() => openHandler(notification)}
+            >
+              <b>{notification.title}</b>
+              <span>{notification.message}</span>
+              <small>{moment(notification.createdAt).fromNow()}</small>
+            </Link>
+          ))
+        )}
+        <div className="dropdown-divider"></div>
+        {unreadCount > 0 && (
+          <button
+            type="button"
+            className="dropdown-item"
+            onClick={() => dispatch(markNotificationsRead())}
+          >
+            Mark all as read
+          </button>
+        )}
+        <Link className="dropdown-item" to="/profile">
+          All notifications and settings
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationBell;
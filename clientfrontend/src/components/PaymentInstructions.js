@@ -0,0 +1,29 @@
+import React from "react";
+import moment from "moment";
+import { paymentProvider } from "../utils/payments";
+
+// How to pay an order that is not paid online
+const PaymentInstructions = ({ order }) => {
+  const provider = paymentProvider(order.paymentMethod);
+
+  return (
+    <div className="payment-instructions">
+      {provider === "cod" ? (
+        <p>
+          Please have <b>${order.totalPrice}</b> ready in cash for the courier
+          when your order arrives.
+        </p>
+      ) : (
+        <p>
+          Please transfer <b>${order.totalPrice}</b>
+          {order.reservedUntil &&
+            ` by ${moment(order.reservedUntil).format("LL")}`}
+          . We ship your order as soon as the money arrives.
+        </p>
+      )}
+      {order.paymentInstructions && <pre>{order.paymentInstructions}</pre>}
+    </div>
+  );
+};
+
+export default PaymentInstructions;
@@ -0,0 +1,171 @@
+import React, { useEffect, useRef, useState } from "react";
+import { imageSrcSet, thumbnailUrl } from "../utils/images";
+
+const SWIPE_DISTANCE = 50;
+
+// Product images with thumbnails, arrow key and swipe navigation and a zoom
+// view that follows the pointer
+const ProductGallery = ({ images, alt, selectedUrl }) => {
+  const [index, setIndex] = useState(0);
+  const [zoomed, setZoomed] = useState(false);
+  const [origin, setOrigin] = useState("50% 50%");
+  const touchStart = useRef(null);
+
+  const count = images.length;
+  const current = images[Math.min(index, count - 1)];
+
+  // Show the image of the variant the shopper picked
+  useEffect(() => {
+    const selected = images.findIndex((image) => image.url === selectedUrl);
+    if (selected !== -1) {
+      setIndex(selected);
+    }
+  }, [images, selectedUrl]);
+
+  const previous = () => setIndex((index - 1 + count) % count);
+  const next = () => setIndex((index + 1) % count);
+
+  const keyDownHandler = (e) => {
+    if (e.key === "ArrowLeft" && count > 1) {
+      previous();
+    } else if (e.key === "ArrowRight" && count > 1) {
+      next();
+    } else if (e.key === "Escape") {
+      setZoomed(false);
+    } else if (e.key === "Enter" && !zoomed) {
+      setZoomed(true);
+    }
+  };
+
+  // Keys keep working when the zoom view covers the page
+  useEffect(() => {
+    if (!zoomed) {
+      return;
+    }
+    const handler = (e) => keyDownHandler(e);
+    window.addEventListener("keydown", handler);
+    return () => window.removeEventListener("keydown", handler);
+  });
+
+  const touchStartHandler = (e) => {
+    touchStart.current = e.touches[0].clientX;
+  };
+
+  const touchEndHandler = (e) => {
+    if (touchStart.current === null || count < 2) {
+      return;
+    }
+    const distance = e.changedTouches[0].clientX - touchStart.current;
+    touchStart.current = null;
+    if (distance > SWIPE_DISTANCE) {
+      previous();
+    } else if (distance < -SWIPE_DISTANCE) {
+      next();
+    }
+  };
+
+  const zoomMoveHandler = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * 100;
+    const y = ((e.clientY - rect.top) / rect.height) * 100;
+    setOrigin(`${x}% ${y}%`);
+  };
+
+  if (!current) {
+    return <div className="single-image"></div>;
+  }
+
+  return (
+    <div className="product-gallery">
+      <div
+        className="single-image"
+        tabIndex="0"
+        onKeyDown={zoomed ? undefined : keyDownHandler}
+        onTouchStart={touchStartHandler}
+        onTouchEnd={touchEndHandler}
+      >
+        <img
+          src={current.url}
+          srcSet={imageSrcSet(current)}
+          sizes="(max-width: 768px) 100vw, 50vw"
+          alt={alt}
+          onClick={() => setZoomed(true)}
+        />
+        {count > 1 && (
+          <>
+            <button
+              type="button"
+              className="gallery-arrow gallery-previous"
+              aria-label="Previous image"
+              onClick={previous}
+            >
+              <i className="fas fa-chevron-left"></i>
+            </button>
+            <button
+              type="button"
+              className="gallery-arrow gallery-next"
+              aria-label="Next image"
+              onClick={next}
+            >
+              <i className="fas fa-chevron-right"></i>
+            </button>
+          </>
+        )}
+      </div>
+
+      {count > 1 && (
+        <div className="gallery-thumbnails">
+          {images.map((image, i) => (
+            <button
+              type="button"
+              key={image.url}
+              className={i === index ? "active" : ""}
+              aria-label={`Image ${i + 1} of ${count}`}
+              onClick={() => setIndex(i)}
+            >
+              <img src={thumbnailUrl(image)} alt="" loading="lazy" />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {zoomed && (
+        <div
+          className="gallery-zoom"
+          role="dialog"
+          aria-label={alt}
+          onClick={() => setZoomed(false)}
+          onTouchStart={touchStartHandler}
+          onTouchEnd={touchEndHandler}
+        >
+          <button
+            type="button"
+            className="gallery-close"
+            aria-label="Close"
+            onClick={() => setZoomed(false)}
+          >
+            <i className="fas fa-times"></i>
+          </button>
+          <div
+            className="gallery-zoom-image"
+            onMouseMove={zoomMoveHandler}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <img
+              src={current.url}
+              alt={alt}
+              style={{ transformOrigin: origin }}
+            />
+          </div>
+          {count > 1 && (
+            <span className="gallery-counter">
+              {index + 1} / {count}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductGallery;
@@ -0,0 +1,37 @@
+import React from "react";
+
+const savingText = (promotion) => {
+  if (promotion.type !== "free_shipping") {
+    return `-$${promotion.discount.toFixed(2)}`;
+  }
+  return promotion.discount
+    ? `Free shipping (-$${promotion.discount.toFixed(2)})`
+    : "Free shipping";
+};
+
+// Automatic promotions applied to a quote or an order, with what each saves
+const PromotionSavings = ({ promotions }) => {
+  if (!promotions || !promotions.length) {
+    return null;
+  }
+  return (
+    <ul className="promotion-savings">
+      {promotions.map((promotion) => (
+        <li key={promotion.promotion}>
+          <span>
+            <i className="fas fa-gift"></i> <strong>{promotion.name}</strong>
+            {promotion.description && (
+              <span className="coupon-description">
+                {" "}
+                {promotion.description}
+              </span>
+            )}
+          </span>
+          <span className="promotion-amount">{savingText(promotion)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default PromotionSavings;
@@ -0,0 +1,35 @@
+import React from "react";
+import moment from "moment";
+
+const refundItems = (refund) =>
+  refund.items.map((line) => `${line.qty} x ${line.name}`).join(", ");
+
+// Money given back for an order, oldest first
+const RefundHistory = ({ order }) => {
+  if (!order.refunds || !order.refunds.length) {
+    return null;
+  }
+  return (
+    <div className="refund-history">
+      <h6>
+        {order.paymentStatus === "refunded" ? "Refunded" : "Partly refunded"}
+      </h6>
+      <ul>
+        {order.refunds.map((refund) => (
+          <li key={refund._id}>
+            <span>
+              {moment(refund.createdAt).format("LL")}
+              {refund.items.length > 0 && ` - ${refundItems(refund)}`}
+              {refund.reason && (
+                <span className="refund-reason"> ({refund.reason})</span>
+              )}
+            </span>
+            <span className="refund-amount">-${refund.amount.toFixed(2)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RefundHistory;
@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from "react";
+import { Link, useHistory } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { suggestProducts } from "../Redux/Actions/ProductActions";
+import Highlight from "./homeComponents/Highlight";
+import { buildSearchUrl } from "../utils/searchUrl";
+
+const SUGGEST_DELAY = 250;
+const SUGGEST_MIN_LENGTH = 2;
+
+// The header renders a search box for mobile and one for desktop, each list
+// needs its own id
+let lastListId = 0;
+
+// Header search input with a dropdown of suggestions while typing
+const SearchBox = () => {
+  const [keyword, setKeyword] = useState("");
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const [listId] = useState(() => `search-suggestions-${++lastListId}`);
+  const dispatch = useDispatch();
+  let history = useHistory();
+
+  const productSuggest = useSelector((state) => state.productSuggest);
+  const query = keyword.trim();
+
+  // Only show suggestions for what is in the input now
+  const suggestions =
+    productSuggest.query === query
+      ? productSuggest
+      : { products: [], categories: [] };
+  const items = [
+    ...(suggestions.corrected
+      ? [
+          {
+            key: "corrected",
+            to: buildSearchUrl({ keyword: suggestions.corrected }),
+            content: (
+              <>
+                Did you mean <b>{suggestions.corrected}</b>?
+              </>
+            ),
+          },
+        ]
+      : []),
+    ...suggestions.categories.map((category) => ({
+      key: category._id,
+      to: `/category/${category.slug}`,
+      content: (
+        <>
+          <i className="fas fa-folder"></i>
+          <span>{category.name}</span>
+        </>
+      ),
+    })),
+    ...suggestions.products.map((product) => ({
+      key: product._id,
+      to: `/products/${product._id}`,
+      content: (
+        <>
+          <img src={product.image} alt={product.name} />
+          <span>
+            <Highlight segments={product.highlight} text={product.name} />
+          </span>
+          <span className="suggestion-price">${product.price}</span>
+        </>
+      ),
+    })),
+  ];
+  const showSuggestions =
+    open && query.length >= SUGGEST_MIN_LENGTH && items.length > 0;
+
+  useEffect(() => {
+    if (query.length < SUGGEST_MIN_LENGTH) {
+      return;
+    }
+    const timer = setTimeout(() => {
+      dispatch(suggestProducts(query));
+    }, SUGGEST_DELAY);
+    return () => clearTimeout(timer);
+  }, [dispatch, query]);
+
+  const close = () => {
+    setOpen(false);
+    setActive(-1);
+  };
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    const item = showSuggestions && items[active];
+    close();
+    if (item) {
+      history.push(item.to);
+    } else if (query) {
+      history.push(buildSearchUrl({ keyword: query }));
+    } else {
+      history.push("/");
+    }
+  };
+
+  const keyDownHandler = (e) => {
+    if (e.key === "Escape") {
+      close();
+    } else if (e.key === "ArrowDown" && items.length) {
+      e.preventDefault();
+      setOpen(true);
+      setActive((active + 1) % items.length);
+    } else if (e.key === "ArrowUp" && items.length) {
+      e.preventDefault();
+      setOpen(true);
+      setActive(active <= 0 ? items.length - 1 : active - 1);
+    }
+  };
+
+  return (
+    <form onSubmit={submitHandler} className="input-group search-box">
+      <input
+        type="search"
+        className="form-control rounded search"
+        placeholder="Search"
+        autoComplete="off"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showSuggestions}
+        aria-controls={listId}
+        value={keyword}
+        onChange={(e) => {
+          setKeyword(e.target.value);
+          setOpen(true);
+          setActive(-1);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={close}
+        onKeyDown={keyDownHandler}
+      />
+      <button type="submit" className="search-button">
+        search
+      </button>
+      {showSuggestions && (
+        // Keep focus in the input so the blur does not close the list first
+        <ul
+          id={listId}
+          className="search-suggestions"
+          role="listbox"
+          onMouseDown={(e) => e.preventDefault()}
+        >
+          {items.map((item, index) => (
+            <li
+              key={item.key}
+              role="option"
+              aria-selected={index === active}
+              className={index === active ? "active" : ""}
+              onMouseEnter={() => setActive(index)}
+            >
+              <Link to={item.to} onClick={close}>
+                {item.content}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,59 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  addToWishlist,
+  removeFromWishlist,
+} from "../Redux/Actions/WishlistActions";
+
+// Heart that adds the product to the wishlist or takes it off. With a
+// variant only that variant is saved, without one any saved variant counts.
+const WishlistButton = ({ productId, variant, className = "" }) => {
+  const dispatch = useDispatch();
+
+  const userLogin = useSelector((state) => state.userLogin);
+  const { userInfo } = userLogin;
+  const wishlist = useSelector((state) => state.wishlist);
+  const { items, loading } = wishlist;
+
+  const isSaved = items.some(
+    (item) =>
+      item.product === productId &&
+      (!variant || (item.variant || null) === variant)
+  );
+  const title = isSaved ? "Remove from wishlist" : "Add to wishlist";
+
+  if (!userInfo) {
+    return (
+      <Link
+        to={`/login?redirect=products/${productId}`}
+        className={`wishlist-button ${className}`}
+        title={title}
+      >
+        <i className="far fa-heart"></i>
+      </Link>
+    );
+  }
+
+  const toggleHandler = () => {
+    dispatch(
+      isSaved
+        ? removeFromWishlist(productId, variant)
+        : addToWishlist(productId, variant)
+    );
+  };
+
+  return (
+    <button
+      type="button"
+      className={`wishlist-button ${isSaved ? "saved" : ""} ${className}`}
+      title={title}
+      disabled={loading}
+      onClick={toggleHandler}
+    >
+      <i className={isSaved ? "fas fa-heart" : "far fa-heart"}></i>
+    </button>
+  );
+};
+
+export default WishlistButton;
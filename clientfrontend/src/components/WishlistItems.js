@@ -0,0 +1,81 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  moveToCart,
+  removeFromWishlist,
+} from "../Redux/Actions/WishlistActions";
+import { variantLabel } from "../utils/variants";
+import Message from "./LoadingError/Error";
+
+// The wishlist with "move to cart", used in the profile and under the cart
+const WishlistItems = ({ emptyText }) => {
+  const dispatch = useDispatch();
+  const wishlist = useSelector((state) => state.wishlist);
+  const { loading, error, items } = wishlist;
+
+  return (
+    <>
+      {error && <Message variant="alert-danger">{error}</Message>}
+      {items.length === 0
+        ? emptyText && <Message variant="alert-info">{emptyText}</Message>
+        : items.map((item) => (
+            <div
+              className="wishlist-item row align-items-center"
+              key={`${item.product}-${item.variant || ""}`}
+            >
+              <div className="col-3 col-md-2">
+                <img src={item.image} alt={item.name} />
+              </div>
+              <div className="col-9 col-md-6">
+                <Link to={`/products/${item.product}`}>
+                  <h5>{item.name}</h5>
+                </Link>
+                {item.variant && <p>{variantLabel(item.options)}</p>}
+                <p>
+                  <b>${item.price}</b>
+                  {item.countInStock > 0 ? (
+                    <span className="text-success mx-2">In stock</span>
+                  ) : (
+                    <span className="text-danger mx-2">Out of stock</span>
+                  )}
+                </p>
+              </div>
+              <div className="col-md-4 d-flex justify-content-md-end mt-2 mt-md-0">
+                {/* Products with options go to the cart once one is chosen */}
+                {item.hasVariants && !item.variant ? (
+                  <Link
+                    to={`/products/${item.product}`}
+                    className="wishlist-action"
+                  >
+                    Choose options
+                  </Link>
+                ) : (
+                  <button
+                    type="button"
+                    className="wishlist-action"
+                    disabled={loading || item.countInStock === 0}
+                    onClick={() => dispatch(moveToCart(item))}
+                  >
+                    Move to cart
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className="wishlist-remove"
+                  title="Remove from wishlist"
+                  disabled={loading}
+                  onClick={() =>
+                    dispatch(removeFromWishlist(item.product, item.variant))
+                  }
+                >
+                  <i className="fas fa-trash-alt"></i>
+                </button>
+              </div>
+            </div>
+          ))}
+    </>
+  );
+};
+
+export default WishlistItems;
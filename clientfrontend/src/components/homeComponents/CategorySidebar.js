@@ -0,0 +1,71 @@
+import React, { useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { listCategoryTree } from "../../Redux/Actions/CategoryActions";
+import { buildSearchUrl } from "../../utils/searchUrl";
+
+const CategoryItems = ({ categories, search, counts }) => {
+  return (
+    <ul>
+      {categories.map((category) => (
+        <li key={category._id} className="flex-column">
+          <Link
+            to={buildSearchUrl({
+              ...search,
+              category: category.slug,
+              pageNumber: 1,
+            })}
+            className={
+              category.slug === search.category ? "active-category" : ""
+            }
+          >
+            {category.name}
+            {counts && (
+              <span className="facet-count">({counts[category._id] || 0})</span>
+            )}
+          </Link>
+          {category.children.length > 0 && (
+            <div className="category-children">
+              <CategoryItems
+                categories={category.children}
+                search={search}
+                counts={counts}
+              />
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const CategorySidebar = (props) => {
+  const { search, counts } = props;
+  const dispatch = useDispatch();
+
+  const categoryTree = useSelector((state) => state.categoryTree);
+  const { categories } = categoryTree;
+
+  useEffect(() => {
+    dispatch(listCategoryTree());
+  }, [dispatch]);
+
+  return (
+    <div className="sidebar_item">
+      <h4>Categories</h4>
+      <ul>
+        <li>
+          <Link
+            to={buildSearchUrl({ ...search, category: "", pageNumber: 1 })}
+            className={!search.category ? "active-category" : ""}
+          >
+            All products
+          </Link>
+        </li>
+      </ul>
+      <CategoryItems categories={categories} search={search} counts={counts} />
+    </div>
+  );
+};
+
+export default CategorySidebar;
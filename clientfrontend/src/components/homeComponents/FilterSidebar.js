@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from "react";
+import { Link, useHistory } from "react-router-dom";
+import { buildSearchUrl } from "../../utils/searchUrl";
+
+const FilterSidebar = (props) => {
+  const { search, facets } = props;
+  const [minPrice, setMinPrice] = useState(search.minPrice || "");
+  const [maxPrice, setMaxPrice] = useState(search.maxPrice || "");
+  let history = useHistory();
+
+  useEffect(() => {
+    setMinPrice(search.minPrice || "");
+    setMaxPrice(search.maxPrice || "");
+  }, [search.minPrice, search.maxPrice]);
+
+  const filterUrl = (changes) =>
+    buildSearchUrl({ ...search, ...changes, pageNumber: 1 });
+
+  const priceHandler = (e) => {
+    e.preventDefault();
+    history.push(filterUrl({ minPrice, maxPrice }));
+  };
+
+  const hasFilters =
+    search.minPrice || search.maxPrice || search.minRating || search.inStock;
+
+  if (!facets) {
+    return null;
+  }
+
+  return (
+    <>
+      <div className="sidebar_item">
+        <h4>Price</h4>
+        <ul>
+          {facets.price.ranges.map((range) => {
+            const active =
+              Number(search.minPrice || 0) === range.min &&
+              (range.max === null
+                ? !search.maxPrice
+                : Number(search.maxPrice) === range.max);
+            return (
+              <li key={range.min}>
+                <Link
+                  to={filterUrl({
+                    minPrice: range.min,
+                    maxPrice: range.max === null ? "" : range.max,
+                  })}
+                  className={active ? "active-filter" : ""}
+                >
+                  {range.max === null
+                    ? `$${range.min} & above`
+                    : `$${range.min} - $${range.max}`}
+                  <span className="facet-count">({range.count})</span>
+                </Link>
+              </li>
+            );
+          })}
+        </ul>
+        <form onSubmit={priceHandler} className="price-filter d-flex">
+          <input
+            type="number"
+            min="0"
+            placeholder={`$${facets.price.min || 0}`}
+            value={minPrice}
+            onChange={(e) => setMinPrice(e.target.value)}
+          />
+          <input
+            type="number"
+            min="0"
+            placeholder={`$${facets.price.max || 0}`}
+            value={maxPrice}
+            onChange={(e) => setMaxPrice(e.target.value)}
+          />
+          <button type="submit">Go</button>
+        </form>
+      </div>
+
+      <div className="sidebar_item">
+        <h4>Rating</h4>
+        <ul>
+          {facets.rating.map((rating) => (
+            <li key={rating.value}>
+              <Link
+                to={filterUrl({ minRating: rating.value })}
+                className={
+                  Number(search.minRating) === rating.value
+                    ? "active-filter"
+                    : ""
+                }
+              >
+                {rating.value} stars & up
+                <span className="facet-count">({rating.count})</span>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="sidebar_item">
+        <h4>Availability</h4>
+        <div className="form-check">
+          <input
+            className="form-check-input"
+            type="checkbox"
+            id="filter-in-stock"
+            checked={!!search.inStock}
+            onChange={(e) =>
+              history.push(filterUrl({ inStock: e.target.checked ? "1" : "" }))
+            }
+          />
+          <label className="form-check-label" htmlFor="filter-in-stock">
+            In stock only
+            <span className="facet-count">({facets.inStock})</span>
+          </label>
+        </div>
+      </div>
+
+      {hasFilters && (
+        <Link
+          className="btn btn-outline-dark mb-5"
+          to={filterUrl({
+            minPrice: "",
+            maxPrice: "",
+            minRating: "",
+            inStock: "",
+          })}
+        >
+          Clear filters
+        </Link>
+      )}
+    </>
+  );
+};
+
+export default FilterSidebar;
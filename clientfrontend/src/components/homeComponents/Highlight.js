@@ -0,0 +1,21 @@
+import React from "react";
+
+// Render search highlight segments, marking the matched words
+const Highlight = ({ segments, text }) => {
+  if (!segments || !segments.length) {
+    return <>{text}</>;
+  }
+  return (
+    <>
+      {segments.map((segment, index) =>
+        segment.match ? (
+          <mark key={index}>{segment.text}</mark>
+        ) : (
+          <React.Fragment key={index}>{segment.text}</React.Fragment>
+        )
+      )}
+    </>
+  );
+};
+
+export default Highlight;
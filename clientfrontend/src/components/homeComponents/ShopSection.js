@@ -1,28 +1,141 @@
 import React, { useEffect } from "react";
-import { Link } from "react-router-dom";
+import { Link, useHistory } from "react-router-dom";
 import Rating from "./Rating";
 import Pagination from "./pagination";
 import { useDispatch, useSelector } from "react-redux";
 import { listProduct } from "../../Redux/Actions/ProductActions";
 import Loading from "../LoadingError/Loading";
 import Message from "../LoadingError/Error";
+import CategorySidebar from "./CategorySidebar";
+import FilterSidebar from "./FilterSidebar";
+import Highlight from "./Highlight";
+import Breadcrumb from "../Breadcrumb";
+import { buildSearchUrl } from "../../utils/searchUrl";
+import { imageSrcSet, productImages } from "../../utils/images";
+import WishlistButton from "../WishlistButton";
+
+// Path from the root of the tree down to the category with this slug
+const findCategoryPath = (categories, slug) => {
+  for (const category of categories) {
+    if (category.slug === slug) {
+      return [category];
+    }
+    const path = findCategoryPath(category.children, slug);
+    if (path.length) {
+      return [category, ...path];
+    }
+  }
+  return [];
+};
+
+const RELEVANCE_OPTION = { value: "relevance", label: "Relevance" };
+
+const SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "price_asc", label: "Price: low to high" },
+  { value: "price_desc", label: "Price: high to low" },
+  { value: "rating", label: "Top rated" },
+  { value: "popular", label: "Most popular" },
+];
 
 const ShopSection = (props) => {
-  const { keyword, pagenumber } = props;
+  const { search } = props;
+  const {
+    keyword,
+    pageNumber,
+    category,
+    minPrice,
+    maxPrice,
+    minRating,
+    inStock,
+    sort,
+  } = search;
   const dispatch = useDispatch();
+  let history = useHistory();
 
   const productList = useSelector((state) => state.productList);
-  const { loading, error, products, page, pages } = productList;
+  const { loading, error, products, page, pages, count, facets } = productList;
+  const searchInfo = productList.search;
+  const sortOptions = keyword
+    ? [RELEVANCE_OPTION, ...SORT_OPTIONS]
+    : SORT_OPTIONS;
+  const categoryTree = useSelector((state) => state.categoryTree);
+  const categoryPath = category
+    ? findCategoryPath(categoryTree.categories, category)
+    : [];
 
   useEffect(() => {
-    dispatch(listProduct(keyword, pagenumber));
-  }, [dispatch, keyword, pagenumber]);
+    dispatch(
+      listProduct({
+        keyword,
+        pageNumber,
+        category,
+        minPrice,
+        maxPrice,
+        minRating,
+        inStock,
+        sort,
+      })
+    );
+  }, [
+    dispatch,
+    keyword,
+    pageNumber,
+    category,
+    minPrice,
+    maxPrice,
+    minRating,
+    inStock,
+    sort,
+  ]);
+
+  const sortHandler = (e) => {
+    history.push(
+      buildSearchUrl({ ...search, sort: e.target.value, pageNumber: 1 })
+    );
+  };
+
   return (
     <>
       <div className="container">
         <div className="section">
           <div className="row">
-            <div className="col-lg-12 col-md-12 article">
+            <div className="col-lg-3 col-md-12">
+              <CategorySidebar
+                search={search}
+                counts={facets && facets.categories}
+              />
+              <FilterSidebar search={search} facets={facets} />
+            </div>
+            <div className="col-lg-9 col-md-12 article">
+              {categoryPath.length > 0 && (
+                <Breadcrumb
+                  items={categoryPath.slice(0, -1)}
+                  current={categoryPath[categoryPath.length - 1].name}
+                />
+              )}
+              <div className="shop-toolbar d-flex justify-content-between align-items-center mb-4">
+                <span>
+                  {count !== undefined && `${count} products`}
+                  {keyword && ` for "${keyword}"`}
+                </span>
+                <select
+                  value={sort || (keyword ? "relevance" : "newest")}
+                  onChange={sortHandler}
+                >
+                  {sortOptions.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {searchInfo && searchInfo.isCorrected && (
+                <p className="search-corrected mb-4">
+                  Showing results for <b>{searchInfo.corrected}</b> instead of{" "}
+                  <i>{searchInfo.keyword}</i>
+                </p>
+              )}
               <div className="shopcontainer row">
                 {loading ? (
                   <div className="mb-5">
@@ -38,18 +151,46 @@ const ShopSection = (props) => {
                         key={product._id}
                       >
                         <div className="border-product">
+                          <WishlistButton
+                            productId={product._id}
+                            className="wishlist-corner"
+                          />
                           <Link to={`/products/${product._id}`}>
                             <div className="shopBack">
-                              <img src={product.image} alt={product.name} />
+                              {productImages(product)
+                                .slice(0, 2)
+                                .map((image, index) => (
+                                  <img
+                                    key={image.url}
+                                    className={index ? "hover-image" : ""}
+                                    src={image.url}
+                                    srcSet={imageSrcSet(image)}
+                                    sizes="(max-width: 992px) 50vw, 25vw"
+                                    alt={product.name}
+                                    loading="lazy"
+                                  />
+                                ))}
                             </div>
                           </Link>
 
                           <div className="shoptext">
                             <p>
                               <Link to={`/products/${product._id}`}>
-                                {product.name}
+                                <Highlight
+                                  segments={
+                                    product.highlight && product.highlight.name
+                                  }
+                                  text={product.name}
+                                />
                               </Link>
                             </p>
+                            {product.highlight && (
+                              <p className="search-snippet">
+                                <Highlight
+                                  segments={product.highlight.description}
+                                />
+                              </p>
+                            )}
 
                             <Rating
                               value={product.rating}
@@ -64,11 +205,7 @@ const ShopSection = (props) => {
                 )}
 
                 {/* Pagination */}
-                <Pagination
-                  pages={pages}
-                  page={page}
-                  keyword={keyword ? keyword : ""}
-                />
+                <Pagination pages={pages} page={page} search={search} />
               </div>
             </div>
           </div>
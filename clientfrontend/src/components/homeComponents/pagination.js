@@ -1,8 +1,9 @@
 import React from "react";
 import { Link } from "react-router-dom";
+import { buildSearchUrl } from "../../utils/searchUrl";
 
 const Pagination = (props) => {
-  const { page, pages, keyword = "" } = props;
+  const { page, pages, search = {} } = props;
   return (
     pages > 1 && (
       <nav>
@@ -14,11 +15,7 @@ const Pagination = (props) => {
             >
               <Link
                 className="page-link"
-                to={
-                  keyword
-                    ? `/search/${keyword}/page/${x + 1}`
-                    : `/page/${x + 1}`
-                }
+                to={buildSearchUrl({ ...search, pageNumber: x + 1 })}
               >
                 {x + 1}
               </Link>
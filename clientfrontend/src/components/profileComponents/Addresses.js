@@ -0,0 +1,168 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import Message from "../LoadingError/Error";
+import Loading from "../LoadingError/Loading";
+import {
+  createAddress,
+  deleteAddress,
+  listAddresses,
+  updateAddress,
+} from "../../Redux/Actions/AddressActions";
+import { EMPTY_ADDRESS, formatAddress } from "../../utils/addresses";
+
+const FIELDS = [
+  { key: "label", label: "Label (Home, Work...)", required: false },
+  { key: "address", label: "Address", required: true },
+  { key: "city", label: "City", required: true },
+  { key: "postalCode", label: "Postal code", required: true },
+  { key: "country", label: "Country", required: true },
+];
+
+const EMPTY_FORM = { label: "", ...EMPTY_ADDRESS };
+
+const Addresses = () => {
+  const dispatch = useDispatch();
+
+  const addressList = useSelector((state) => state.addressList);
+  const { loading, error, addresses } = addressList;
+
+  // editing is the id of the address in the form, "new" or null
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    dispatch(listAddresses());
+  }, [dispatch]);
+
+  const editHandler = (address) => {
+    setEditing(address ? address._id : "new");
+    setForm(
+      address
+        ? FIELDS.reduce((values, { key }) => {
+            values[key] = address[key] || "";
+            return values;
+          }, {})
+        : EMPTY_FORM
+    );
+  };
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    const saved = await dispatch(
+      editing === "new" ? createAddress(form) : updateAddress(editing, form)
+    );
+    if (saved) {
+      setEditing(null);
+    }
+  };
+
+  const deleteHandler = (address) => {
+    if (window.confirm(`Delete ${formatAddress(address)}?`)) {
+      dispatch(deleteAddress(address._id));
+    }
+  };
+
+  return (
+    <div className="address-book">
+      {error && <Message variant="alert-danger">{error}</Message>}
+      {loading && <Loading />}
+      {addresses.length === 0 && !editing && (
+        <Message variant="alert-info">
+          No saved addresses yet. Addresses you save here can be picked at
+          checkout.
+        </Message>
+      )}
+      {addresses.map((address) => (
+        <div className="address-item" key={address._id}>
+          <div>
+            {address.label && <b>{address.label}</b>}
+            <p>{formatAddress(address)}</p>
+            {address.isDefaultShipping && (
+              <span className="badge bg-success me-2">Default delivery</span>
+            )}
+            {address.isDefaultBilling && (
+              <span className="badge bg-info">Default billing</span>
+            )}
+          </div>
+          <div className="address-actions">
+            <button type="button" onClick={() => editHandler(address)}>
+              Edit
+            </button>
+            {!address.isDefaultShipping && (
+              <button
+                type="button"
+                onClick={() =>
+                  dispatch(
+                    updateAddress(address._id, { isDefaultShipping: true })
+                  )
+                }
+              >
+                Use for delivery
+              </button>
+            )}
+            {!address.isDefaultBilling && (
+              <button
+                type="button"
+                onClick={() =>
+                  dispatch(
+                    updateAddress(address._id, { isDefaultBilling: true })
+                  )
+                }
+              >
+                Use for billing
+              </button>
+            )}
+            <button
+              type="button"
+              className="text-danger"
+              onClick={() => deleteHandler(address)}
+            >
+              Delete
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {editing ? (
+        <form className="row form-container" onSubmit={submitHandler}>
+          {FIELDS.map(({ key, label, required }) => (
+            <div className="col-md-6" key={key}>
+              <div className="form">
+                <label>{label}</label>
+                <input
+                  className="form-control"
+                  type="text"
+                  required={required}
+                  value={form[key]}
+                  onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+                />
+              </div>
+            </div>
+          ))}
+          <div className="col-12 d-flex">
+            <button type="submit" disabled={loading}>
+              {editing === "new" ? "Add address" : "Save address"}
+            </button>
+            <button
+              type="button"
+              className="address-cancel"
+              onClick={() => setEditing(null)}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          type="button"
+          className="wishlist-action mt-3"
+          onClick={() => editHandler(null)}
+        >
+          Add a new address
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default Addresses;
@@ -0,0 +1,111 @@
+import React, { useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import moment from "moment";
+import Message from "../LoadingError/Error";
+import {
+  getNotificationSettings,
+  markNotificationsRead,
+  updateNotificationSettings,
+} from "../../Redux/Actions/NotificationActions";
+
+const SETTINGS = [
+  { key: "priceDrop", label: "Tell me when a wishlist product drops in price" },
+  {
+    key: "backInStock",
+    label: "Tell me when a wishlist product is back in stock",
+  },
+  { key: "email", label: "Also send these alerts by email" },
+];
+
+const Notifications = () => {
+  const dispatch = useDispatch();
+
+  const notificationList = useSelector((state) => state.notificationList);
+  const { error, notifications, unreadCount } = notificationList;
+  const notificationSettings = useSelector(
+    (state) => state.notificationSettings
+  );
+  const {
+    loading: loadingSettings,
+    error: errorSettings,
+    settings,
+  } = notificationSettings;
+
+  useEffect(() => {
+    dispatch(getNotificationSettings());
+  }, [dispatch]);
+
+  const toggleHandler = (key) => {
+    dispatch(updateNotificationSettings({ [key]: !settings[key] }));
+  };
+
+  return (
+    <div className="notifications">
+      {errorSettings && (
+        <Message variant="alert-danger">{errorSettings}</Message>
+      )}
+      {settings && (
+        <div className="notification-settings mb-4">
+          {SETTINGS.map(({ key, label }) => (
+            <label key={key}>
+              <input
+                type="checkbox"
+                checked={settings[key]}
+                disabled={
+                  loadingSettings ||
+                  (key === "email" &&
+                    !settings.priceDrop &&
+                    !settings.backInStock)
+                }
+                onChange={() => toggleHandler(key)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {error && <Message variant="alert-danger">{error}</Message>}
+      {notifications.length === 0 ? (
+        <Message variant="alert-info">
+          No notifications yet. Add products to your wishlist to hear about
+          price drops and restocks.
+        </Message>
+      ) : (
+        <>
+          {unreadCount > 0 && (
+            <button
+              type="button"
+              className="wishlist-action mb-3"
+              onClick={() => dispatch(markNotificationsRead())}
+            >
+              Mark all as read
+            </button>
+          )}
+          {notifications.map((notification) => (
+            <div
+              key={notification._id}
+              className={`notification-item ${
+                notification.isRead ? "" : "unread"
+              }`}
+            >
+              <Link
+                to={notification.link}
+                onClick={() =>
+                  !notification.isRead &&
+                  dispatch(markNotificationsRead(notification._id))
+                }
+              >
+                <b>{notification.title}</b> {notification.message}
+              </Link>
+              <small>{moment(notification.createdAt).calendar()}</small>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Notifications;
@@ -2,37 +2,74 @@ import React, { useEffect } from "react";
 import Header from "./../components/Header";
 import { Link } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
-import { addToCart, removefromcart } from "./../Redux/Actions/cartActions";
+import {
+  addToCart,
+  removefromcart,
+  validateCart,
+} from "./../Redux/Actions/cartActions";
+import { variantLabel } from "./../utils/variants";
+import { getOrderQuote } from "./../Redux/Actions/OrderActions";
+import CouponForm from "./../components/CouponForm";
+import PromotionSavings from "./../components/PromotionSavings";
+import CartChanges from "./../components/CartChanges";
+import Message from "./../components/LoadingError/Error";
+import WishlistItems from "./../components/WishlistItems";
+import { saveForLater } from "./../Redux/Actions/WishlistActions";
 
 const CartScreen = ({ match, location, history }) => {
   window.scrollTo(0, 0);
   const dispatch = useDispatch();
   const productId = match.params.id;
-  const qty = location.search ? Number(location.search.split("=")[1]) : 1;
+  const params = new URLSearchParams(location.search);
+  const qty = Number(params.get("qty")) || 1;
+  const variantId = params.get("variant");
 
   const cart = useSelector((state) => state.cart);
-  const { cartItems } = cart;
+  const { cartItems, couponCode } = cart;
 
-  const total = cartItems.reduce((a, i) => a + i.qty * i.price, 0).toFixed(2);
+  // The quote applies the promotions and the coupon to the cart
+  const orderQuote = useSelector((state) => state.orderQuote);
+  const { loading: loadingQuote, error: errorQuote, quote } = orderQuote;
+  const cartValidation = useSelector((state) => state.cartValidation);
+  const { loading: loadingValidation, changes } = cartValidation;
+  const userLogin = useSelector((state) => state.userLogin);
+  const { userInfo } = userLogin;
+  const wishlist = useSelector((state) => state.wishlist);
+  const savings = !loadingQuote && quote ? quote.discountPrice : 0;
+
+  const total = (
+    cartItems.reduce((a, i) => a + i.qty * i.price, 0) - savings
+  ).toFixed(2);
 
   useEffect(() => {
     if (productId) {
-      dispatch(addToCart(productId, qty));
+      dispatch(addToCart(productId, qty, variantId));
+    }
+  }, [dispatch, productId, qty, variantId]);
+
+  useEffect(() => {
+    dispatch(validateCart());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (cartItems.length) {
+      dispatch(getOrderQuote({ orderItems: cartItems, couponCode }));
     }
-  }, [dispatch, productId, qty]);
+  }, [dispatch, cartItems, couponCode]);
 
   const checkOutHandler = () => {
     history.push("/login?redirect=shipping");
   };
 
-  const removeFromCartHandle = (id) => {
-    dispatch(removefromcart(id));
+  const removeFromCartHandle = (id, variant) => {
+    dispatch(removefromcart(id, variant));
   };
   return (
     <>
       <Header />
       {/* Cart */}
       <div className="container">
+        <CartChanges />
         {cartItems.length === 0 ? (
           <div className=" alert alert-info text-center mt-3">
             Your cart is empty
@@ -56,9 +93,14 @@ const CartScreen = ({ match, location, history }) => {
             </div>
             {/* cartiterm */}
             {cartItems.map((item) => (
-              <div className="cart-iterm row">
+              <div
+                className="cart-iterm row"
+                key={`${item.product}-${item.variant || ""}`}
+              >
                 <div
-                  onClick={() => removeFromCartHandle(item.product)}
+                  onClick={() =>
+                    removeFromCartHandle(item.product, item.variant)
+                  }
                   className="remove-button d-flex justify-content-center align-items-center"
                 >
                   <i className="fas fa-times"></i>
@@ -70,13 +112,36 @@ const CartScreen = ({ match, location, history }) => {
                   <Link to={`/products/${item.product}`}>
                     <h4>{item.name}</h4>
                   </Link>
+                  {item.variant && (
+                    <p className="cart-variant">{variantLabel(item.options)}</p>
+                  )}
+                  {userInfo ? (
+                    <button
+                      type="button"
+                      className="save-for-later"
+                      disabled={wishlist.loading}
+                      onClick={() => dispatch(saveForLater(item))}
+                    >
+                      Save for later
+                    </button>
+                  ) : (
+                    <Link to="/login?redirect=cart" className="save-for-later">
+                      Save for later
+                    </Link>
+                  )}
                 </div>
                 <div className="cart-qty col-md-2 col-sm-5 mt-md-5 mt-3 mt-md-0 d-flex flex-column justify-content-center">
                   <h6>QUANTITY</h6>
                   <select
                     value={item.qty}
                     onChange={(e) =>
-                      dispatch(addToCart(item.product, Number(e.target.value)))
+                      dispatch(
+                        addToCart(
+                          item.product,
+                          Number(e.target.value),
+                          item.variant
+                        )
+                      )
                     }
                   >
                     {[...Array(item.countInStock).keys()].map((x) => (
@@ -94,7 +159,21 @@ const CartScreen = ({ match, location, history }) => {
             ))}
 
             {/* End of cart iterms */}
+            {!loadingQuote && quote && (
+              <PromotionSavings promotions={quote.promotions} />
+            )}
+            <CouponForm />
+            {errorQuote && (
+              <div className="col-12 mt-3">
+                <Message variant="alert-danger">{errorQuote}</Message>
+              </div>
+            )}
             <div className="total">
+              {savings > 0 && (
+                <span className="total-saved">
+                  You save ${savings.toFixed(2)}
+                </span>
+              )}
               <span className="sub">total:</span>
               <span className="total-price">${total}</span>
             </div>
@@ -105,12 +184,23 @@ const CartScreen = ({ match, location, history }) => {
               </Link>
               {total > 0 && (
                 <div className="col-md-6 d-flex justify-content-md-end mt-3 mt-md-0">
-                  <button onClick={checkOutHandler}>Checkout</button>
+                  <button
+                    onClick={checkOutHandler}
+                    disabled={loadingValidation || changes.length > 0}
+                  >
+                    Checkout
+                  </button>
                 </div>
               )}
             </div>
           </>
         )}
+        {userInfo && wishlist.items.length > 0 && (
+          <div className="saved-for-later mt-5">
+            <h5>Saved for later ({wishlist.items.length})</h5>
+            <WishlistItems />
+          </div>
+        )}
       </div>
     </>
   );
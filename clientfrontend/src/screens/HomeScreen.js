@@ -4,15 +4,21 @@ import ShopSection from "./../components/homeComponents/ShopSection";
 import ContactInfo from "./../components/homeComponents/ContactInfo";
 import CalltoActionSection from "./../components/homeComponents/CalltoActionSection";
 import Footer from "./../components/Footer";
+import { parseFilters } from "../utils/searchUrl";
 
-const HomeScreen = ({ match }) => {
+const HomeScreen = ({ match, location }) => {
   window.scrollTo(0, 0);
-  const keyword = match.params.keyword;
-  const pagenumber = match.params.pagenumber;
+  const filters = parseFilters(location.search);
+  const search = {
+    ...filters,
+    keyword: match.params.keyword,
+    pageNumber: match.params.pagenumber,
+    category: match.params.category || filters.category,
+  };
   return (
     <div>
       <Header />
-      <ShopSection keyword={keyword} pagenumber={pagenumber} />
+      <ShopSection search={search} />
       <CalltoActionSection />
       <ContactInfo />
       <Footer />
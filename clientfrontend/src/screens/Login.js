@@ -58,6 +58,11 @@ const Login = ({ location, history }) => {
               Create Account
             </Link>
           </p>
+          {redirect === "shipping" && (
+            <p>
+              <Link to="/shipping">Continue as guest</Link>
+            </p>
+          )}
         </form>
       </div>
     </>
@@ -3,26 +3,49 @@ import { Link } from "react-router-dom";
 import Header from "./../components/Header";
 import { PayPalButton } from "react-paypal-button-v2";
 import { useDispatch, useSelector } from "react-redux";
-import { getOrderDetails, payOrder } from "../Redux/Actions/OrderActions";
+import {
+  getOrderDetails,
+  initiatePayment,
+  payOrder,
+} from "../Redux/Actions/OrderActions";
 import Loading from "./../components/LoadingError/Loading";
 import Message from "./../components/LoadingError/Error";
 import moment from "moment";
 import axios from "axios";
 import { ORDER_PAY_RESET } from "../Redux/Constants/OrderConstants";
+import { variantLabel } from "../utils/variants";
+import { taxLabel } from "../utils/tax";
+import { formatAddress } from "../utils/addresses";
+import PromotionSavings from "./../components/PromotionSavings";
+import GuestAccount from "./../components/GuestAccount";
+import PaymentInstructions from "./../components/PaymentInstructions";
+import RefundHistory from "./../components/RefundHistory";
+import {
+  paymentMethodName,
+  paymentProvider,
+  paymentStatusMessage,
+} from "../utils/payments";
 
 
-const OrderScreen = ({ match }) => {
+const OrderScreen = ({ match, location }) => {
   window.scrollTo(0, 0);
   const [sdkReady, setSdkReady] = useState(false);
+  const [mockPayPal, setMockPayPal] = useState(false);
   const orderId = match.params.id;
+  // Guests open their order with the access token of the order link
+  const access = new URLSearchParams(location.search).get("access");
   const dispatch = useDispatch();
 
   const orderDetails = useSelector((state) => state.orderDetails);
   const { order, loading, error } = orderDetails;
   const orderPay = useSelector((state) => state.orderPay);
-  const { loading: loadingPay, success: successPay } = orderPay;
+  const {
+    loading: loadingPay,
+    error: errorPay,
+    success: successPay,
+  } = orderPay;
 
-  if (!loading) {
+  if (!loading && order) {
     const addDecimals = (num) => {
       return (Math.round(num * 100) / 100).toFixed(2);
     };
@@ -34,10 +57,16 @@ const OrderScreen = ({ match }) => {
 
   useEffect(() => {
     const addPayPalScript = async () => {
-      const { data: clientId } = await axios.get("/api/config/paypal");
+      const { data: config } = await axios.get("/api/config/paypal");
+      // The server stands in for PayPal, there is no PayPal window to open
+      if (config.mock) {
+        setMockPayPal(true);
+        setSdkReady(true);
+        return;
+      }
       const script = document.createElement("script");
       script.type = "text/javascript";
-      script.src = `https://www.paypal.com/sdk/js?client-id=${clientId}`;
+      script.src = `https://www.paypal.com/sdk/js?client-id=${config.clientId}&currency=${config.currency}`;
       script.async = true;
       script.onload = () => {
         setSdkReady(true);
@@ -46,18 +75,44 @@ const OrderScreen = ({ match }) => {
     };
     if (!order || successPay) {
       dispatch({ type: ORDER_PAY_RESET });
-      dispatch(getOrderDetails(orderId));
-    } else if (!order.isPaid) {
+      dispatch(getOrderDetails(orderId, access));
+    } else if (
+      !order.isPaid &&
+      paymentProvider(order.paymentMethod) === "paypal"
+    ) {
       if (!window.paypal) {
         addPayPalScript();
       } else {
         setSdkReady(true);
       }
     }
-  }, [dispatch, orderId, successPay, order]);
+  }, [dispatch, orderId, access, successPay, order]);
+
+  // Cash on delivery and bank transfers are paid outside the shop
+  const payOnline = order && paymentProvider(order.paymentMethod) === "paypal";
+  // A payment PayPal is still reviewing is not made again
+  const canPay =
+    order &&
+    !order.isPaid &&
+    !order.isCancelled &&
+    order.paymentStatus !== "pending";
+
+  // The server creates the PayPal order for the order total and captures it
+  // once the buyer approved it
+  const createPayPalOrderHandler = async () => {
+    const { id } = await dispatch(initiatePayment(orderId, access));
+    return id;
+  };
+
+  const approvePaymentHandler = (data) => {
+    return dispatch(payOrder(orderId, data.orderID, access));
+  };
 
-  const successPaymentHandler = (paymentResult) => {
-    dispatch(payOrder(orderId, paymentResult));
+  const mockPaymentHandler = async () => {
+    const paypalOrderId = await createPayPalOrderHandler().catch(() => null);
+    if (paypalOrderId) {
+      approvePaymentHandler({ orderID: paypalOrderId });
+    }
   };
 
   return (
@@ -82,12 +137,21 @@ const OrderScreen = ({ match }) => {
                     <h5>
                       <strong>Customer</strong>
                     </h5>
-                    <p>{order.user.name}</p>
-                    <p>
-                      <a href={`mailto:${order.user.email}`}>
-                        {order.user.email}
-                      </a>
-                    </p>
+                    {order.user ? (
+                      <>
+                        <p>{order.user.name}</p>
+                        <p>
+                          <a href={`mailto:${order.user.email}`}>
+                            {order.user.email}
+                          </a>
+                        </p>
+                      </>
+                    ) : (
+                      <>
+                        <p>Guest</p>
+                        <p>{order.guestEmail}</p>
+                      </>
+                    )}
                   </div>
                 </div>
               </div>
@@ -104,13 +168,27 @@ const OrderScreen = ({ match }) => {
                       <strong>Order info</strong>
                     </h5>
                     <p>Shipping: {order.shippingAddress.country}</p>
-                    <p>Pay method: {order.paymentMethod}</p>
+                    {order.shippingMethod && order.shippingMethod.name && (
+                      <p>
+                        Delivery: {order.shippingMethod.name}
+                        {order.shippingMethod.estimatedDays &&
+                          ` (${order.shippingMethod.estimatedDays})`}
+                      </p>
+                    )}
+                    <p>Pay method: {paymentMethodName(order.paymentMethod)}</p>
                     {order.isPaid ? (
                       <div className="bg-info p-2 col-12">
                         <p className="text-white text-center text-sm-start">
                           Paid on {moment(order.paidAt).calendar()}
                         </p>
                       </div>
+                    ) : order.isCancelled ? (
+                      <div className="bg-secondary p-2 col-12">
+                        <p className="text-white text-center text-sm-start">
+                          Cancelled on {moment(order.cancelledAt).calendar()}
+                          {order.cancelReason && ` (${order.cancelReason})`}
+                        </p>
+                      </div>
                     ) : (
                       <div className="bg-danger p-2 col-12">
                         <p className="text-white text-center text-sm-start">
@@ -138,6 +216,9 @@ const OrderScreen = ({ match }) => {
                       {order.shippingAddress.address},{" "}
                       {order.shippingAddress.postalCode}
                     </p>
+                    {order.billingAddress && (
+                      <p>Billing: {formatAddress(order.billingAddress)}</p>
+                    )}
                     {order.isDelivered ? (
                       <div className="bg-info p-2 col-12">
                         <p className="text-white text-center text-sm-start">
@@ -169,10 +250,15 @@ const OrderScreen = ({ match }) => {
                         <div className="col-md-3 col-6">
                           <img src={item.image} alt={item.name} />
                         </div>
-                        <div className="col-md-5 col-6 d-flex align-items-center">
+                        <div className="col-md-5 col-6 d-flex flex-column justify-content-center">
                           <Link to={`/products/${item.product}`}>
                             <h6>{item.name}</h6>
                           </Link>
+                          {item.variant && (
+                            <p className="cart-variant">
+                              {variantLabel(item.options)}
+                            </p>
+                          )}
                         </div>
                         <div className="mt-3 mt-md-0 col-md-2 col-6  d-flex align-items-center flex-column justify-content-center ">
                           <h4>QUANTITY</h4>
@@ -181,6 +267,9 @@ const OrderScreen = ({ match }) => {
                         <div className="mt-3 mt-md-0 col-md-2 col-6 align-items-end  d-flex flex-column justify-content-center ">
                           <h4>SUBTOTAL</h4>
                           <h6>${item.qty * item.price}</h6>
+                          {item.taxAmount > 0 && (
+                            <p className="cart-variant">{taxLabel(item)}</p>
+                          )}
                         </div>
                       </div>
                     ))}
@@ -197,6 +286,19 @@ const OrderScreen = ({ match }) => {
                       </td>
                       <td>${order.itemsPrice}</td>
                     </tr>
+                    {order.discountPrice > 0 && (
+                      <tr>
+                        <td>
+                          <strong>Discount</strong>
+                          {order.coupon && order.coupon.code && (
+                            <div className="cart-variant">
+                              {order.coupon.code}
+                            </div>
+                          )}
+                        </td>
+                        <td>-${order.discountPrice}</td>
+                      </tr>
+                    )}
                     <tr>
                       <td>
                         <strong>Shipping</strong>
@@ -217,21 +319,48 @@ const OrderScreen = ({ match }) => {
                     </tr>
                   </tbody>
                 </table>
-                {!order.isPaid && (
+                <PromotionSavings promotions={order.promotions} />
+                <RefundHistory order={order} />
+                {!order.isPaid && order.paymentStatus && (
+                  <Message variant="alert-warning">
+                    {paymentStatusMessage(order.paymentStatus)}
+                  </Message>
+                )}
+                {canPay && !payOnline && <PaymentInstructions order={order} />}
+                {canPay && payOnline && (
                   <div className="col-12">
+                    {order.reservedUntil && (
+                      <p className="text-center">
+                        Your items are reserved until{" "}
+                        {moment(order.reservedUntil).format("LT")}
+                      </p>
+                    )}
+                    {errorPay && (
+                      <Message variant="alert-danger">{errorPay}</Message>
+                    )}
                     {loadingPay && <Loading />}
                     {!sdkReady ? (
                       <Loading />
+                    ) : mockPayPal ? (
+                      <button
+                        type="button"
+                        className="mock-paypal"
+                        disabled={loadingPay}
+                        onClick={mockPaymentHandler}
+                      >
+                        Pay with PayPal (test mode)
+                      </button>
                     ) : (
                       <PayPalButton
-                        amount={order.totalPrice}
-                        onSuccess={successPaymentHandler}
+                        createOrder={createPayPalOrderHandler}
+                        onApprove={approvePaymentHandler}
                       />
                     )}
                   </div>
                 )}
               </div>
             </div>
+            <GuestAccount order={order} access={access} />
           </>
         )}
       </div>
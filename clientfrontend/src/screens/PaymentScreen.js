@@ -1,7 +1,11 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { savePaymentMethod } from "../Redux/Actions/cartActions";
+import { listPaymentMethods } from "../Redux/Actions/PaymentActions";
 import Header from "./../components/Header";
+import Message from "./../components/LoadingError/Error";
+import Loading from "./../components/LoadingError/Loading";
+import { paymentProvider } from "../utils/payments";
 
 const PaymentScreen = ({ history }) => {
   window.scrollTo(0, 0);
@@ -13,10 +17,26 @@ const PaymentScreen = ({ history }) => {
     history.push("/shipping");
   }
 
-  const [paymentMethod, setPaymentMethod] = useState("PayPal");
+  // The methods the shop enabled
+  const paymentMethodList = useSelector((state) => state.paymentMethodList);
+  const { loading, error, methods } = paymentMethodList;
+
+  const [paymentMethod, setPaymentMethod] = useState(
+    cart.paymentMethod ? paymentProvider(cart.paymentMethod) : ""
+  );
 
   const dispatch = useDispatch();
 
+  useEffect(() => {
+    dispatch(listPaymentMethods());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (methods.length && !methods.some((m) => m.provider === paymentMethod)) {
+      setPaymentMethod(methods[0].provider);
+    }
+  }, [methods, paymentMethod]);
+
   const submitHandler = (e) => {
     e.preventDefault();
     dispatch(savePaymentMethod(paymentMethod));
@@ -31,19 +51,43 @@ const PaymentScreen = ({ history }) => {
           onSubmit={submitHandler}
         >
           <h6>SELECT PAYMENT METHOD</h6>
-          <div className="payment-container">
-            <div className="radio-container">
-              <input
-                className="form-check-input"
-                type="radio"
-                value={paymentMethod}
-                onChange={(e) => setPaymentMethod(e.target.value)}
-              />
-              <label className="form-check-label">PayPal or Credit Card</label>
+          {error && <Message variant="alert-danger">{error}</Message>}
+          {loading && !methods.length ? (
+            <Loading />
+          ) : (
+            <div className="payment-container">
+              {methods.map((method) => (
+                <div
+                  className="radio-container shipping-option"
+                  key={method.provider}
+                >
+                  <input
+                    className="form-check-input"
+                    type="radio"
+                    name="payment-method"
+                    id={`payment-${method.provider}`}
+                    checked={paymentMethod === method.provider}
+                    onChange={() => setPaymentMethod(method.provider)}
+                  />
+                  <label
+                    className="form-check-label"
+                    htmlFor={`payment-${method.provider}`}
+                  >
+                    {method.name}
+                    {method.description && (
+                      <span className="shipping-option-info">
+                        {method.description}
+                      </span>
+                    )}
+                  </label>
+                </div>
+              ))}
             </div>
-          </div>
+          )}
 
-          <button type="submit">Continue</button>
+          <button type="submit" disabled={!paymentMethod}>
+            Continue
+          </button>
         </form>
       </div>
     </>
@@ -1,10 +1,19 @@
 import React, { useEffect } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { Link } from "react-router-dom";
-import { createOrder } from "../Redux/Actions/OrderActions";
+import { createOrder, getOrderQuote } from "../Redux/Actions/OrderActions";
+import { validateCart } from "../Redux/Actions/cartActions";
 import { ORDER_CREATE_RESET } from "../Redux/Constants/OrderConstants";
 import Header from "./../components/Header";
 import Message from "./../components/LoadingError/Error";
+import Loading from "./../components/LoadingError/Loading";
+import { variantLabel } from "../utils/variants";
+import { taxLabel } from "../utils/tax";
+import { formatAddress } from "../utils/addresses";
+import { paymentMethodName } from "../utils/payments";
+import CouponForm from "./../components/CouponForm";
+import PromotionSavings from "./../components/PromotionSavings";
+import CartChanges from "./../components/CartChanges";
 
 const PlaceOrderScreen = ({ history }) => {
   window.scrollTo(0, 0);
@@ -14,28 +23,61 @@ const PlaceOrderScreen = ({ history }) => {
   const userLogin = useSelector((state) => state.userLogin);
   const { userInfo } = userLogin;
 
-  // Calculate Price
-  const addDecimals = (num) => {
-    return (Math.round(num * 100) / 100).toFixed(2);
-  };
+  // The shopper sees what changed in the cart before ordering
+  const cartValidation = useSelector((state) => state.cartValidation);
+  const { loading: loadingValidation, changes } = cartValidation;
 
-  cart.itemsPrice = addDecimals(
-    cart.cartItems.reduce((acc, item) => acc + item.price * item.qty, 0)
-  );
-  cart.shippingPrice = addDecimals(cart.itemsPrice > 100 ? 0 : 100);
-  cart.taxPrice = addDecimals(Number((0.15 * cart.itemsPrice).toFixed(2)));
-  cart.totalPrice = (
-    Number(cart.itemsPrice) +
-    Number(cart.shippingPrice) +
-    Number(cart.taxPrice)
-  ).toFixed(2);
+  useEffect(() => {
+    dispatch(validateCart());
+  }, [dispatch]);
+
+  // Prices come from the server, the cart may hold outdated ones
+  const orderQuote = useSelector((state) => state.orderQuote);
+  const { loading: loadingQuote, error: errorQuote, quote } = orderQuote;
+
+  useEffect(() => {
+    if (!userInfo && !cart.guestEmail) {
+      history.push("/shipping");
+    } else if (!cart.shippingMethod) {
+      history.push("/shipping-method");
+    } else if (!cart.paymentMethod) {
+      history.push("/payment");
+    } else if (cart.cartItems.length) {
+      dispatch(
+        getOrderQuote({
+          orderItems: cart.cartItems,
+          shippingAddress: cart.shippingAddress,
+          shippingMethod: cart.shippingMethod._id,
+          couponCode: cart.couponCode,
+        })
+      );
+    }
+  }, [
+    history,
+    dispatch,
+    userInfo,
+    cart.guestEmail,
+    cart.cartItems,
+    cart.shippingAddress,
+    cart.shippingMethod,
+    cart.paymentMethod,
+    cart.couponCode,
+  ]);
+
+  const items = quote ? quote.orderItems : cart.cartItems;
+  const formatPrice = (value) => (quote ? `$${value.toFixed(2)}` : "-");
 
   const orderCreate = useSelector((state) => state.orderCreate);
   const { order, success, error } = orderCreate;
 
   useEffect(() => {
     if (success) {
-      history.push(`/order/${order._id}`);
+      // Guests only get to their order with its access link
+      history.push(
+        order.accessToken
+          ? `/order/${order._id}?access=${order.accessToken}`
+          : `/order/${order._id}`
+      );
       dispatch({ type: ORDER_CREATE_RESET });
     }
   }, [history, dispatch, success, order]);
@@ -43,13 +85,17 @@ const PlaceOrderScreen = ({ history }) => {
   const placeOrderHandler = () => {
     dispatch(
       createOrder({
-        orderItems: cart.cartItems,
+        orderItems: cart.cartItems.map(({ product, variant, qty }) => ({
+          product,
+          variant,
+          qty,
+        })),
         shippingAddress: cart.shippingAddress,
+        billingAddress: cart.billingAddress,
+        shippingMethod: cart.shippingMethod._id,
+        couponCode: cart.couponCode,
         paymentMethod: cart.paymentMethod,
-        itemsPrice: cart.itemsPrice,
-        shippingPrice: cart.shippingPrice,
-        taxPrice: cart.taxPrice,
-        totalPrice: cart.totalPrice,
+        ...(!userInfo && { guestEmail: cart.guestEmail }),
       })
     );
   };
@@ -58,6 +104,7 @@ const PlaceOrderScreen = ({ history }) => {
     <>
       <Header />
       <div className="container">
+        <CartChanges />
         <div className="row  order-detail">
           <div className="col-lg-4 col-sm-4 mb-lg-4 mb-5 mb-sm-0">
             <div className="row ">
@@ -70,8 +117,17 @@ const PlaceOrderScreen = ({ history }) => {
                 <h5>
                   <strong>Customer</strong>
                 </h5>
-                <p>{userInfo.name}</p>
-                <p>{userInfo.email}</p>
+                {userInfo ? (
+                  <>
+                    <p>{userInfo.name}</p>
+                    <p>{userInfo.email}</p>
+                  </>
+                ) : (
+                  <>
+                    <p>Guest</p>
+                    <p>{cart.guestEmail}</p>
+                  </>
+                )}
               </div>
             </div>
           </div>
@@ -88,7 +144,13 @@ const PlaceOrderScreen = ({ history }) => {
                   <strong>Order info</strong>
                 </h5>
                 <p>Shipping: {cart.shippingAddress.country}</p>
-                <p>Pay method: {cart.paymentMethod}</p>
+                {cart.shippingMethod && (
+                  <p>
+                    Delivery: {cart.shippingMethod.name}{" "}
+                    <Link to="/shipping-method">(change)</Link>
+                  </p>
+                )}
+                <p>Pay method: {paymentMethodName(cart.paymentMethod)}</p>
               </div>
             </div>
           </div>
@@ -109,6 +171,12 @@ const PlaceOrderScreen = ({ history }) => {
                   {cart.shippingAddress.address},{" "}
                   {cart.shippingAddress.postalCode}
                 </p>
+                <p>
+                  Billing:{" "}
+                  {cart.billingAddress
+                    ? formatAddress(cart.billingAddress)
+                    : "Same as delivery address"}
+                </p>
               </div>
             </div>
           </div>
@@ -120,15 +188,20 @@ const PlaceOrderScreen = ({ history }) => {
               <Message variant="alert-info mt-5">Your cart is empty</Message>
             ) : (
               <>
-                {cart.cartItems.map((item, index) => (
+                {items.map((item, index) => (
                   <div className="order-product row" key={index}>
                     <div className="col-md-3 col-6">
                       <img src={item.image} alt={item.name} />
                     </div>
-                    <div className="col-md-5 col-6 d-flex align-items-center">
+                    <div className="col-md-5 col-6 d-flex flex-column justify-content-center">
                       <Link to={`/products/${item.product}`}>
                         <h6>{item.name}</h6>
                       </Link>
+                      {item.variant && (
+                        <p className="cart-variant">
+                          {variantLabel(item.options)}
+                        </p>
+                      )}
                     </div>
                     <div className="mt-3 mt-md-0 col-md-2 col-6  d-flex align-items-center flex-column justify-content-center ">
                       <h4>QUANTITY</h4>
@@ -136,7 +209,10 @@ const PlaceOrderScreen = ({ history }) => {
                     </div>
                     <div className="mt-3 mt-md-0 col-md-2 col-6 align-items-end  d-flex flex-column justify-content-center ">
                       <h4>SUBTOTAL</h4>
-                      <h6>${item.qty * item.price}</h6>
+                      <h6>${(item.qty * item.price).toFixed(2)}</h6>
+                      {item.taxAmount > 0 && (
+                        <p className="cart-variant">{taxLabel(item)}</p>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -151,30 +227,50 @@ const PlaceOrderScreen = ({ history }) => {
                   <td>
                     <strong>Products</strong>
                   </td>
-                  <td>${cart.itemsPrice}</td>
+                  <td>{formatPrice(quote && quote.itemsPrice)}</td>
                 </tr>
+                {quote && quote.discountPrice > 0 && (
+                  <tr>
+                    <td>
+                      <strong>Discount</strong>
+                    </td>
+                    <td>-{formatPrice(quote.discountPrice)}</td>
+                  </tr>
+                )}
                 <tr>
                   <td>
                     <strong>Shipping</strong>
                   </td>
-                  <td>${cart.shippingPrice}</td>
+                  <td>{formatPrice(quote && quote.shippingPrice)}</td>
                 </tr>
                 <tr>
                   <td>
                     <strong>Tax</strong>
                   </td>
-                  <td>${cart.taxPrice}</td>
+                  <td>{formatPrice(quote && quote.taxPrice)}</td>
                 </tr>
                 <tr>
                   <td>
                     <strong>Total</strong>
                   </td>
-                  <td>${cart.totalPrice}</td>
+                  <td>{formatPrice(quote && quote.totalPrice)}</td>
                 </tr>
               </tbody>
             </table>
-            {cart.cartItems.length === 0 ? null : (
-              <button type="submit" onClick={placeOrderHandler}>
+            <PromotionSavings promotions={quote && quote.promotions} />
+            <CouponForm />
+            {loadingQuote && <Loading />}
+            {errorQuote && (
+              <div className="my-3 col-12">
+                <Message variant="alert-danger">{errorQuote}</Message>
+              </div>
+            )}
+            {cart.cartItems.length === 0 || !quote ? null : (
+              <button
+                type="submit"
+                onClick={placeOrderHandler}
+                disabled={loadingValidation || changes.length > 0}
+              >
                 PLACE ORDER
               </button>
             )}
@@ -6,6 +6,9 @@ import { getUserDetails } from "../Redux/Actions/userActions";
 import Orders from "./../components/profileComponents/Orders";
 import moment from "moment";
 import { listMyOrders } from "../Redux/Actions/OrderActions";
+import WishlistItems from "../components/WishlistItems";
+import Notifications from "../components/profileComponents/Notifications";
+import Addresses from "../components/profileComponents/Addresses";
 
 const ProfileScreen = () => {
   window.scrollTo(0, 0);
@@ -16,6 +19,9 @@ const ProfileScreen = () => {
   const { userInfo } = userLogin;
   const orderListMy = useSelector((state) => state.orderListMy);
   const { loading, error, orders } = orderListMy;
+  const wishlist = useSelector((state) => state.wishlist);
+  const notificationList = useSelector((state) => state.notificationList);
+  const addressList = useSelector((state) => state.addressList);
 
   useEffect(() => {
     dispatch(listMyOrders());
@@ -77,6 +83,49 @@ const ProfileScreen = () => {
                     Orders List
                     <span className="badge2">{orders ? orders.length : 0}</span>
                   </button>
+                  <button
+                    class="nav-link d-flex justify-content-between"
+                    id="v-pills-wishlist-tab"
+                    data-bs-toggle="pill"
+                    data-bs-target="#v-pills-wishlist"
+                    type="button"
+                    role="tab"
+                    aria-controls="v-pills-wishlist"
+                    aria-selected="false"
+                  >
+                    Wishlist
+                    <span className="badge2">{wishlist.items.length}</span>
+                  </button>
+                  <button
+                    class="nav-link d-flex justify-content-between"
+                    id="v-pills-notifications-tab"
+                    data-bs-toggle="pill"
+                    data-bs-target="#v-pills-notifications"
+                    type="button"
+                    role="tab"
+                    aria-controls="v-pills-notifications"
+                    aria-selected="false"
+                  >
+                    Notifications
+                    <span className="badge2">
+                      {notificationList.unreadCount}
+                    </span>
+                  </button>
+                  <button
+                    class="nav-link d-flex justify-content-between"
+                    id="v-pills-addresses-tab"
+                    data-bs-toggle="pill"
+                    data-bs-target="#v-pills-addresses"
+                    type="button"
+                    role="tab"
+                    aria-controls="v-pills-addresses"
+                    aria-selected="false"
+                  >
+                    Addresses
+                    <span className="badge2">
+                      {addressList.addresses.length}
+                    </span>
+                  </button>
                 </div>
               </div>
             </div>
@@ -103,6 +152,30 @@ const ProfileScreen = () => {
             >
               <Orders orders={orders} loading={loading} error={error} />
             </div>
+            <div
+              class="tab-pane fade"
+              id="v-pills-wishlist"
+              role="tabpanel"
+              aria-labelledby="v-pills-wishlist-tab"
+            >
+              <WishlistItems emptyText="Your wishlist is empty" />
+            </div>
+            <div
+              class="tab-pane fade"
+              id="v-pills-notifications"
+              role="tabpanel"
+              aria-labelledby="v-pills-notifications-tab"
+            >
+              <Notifications />
+            </div>
+            <div
+              class="tab-pane fade"
+              id="v-pills-addresses"
+              role="tabpanel"
+              aria-labelledby="v-pills-addresses-tab"
+            >
+              <Addresses />
+            </div>
           </div>
         </div>
       </div>
@@ -0,0 +1,120 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import Header from "../components/Header";
+import Message from "./../components/LoadingError/Error";
+import Loading from "./../components/LoadingError/Loading";
+import { saveShippingMethod } from "../Redux/Actions/cartActions";
+import { getOrderQuote } from "../Redux/Actions/OrderActions";
+
+const ShippingMethodScreen = ({ history }) => {
+  window.scrollTo(0, 0);
+
+  const cart = useSelector((state) => state.cart);
+  const { cartItems, shippingAddress, shippingMethod, couponCode } = cart;
+
+  // The methods that ship this cart to the address, priced by the server
+  const orderQuote = useSelector((state) => state.orderQuote);
+  const { loading, error, quote } = orderQuote;
+  const options = useMemo(() => (quote ? quote.shippingOptions : []), [quote]);
+
+  const [selected, setSelected] = useState(
+    shippingMethod ? shippingMethod._id : ""
+  );
+
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    if (!shippingAddress.address) {
+      history.push("/shipping");
+    } else if (cartItems.length) {
+      dispatch(
+        getOrderQuote({ orderItems: cartItems, shippingAddress, couponCode })
+      );
+    }
+  }, [history, dispatch, cartItems, shippingAddress, couponCode]);
+
+  useEffect(() => {
+    if (options.length && !options.some((o) => o._id === selected)) {
+      setSelected(options[0]._id);
+    }
+  }, [options, selected]);
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    const option = options.find((o) => o._id === selected);
+    if (option) {
+      dispatch(saveShippingMethod(option));
+      history.push("/payment");
+    }
+  };
+  return (
+    <>
+      <Header />
+      <div className="container d-flex justify-content-center align-items-center login-center">
+        <form
+          className="Login2 col-md-8 col-lg-4 col-11"
+          onSubmit={submitHandler}
+        >
+          <h6>SELECT SHIPPING METHOD</h6>
+          {error && <Message variant="alert-danger">{error}</Message>}
+          {loading ? (
+            <Loading />
+          ) : (
+            <div className="payment-container">
+              {quote && options.length === 0 && (
+                <Message variant="alert-info">
+                  We cannot ship your order to {shippingAddress.country}
+                </Message>
+              )}
+              {options.map((option) => (
+                <div
+                  className="radio-container shipping-option"
+                  key={option._id}
+                >
+                  <input
+                    className="form-check-input"
+                    type="radio"
+                    name="shipping-method"
+                    id={`shipping-${option._id}`}
+                    checked={selected === option._id}
+                    onChange={() => setSelected(option._id)}
+                  />
+                  <label
+                    className="form-check-label"
+                    htmlFor={`shipping-${option._id}`}
+                  >
+                    {option.name} -{" "}
+                    {option.price === 0
+                      ? "Free"
+                      : `$${option.price.toFixed(2)}`}
+                    {option.originalPrice > 0 && (
+                      <del className="shipping-option-info">
+                        ${option.originalPrice.toFixed(2)}
+                      </del>
+                    )}
+                    {option.estimatedDays && (
+                      <span className="shipping-option-info">
+                        {option.estimatedDays}
+                      </span>
+                    )}
+                    {option.description && (
+                      <span className="shipping-option-info">
+                        {option.description}
+                      </span>
+                    )}
+                  </label>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <button type="submit" disabled={!selected || loading}>
+            Continue
+          </button>
+        </form>
+      </div>
+    </>
+  );
+};
+
+export default ShippingMethodScreen;
@@ -1,25 +1,105 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
+import { Link } from "react-router-dom";
 import Header from "../components/Header";
-import { saveShippingAddress } from "../Redux/Actions/cartActions";
+import AddressPicker from "../components/AddressPicker";
+import {
+  saveBillingAddress,
+  saveGuestEmail,
+  saveShippingAddress,
+} from "../Redux/Actions/cartActions";
+import { createAddress, listAddresses } from "../Redux/Actions/AddressActions";
+import { EMPTY_ADDRESS, sameAddress } from "../utils/addresses";
+
+const addressFields = ({ address, city, postalCode, country } = {}) => ({
+  ...EMPTY_ADDRESS,
+  ...(address && { address, city, postalCode, country }),
+});
 
 const ShippingScreen = ({ history }) => {
   window.scrollTo(0, 0);
 
   const cart = useSelector((state) => state.cart);
-  const { shippingAddress } = cart;
+  const { shippingAddress, billingAddress } = cart;
+  const userLogin = useSelector((state) => state.userLogin);
+  const { userInfo } = userLogin;
+  const addressList = useSelector((state) => state.addressList);
+  const addresses = userInfo ? addressList.addresses : [];
 
-  const [address, setAddress] = useState(shippingAddress.address);
-  const [city, setCity] = useState(shippingAddress.city);
-  const [postalCode, setPostalCode] = useState(shippingAddress.postalCode);
-  const [country, setCountry] = useState(shippingAddress.country);
+  // selected stays null until the address book is loaded
+  const newChoice = (address) => ({
+    selected: null,
+    ...addressFields(address),
+    save: userInfo ? false : undefined,
+  });
+  const [guestEmail, setGuestEmail] = useState(cart.guestEmail);
+  const [shipping, setShipping] = useState(() => newChoice(shippingAddress));
+  const [billing, setBilling] = useState(() => newChoice(billingAddress));
+  const [billingSame, setBillingSame] = useState(!billingAddress);
 
   const dispatch = useDispatch();
 
-  const submitHandler = (e) => {
+  useEffect(() => {
+    if (userInfo) {
+      dispatch(listAddresses());
+    }
+  }, [dispatch, userInfo]);
+
+  // Start from the address used last time, else from the default one
+  useEffect(() => {
+    if (!addressList.loaded) {
+      return;
+    }
+    const pick = (current, defaultKey) => {
+      const saved =
+        current && current.address
+          ? addressList.addresses.find((a) => sameAddress(a, current))
+          : addressList.addresses.find((a) => a[defaultKey]);
+      return saved ? saved._id : "new";
+    };
+    setShipping((choice) =>
+      choice.selected === null
+        ? {
+            ...choice,
+            selected: pick(shippingAddress, "isDefaultShipping"),
+          }
+        : choice
+    );
+    setBilling((choice) =>
+      choice.selected === null
+        ? { ...choice, selected: pick(billingAddress, "isDefaultBilling") }
+        : choice
+    );
+  }, [
+    addressList.loaded,
+    addressList.addresses,
+    shippingAddress,
+    billingAddress,
+  ]);
+
+  // The chosen saved address, or the typed one saved to the book if asked
+  const resolveAddress = async (choice) => {
+    const saved = addresses.find((a) => a._id === choice.selected);
+    if (saved) {
+      return addressFields(saved);
+    }
+    const fields = addressFields(choice);
+    if (choice.save) {
+      await dispatch(createAddress(fields));
+    }
+    return fields;
+  };
+
+  const submitHandler = async (e) => {
     e.preventDefault();
-    dispatch(saveShippingAddress({ address, city, postalCode, country }));
-    history.push("/payment");
+    if (!userInfo) {
+      dispatch(saveGuestEmail(guestEmail));
+    }
+    dispatch(saveShippingAddress(await resolveAddress(shipping)));
+    dispatch(
+      saveBillingAddress(billingSame ? null : await resolveAddress(billing))
+    );
+    history.push("/shipping-method");
   };
   return (
     <>
@@ -29,35 +109,49 @@ const ShippingScreen = ({ history }) => {
           className="Login col-md-8 col-lg-4 col-11"
           onSubmit={submitHandler}
         >
+          {!userInfo && (
+            <>
+              <h6>CONTACT EMAIL</h6>
+              <p className="guest-note">
+                We send the link to your order here.{" "}
+                <Link to="/login?redirect=shipping">Log in</Link> to use your
+                account instead.
+              </p>
+              <input
+                type="email"
+                placeholder="Enter email"
+                value={guestEmail}
+                required
+                onChange={(e) => setGuestEmail(e.target.value)}
+              />
+            </>
+          )}
           <h6>DELIVERY ADDRESS</h6>
-          <input
-            type="text"
-            placeholder="Enter address"
-            value={address}
-            required
-            onChange={(e) => setAddress(e.target.value)}
-          />
-          <input
-            type="text"
-            placeholder="Enter city"
-            value={city}
-            required
-            onChange={(e) => setCity(e.target.value)}
-          />
-          <input
-            type="text"
-            placeholder="Enter postal code"
-            value={postalCode}
-            required
-            onChange={(e) => setPostalCode(e.target.value)}
-          />
-          <input
-            type="text"
-            placeholder="Enter country"
-            value={country}
-            required
-            onChange={(e) => setCountry(e.target.value)}
+          <AddressPicker
+            name="shipping"
+            addresses={addresses}
+            value={shipping}
+            onChange={setShipping}
           />
+          <label className="address-option mt-3">
+            <input
+              type="checkbox"
+              checked={billingSame}
+              onChange={(e) => setBillingSame(e.target.checked)}
+            />
+            <span>Billing address same as delivery address</span>
+          </label>
+          {!billingSame && (
+            <>
+              <h6 className="mt-4">BILLING ADDRESS</h6>
+              <AddressPicker
+                name="billing"
+                addresses={addresses}
+                value={billing}
+                onChange={setBilling}
+              />
+            </>
+          )}
           <button type="submit">Continue</button>
         </form>
       </div>
@@ -9,13 +9,19 @@ import {
   listProductDetails,
 } from "../Redux/Actions/ProductActions";
 import Loading from "../components/LoadingError/Loading";
+import Breadcrumb from "../components/Breadcrumb";
 import { PRODUCT_CREATE_REVIEW_RESET } from "../Redux/Constants/ProductConstants";
+import { findVariant, isValueAvailable } from "../utils/variants";
+import { productImages } from "../utils/images";
+import ProductGallery from "../components/ProductGallery";
+import WishlistButton from "../components/WishlistButton";
 import moment from "moment";
 
 const SingleProduct = ({ history, match }) => {
   const [qty, setQty] = useState(1);
   const [rating, setRating] = useState(0);
   const [comment, setComment] = useState("");
+  const [selected, setSelected] = useState({});
 
   const productId = match.params.id;
   const dispatch = useDispatch();
@@ -41,9 +47,38 @@ const SingleProduct = ({ history, match }) => {
     dispatch(listProductDetails(productId));
   }, [dispatch, productId, successCreateReview]);
 
+  useEffect(() => {
+    setSelected({});
+    setQty(1);
+  }, [productId]);
+
+  // Products with variants are priced and stocked per variant
+  const hasVariants = product.variants && product.variants.length > 0;
+  const variant = hasVariants ? findVariant(product, selected) : null;
+  const price =
+    variant && variant.price != null ? variant.price : product.price;
+  const countInStock = hasVariants
+    ? variant
+      ? variant.countInStock
+      : 0
+    : product.countInStock;
+  const gallery = productImages(product);
+  const variantImage = variant && variant.image;
+  const images =
+    variantImage && !gallery.some((image) => image.url === variantImage)
+      ? [{ url: variantImage }, ...gallery]
+      : gallery;
+
+  const selectOption = (name, value) => {
+    setSelected({ ...selected, [name]: value });
+    setQty(1);
+  };
+
   const AddToCartHandle = (e) => {
     e.preventDefault();
-    history.push(`/cart/${productId}?qty=${qty}`);
+    history.push(
+      `/cart/${productId}?qty=${qty}${variant ? `&variant=${variant._id}` : ""}`
+    );
   };
   const submitHandler = (e) => {
     e.preventDefault();
@@ -64,27 +99,74 @@ const SingleProduct = ({ history, match }) => {
           <Message variant="alert-danger">{error}</Message>
         ) : (
           <>
+            <Breadcrumb items={product.breadcrumb} current={product.name} />
             <div className="row">
               <div className="col-md-6">
-                <div className="single-image">
-                  <img src={product.image} alt={product.name} />
-                </div>
+                <ProductGallery
+                  images={images}
+                  alt={product.name}
+                  selectedUrl={variantImage}
+                />
               </div>
               <div className="col-md-6">
                 <div className="product-dtl">
-                  <div className="product-info">
+                  <div className="product-info d-flex justify-content-between align-items-start">
                     <div className="product-name">{product.name}</div>
+                    <WishlistButton
+                      productId={product._id}
+                      variant={variant && variant._id}
+                    />
                   </div>
                   <p>{product.description}</p>
 
                   <div className="product-count col-lg-7 ">
+                    {hasVariants &&
+                      product.options.map((option) => (
+                        <div
+                          className="flex-box variant-picker"
+                          key={option.name}
+                        >
+                          <h6>
+                            {option.name}
+                            {selected[option.name] && (
+                              <span>: {selected[option.name]}</span>
+                            )}
+                          </h6>
+                          <div className="variant-values">
+                            {option.values.map((value) => (
+                              <button
+                                type="button"
+                                key={value}
+                                className={
+                                  selected[option.name] === value
+                                    ? "active"
+                                    : ""
+                                }
+                                disabled={
+                                  !isValueAvailable(
+                                    product,
+                                    selected,
+                                    option.name,
+                                    value
+                                  )
+                                }
+                                onClick={() => selectOption(option.name, value)}
+                              >
+                                {value}
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+                      ))}
                     <div className="flex-box d-flex justify-content-between align-items-center">
                       <h6>Price</h6>
-                      <span>${product.price}</span>
+                      <span>${price}</span>
                     </div>
                     <div className="flex-box d-flex justify-content-between align-items-center">
                       <h6>Status</h6>
-                      {product.countInStock > 0 ? (
+                      {hasVariants && !variant ? (
+                        <span>Choose your options</span>
+                      ) : countInStock > 0 ? (
                         <span>In Stock</span>
                       ) : (
                         <span>unavailable</span>
@@ -97,7 +179,7 @@ const SingleProduct = ({ history, match }) => {
                         text={`${product.numReviews} reviews`}
                       />
                     </div>
-                    {product.countInStock > 0 ? (
+                    {countInStock > 0 ? (
                       <>
                         <div className="flex-box d-flex justify-content-between align-items-center">
                           <h6>Quantity</h6>
@@ -105,13 +187,11 @@ const SingleProduct = ({ history, match }) => {
                             value={qty}
                             onChange={(e) => setQty(e.target.value)}
                           >
-                            {[...Array(product.countInStock).keys()].map(
-                              (x) => (
-                                <option key={x + 1} value={x + 1}>
-                                  {x + 1}
-                                </option>
-                              )
-                            )}
+                            {[...Array(countInStock).keys()].map((x) => (
+                              <option key={x + 1} value={x + 1}>
+                                {x + 1}
+                              </option>
+                            ))}
                           </select>
                         </div>
                         <button
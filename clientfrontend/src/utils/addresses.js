@@ -0,0 +1,18 @@
+export const EMPTY_ADDRESS = {
+  address: "",
+  city: "",
+  postalCode: "",
+  country: "",
+};
+
+// "12 Main St, Springfield, 12345, USA" for an address on one line
+export const formatAddress = (address) => {
+  return [address.address, address.city, address.postalCode, address.country]
+    .filter(Boolean)
+    .join(", ");
+};
+
+// True when two addresses point to the same place, whatever their labels
+export const sameAddress = (a, b) => {
+  return Boolean(a && b) && formatAddress(a) === formatAddress(b);
+};
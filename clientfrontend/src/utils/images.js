@@ -0,0 +1,56 @@
+const THUMBNAIL_WIDTHS = { small: 150, medium: 400, large: 800 };
+
+// The gallery of a product, products saved before galleries only have image
+export const productImages = (product) => {
+  if (product.images && product.images.length) {
+    return product.images;
+  }
+  return product.image ? [{ url: product.image }] : [];
+};
+
+// Width of a thumbnail. Images uploaded before the widths were stored are
+// worked out from the original size, thumbnails fit inside a square and are
+// never enlarged.
+const thumbnailWidth = (image, size) => {
+  if (image.thumbnailWidths && image.thumbnailWidths[size]) {
+    return image.thumbnailWidths[size];
+  }
+  if (!image.width || !image.height) {
+    return null;
+  }
+  const scale = Math.min(
+    THUMBNAIL_WIDTHS[size] / Math.max(image.width, image.height),
+    1
+  );
+  return Math.round(image.width * scale);
+};
+
+// srcset with every generated thumbnail and the original image, one
+// candidate per width
+export const imageSrcSet = (image) => {
+  if (!image || !image.thumbnails) {
+    return undefined;
+  }
+  const sources = {};
+  Object.keys(THUMBNAIL_WIDTHS).forEach((size) => {
+    const width = thumbnailWidth(image, size);
+    if (image.thumbnails[size] && width && !sources[width]) {
+      sources[width] = image.thumbnails[size];
+    }
+  });
+  const widths = Object.keys(sources).map(Number);
+  if (!widths.length) {
+    return undefined;
+  }
+  if (image.width > Math.max(...widths)) {
+    sources[image.width] = image.url;
+  }
+  return Object.keys(sources)
+    .map((width) => `${sources[width]} ${width}w`)
+    .join(", ");
+};
+
+// Smallest version of the image for thumbnails
+export const thumbnailUrl = (image) => {
+  return (image.thumbnails && image.thumbnails.small) || image.url;
+};
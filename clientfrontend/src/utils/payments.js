@@ -0,0 +1,29 @@
+const PAYMENT_METHOD_NAMES = {
+  paypal: "PayPal",
+  cod: "Cash on delivery",
+  bank_transfer: "Bank transfer",
+};
+
+// Orders from before the payment providers say "Paypal" or "PayPal"
+export const paymentProvider = (paymentMethod) => {
+  return `${paymentMethod || "paypal"}`
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+};
+
+export const paymentMethodName = (paymentMethod) => {
+  return PAYMENT_METHOD_NAMES[paymentProvider(paymentMethod)] || paymentMethod;
+};
+
+const PAYMENT_STATUS_MESSAGES = {
+  pending:
+    "PayPal is reviewing your payment, the order is confirmed once it clears.",
+  failed: "Your payment was declined, please pay again.",
+  reversed: "Your payment was reversed, please contact us about this order.",
+};
+
+// What a payment the provider did not simply complete means for the buyer
+export const paymentStatusMessage = (paymentStatus) => {
+  return PAYMENT_STATUS_MESSAGES[paymentStatus] || null;
+};
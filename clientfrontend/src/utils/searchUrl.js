@@ -0,0 +1,44 @@
+export const FILTER_KEYS = [
+  "minPrice",
+  "maxPrice",
+  "minRating",
+  "inStock",
+  "sort",
+];
+
+// Read the filters from the query string of the current url
+export const parseFilters = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = {};
+  [...FILTER_KEYS, "category"].forEach((key) => {
+    if (params.get(key)) {
+      filters[key] = params.get(key);
+    }
+  });
+  return filters;
+};
+
+// Build a shareable url for a keyword, category, page and filters
+export const buildSearchUrl = (search) => {
+  const { keyword, category, pageNumber } = search;
+  let path = keyword
+    ? `/search/${encodeURIComponent(keyword)}`
+    : category
+      ? `/category/${category}`
+      : "";
+  if (pageNumber && Number(pageNumber) > 1) {
+    path += `/page/${pageNumber}`;
+  }
+
+  const params = new URLSearchParams();
+  if (keyword && category) {
+    params.set("category", category);
+  }
+  FILTER_KEYS.forEach((key) => {
+    if (search[key]) {
+      params.set(key, search[key]);
+    }
+  });
+  const query = params.toString();
+  return `${path || "/"}${query ? `?${query}` : ""}`;
+};
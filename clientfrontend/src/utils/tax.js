@@ -0,0 +1,6 @@
+// "VAT 20% incl.: $3.33" for the tax of an order line
+export const taxLabel = (item) => {
+  return `${item.taxName} ${item.taxRate}%${
+    item.taxInclusive ? " incl." : ""
+  }: $${item.taxAmount.toFixed(2)}`;
+};
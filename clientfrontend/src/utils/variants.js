@@ -0,0 +1,26 @@
+// "Size: 42, Color: Red" for the options of a variant or cart item
+export const variantLabel = (options) => {
+  return (options || [])
+    .map((option) => `${option.name}: ${option.value}`)
+    .join(", ");
+};
+
+// The variant matching every selected option value, if there is one
+export const findVariant = (product, selected) => {
+  return (product.variants || []).find((variant) =>
+    variant.options.every((option) => selected[option.name] === option.value)
+  );
+};
+
+// Whether a value can still be bought together with the other selections
+export const isValueAvailable = (product, selected, name, value) => {
+  return (product.variants || []).some(
+    (variant) =>
+      variant.countInStock > 0 &&
+      variant.options.every((option) =>
+        option.name === name
+          ? option.value === value
+          : !selected[option.name] || selected[option.name] === option.value
+      )
+  );
+};
@@ -6,6 +6,11 @@ import { BrowserRouter as Router, Switch, Route } from "react-router-dom";
 import HomeScreen from "./screens/HomeScreen";
 import ProductScreen from "./screens/productScreen";
 import CategoriesScreen from "./screens/CategoriesScreen";
+import TaxesScreen from "./screens/TaxesScreen";
+import ShippingScreen from "./screens/ShippingScreen";
+import PaymentsScreen from "./screens/PaymentsScreen";
+import TransactionScreen from "./screens/TransactionScreen";
+import PromotionsScreen from "./screens/PromotionsScreen";
 import OrderScreen from "./screens/OrderScreen";
 import OrderDetailScreen from "./screens/OrderDetailScreen";
 import AddProduct from "./screens/AddProduct";
@@ -38,6 +43,11 @@ function App() {
           <PrivateRouter path="/" component={HomeScreen} exact />
           <PrivateRouter path="/products" component={ProductScreen} />
           <PrivateRouter path="/category" component={CategoriesScreen} />
+          <PrivateRouter path="/taxes" component={TaxesScreen} />
+          <PrivateRouter path="/shipping" component={ShippingScreen} />
+          <PrivateRouter path="/payments" component={PaymentsScreen} />
+          <PrivateRouter path="/transaction" component={TransactionScreen} />
+          <PrivateRouter path="/promotions" component={PromotionsScreen} />
           <PrivateRouter path="/orders" component={OrderScreen} />
           <PrivateRouter path="/order/:id" component={OrderDetailScreen} />
           <PrivateRouter path="/addproduct" component={AddProduct} />
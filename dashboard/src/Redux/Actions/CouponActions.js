@@ -0,0 +1,154 @@
+import {
+  COUPON_CREATE_FAIL,
+  COUPON_CREATE_REQUEST,
+  COUPON_CREATE_SUCCESS,
+  COUPON_DELETE_FAIL,
+  COUPON_DELETE_REQUEST,
+  COUPON_DELETE_SUCCESS,
+  COUPON_LIST_FAIL,
+  COUPON_LIST_REQUEST,
+  COUPON_LIST_SUCCESS,
+  COUPON_UPDATE_FAIL,
+  COUPON_UPDATE_REQUEST,
+  COUPON_UPDATE_SUCCESS,
+} from "../Constants/CouponConstants";
+import axios from "axios";
+import { logout } from "./userActions";
+
+// ALL COUPONS
+export const listCoupons = () => async (dispatch, getState) => {
+  try {
+    dispatch({ type: COUPON_LIST_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.get(`/api/coupons`, config);
+
+    dispatch({ type: COUPON_LIST_SUCCESS, payload: data });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: COUPON_LIST_FAIL,
+      payload: message,
+    });
+  }
+};
+
+// CREATE COUPON
+export const createCoupon = (coupon) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: COUPON_CREATE_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.post(`/api/coupons`, coupon, config);
+
+    dispatch({ type: COUPON_CREATE_SUCCESS, payload: data });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: COUPON_CREATE_FAIL,
+      payload: message,
+    });
+  }
+};
+
+// UPDATE COUPON
+export const updateCoupon = (coupon) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: COUPON_UPDATE_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.put(
+      `/api/coupons/${coupon._id}`,
+      coupon,
+      config
+    );
+
+    dispatch({ type: COUPON_UPDATE_SUCCESS, payload: data });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: COUPON_UPDATE_FAIL,
+      payload: message,
+    });
+  }
+};
+
+// DELETE COUPON
+export const deleteCoupon = (id) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: COUPON_DELETE_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    await axios.delete(`/api/coupons/${id}`, config);
+
+    dispatch({ type: COUPON_DELETE_SUCCESS });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: COUPON_DELETE_FAIL,
+      payload: message,
+    });
+  }
+};
@@ -8,6 +8,12 @@ import {
   ORDER_LIST_FAIL,
   ORDER_LIST_REQUEST,
   ORDER_LIST_SUCCESS,
+  ORDER_PAY_FAIL,
+  ORDER_PAY_REQUEST,
+  ORDER_PAY_SUCCESS,
+  ORDER_REFUND_FAIL,
+  ORDER_REFUND_REQUEST,
+  ORDER_REFUND_SUCCESS,
 } from "../Constants/OrderConstants";
 import { logout } from "./userActions";
 import axios from "axios";
@@ -111,3 +117,79 @@ export const deliverOrder = (order) => async (dispatch, getState) => {
     });
   }
 };
+
+// ORDER PAID
+// Records a cash on delivery or bank transfer payment that arrived
+export const payOrder = (order, reference) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: ORDER_PAY_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.put(
+      `/api/orders/${order._id}/pay`,
+      { reference },
+      config
+    );
+    dispatch({ type: ORDER_PAY_SUCCESS, payload: data });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: ORDER_PAY_FAIL,
+      payload: message,
+    });
+  }
+};
+
+// ORDER REFUND
+// refund has the { item, qty } lines, amount, reason and restock
+export const refundOrder = (order, refund) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: ORDER_REFUND_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.post(
+      `/api/orders/${order._id}/refunds`,
+      refund,
+      config
+    );
+    dispatch({ type: ORDER_REFUND_SUCCESS, payload: data });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: ORDER_REFUND_FAIL,
+      payload: message,
+    });
+  }
+};
@@ -0,0 +1,164 @@
+import {
+  PAYMENT_EVENT_LIST_FAIL,
+  PAYMENT_EVENT_LIST_REQUEST,
+  PAYMENT_EVENT_LIST_SUCCESS,
+  PAYMENT_EVENT_REPLAY_FAIL,
+  PAYMENT_EVENT_REPLAY_REQUEST,
+  PAYMENT_EVENT_REPLAY_SUCCESS,
+  PAYMENT_METHOD_LIST_FAIL,
+  PAYMENT_METHOD_LIST_REQUEST,
+  PAYMENT_METHOD_LIST_SUCCESS,
+  PAYMENT_METHOD_UPDATE_FAIL,
+  PAYMENT_METHOD_UPDATE_REQUEST,
+  PAYMENT_METHOD_UPDATE_SUCCESS,
+} from "../Constants/PaymentConstants";
+import axios from "axios";
+import { logout } from "./userActions";
+
+// ALL PAYMENT METHODS
+export const listPaymentMethods = () => async (dispatch, getState) => {
+  try {
+    dispatch({ type: PAYMENT_METHOD_LIST_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.get(`/api/payments`, config);
+
+    dispatch({ type: PAYMENT_METHOD_LIST_SUCCESS, payload: data });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: PAYMENT_METHOD_LIST_FAIL,
+      payload: message,
+    });
+  }
+};
+
+// UPDATE PAYMENT METHOD
+// The server answers with every method, so the list is updated too
+export const updatePaymentMethod =
+  (provider, method) => async (dispatch, getState) => {
+    try {
+      dispatch({ type: PAYMENT_METHOD_UPDATE_REQUEST, payload: provider });
+
+      const {
+        userLogin: { userInfo },
+      } = getState();
+
+      const config = {
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${userInfo.token}`,
+        },
+      };
+
+      const { data } = await axios.put(
+        `/api/payments/${provider}`,
+        method,
+        config
+      );
+
+      dispatch({ type: PAYMENT_METHOD_UPDATE_SUCCESS });
+      dispatch({ type: PAYMENT_METHOD_LIST_SUCCESS, payload: data });
+    } catch (error) {
+      const message =
+        error.response && error.response.data.message
+          ? error.response.data.message
+          : error.message;
+      if (message === "Not authorized, token failed") {
+        dispatch(logout());
+      }
+      dispatch({
+        type: PAYMENT_METHOD_UPDATE_FAIL,
+        payload: message,
+      });
+    }
+  };
+
+// PAYMENT PROVIDER NOTIFICATIONS
+export const listPaymentEvents =
+  (status = "", pageNumber = 1) =>
+  async (dispatch, getState) => {
+    try {
+      dispatch({ type: PAYMENT_EVENT_LIST_REQUEST });
+
+      const {
+        userLogin: { userInfo },
+      } = getState();
+
+      const config = {
+        headers: {
+          Authorization: `Bearer ${userInfo.token}`,
+        },
+        params: { status: status || undefined, pageNumber },
+      };
+
+      const { data } = await axios.get(`/api/payments/events`, config);
+
+      dispatch({ type: PAYMENT_EVENT_LIST_SUCCESS, payload: data });
+    } catch (error) {
+      const message =
+        error.response && error.response.data.message
+          ? error.response.data.message
+          : error.message;
+      if (message === "Not authorized, token failed") {
+        dispatch(logout());
+      }
+      dispatch({
+        type: PAYMENT_EVENT_LIST_FAIL,
+        payload: message,
+      });
+    }
+  };
+
+// REPLAY NOTIFICATION
+// The event ran again, it failed again when its error is set
+export const replayPaymentEvent = (id) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: PAYMENT_EVENT_REPLAY_REQUEST, payload: id });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.post(
+      `/api/payments/events/${id}/replay`,
+      {},
+      config
+    );
+
+    dispatch({ type: PAYMENT_EVENT_REPLAY_SUCCESS, payload: data });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: PAYMENT_EVENT_REPLAY_FAIL,
+      payload: message,
+    });
+  }
+};
@@ -0,0 +1,154 @@
+import {
+  SHIPPING_METHOD_CREATE_FAIL,
+  SHIPPING_METHOD_CREATE_REQUEST,
+  SHIPPING_METHOD_CREATE_SUCCESS,
+  SHIPPING_METHOD_DELETE_FAIL,
+  SHIPPING_METHOD_DELETE_REQUEST,
+  SHIPPING_METHOD_DELETE_SUCCESS,
+  SHIPPING_METHOD_LIST_FAIL,
+  SHIPPING_METHOD_LIST_REQUEST,
+  SHIPPING_METHOD_LIST_SUCCESS,
+  SHIPPING_METHOD_UPDATE_FAIL,
+  SHIPPING_METHOD_UPDATE_REQUEST,
+  SHIPPING_METHOD_UPDATE_SUCCESS,
+} from "../Constants/ShippingConstants";
+import axios from "axios";
+import { logout } from "./userActions";
+
+// ALL SHIPPING METHODS
+export const listShippingMethods = () => async (dispatch, getState) => {
+  try {
+    dispatch({ type: SHIPPING_METHOD_LIST_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.get(`/api/shipping`, config);
+
+    dispatch({ type: SHIPPING_METHOD_LIST_SUCCESS, payload: data });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: SHIPPING_METHOD_LIST_FAIL,
+      payload: message,
+    });
+  }
+};
+
+// CREATE SHIPPING METHOD
+export const createShippingMethod = (method) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: SHIPPING_METHOD_CREATE_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.post(`/api/shipping`, method, config);
+
+    dispatch({ type: SHIPPING_METHOD_CREATE_SUCCESS, payload: data });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: SHIPPING_METHOD_CREATE_FAIL,
+      payload: message,
+    });
+  }
+};
+
+// UPDATE SHIPPING METHOD
+export const updateShippingMethod = (method) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: SHIPPING_METHOD_UPDATE_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.put(
+      `/api/shipping/${method._id}`,
+      method,
+      config
+    );
+
+    dispatch({ type: SHIPPING_METHOD_UPDATE_SUCCESS, payload: data });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: SHIPPING_METHOD_UPDATE_FAIL,
+      payload: message,
+    });
+  }
+};
+
+// DELETE SHIPPING METHOD
+export const deleteShippingMethod = (id) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: SHIPPING_METHOD_DELETE_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    await axios.delete(`/api/shipping/${id}`, config);
+
+    dispatch({ type: SHIPPING_METHOD_DELETE_SUCCESS });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: SHIPPING_METHOD_DELETE_FAIL,
+      payload: message,
+    });
+  }
+};
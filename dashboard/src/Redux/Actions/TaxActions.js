@@ -0,0 +1,150 @@
+import {
+  TAX_RULE_CREATE_FAIL,
+  TAX_RULE_CREATE_REQUEST,
+  TAX_RULE_CREATE_SUCCESS,
+  TAX_RULE_DELETE_FAIL,
+  TAX_RULE_DELETE_REQUEST,
+  TAX_RULE_DELETE_SUCCESS,
+  TAX_RULE_LIST_FAIL,
+  TAX_RULE_LIST_REQUEST,
+  TAX_RULE_LIST_SUCCESS,
+  TAX_RULE_UPDATE_FAIL,
+  TAX_RULE_UPDATE_REQUEST,
+  TAX_RULE_UPDATE_SUCCESS,
+} from "../Constants/TaxConstants";
+import axios from "axios";
+import { logout } from "./userActions";
+
+// ALL TAX RULES
+export const listTaxRules = () => async (dispatch, getState) => {
+  try {
+    dispatch({ type: TAX_RULE_LIST_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.get(`/api/taxes`, config);
+
+    dispatch({ type: TAX_RULE_LIST_SUCCESS, payload: data });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: TAX_RULE_LIST_FAIL,
+      payload: message,
+    });
+  }
+};
+
+// CREATE TAX RULE
+export const createTaxRule = (rule) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: TAX_RULE_CREATE_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.post(`/api/taxes`, rule, config);
+
+    dispatch({ type: TAX_RULE_CREATE_SUCCESS, payload: data });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: TAX_RULE_CREATE_FAIL,
+      payload: message,
+    });
+  }
+};
+
+// UPDATE TAX RULE
+export const updateTaxRule = (rule) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: TAX_RULE_UPDATE_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const { data } = await axios.put(`/api/taxes/${rule._id}`, rule, config);
+
+    dispatch({ type: TAX_RULE_UPDATE_SUCCESS, payload: data });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: TAX_RULE_UPDATE_FAIL,
+      payload: message,
+    });
+  }
+};
+
+// DELETE TAX RULE
+export const deleteTaxRule = (id) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: TAX_RULE_DELETE_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    await axios.delete(`/api/taxes/${id}`, config);
+
+    dispatch({ type: TAX_RULE_DELETE_SUCCESS });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: TAX_RULE_DELETE_FAIL,
+      payload: message,
+    });
+  }
+};
@@ -0,0 +1,126 @@
+import {
+  TRANSACTION_CREATE_FAIL,
+  TRANSACTION_CREATE_REQUEST,
+  TRANSACTION_CREATE_SUCCESS,
+  TRANSACTION_LIST_FAIL,
+  TRANSACTION_LIST_REQUEST,
+  TRANSACTION_LIST_SUCCESS,
+} from "../Constants/TransactionConstants";
+import axios from "axios";
+import { logout } from "./userActions";
+
+// Only the filters that are set go to the server
+const filterParams = (filters) => {
+  const params = {};
+  Object.keys(filters).forEach((key) => {
+    if (filters[key] !== "") {
+      params[key] = filters[key];
+    }
+  });
+  return params;
+};
+
+// ALL TRANSACTIONS
+// filters are type, provider, status, from, to, minAmount and maxAmount
+export const listTransactions =
+  (filters = {}, pageNumber = 1) =>
+  async (dispatch, getState) => {
+    try {
+      dispatch({ type: TRANSACTION_LIST_REQUEST });
+
+      const {
+        userLogin: { userInfo },
+      } = getState();
+
+      const config = {
+        headers: {
+          Authorization: `Bearer ${userInfo.token}`,
+        },
+        params: { ...filterParams(filters), pageNumber },
+      };
+
+      const { data } = await axios.get(`/api/transactions`, config);
+
+      dispatch({ type: TRANSACTION_LIST_SUCCESS, payload: data });
+    } catch (error) {
+      const message =
+        error.response && error.response.data.message
+          ? error.response.data.message
+          : error.message;
+      if (message === "Not authorized, token failed") {
+        dispatch(logout());
+      }
+      dispatch({
+        type: TRANSACTION_LIST_FAIL,
+        payload: message,
+      });
+    }
+  };
+
+// EXPORT TRANSACTIONS
+// Downloads the CSV of the filtered transactions, throws when it fails
+export const exportTransactions =
+  (filters = {}) =>
+  async (dispatch, getState) => {
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+      params: filterParams(filters),
+      responseType: "blob",
+    };
+
+    const { data } = await axios.get(`/api/transactions/export`, config);
+
+    const url = window.URL.createObjectURL(data);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `transactions-${new Date().toISOString().slice(0, 10)}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+// ADD PAYOUT OR FEE
+export const createTransaction =
+  (transaction) => async (dispatch, getState) => {
+    try {
+      dispatch({ type: TRANSACTION_CREATE_REQUEST });
+
+      const {
+        userLogin: { userInfo },
+      } = getState();
+
+      const config = {
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${userInfo.token}`,
+        },
+      };
+
+      const { data } = await axios.post(
+        `/api/transactions`,
+        transaction,
+        config
+      );
+
+      dispatch({ type: TRANSACTION_CREATE_SUCCESS, payload: data });
+    } catch (error) {
+      const message =
+        error.response && error.response.data.message
+          ? error.response.data.message
+          : error.message;
+      if (message === "Not authorized, token failed") {
+        dispatch(logout());
+      }
+      dispatch({
+        type: TRANSACTION_CREATE_FAIL,
+        payload: message,
+      });
+    }
+  };
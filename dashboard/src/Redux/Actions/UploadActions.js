@@ -0,0 +1,43 @@
+import {
+  IMAGE_UPLOAD_FAIL,
+  IMAGE_UPLOAD_REQUEST,
+  IMAGE_UPLOAD_SUCCESS,
+} from "../Constants/UploadConstants";
+import axios from "axios";
+import { logout } from "./userActions";
+
+// UPLOAD IMAGES
+export const uploadImages = (files) => async (dispatch, getState) => {
+  try {
+    dispatch({ type: IMAGE_UPLOAD_REQUEST });
+
+    const {
+      userLogin: { userInfo },
+    } = getState();
+
+    const config = {
+      headers: {
+        "Content-Type": "multipart/form-data",
+        Authorization: `Bearer ${userInfo.token}`,
+      },
+    };
+
+    const formData = new FormData();
+    [...files].forEach((file) => formData.append("images", file));
+    const { data } = await axios.post(`/api/upload`, formData, config);
+
+    dispatch({ type: IMAGE_UPLOAD_SUCCESS, payload: data });
+  } catch (error) {
+    const message =
+      error.response && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+    if (message === "Not authorized, token failed") {
+      dispatch(logout());
+    }
+    dispatch({
+      type: IMAGE_UPLOAD_FAIL,
+      payload: message,
+    });
+  }
+};
@@ -10,3 +10,13 @@ export const ORDER_DELIVERED_REQUEST = "ORDER_DELIVERED_REQUEST";
 export const ORDER_DELIVERED_SUCCESS = "ORDER_DELIVERED_SUCCESS";
 export const ORDER_DELIVERED_FAIL = "ORDER_DELIVERED_FAIL";
 export const ORDER_DELIVERED_RESET = "ORDER_DELIVERED_RESET";
+
+export const ORDER_PAY_REQUEST = "ORDER_PAY_REQUEST";
+export const ORDER_PAY_SUCCESS = "ORDER_PAY_SUCCESS";
+export const ORDER_PAY_FAIL = "ORDER_PAY_FAIL";
+export const ORDER_PAY_RESET = "ORDER_PAY_RESET";
+
+export const ORDER_REFUND_REQUEST = "ORDER_REFUND_REQUEST";
+export const ORDER_REFUND_SUCCESS = "ORDER_REFUND_SUCCESS";
+export const ORDER_REFUND_FAIL = "ORDER_REFUND_FAIL";
+export const ORDER_REFUND_RESET = "ORDER_REFUND_RESET";
@@ -0,0 +1,17 @@
+export const PAYMENT_METHOD_LIST_REQUEST = "PAYMENT_METHOD_LIST_REQUEST";
+export const PAYMENT_METHOD_LIST_SUCCESS = "PAYMENT_METHOD_LIST_SUCCESS";
+export const PAYMENT_METHOD_LIST_FAIL = "PAYMENT_METHOD_LIST_FAIL";
+
+export const PAYMENT_METHOD_UPDATE_REQUEST = "PAYMENT_METHOD_UPDATE_REQUEST";
+export const PAYMENT_METHOD_UPDATE_SUCCESS = "PAYMENT_METHOD_UPDATE_SUCCESS";
+export const PAYMENT_METHOD_UPDATE_FAIL = "PAYMENT_METHOD_UPDATE_FAIL";
+export const PAYMENT_METHOD_UPDATE_RESET = "PAYMENT_METHOD_UPDATE_RESET";
+
+export const PAYMENT_EVENT_LIST_REQUEST = "PAYMENT_EVENT_LIST_REQUEST";
+export const PAYMENT_EVENT_LIST_SUCCESS = "PAYMENT_EVENT_LIST_SUCCESS";
+export const PAYMENT_EVENT_LIST_FAIL = "PAYMENT_EVENT_LIST_FAIL";
+
+export const PAYMENT_EVENT_REPLAY_REQUEST = "PAYMENT_EVENT_REPLAY_REQUEST";
+export const PAYMENT_EVENT_REPLAY_SUCCESS = "PAYMENT_EVENT_REPLAY_SUCCESS";
+export const PAYMENT_EVENT_REPLAY_FAIL = "PAYMENT_EVENT_REPLAY_FAIL";
+export const PAYMENT_EVENT_REPLAY_RESET = "PAYMENT_EVENT_REPLAY_RESET";
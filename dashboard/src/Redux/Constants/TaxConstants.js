@@ -0,0 +1,17 @@
+export const TAX_RULE_LIST_REQUEST = "TAX_RULE_LIST_REQUEST";
+export const TAX_RULE_LIST_SUCCESS = "TAX_RULE_LIST_SUCCESS";
+export const TAX_RULE_LIST_FAIL = "TAX_RULE_LIST_FAIL";
+
+export const TAX_RULE_CREATE_REQUEST = "TAX_RULE_CREATE_REQUEST";
+export const TAX_RULE_CREATE_SUCCESS = "TAX_RULE_CREATE_SUCCESS";
+export const TAX_RULE_CREATE_FAIL = "TAX_RULE_CREATE_FAIL";
+export const TAX_RULE_CREATE_RESET = "TAX_RULE_CREATE_RESET";
+
+export const TAX_RULE_UPDATE_REQUEST = "TAX_RULE_UPDATE_REQUEST";
+export const TAX_RULE_UPDATE_SUCCESS = "TAX_RULE_UPDATE_SUCCESS";
+export const TAX_RULE_UPDATE_FAIL = "TAX_RULE_UPDATE_FAIL";
+export const TAX_RULE_UPDATE_RESET = "TAX_RULE_UPDATE_RESET";
+
+export const TAX_RULE_DELETE_REQUEST = "TAX_RULE_DELETE_REQUEST";
+export const TAX_RULE_DELETE_SUCCESS = "TAX_RULE_DELETE_SUCCESS";
+export const TAX_RULE_DELETE_FAIL = "TAX_RULE_DELETE_FAIL";
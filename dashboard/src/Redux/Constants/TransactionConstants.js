@@ -0,0 +1,8 @@
+export const TRANSACTION_LIST_REQUEST = "TRANSACTION_LIST_REQUEST";
+export const TRANSACTION_LIST_SUCCESS = "TRANSACTION_LIST_SUCCESS";
+export const TRANSACTION_LIST_FAIL = "TRANSACTION_LIST_FAIL";
+
+export const TRANSACTION_CREATE_REQUEST = "TRANSACTION_CREATE_REQUEST";
+export const TRANSACTION_CREATE_SUCCESS = "TRANSACTION_CREATE_SUCCESS";
+export const TRANSACTION_CREATE_FAIL = "TRANSACTION_CREATE_FAIL";
+export const TRANSACTION_CREATE_RESET = "TRANSACTION_CREATE_RESET";
@@ -9,6 +9,14 @@ import {
   ORDER_LIST_FAIL,
   ORDER_LIST_REQUEST,
   ORDER_LIST_SUCCESS,
+  ORDER_PAY_FAIL,
+  ORDER_PAY_REQUEST,
+  ORDER_PAY_RESET,
+  ORDER_PAY_SUCCESS,
+  ORDER_REFUND_FAIL,
+  ORDER_REFUND_REQUEST,
+  ORDER_REFUND_RESET,
+  ORDER_REFUND_SUCCESS,
 } from "../Constants/OrderConstants";
 
 export const orderListReducer = (state = { orders: [] }, action) => {
@@ -56,3 +64,35 @@ export const orderDeliveredReducer = (state = {}, action) => {
       return state;
   }
 };
+
+// ORDER PAID
+export const orderPayReducer = (state = {}, action) => {
+  switch (action.type) {
+    case ORDER_PAY_REQUEST:
+      return { loading: true };
+    case ORDER_PAY_SUCCESS:
+      return { loading: false, success: true };
+    case ORDER_PAY_FAIL:
+      return { loading: false, error: action.payload };
+    case ORDER_PAY_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+// ORDER REFUND
+export const orderRefundReducer = (state = {}, action) => {
+  switch (action.type) {
+    case ORDER_REFUND_REQUEST:
+      return { loading: true };
+    case ORDER_REFUND_SUCCESS:
+      return { loading: false, success: true };
+    case ORDER_REFUND_FAIL:
+      return { loading: false, error: action.payload };
+    case ORDER_REFUND_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
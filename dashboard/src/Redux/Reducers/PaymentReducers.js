@@ -0,0 +1,81 @@
+import {
+  PAYMENT_EVENT_LIST_FAIL,
+  PAYMENT_EVENT_LIST_REQUEST,
+  PAYMENT_EVENT_LIST_SUCCESS,
+  PAYMENT_EVENT_REPLAY_FAIL,
+  PAYMENT_EVENT_REPLAY_REQUEST,
+  PAYMENT_EVENT_REPLAY_RESET,
+  PAYMENT_EVENT_REPLAY_SUCCESS,
+  PAYMENT_METHOD_LIST_FAIL,
+  PAYMENT_METHOD_LIST_REQUEST,
+  PAYMENT_METHOD_LIST_SUCCESS,
+  PAYMENT_METHOD_UPDATE_FAIL,
+  PAYMENT_METHOD_UPDATE_REQUEST,
+  PAYMENT_METHOD_UPDATE_RESET,
+  PAYMENT_METHOD_UPDATE_SUCCESS,
+} from "../Constants/PaymentConstants";
+
+// ALL PAYMENT METHODS
+export const paymentMethodListReducer = (state = { methods: [] }, action) => {
+  switch (action.type) {
+    case PAYMENT_METHOD_LIST_REQUEST:
+      return { ...state, loading: true };
+    case PAYMENT_METHOD_LIST_SUCCESS:
+      return { loading: false, methods: action.payload };
+    case PAYMENT_METHOD_LIST_FAIL:
+      return { loading: false, methods: [], error: action.payload };
+    default:
+      return state;
+  }
+};
+
+// UPDATE PAYMENT METHOD
+export const paymentMethodUpdateReducer = (state = {}, action) => {
+  switch (action.type) {
+    case PAYMENT_METHOD_UPDATE_REQUEST:
+      return { loading: true, provider: action.payload };
+    case PAYMENT_METHOD_UPDATE_SUCCESS:
+      return { loading: false, success: true };
+    case PAYMENT_METHOD_UPDATE_FAIL:
+      return { loading: false, error: action.payload };
+    case PAYMENT_METHOD_UPDATE_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+// PAYMENT PROVIDER NOTIFICATIONS
+export const paymentEventListReducer = (state = { events: [] }, action) => {
+  switch (action.type) {
+    case PAYMENT_EVENT_LIST_REQUEST:
+      return { ...state, loading: true };
+    case PAYMENT_EVENT_LIST_SUCCESS:
+      return {
+        loading: false,
+        events: action.payload.events,
+        page: action.payload.page,
+        pages: action.payload.pages,
+      };
+    case PAYMENT_EVENT_LIST_FAIL:
+      return { loading: false, events: [], error: action.payload };
+    default:
+      return state;
+  }
+};
+
+// REPLAY NOTIFICATION
+export const paymentEventReplayReducer = (state = {}, action) => {
+  switch (action.type) {
+    case PAYMENT_EVENT_REPLAY_REQUEST:
+      return { loading: true, id: action.payload };
+    case PAYMENT_EVENT_REPLAY_SUCCESS:
+      return { loading: false, success: true, event: action.payload };
+    case PAYMENT_EVENT_REPLAY_FAIL:
+      return { loading: false, error: action.payload };
+    case PAYMENT_EVENT_REPLAY_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,76 @@
+import {
+  SHIPPING_METHOD_CREATE_FAIL,
+  SHIPPING_METHOD_CREATE_REQUEST,
+  SHIPPING_METHOD_CREATE_RESET,
+  SHIPPING_METHOD_CREATE_SUCCESS,
+  SHIPPING_METHOD_DELETE_FAIL,
+  SHIPPING_METHOD_DELETE_REQUEST,
+  SHIPPING_METHOD_DELETE_SUCCESS,
+  SHIPPING_METHOD_LIST_FAIL,
+  SHIPPING_METHOD_LIST_REQUEST,
+  SHIPPING_METHOD_LIST_SUCCESS,
+  SHIPPING_METHOD_UPDATE_FAIL,
+  SHIPPING_METHOD_UPDATE_REQUEST,
+  SHIPPING_METHOD_UPDATE_RESET,
+  SHIPPING_METHOD_UPDATE_SUCCESS,
+} from "../Constants/ShippingConstants";
+
+// ALL SHIPPING METHODS
+export const shippingMethodListReducer = (state = { methods: [] }, action) => {
+  switch (action.type) {
+    case SHIPPING_METHOD_LIST_REQUEST:
+      return { ...state, loading: true };
+    case SHIPPING_METHOD_LIST_SUCCESS:
+      return { loading: false, methods: action.payload };
+    case SHIPPING_METHOD_LIST_FAIL:
+      return { loading: false, methods: [], error: action.payload };
+    default:
+      return state;
+  }
+};
+
+// CREATE SHIPPING METHOD
+export const shippingMethodCreateReducer = (state = {}, action) => {
+  switch (action.type) {
+    case SHIPPING_METHOD_CREATE_REQUEST:
+      return { loading: true };
+    case SHIPPING_METHOD_CREATE_SUCCESS:
+      return { loading: false, success: true, method: action.payload };
+    case SHIPPING_METHOD_CREATE_FAIL:
+      return { loading: false, error: action.payload };
+    case SHIPPING_METHOD_CREATE_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+// UPDATE SHIPPING METHOD
+export const shippingMethodUpdateReducer = (state = {}, action) => {
+  switch (action.type) {
+    case SHIPPING_METHOD_UPDATE_REQUEST:
+      return { loading: true };
+    case SHIPPING_METHOD_UPDATE_SUCCESS:
+      return { loading: false, success: true, method: action.payload };
+    case SHIPPING_METHOD_UPDATE_FAIL:
+      return { loading: false, error: action.payload };
+    case SHIPPING_METHOD_UPDATE_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+// DELETE SHIPPING METHOD
+export const shippingMethodDeleteReducer = (state = {}, action) => {
+  switch (action.type) {
+    case SHIPPING_METHOD_DELETE_REQUEST:
+      return { loading: true };
+    case SHIPPING_METHOD_DELETE_SUCCESS:
+      return { loading: false, success: true };
+    case SHIPPING_METHOD_DELETE_FAIL:
+      return { loading: false, error: action.payload };
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,76 @@
+import {
+  TAX_RULE_CREATE_FAIL,
+  TAX_RULE_CREATE_REQUEST,
+  TAX_RULE_CREATE_RESET,
+  TAX_RULE_CREATE_SUCCESS,
+  TAX_RULE_DELETE_FAIL,
+  TAX_RULE_DELETE_REQUEST,
+  TAX_RULE_DELETE_SUCCESS,
+  TAX_RULE_LIST_FAIL,
+  TAX_RULE_LIST_REQUEST,
+  TAX_RULE_LIST_SUCCESS,
+  TAX_RULE_UPDATE_FAIL,
+  TAX_RULE_UPDATE_REQUEST,
+  TAX_RULE_UPDATE_RESET,
+  TAX_RULE_UPDATE_SUCCESS,
+} from "../Constants/TaxConstants";
+
+// ALL TAX RULES
+export const taxRuleListReducer = (state = { rules: [] }, action) => {
+  switch (action.type) {
+    case TAX_RULE_LIST_REQUEST:
+      return { ...state, loading: true };
+    case TAX_RULE_LIST_SUCCESS:
+      return { loading: false, rules: action.payload };
+    case TAX_RULE_LIST_FAIL:
+      return { loading: false, rules: [], error: action.payload };
+    default:
+      return state;
+  }
+};
+
+// CREATE TAX RULE
+export const taxRuleCreateReducer = (state = {}, action) => {
+  switch (action.type) {
+    case TAX_RULE_CREATE_REQUEST:
+      return { loading: true };
+    case TAX_RULE_CREATE_SUCCESS:
+      return { loading: false, success: true, rule: action.payload };
+    case TAX_RULE_CREATE_FAIL:
+      return { loading: false, error: action.payload };
+    case TAX_RULE_CREATE_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+// UPDATE TAX RULE
+export const taxRuleUpdateReducer = (state = {}, action) => {
+  switch (action.type) {
+    case TAX_RULE_UPDATE_REQUEST:
+      return { loading: true };
+    case TAX_RULE_UPDATE_SUCCESS:
+      return { loading: false, success: true, rule: action.payload };
+    case TAX_RULE_UPDATE_FAIL:
+      return { loading: false, error: action.payload };
+    case TAX_RULE_UPDATE_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
+
+// DELETE TAX RULE
+export const taxRuleDeleteReducer = (state = {}, action) => {
+  switch (action.type) {
+    case TAX_RULE_DELETE_REQUEST:
+      return { loading: true };
+    case TAX_RULE_DELETE_SUCCESS:
+      return { loading: false, success: true };
+    case TAX_RULE_DELETE_FAIL:
+      return { loading: false, error: action.payload };
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,48 @@
+import {
+  TRANSACTION_CREATE_FAIL,
+  TRANSACTION_CREATE_REQUEST,
+  TRANSACTION_CREATE_RESET,
+  TRANSACTION_CREATE_SUCCESS,
+  TRANSACTION_LIST_FAIL,
+  TRANSACTION_LIST_REQUEST,
+  TRANSACTION_LIST_SUCCESS,
+} from "../Constants/TransactionConstants";
+
+// TRANSACTIONS
+export const transactionListReducer = (
+  state = { transactions: [] },
+  action
+) => {
+  switch (action.type) {
+    case TRANSACTION_LIST_REQUEST:
+      return { ...state, loading: true };
+    case TRANSACTION_LIST_SUCCESS:
+      return {
+        loading: false,
+        transactions: action.payload.transactions,
+        page: action.payload.page,
+        pages: action.payload.pages,
+        totals: action.payload.totals,
+      };
+    case TRANSACTION_LIST_FAIL:
+      return { loading: false, transactions: [], error: action.payload };
+    default:
+      return state;
+  }
+};
+
+// ADD PAYOUT OR FEE
+export const transactionCreateReducer = (state = {}, action) => {
+  switch (action.type) {
+    case TRANSACTION_CREATE_REQUEST:
+      return { loading: true };
+    case TRANSACTION_CREATE_SUCCESS:
+      return { loading: false, success: true, transaction: action.payload };
+    case TRANSACTION_CREATE_FAIL:
+      return { loading: false, error: action.payload };
+    case TRANSACTION_CREATE_RESET:
+      return {};
+    default:
+      return state;
+  }
+};
@@ -13,7 +13,50 @@ import {
   orderDeliveredReducer,
   orderDetailsReducer,
   orderListReducer,
+  orderPayReducer,
+  orderRefundReducer,
 } from "./Reducers/OrderReducres";
+import {
+  categoryCreateReducer,
+  categoryDeleteReducer,
+  categoryListReducer,
+  categoryUpdateReducer,
+} from "./Reducers/CategoryReducers";
+import { imageUploadReducer } from "./Reducers/UploadReducers";
+import {
+  taxRuleCreateReducer,
+  taxRuleDeleteReducer,
+  taxRuleListReducer,
+  taxRuleUpdateReducer,
+} from "./Reducers/TaxReducers";
+import {
+  shippingMethodCreateReducer,
+  shippingMethodDeleteReducer,
+  shippingMethodListReducer,
+  shippingMethodUpdateReducer,
+} from "./Reducers/ShippingReducers";
+import {
+  paymentEventListReducer,
+  paymentEventReplayReducer,
+  paymentMethodListReducer,
+  paymentMethodUpdateReducer,
+} from "./Reducers/PaymentReducers";
+import {
+  transactionCreateReducer,
+  transactionListReducer,
+} from "./Reducers/TransactionReducers";
+import {
+  couponCreateReducer,
+  couponDeleteReducer,
+  couponListReducer,
+  couponUpdateReducer,
+} from "./Reducers/CouponReducers";
+import {
+  promotionCreateReducer,
+  promotionDeleteReducer,
+  promotionListReducer,
+  promotionUpdateReducer,
+} from "./Reducers/PromotionReducers";
 
 const reducer = combineReducers({
   userLogin: userLoginReducer,
@@ -26,6 +69,35 @@ const reducer = combineReducers({
   orderList: orderListReducer,
   orderDetails: orderDetailsReducer,
   orderDeliver: orderDeliveredReducer,
+  orderPay: orderPayReducer,
+  orderRefund: orderRefundReducer,
+  categoryList: categoryListReducer,
+  categoryCreate: categoryCreateReducer,
+  categoryUpdate: categoryUpdateReducer,
+  categoryDelete: categoryDeleteReducer,
+  imageUpload: imageUploadReducer,
+  taxRuleList: taxRuleListReducer,
+  taxRuleCreate: taxRuleCreateReducer,
+  taxRuleUpdate: taxRuleUpdateReducer,
+  taxRuleDelete: taxRuleDeleteReducer,
+  shippingMethodList: shippingMethodListReducer,
+  shippingMethodCreate: shippingMethodCreateReducer,
+  shippingMethodUpdate: shippingMethodUpdateReducer,
+  shippingMethodDelete: shippingMethodDeleteReducer,
+  paymentMethodList: paymentMethodListReducer,
+  paymentMethodUpdate: paymentMethodUpdateReducer,
+  paymentEventList: paymentEventListReducer,
+  paymentEventReplay: paymentEventReplayReducer,
+  transactionList: transactionListReducer,
+  transactionCreate: transactionCreateReducer,
+  couponList: couponListReducer,
+  couponCreate: couponCreateReducer,
+  couponUpdate: couponUpdateReducer,
+  couponDelete: couponDeleteReducer,
+  promotionList: promotionListReducer,
+  promotionCreate: promotionCreateReducer,
+  promotionUpdate: promotionUpdateReducer,
+  promotionDelete: promotionDeleteReducer,
 });
 
 // login
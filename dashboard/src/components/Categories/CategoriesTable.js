@@ -1,122 +1,92 @@
 import React from "react";
 import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { deleteCategory } from "../../Redux/Actions/CategoryActions";
+import Loading from "../LoadingError/Loading";
+import Message from "../LoadingError/Error";
 
-const CategoriesTable = () => {
-  return (
-    <div className="col-md-12 col-lg-8">
-      <table className="table">
-        <thead>
-          <tr>
-            <th>
-              <div className="form-check">
-                <input className="form-check-input" type="checkbox" value="" />
-              </div>
-            </th>
-            <th>ID</th>
-            <th>Name</th>
-            <th>Description</th>
-            <th className="text-end">Action</th>
-          </tr>
-        </thead>
-        {/* Table Data */}
-        <tbody>
-          <tr>
-            <td>
-              <div className="form-check">
-                <input className="form-check-input" type="checkbox" value="" />
-              </div>
-            </td>
-            <td>1</td>
-            <td>
-              <b>Men clothes</b>
-            </td>
-            <td>Men clothes</td>
-            <td className="text-end">
-              <div className="dropdown">
-                <Link
-                  to="#"
-                  data-bs-toggle="dropdown"
-                  className="btn btn-light"
-                >
-                  <i className="fas fa-ellipsis-h"></i>
-                </Link>
-                <div className="dropdown-menu">
-                  <Link className="dropdown-item" to="#">
-                    Edit info
-                  </Link>
-                  <Link className="dropdown-item text-danger" to="#">
-                    Delete
-                  </Link>
-                </div>
-              </div>
-            </td>
-          </tr>
-          <tr>
-            <td>
-              <div className="form-check">
-                <input className="form-check-input" type="checkbox" value="" />
-              </div>
-            </td>
-            <td>2</td>
-            <td>
-              <b>Women fashion</b>
-            </td>
-            <td>Fashions for Women</td>
+const CategoriesTable = (props) => {
+  const { setEditCategory } = props;
+  const dispatch = useDispatch();
+
+  const categoryList = useSelector((state) => state.categoryList);
+  const { loading, error, categories } = categoryList;
+  const categoryDelete = useSelector((state) => state.categoryDelete);
+  const { error: errorDelete } = categoryDelete;
 
-            <td className="text-end">
-              <div className="dropdown">
-                <Link
-                  to="#"
-                  data-bs-toggle="dropdown"
-                  className="btn btn-light"
-                >
-                  <i className="fas fa-ellipsis-h"></i>
-                </Link>
-                <div className="dropdown-menu">
-                  <Link className="dropdown-item" to="#">
-                    Edit info
-                  </Link>
-                  <Link className="dropdown-item text-danger" to="#">
-                    Delete
-                  </Link>
-                </div>
-              </div>
-            </td>
-          </tr>
-          <tr>
-            <td>
-              <div className="form-check">
-                <input className="form-check-input" type="checkbox" value="" />
-              </div>
-            </td>
-            <td>3</td>
-            <td>
-              <b>Kids clothes</b>
-            </td>
-            <td>Clothes for kids</td>
+  const deletehandler = (id) => {
+    if (window.confirm("Are you sure??")) {
+      dispatch(deleteCategory(id));
+    }
+  };
 
-            <td className="text-end">
-              <div className="dropdown">
-                <Link
-                  to="#"
-                  data-bs-toggle="dropdown"
-                  className="btn btn-light"
-                >
-                  <i className="fas fa-ellipsis-h"></i>
-                </Link>
-                <div className="dropdown-menu">
-                  <Link className="dropdown-item" to="#">
-                    Edit info
-                  </Link>
-                  <Link className="dropdown-item text-danger" to="#">
-                    Delete
-                  </Link>
-                </div>
-              </div>
-            </td>
-          </tr>
-        </tbody>
-      </table>
+  return (
+    <div className="col-md-12 col-lg-8">
+      {errorDelete && <Message variant="alert-danger">{errorDelete}</Message>}
+      {loading ? (
+        <Loading />
+      ) : error ? (
+        <Message variant="alert-danger">{error}</Message>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Name</th>
+              <th>Parent</th>
+              <th>Description</th>
+              <th className="text-end">Action</th>
+            </tr>
+          </thead>
+          {/* Table Data */}
+          <tbody>
+            {categories.length === 0 && (
+              <tr>
+                <td colSpan="5" className="text-center">
+                  No categories yet
+                </td>
+              </tr>
+            )}
+            {categories.map((category, index) => (
+              <tr key={category._id}>
+                <td>{index + 1}</td>
+                <td>
+                  <b>{category.name}</b>
+                </td>
+                <td>{category.parent ? category.parent.name : "-"}</td>
+                <td>{category.description}</td>
+                <td className="text-end">
+                  <div className="dropdown">
+                    <Link
+                      to="#"
+                      data-bs-toggle="dropdown"
+                      className="btn btn-light"
+                    >
+                      <i className="fas fa-ellipsis-h"></i>
+                    </Link>
+                    <div className="dropdown-menu">
+                      <Link
+                        className="dropdown-item"
+                        to="#"
+                        onClick={() => setEditCategory(category)}
+                      >
+                        Edit info
+                      </Link>
+                      <Link
+                        className="dropdown-item text-danger"
+                        to="#"
+                        onClick={() => deletehandler(category._id)}
+                      >
+                        Delete
+                      </Link>
+                    </div>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
     </div>
   );
 };
@@ -1,23 +1,170 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import {
+  createCategory,
+  updateCategory,
+} from "../../Redux/Actions/CategoryActions";
+import {
+  CATEGORY_CREATE_RESET,
+  CATEGORY_UPDATE_RESET,
+} from "../../Redux/Constants/CategoryConstants";
+import { IMAGE_UPLOAD_RESET } from "../../Redux/Constants/UploadConstants";
+import { uploadImages } from "../../Redux/Actions/UploadActions";
+import Toast from "../LoadingError/Toast";
+import Message from "../LoadingError/Error";
+import Loading from "../LoadingError/Loading";
+
+const ToastObjects = {
+  pauseOnFocusLoss: false,
+  draggable: false,
+  pauseOnHover: false,
+  autoClose: 2000,
+};
+
+const CreateCategory = (props) => {
+  const { editCategory, setEditCategory } = props;
+
+  const [name, setName] = useState("");
+  const [image, setImage] = useState("");
+  const [description, setDescription] = useState("");
+  const [parent, setParent] = useState("");
+
+  const dispatch = useDispatch();
+
+  const categoryList = useSelector((state) => state.categoryList);
+  const { categories } = categoryList;
+  const categoryCreate = useSelector((state) => state.categoryCreate);
+  const {
+    loading: loadingCreate,
+    error: errorCreate,
+    success: successCreate,
+  } = categoryCreate;
+  const imageUpload = useSelector((state) => state.imageUpload);
+  const {
+    loading: loadingUpload,
+    error: errorUpload,
+    images: uploaded,
+  } = imageUpload;
+  const categoryUpdate = useSelector((state) => state.categoryUpdate);
+  const {
+    loading: loadingUpdate,
+    error: errorUpdate,
+    success: successUpdate,
+  } = categoryUpdate;
+
+  const resetForm = () => {
+    setName("");
+    setImage("");
+    setDescription("");
+    setParent("");
+  };
+
+  useEffect(() => {
+    if (editCategory) {
+      setName(editCategory.name);
+      setImage(editCategory.image || "");
+      setDescription(editCategory.description || "");
+      setParent(editCategory.parent ? editCategory.parent._id : "");
+    } else {
+      resetForm();
+    }
+  }, [editCategory]);
+
+  useEffect(() => {
+    if (uploaded) {
+      setImage(uploaded[0].thumbnails.large || uploaded[0].url);
+      dispatch({ type: IMAGE_UPLOAD_RESET });
+    }
+  }, [dispatch, uploaded]);
+
+  useEffect(() => {
+    if (successCreate) {
+      toast.success("Category Added", ToastObjects);
+      dispatch({ type: CATEGORY_CREATE_RESET });
+      resetForm();
+    }
+    if (successUpdate) {
+      toast.success("Category Updated", ToastObjects);
+      dispatch({ type: CATEGORY_UPDATE_RESET });
+      setEditCategory(null);
+    }
+  }, [dispatch, successCreate, successUpdate, setEditCategory]);
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    const category = { name, image, description, parent: parent || null };
+    if (editCategory) {
+      dispatch(updateCategory({ _id: editCategory._id, ...category }));
+    } else {
+      dispatch(createCategory(category));
+    }
+  };
 
-const CreateCategory = () => {
   return (
     <div className="col-md-12 col-lg-4">
-      <form>
+      <Toast />
+      <form onSubmit={submitHandler}>
+        {errorCreate && <Message variant="alert-danger">{errorCreate}</Message>}
+        {errorUpdate && <Message variant="alert-danger">{errorUpdate}</Message>}
+        {(loadingCreate || loadingUpdate) && <Loading />}
         <div className="mb-4">
-          <label htmlFor="product_name" className="form-label">
+          <label htmlFor="category_name" className="form-label">
             Name
           </label>
           <input
             type="text"
             placeholder="Type here"
             className="form-control py-3"
-            id="product_name"
+            id="category_name"
+            required
+            value={name}
+            onChange={(e) => setName(e.target.value)}
           />
         </div>
+        <div className="mb-4">
+          <label htmlFor="category_parent" className="form-label">
+            Parent category
+          </label>
+          <select
+            className="form-select"
+            id="category_parent"
+            value={parent}
+            onChange={(e) => setParent(e.target.value)}
+          >
+            <option value="">None</option>
+            {categories
+              .filter((c) => !editCategory || c._id !== editCategory._id)
+              .map((c) => (
+                <option key={c._id} value={c._id}>
+                  {c.name}
+                </option>
+              ))}
+          </select>
+        </div>
         <div className="mb-4">
           <label className="form-label">Images</label>
-          <input className="form-control" type="file" />
+          <input
+            className="form-control"
+            type="text"
+            placeholder="Enter Image URL"
+            value={image}
+            onChange={(e) => setImage(e.target.value)}
+          />
+          <input
+            className="form-control mt-3"
+            type="file"
+            accept="image/jpeg,image/png,image/webp,image/gif"
+            onChange={(e) => {
+              dispatch(uploadImages([...e.target.files]));
+              e.target.value = "";
+            }}
+          />
+          {errorUpload && (
+            <Message variant="alert-danger mt-3">{errorUpload}</Message>
+          )}
+          {loadingUpload && <Loading />}
+          {image && <img className="img-md mt-3" src={image} alt={name} />}
         </div>
         <div className="mb-4">
           <label className="form-label">Description</label>
@@ -25,11 +172,24 @@ const CreateCategory = () => {
             placeholder="Type here"
             className="form-control"
             rows="4"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
           ></textarea>
         </div>
 
         <div className="d-grid">
-          <button className="btn btn-primary py-3">Create category</button>
+          <button type="submit" className="btn btn-primary py-3">
+            {editCategory ? "Update category" : "Create category"}
+          </button>
+          {editCategory && (
+            <button
+              type="button"
+              className="btn btn-light py-3 mt-2"
+              onClick={() => setEditCategory(null)}
+            >
+              Cancel
+            </button>
+          )}
         </div>
       </form>
     </div>
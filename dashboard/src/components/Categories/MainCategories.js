@@ -1,8 +1,24 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
 import CreateCategory from "./CreateCategory";
 import CategoriesTable from "./CategoriesTable";
+import { listCategories } from "../../Redux/Actions/CategoryActions";
 
 const MainCategories = () => {
+  const [editCategory, setEditCategory] = useState(null);
+  const dispatch = useDispatch();
+
+  const categoryCreate = useSelector((state) => state.categoryCreate);
+  const { success: successCreate } = categoryCreate;
+  const categoryUpdate = useSelector((state) => state.categoryUpdate);
+  const { success: successUpdate } = categoryUpdate;
+  const categoryDelete = useSelector((state) => state.categoryDelete);
+  const { success: successDelete } = categoryDelete;
+
+  useEffect(() => {
+    dispatch(listCategories());
+  }, [dispatch, successCreate, successUpdate, successDelete]);
+
   return (
     <section className="content-main">
       <div className="content-header">
@@ -13,9 +29,12 @@ const MainCategories = () => {
         <div className="card-body">
           <div className="row">
             {/* Create category */}
-            <CreateCategory />
+            <CreateCategory
+              editCategory={editCategory}
+              setEditCategory={setEditCategory}
+            />
             {/* Categories table */}
-            <CategoriesTable />
+            <CategoriesTable setEditCategory={setEditCategory} />
           </div>
         </div>
       </div>
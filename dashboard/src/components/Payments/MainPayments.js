@@ -0,0 +1,74 @@
+import React, { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import PaymentMethodForm from "./PaymentMethodForm";
+import PaymentEvents from "./PaymentEvents";
+import { listPaymentMethods } from "../../Redux/Actions/PaymentActions";
+import { PAYMENT_METHOD_UPDATE_RESET } from "../../Redux/Constants/PaymentConstants";
+import Toast from "../LoadingError/Toast";
+import Message from "../LoadingError/Error";
+import Loading from "../LoadingError/Loading";
+
+const ToastObjects = {
+  pauseOnFocusLoss: false,
+  draggable: false,
+  pauseOnHover: false,
+  autoClose: 2000,
+};
+
+const MainPayments = () => {
+  const dispatch = useDispatch();
+
+  const paymentMethodList = useSelector((state) => state.paymentMethodList);
+  const { loading, error, methods } = paymentMethodList;
+  const paymentMethodUpdate = useSelector((state) => state.paymentMethodUpdate);
+  const { error: errorUpdate, success: successUpdate } = paymentMethodUpdate;
+
+  useEffect(() => {
+    dispatch(listPaymentMethods());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (successUpdate) {
+      toast.success("Payment Method Updated", ToastObjects);
+      dispatch({ type: PAYMENT_METHOD_UPDATE_RESET });
+    }
+  }, [dispatch, successUpdate]);
+
+  return (
+    <section className="content-main">
+      <Toast />
+      <div className="content-header">
+        <h2 className="content-title">Payment methods</h2>
+      </div>
+
+      <div className="card shadow-sm">
+        <div className="card-body">
+          <p className="text-muted">
+            Enabled methods are offered at checkout in the order of their
+            position. Cash on delivery and bank transfer orders are marked paid
+            from the order page once the money arrived.
+          </p>
+          {errorUpdate && (
+            <Message variant="alert-danger">{errorUpdate}</Message>
+          )}
+          {loading && !methods.length ? (
+            <Loading />
+          ) : error ? (
+            <Message variant="alert-danger">{error}</Message>
+          ) : (
+            <div className="row">
+              {methods.map((method) => (
+                <PaymentMethodForm key={method.provider} method={method} />
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <PaymentEvents />
+    </section>
+  );
+};
+
+export default MainPayments;
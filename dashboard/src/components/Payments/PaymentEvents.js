@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import moment from "moment";
+import {
+  listPaymentEvents,
+  replayPaymentEvent,
+} from "../../Redux/Actions/PaymentActions";
+import { PAYMENT_EVENT_REPLAY_RESET } from "../../Redux/Constants/PaymentConstants";
+import Message from "../LoadingError/Error";
+import Loading from "../LoadingError/Loading";
+
+const ToastObjects = {
+  pauseOnFocusLoss: false,
+  draggable: false,
+  pauseOnHover: false,
+  autoClose: 2000,
+};
+
+const STATUS_BADGES = {
+  received: "alert-secondary",
+  processing: "alert-info",
+  processed: "alert-success",
+  ignored: "alert-secondary",
+  failed: "alert-danger",
+};
+
+// Notifications received from the payment providers, failed ones can be run
+// again once what made them fail is fixed
+const PaymentEvents = () => {
+  const dispatch = useDispatch();
+  const [status, setStatus] = useState("");
+  const [pageNumber, setPageNumber] = useState(1);
+
+  const paymentEventList = useSelector((state) => state.paymentEventList);
+  const { loading, error, events, page, pages } = paymentEventList;
+  const paymentEventReplay = useSelector((state) => state.paymentEventReplay);
+  const {
+    loading: loadingReplay,
+    error: errorReplay,
+    success: successReplay,
+    id: replayingId,
+    event: replayedEvent,
+  } = paymentEventReplay;
+
+  useEffect(() => {
+    dispatch(listPaymentEvents(status, pageNumber));
+  }, [dispatch, status, pageNumber]);
+
+  useEffect(() => {
+    if (successReplay) {
+      if (replayedEvent.status === "failed") {
+        toast.error(`Event failed again: ${replayedEvent.error}`, ToastObjects);
+      } else {
+        toast.success("Event Processed", ToastObjects);
+      }
+      dispatch({ type: PAYMENT_EVENT_REPLAY_RESET });
+      dispatch(listPaymentEvents(status, pageNumber));
+    }
+  }, [dispatch, successReplay, replayedEvent, status, pageNumber]);
+
+  const statusHandler = (e) => {
+    setStatus(e.target.value);
+    setPageNumber(1);
+  };
+
+  return (
+    <div className="card shadow-sm mt-4">
+      <header className="card-header d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">Provider notifications</h5>
+        <select
+          className="form-select w-auto"
+          value={status}
+          onChange={statusHandler}
+        >
+          <option value="">All</option>
+          <option value="failed">Failed</option>
+          <option value="processed">Processed</option>
+          <option value="ignored">Ignored</option>
+          <option value="processing">Processing</option>
+        </select>
+      </header>
+      <div className="card-body">
+        {errorReplay && <Message variant="alert-danger">{errorReplay}</Message>}
+        {loading && !events.length ? (
+          <Loading />
+        ) : error ? (
+          <Message variant="alert-danger">{error}</Message>
+        ) : events.length === 0 ? (
+          <p className="text-muted">No notifications received</p>
+        ) : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th scope="col">Received</th>
+                <th scope="col">Provider</th>
+                <th scope="col">Event</th>
+                <th scope="col">Order</th>
+                <th scope="col">Status</th>
+                <th scope="col" className="text-end">
+                  Action
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map((event) => (
+                <tr key={event._id}>
+                  <td>{moment(event.createdAt).format("MMM Do YY, LT")}</td>
+                  <td>{event.provider}</td>
+                  <td>
+                    <b>{event.type}</b>
+                    <div className="text-muted small">{event.eventId}</div>
+                  </td>
+                  <td>
+                    {event.order ? (
+                      <Link to={`/order/${event.order._id}`}>
+                        ${event.order.totalPrice}
+                      </Link>
+                    ) : (
+                      "-"
+                    )}
+                  </td>
+                  <td>
+                    <span
+                      className={`badge rounded-pill ${
+                        STATUS_BADGES[event.status]
+                      }`}
+                    >
+                      {event.status}
+                    </span>
+                    {event.attempts > 1 && (
+                      <div className="text-muted small">
+                        {event.attempts} attempts
+                      </div>
+                    )}
+                    {event.error && (
+                      <div className="text-danger small">{event.error}</div>
+                    )}
+                  </td>
+                  <td className="text-end">
+                    {event.status === "failed" && (
+                      <button
+                        type="button"
+                        className="btn btn-sm btn-primary"
+                        disabled={loadingReplay}
+                        onClick={() => dispatch(replayPaymentEvent(event._id))}
+                      >
+                        {loadingReplay && replayingId === event._id
+                          ? "Replaying..."
+                          : "Replay"}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {pages > 1 && (
+          <div className="d-flex justify-content-between">
+            <button
+              type="button"
+              className="btn btn-sm btn-light"
+              disabled={page <= 1}
+              onClick={() => setPageNumber(page - 1)}
+            >
+              Newer
+            </button>
+            <span className="text-muted">
+              Page {page} of {pages}
+            </span>
+            <button
+              type="button"
+              className="btn btn-sm btn-light"
+              disabled={page >= pages}
+              onClick={() => setPageNumber(page + 1)}
+            >
+              Older
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentEvents;
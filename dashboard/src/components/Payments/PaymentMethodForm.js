@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { updatePaymentMethod } from "../../Redux/Actions/PaymentActions";
+
+const INSTRUCTIONS_PLACEHOLDERS = {
+  cod: "Please have the exact amount ready",
+  bank_transfer: "Bank name, account holder, IBAN and SWIFT code",
+};
+
+const PaymentMethodForm = ({ method }) => {
+  const [isEnabled, setIsEnabled] = useState(method.isEnabled);
+  const [description, setDescription] = useState(method.description);
+  const [instructions, setInstructions] = useState(method.instructions);
+  const [sortOrder, setSortOrder] = useState(method.sortOrder);
+
+  const dispatch = useDispatch();
+
+  const paymentMethodUpdate = useSelector((state) => state.paymentMethodUpdate);
+  const saving =
+    paymentMethodUpdate.loading &&
+    paymentMethodUpdate.provider === method.provider;
+
+  // Follow the saved settings when the list is loaded again
+  useEffect(() => {
+    setIsEnabled(method.isEnabled);
+    setDescription(method.description);
+    setInstructions(method.instructions);
+    setSortOrder(method.sortOrder);
+  }, [method]);
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    dispatch(
+      updatePaymentMethod(method.provider, {
+        isEnabled,
+        description,
+        instructions,
+        sortOrder,
+      })
+    );
+  };
+
+  return (
+    <div className="col-md-12 col-lg-4 mb-4">
+      <form className="card card-body h-100" onSubmit={submitHandler}>
+        <div className="d-flex justify-content-between align-items-center mb-3">
+          <h5 className="mb-0">{method.name}</h5>
+          <div className="form-check form-switch">
+            <input
+              type="checkbox"
+              className="form-check-input"
+              id={`payment_${method.provider}_enabled`}
+              checked={isEnabled}
+              onChange={(e) => setIsEnabled(e.target.checked)}
+            />
+            <label
+              htmlFor={`payment_${method.provider}_enabled`}
+              className="form-check-label"
+            >
+              Enabled
+            </label>
+          </div>
+        </div>
+        <div className="mb-3">
+          <label className="form-label">Description</label>
+          <input
+            type="text"
+            className="form-control"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+          />
+        </div>
+        {method.provider !== "paypal" && (
+          <div className="mb-3">
+            <label className="form-label">Instructions on the order</label>
+            <textarea
+              rows="4"
+              className="form-control"
+              placeholder={INSTRUCTIONS_PLACEHOLDERS[method.provider]}
+              value={instructions}
+              onChange={(e) => setInstructions(e.target.value)}
+            />
+          </div>
+        )}
+        <div className="mb-3">
+          <label className="form-label">Position</label>
+          <input
+            type="number"
+            className="form-control"
+            value={sortOrder}
+            onChange={(e) => setSortOrder(e.target.value)}
+          />
+        </div>
+        <div className="d-grid mt-auto">
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PaymentMethodForm;
@@ -0,0 +1,166 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import moment from "moment";
+import { deleteCoupon } from "../../Redux/Actions/CouponActions";
+import Loading from "../LoadingError/Loading";
+import Message from "../LoadingError/Error";
+
+// "20% off", "$10 off", "Free shipping" or "Buy 2 get 1 free"
+export const couponSummary = (coupon) => {
+  switch (coupon.type) {
+    case "percentage":
+      return `${coupon.value}% off`;
+    case "fixed":
+      return `$${coupon.value} off`;
+    case "free_shipping":
+      return "Free shipping";
+    case "buy_x_get_y":
+      return `Buy ${coupon.buyQuantity} get ${coupon.getQuantity} free`;
+    default:
+      return coupon.type;
+  }
+};
+
+const couponStatus = (coupon) => {
+  const now = new Date();
+  if (!coupon.isActive) {
+    return { text: "Inactive", variant: "danger" };
+  }
+  if (coupon.expiresAt && new Date(coupon.expiresAt) < now) {
+    return { text: "Expired", variant: "danger" };
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return { text: "Used up", variant: "danger" };
+  }
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+    return { text: "Scheduled", variant: "warning" };
+  }
+  return { text: "Active", variant: "success" };
+};
+
+const CouponsTable = (props) => {
+  const { setEditCoupon } = props;
+  const dispatch = useDispatch();
+
+  const couponList = useSelector((state) => state.couponList);
+  const { loading, error, coupons } = couponList;
+  const couponDelete = useSelector((state) => state.couponDelete);
+  const { error: errorDelete } = couponDelete;
+
+  const deletehandler = (id) => {
+    if (window.confirm("Are you sure??")) {
+      dispatch(deleteCoupon(id));
+    }
+  };
+
+  return (
+    <div className="col-md-12 col-lg-7">
+      {errorDelete && <Message variant="alert-danger">{errorDelete}</Message>}
+      {loading ? (
+        <Loading />
+      ) : error ? (
+        <Message variant="alert-danger">{error}</Message>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Code</th>
+              <th>Discount</th>
+              <th>Redemptions</th>
+              <th>Valid</th>
+              <th>Status</th>
+              <th className="text-end">Action</th>
+            </tr>
+          </thead>
+          {/* Table Data */}
+          <tbody>
+            {coupons.length === 0 && (
+              <tr>
+                <td colSpan="6" className="text-center">
+                  No coupons yet
+                </td>
+              </tr>
+            )}
+            {coupons.map((coupon) => {
+              const status = couponStatus(coupon);
+              return (
+                <tr key={coupon._id}>
+                  <td>
+                    <b>{coupon.code}</b>
+                    <div className="text-muted small">{coupon.description}</div>
+                  </td>
+                  <td>
+                    {couponSummary(coupon)}
+                    {coupon.minOrderValue > 0 && (
+                      <div className="text-muted small">
+                        From ${coupon.minOrderValue}
+                      </div>
+                    )}
+                    {(coupon.products.length > 0 ||
+                      coupon.categories.length > 0) && (
+                      <div className="text-muted small">
+                        {[...coupon.products, ...coupon.categories]
+                          .map((item) => item.name)
+                          .join(", ")}
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    {coupon.usedCount}
+                    {coupon.usageLimit !== null && ` / ${coupon.usageLimit}`}
+                  </td>
+                  <td className="small">
+                    {coupon.startsAt
+                      ? moment(coupon.startsAt).format("MMM D, YYYY")
+                      : "Now"}{" "}
+                    -{" "}
+                    {coupon.expiresAt
+                      ? moment(coupon.expiresAt).format("MMM D, YYYY")
+                      : "No end"}
+                  </td>
+                  <td>
+                    <span
+                      className={`badge rounded-pill alert-${status.variant}`}
+                    >
+                      {status.text}
+                    </span>
+                  </td>
+                  <td className="text-end">
+                    <div className="dropdown">
+                      <Link
+                        to="#"
+                        data-bs-toggle="dropdown"
+                        className="btn btn-light"
+                      >
+                        <i className="fas fa-ellipsis-h"></i>
+                      </Link>
+                      <div className="dropdown-menu">
+                        <Link
+                          className="dropdown-item"
+                          to="#"
+                          onClick={() => setEditCoupon(coupon)}
+                        >
+                          Edit info
+                        </Link>
+                        <Link
+                          className="dropdown-item text-danger"
+                          to="#"
+                          onClick={() => deletehandler(coupon._id)}
+                        >
+                          Delete
+                        </Link>
+                      </div>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default CouponsTable;
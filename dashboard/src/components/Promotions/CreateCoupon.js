@@ -0,0 +1,394 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import { createCoupon, updateCoupon } from "../../Redux/Actions/CouponActions";
+import {
+  COUPON_CREATE_RESET,
+  COUPON_UPDATE_RESET,
+} from "../../Redux/Constants/CouponConstants";
+import Message from "../LoadingError/Error";
+import Loading from "../LoadingError/Loading";
+
+const ToastObjects = {
+  pauseOnFocusLoss: false,
+  draggable: false,
+  pauseOnHover: false,
+  autoClose: 2000,
+};
+
+// Date for a datetime-local input, in the browser's time zone
+export const toInputDate = (value) => {
+  if (!value) {
+    return "";
+  }
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+    .toISOString()
+    .slice(0, 16);
+};
+
+const selectedValues = (e) => {
+  return [...e.target.selectedOptions].map((option) => option.value);
+};
+
+const ids = (list) => (list || []).map((item) => item._id || item);
+
+const CreateCoupon = (props) => {
+  const { editCoupon, setEditCoupon } = props;
+
+  const [code, setCode] = useState("");
+  const [description, setDescription] = useState("");
+  const [type, setType] = useState("percentage");
+  const [value, setValue] = useState("");
+  const [buyQuantity, setBuyQuantity] = useState(1);
+  const [getQuantity, setGetQuantity] = useState(1);
+  const [minOrderValue, setMinOrderValue] = useState("");
+  const [startsAt, setStartsAt] = useState("");
+  const [expiresAt, setExpiresAt] = useState("");
+  const [usageLimit, setUsageLimit] = useState("");
+  const [usageLimitPerCustomer, setUsageLimitPerCustomer] = useState("");
+  const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [isActive, setIsActive] = useState(true);
+
+  const dispatch = useDispatch();
+
+  const productList = useSelector((state) => state.productList);
+  const allProducts = productList.products || [];
+  const categoryList = useSelector((state) => state.categoryList);
+  const { categories: allCategories } = categoryList;
+  const couponCreate = useSelector((state) => state.couponCreate);
+  const {
+    loading: loadingCreate,
+    error: errorCreate,
+    success: successCreate,
+  } = couponCreate;
+  const couponUpdate = useSelector((state) => state.couponUpdate);
+  const {
+    loading: loadingUpdate,
+    error: errorUpdate,
+    success: successUpdate,
+  } = couponUpdate;
+
+  const resetForm = () => {
+    setCode("");
+    setDescription("");
+    setType("percentage");
+    setValue("");
+    setBuyQuantity(1);
+    setGetQuantity(1);
+    setMinOrderValue("");
+    setStartsAt("");
+    setExpiresAt("");
+    setUsageLimit("");
+    setUsageLimitPerCustomer("");
+    setProducts([]);
+    setCategories([]);
+    setIsActive(true);
+  };
+
+  useEffect(() => {
+    if (editCoupon) {
+      setCode(editCoupon.code);
+      setDescription(editCoupon.description || "");
+      setType(editCoupon.type);
+      setValue(editCoupon.value || "");
+      setBuyQuantity(editCoupon.buyQuantity);
+      setGetQuantity(editCoupon.getQuantity);
+      setMinOrderValue(editCoupon.minOrderValue || "");
+      setStartsAt(toInputDate(editCoupon.startsAt));
+      setExpiresAt(toInputDate(editCoupon.expiresAt));
+      setUsageLimit(
+        editCoupon.usageLimit === null ? "" : editCoupon.usageLimit
+      );
+      setUsageLimitPerCustomer(
+        editCoupon.usageLimitPerCustomer === null
+          ? ""
+          : editCoupon.usageLimitPerCustomer
+      );
+      setProducts(ids(editCoupon.products));
+      setCategories(ids(editCoupon.categories));
+      setIsActive(editCoupon.isActive);
+    } else {
+      resetForm();
+    }
+  }, [editCoupon]);
+
+  useEffect(() => {
+    if (successCreate) {
+      toast.success("Coupon Added", ToastObjects);
+      dispatch({ type: COUPON_CREATE_RESET });
+      resetForm();
+    }
+    if (successUpdate) {
+      toast.success("Coupon Updated", ToastObjects);
+      dispatch({ type: COUPON_UPDATE_RESET });
+      setEditCoupon(null);
+    }
+  }, [dispatch, successCreate, successUpdate, setEditCoupon]);
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    const coupon = {
+      code,
+      description,
+      type,
+      value,
+      buyQuantity,
+      getQuantity,
+      minOrderValue,
+      startsAt: startsAt ? new Date(startsAt).toISOString() : null,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      usageLimit,
+      usageLimitPerCustomer,
+      products,
+      categories,
+      isActive,
+    };
+    if (editCoupon) {
+      dispatch(updateCoupon({ _id: editCoupon._id, ...coupon }));
+    } else {
+      dispatch(createCoupon(coupon));
+    }
+  };
+
+  return (
+    <div className="col-md-12 col-lg-5">
+      <form onSubmit={submitHandler}>
+        {errorCreate && <Message variant="alert-danger">{errorCreate}</Message>}
+        {errorUpdate && <Message variant="alert-danger">{errorUpdate}</Message>}
+        {(loadingCreate || loadingUpdate) && <Loading />}
+        <div className="mb-4">
+          <label htmlFor="coupon_code" className="form-label">
+            Code
+          </label>
+          <input
+            type="text"
+            placeholder="SUMMER20"
+            className="form-control py-3 text-uppercase"
+            id="coupon_code"
+            required
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+          />
+        </div>
+        <div className="mb-4">
+          <label className="form-label">Description</label>
+          <input
+            type="text"
+            placeholder="Shown to the customer"
+            className="form-control"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+          />
+        </div>
+        <div className="row">
+          <div className="col-6 mb-4">
+            <label htmlFor="coupon_type" className="form-label">
+              Type
+            </label>
+            <select
+              className="form-select"
+              id="coupon_type"
+              value={type}
+              onChange={(e) => setType(e.target.value)}
+            >
+              <option value="percentage">Percentage</option>
+              <option value="fixed">Fixed amount</option>
+              <option value="free_shipping">Free shipping</option>
+              <option value="buy_x_get_y">Buy X get Y</option>
+            </select>
+          </div>
+          {(type === "percentage" || type === "fixed") && (
+            <div className="col-6 mb-4">
+              <label htmlFor="coupon_value" className="form-label">
+                {type === "percentage" ? "Discount (%)" : "Discount ($)"}
+              </label>
+              <input
+                type="number"
+                min="0"
+                max={type === "percentage" ? "100" : undefined}
+                step="any"
+                className="form-control"
+                id="coupon_value"
+                required
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+              />
+            </div>
+          )}
+          {type === "buy_x_get_y" && (
+            <>
+              <div className="col-3 mb-4">
+                <label htmlFor="coupon_buy" className="form-label">
+                  Buy
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  className="form-control"
+                  id="coupon_buy"
+                  required
+                  value={buyQuantity}
+                  onChange={(e) => setBuyQuantity(e.target.value)}
+                />
+              </div>
+              <div className="col-3 mb-4">
+                <label htmlFor="coupon_get" className="form-label">
+                  Get free
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  className="form-control"
+                  id="coupon_get"
+                  required
+                  value={getQuantity}
+                  onChange={(e) => setGetQuantity(e.target.value)}
+                />
+              </div>
+            </>
+          )}
+        </div>
+        <div className="mb-4">
+          <label htmlFor="coupon_min" className="form-label">
+            Minimum order value ($)
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            className="form-control"
+            id="coupon_min"
+            value={minOrderValue}
+            onChange={(e) => setMinOrderValue(e.target.value)}
+          />
+        </div>
+        <div className="row">
+          <div className="col-6 mb-4">
+            <label htmlFor="coupon_starts" className="form-label">
+              Starts
+            </label>
+            <input
+              type="datetime-local"
+              className="form-control"
+              id="coupon_starts"
+              value={startsAt}
+              onChange={(e) => setStartsAt(e.target.value)}
+            />
+          </div>
+          <div className="col-6 mb-4">
+            <label htmlFor="coupon_expires" className="form-label">
+              Expires
+            </label>
+            <input
+              type="datetime-local"
+              className="form-control"
+              id="coupon_expires"
+              value={expiresAt}
+              onChange={(e) => setExpiresAt(e.target.value)}
+            />
+          </div>
+        </div>
+        <div className="row">
+          <div className="col-6 mb-4">
+            <label htmlFor="coupon_limit" className="form-label">
+              Total uses
+            </label>
+            <input
+              type="number"
+              min="1"
+              placeholder="Unlimited"
+              className="form-control"
+              id="coupon_limit"
+              value={usageLimit}
+              onChange={(e) => setUsageLimit(e.target.value)}
+            />
+          </div>
+          <div className="col-6 mb-4">
+            <label htmlFor="coupon_customer_limit" className="form-label">
+              Uses per customer
+            </label>
+            <input
+              type="number"
+              min="1"
+              placeholder="Unlimited"
+              className="form-control"
+              id="coupon_customer_limit"
+              value={usageLimitPerCustomer}
+              onChange={(e) => setUsageLimitPerCustomer(e.target.value)}
+            />
+          </div>
+        </div>
+        <div className="mb-4">
+          <label htmlFor="coupon_products" className="form-label">
+            Only these products
+          </label>
+          <select
+            multiple
+            className="form-select"
+            id="coupon_products"
+            value={products}
+            onChange={(e) => setProducts(selectedValues(e))}
+          >
+            {allProducts.map((p) => (
+              <option key={p._id} value={p._id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="mb-4">
+          <label htmlFor="coupon_categories" className="form-label">
+            Only these categories
+          </label>
+          <select
+            multiple
+            className="form-select"
+            id="coupon_categories"
+            value={categories}
+            onChange={(e) => setCategories(selectedValues(e))}
+          >
+            {allCategories.map((c) => (
+              <option key={c._id} value={c._id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+          <small className="text-muted">
+            Leave both empty for every product
+          </small>
+        </div>
+        <div className="mb-4 form-check">
+          <input
+            type="checkbox"
+            className="form-check-input"
+            id="coupon_active"
+            checked={isActive}
+            onChange={(e) => setIsActive(e.target.checked)}
+          />
+          <label htmlFor="coupon_active" className="form-check-label">
+            Active
+          </label>
+        </div>
+
+        <div className="d-grid">
+          <button type="submit" className="btn btn-primary py-3">
+            {editCoupon ? "Update coupon" : "Create coupon"}
+          </button>
+          {editCoupon && (
+            <button
+              type="button"
+              className="btn btn-light py-3 mt-2"
+              onClick={() => setEditCoupon(null)}
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CreateCoupon;
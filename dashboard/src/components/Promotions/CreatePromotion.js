@@ -0,0 +1,392 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import {
+  createPromotion,
+  updatePromotion,
+} from "../../Redux/Actions/PromotionActions";
+import {
+  PROMOTION_CREATE_RESET,
+  PROMOTION_UPDATE_RESET,
+} from "../../Redux/Constants/PromotionConstants";
+import Message from "../LoadingError/Error";
+import Loading from "../LoadingError/Loading";
+import PromotionTiers, { emptyTier } from "./PromotionTiers";
+import { toInputDate } from "./CreateCoupon";
+
+const ToastObjects = {
+  pauseOnFocusLoss: false,
+  draggable: false,
+  pauseOnHover: false,
+  autoClose: 2000,
+};
+
+const SHIPPING_TYPES = ["standard", "express", "pickup"];
+
+const selectedValues = (e) => {
+  return [...e.target.selectedOptions].map((option) => option.value);
+};
+
+const ids = (list) => (list || []).map((item) => item._id || item);
+
+const CreatePromotion = (props) => {
+  const { editPromotion, setEditPromotion } = props;
+
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+  const [type, setType] = useState("percentage");
+  const [value, setValue] = useState("");
+  const [tiers, setTiers] = useState([{ ...emptyTier }]);
+  const [shippingTypes, setShippingTypes] = useState([]);
+  const [minOrderValue, setMinOrderValue] = useState("");
+  const [startsAt, setStartsAt] = useState("");
+  const [expiresAt, setExpiresAt] = useState("");
+  const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [priority, setPriority] = useState(0);
+  const [exclusive, setExclusive] = useState(false);
+  const [isActive, setIsActive] = useState(true);
+
+  const dispatch = useDispatch();
+
+  const productList = useSelector((state) => state.productList);
+  const allProducts = productList.products || [];
+  const categoryList = useSelector((state) => state.categoryList);
+  const { categories: allCategories } = categoryList;
+  const promotionCreate = useSelector((state) => state.promotionCreate);
+  const {
+    loading: loadingCreate,
+    error: errorCreate,
+    success: successCreate,
+  } = promotionCreate;
+  const promotionUpdate = useSelector((state) => state.promotionUpdate);
+  const {
+    loading: loadingUpdate,
+    error: errorUpdate,
+    success: successUpdate,
+  } = promotionUpdate;
+
+  const resetForm = () => {
+    setName("");
+    setDescription("");
+    setType("percentage");
+    setValue("");
+    setTiers([{ ...emptyTier }]);
+    setShippingTypes([]);
+    setMinOrderValue("");
+    setStartsAt("");
+    setExpiresAt("");
+    setProducts([]);
+    setCategories([]);
+    setPriority(0);
+    setExclusive(false);
+    setIsActive(true);
+  };
+
+  useEffect(() => {
+    if (editPromotion) {
+      setName(editPromotion.name);
+      setDescription(editPromotion.description || "");
+      setType(editPromotion.type);
+      setValue(editPromotion.value || "");
+      setTiers(
+        editPromotion.tiers.length ? editPromotion.tiers : [{ ...emptyTier }]
+      );
+      setShippingTypes(editPromotion.shippingTypes);
+      setMinOrderValue(editPromotion.minOrderValue || "");
+      setStartsAt(toInputDate(editPromotion.startsAt));
+      setExpiresAt(toInputDate(editPromotion.expiresAt));
+      setProducts(ids(editPromotion.products));
+      setCategories(ids(editPromotion.categories));
+      setPriority(editPromotion.priority);
+      setExclusive(editPromotion.exclusive);
+      setIsActive(editPromotion.isActive);
+    } else {
+      resetForm();
+    }
+  }, [editPromotion]);
+
+  useEffect(() => {
+    if (successCreate) {
+      toast.success("Promotion Added", ToastObjects);
+      dispatch({ type: PROMOTION_CREATE_RESET });
+      resetForm();
+    }
+    if (successUpdate) {
+      toast.success("Promotion Updated", ToastObjects);
+      dispatch({ type: PROMOTION_UPDATE_RESET });
+      setEditPromotion(null);
+    }
+  }, [dispatch, successCreate, successUpdate, setEditPromotion]);
+
+  const toggleShippingType = (shippingType) => {
+    setShippingTypes(
+      shippingTypes.includes(shippingType)
+        ? shippingTypes.filter((t) => t !== shippingType)
+        : [...shippingTypes, shippingType]
+    );
+  };
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    const promotion = {
+      name,
+      description,
+      type,
+      value,
+      tiers,
+      shippingTypes,
+      minOrderValue,
+      startsAt: startsAt ? new Date(startsAt).toISOString() : null,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      products,
+      categories,
+      priority,
+      exclusive,
+      isActive,
+    };
+    if (editPromotion) {
+      dispatch(updatePromotion({ _id: editPromotion._id, ...promotion }));
+    } else {
+      dispatch(createPromotion(promotion));
+    }
+  };
+
+  return (
+    <div className="col-md-12 col-lg-5">
+      <form onSubmit={submitHandler}>
+        {errorCreate && <Message variant="alert-danger">{errorCreate}</Message>}
+        {errorUpdate && <Message variant="alert-danger">{errorUpdate}</Message>}
+        {(loadingCreate || loadingUpdate) && <Loading />}
+        <div className="mb-4">
+          <label htmlFor="promotion_name" className="form-label">
+            Name
+          </label>
+          <input
+            type="text"
+            placeholder="Weekend sneaker sale"
+            className="form-control py-3"
+            id="promotion_name"
+            required
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+        </div>
+        <div className="mb-4">
+          <label className="form-label">Description</label>
+          <input
+            type="text"
+            placeholder="Shown to the customer"
+            className="form-control"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+          />
+        </div>
+        <div className="row">
+          <div className="col-6 mb-4">
+            <label htmlFor="promotion_type" className="form-label">
+              Type
+            </label>
+            <select
+              className="form-select"
+              id="promotion_type"
+              value={type}
+              onChange={(e) => setType(e.target.value)}
+            >
+              <option value="percentage">Percentage</option>
+              <option value="fixed">Fixed amount</option>
+              <option value="free_shipping">Free shipping</option>
+              <option value="tiered">Quantity tiers</option>
+            </select>
+          </div>
+          {(type === "percentage" || type === "fixed") && (
+            <div className="col-6 mb-4">
+              <label htmlFor="promotion_value" className="form-label">
+                {type === "percentage" ? "Discount (%)" : "Discount ($)"}
+              </label>
+              <input
+                type="number"
+                min="0"
+                max={type === "percentage" ? "100" : undefined}
+                step="any"
+                className="form-control"
+                id="promotion_value"
+                required
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+              />
+            </div>
+          )}
+        </div>
+        {type === "tiered" && (
+          <PromotionTiers tiers={tiers} setTiers={setTiers} />
+        )}
+        {type === "free_shipping" && (
+          <div className="mb-4">
+            <label className="form-label">Shipping methods</label>
+            <div>
+              {SHIPPING_TYPES.map((shippingType) => (
+                <div
+                  className="form-check form-check-inline"
+                  key={shippingType}
+                >
+                  <input
+                    type="checkbox"
+                    className="form-check-input"
+                    id={`promotion_shipping_${shippingType}`}
+                    checked={shippingTypes.includes(shippingType)}
+                    onChange={() => toggleShippingType(shippingType)}
+                  />
+                  <label
+                    htmlFor={`promotion_shipping_${shippingType}`}
+                    className="form-check-label text-capitalize"
+                  >
+                    {shippingType}
+                  </label>
+                </div>
+              ))}
+            </div>
+            <small className="text-muted">None checked for every method</small>
+          </div>
+        )}
+        <div className="mb-4">
+          <label htmlFor="promotion_min" className="form-label">
+            Minimum order value ($)
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            className="form-control"
+            id="promotion_min"
+            value={minOrderValue}
+            onChange={(e) => setMinOrderValue(e.target.value)}
+          />
+        </div>
+        <div className="row">
+          <div className="col-6 mb-4">
+            <label htmlFor="promotion_starts" className="form-label">
+              Starts
+            </label>
+            <input
+              type="datetime-local"
+              className="form-control"
+              id="promotion_starts"
+              value={startsAt}
+              onChange={(e) => setStartsAt(e.target.value)}
+            />
+          </div>
+          <div className="col-6 mb-4">
+            <label htmlFor="promotion_ends" className="form-label">
+              Ends
+            </label>
+            <input
+              type="datetime-local"
+              className="form-control"
+              id="promotion_ends"
+              value={expiresAt}
+              onChange={(e) => setExpiresAt(e.target.value)}
+            />
+          </div>
+        </div>
+        <div className="mb-4">
+          <label htmlFor="promotion_products" className="form-label">
+            Only these products
+          </label>
+          <select
+            multiple
+            className="form-select"
+            id="promotion_products"
+            value={products}
+            onChange={(e) => setProducts(selectedValues(e))}
+          >
+            {allProducts.map((p) => (
+              <option key={p._id} value={p._id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="mb-4">
+          <label htmlFor="promotion_categories" className="form-label">
+            Only these categories
+          </label>
+          <select
+            multiple
+            className="form-select"
+            id="promotion_categories"
+            value={categories}
+            onChange={(e) => setCategories(selectedValues(e))}
+          >
+            {allCategories.map((c) => (
+              <option key={c._id} value={c._id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+          <small className="text-muted">
+            Leave both empty for every product
+          </small>
+        </div>
+        <div className="row">
+          <div className="col-6 mb-4">
+            <label htmlFor="promotion_priority" className="form-label">
+              Priority
+            </label>
+            <input
+              type="number"
+              className="form-control"
+              id="promotion_priority"
+              value={priority}
+              onChange={(e) => setPriority(e.target.value)}
+            />
+            <small className="text-muted">Higher applies first</small>
+          </div>
+          <div className="col-6 mb-4 d-flex flex-column justify-content-center">
+            <div className="form-check">
+              <input
+                type="checkbox"
+                className="form-check-input"
+                id="promotion_exclusive"
+                checked={exclusive}
+                onChange={(e) => setExclusive(e.target.checked)}
+              />
+              <label htmlFor="promotion_exclusive" className="form-check-label">
+                Skip lower priorities
+              </label>
+            </div>
+            <div className="form-check">
+              <input
+                type="checkbox"
+                className="form-check-input"
+                id="promotion_active"
+                checked={isActive}
+                onChange={(e) => setIsActive(e.target.checked)}
+              />
+              <label htmlFor="promotion_active" className="form-check-label">
+                Active
+              </label>
+            </div>
+          </div>
+        </div>
+
+        <div className="d-grid">
+          <button type="submit" className="btn btn-primary py-3">
+            {editPromotion ? "Update promotion" : "Create promotion"}
+          </button>
+          {editPromotion && (
+            <button
+              type="button"
+              className="btn btn-light py-3 mt-2"
+              onClick={() => setEditPromotion(null)}
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CreatePromotion;
@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import CreateCoupon from "./CreateCoupon";
+import CouponsTable from "./CouponsTable";
+import CreatePromotion from "./CreatePromotion";
+import PromotionsTable from "./PromotionsTable";
+import { listCoupons } from "../../Redux/Actions/CouponActions";
+import { listPromotions } from "../../Redux/Actions/PromotionActions";
+import { listCategories } from "../../Redux/Actions/CategoryActions";
+import { listProducts } from "../../Redux/Actions/ProductActions";
+import Toast from "../LoadingError/Toast";
+
+const MainPromotions = () => {
+  const [editCoupon, setEditCoupon] = useState(null);
+  const [editPromotion, setEditPromotion] = useState(null);
+  const dispatch = useDispatch();
+
+  const couponCreate = useSelector((state) => state.couponCreate);
+  const { success: successCreate } = couponCreate;
+  const couponUpdate = useSelector((state) => state.couponUpdate);
+  const { success: successUpdate } = couponUpdate;
+  const couponDelete = useSelector((state) => state.couponDelete);
+  const { success: successDelete } = couponDelete;
+  const promotionCreate = useSelector((state) => state.promotionCreate);
+  const { success: successPromotionCreate } = promotionCreate;
+  const promotionUpdate = useSelector((state) => state.promotionUpdate);
+  const { success: successPromotionUpdate } = promotionUpdate;
+  const promotionDelete = useSelector((state) => state.promotionDelete);
+  const { success: successPromotionDelete } = promotionDelete;
+
+  // Both forms restrict to products and categories
+  useEffect(() => {
+    dispatch(listCategories());
+    dispatch(listProducts());
+  }, [dispatch]);
+
+  useEffect(() => {
+    dispatch(listCoupons());
+  }, [dispatch, successCreate, successUpdate, successDelete]);
+
+  useEffect(() => {
+    dispatch(listPromotions());
+  }, [
+    dispatch,
+    successPromotionCreate,
+    successPromotionUpdate,
+    successPromotionDelete,
+  ]);
+
+  return (
+    <section className="content-main">
+      <Toast />
+      <div className="content-header">
+        <h2 className="content-title">Promotions</h2>
+      </div>
+
+      <div className="card shadow-sm mb-4">
+        <header className="card-header">
+          <h5 className="mb-0">Automatic promotions</h5>
+        </header>
+        <div className="card-body">
+          <div className="row">
+            {/* Create promotion */}
+            <CreatePromotion
+              editPromotion={editPromotion}
+              setEditPromotion={setEditPromotion}
+            />
+            {/* Promotions table */}
+            <PromotionsTable setEditPromotion={setEditPromotion} />
+          </div>
+        </div>
+      </div>
+
+      <div className="card shadow-sm">
+        <header className="card-header">
+          <h5 className="mb-0">Coupon codes</h5>
+        </header>
+        <div className="card-body">
+          <div className="row">
+            {/* Create coupon */}
+            <CreateCoupon
+              editCoupon={editCoupon}
+              setEditCoupon={setEditCoupon}
+            />
+            {/* Coupons table */}
+            <CouponsTable setEditCoupon={setEditCoupon} />
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default MainPromotions;
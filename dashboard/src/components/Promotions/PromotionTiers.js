@@ -0,0 +1,77 @@
+import React from "react";
+
+export const emptyTier = { minQuantity: "", value: "" };
+
+// Quantity tiers editor, the highest tier reached applies
+const PromotionTiers = (props) => {
+  const { tiers, setTiers } = props;
+
+  const updateTier = (index, field, value) => {
+    setTiers(
+      tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    );
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="form-label">Tiers</label>
+      <table className="table table-sm shipping-rates">
+        <thead>
+          <tr>
+            <th>From quantity</th>
+            <th>Discount (%)</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {tiers.map((tier, index) => (
+            <tr key={index}>
+              <td>
+                <input
+                  type="number"
+                  min="1"
+                  className="form-control form-control-sm"
+                  required
+                  value={tier.minQuantity}
+                  onChange={(e) =>
+                    updateTier(index, "minQuantity", e.target.value)
+                  }
+                />
+              </td>
+              <td>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="any"
+                  className="form-control form-control-sm"
+                  required
+                  value={tier.value}
+                  onChange={(e) => updateTier(index, "value", e.target.value)}
+                />
+              </td>
+              <td>
+                <button
+                  type="button"
+                  className="btn btn-sm btn-light"
+                  onClick={() => setTiers(tiers.filter((t, i) => i !== index))}
+                >
+                  <i className="fas fa-times"></i>
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button
+        type="button"
+        className="btn btn-sm btn-light"
+        onClick={() => setTiers([...tiers, { ...emptyTier }])}
+      >
+        Add tier
+      </button>
+    </div>
+  );
+};
+
+export default PromotionTiers;
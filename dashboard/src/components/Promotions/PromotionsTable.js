@@ -0,0 +1,171 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import moment from "moment";
+import { deletePromotion } from "../../Redux/Actions/PromotionActions";
+import Loading from "../LoadingError/Loading";
+import Message from "../LoadingError/Error";
+
+// "10% off", "$5 off", "Free express shipping" or "3+ items 5% off"
+const promotionSummary = (promotion) => {
+  switch (promotion.type) {
+    case "percentage":
+      return `${promotion.value}% off`;
+    case "fixed":
+      return `$${promotion.value} off`;
+    case "free_shipping":
+      return promotion.shippingTypes.length
+        ? `Free ${promotion.shippingTypes.join(" or ")} shipping`
+        : "Free shipping";
+    case "tiered":
+      return promotion.tiers
+        .map((tier) => `${tier.minQuantity}+ items ${tier.value}% off`)
+        .join(", ");
+    default:
+      return promotion.type;
+  }
+};
+
+const promotionStatus = (promotion) => {
+  const now = new Date();
+  if (!promotion.isActive) {
+    return { text: "Inactive", variant: "danger" };
+  }
+  if (promotion.expiresAt && new Date(promotion.expiresAt) < now) {
+    return { text: "Ended", variant: "danger" };
+  }
+  if (promotion.startsAt && new Date(promotion.startsAt) > now) {
+    return { text: "Scheduled", variant: "warning" };
+  }
+  return { text: "Running", variant: "success" };
+};
+
+const PromotionsTable = (props) => {
+  const { setEditPromotion } = props;
+  const dispatch = useDispatch();
+
+  const promotionList = useSelector((state) => state.promotionList);
+  const { loading, error, promotions } = promotionList;
+  const promotionDelete = useSelector((state) => state.promotionDelete);
+  const { error: errorDelete } = promotionDelete;
+
+  const deletehandler = (id) => {
+    if (window.confirm("Are you sure??")) {
+      dispatch(deletePromotion(id));
+    }
+  };
+
+  return (
+    <div className="col-md-12 col-lg-7">
+      {errorDelete && <Message variant="alert-danger">{errorDelete}</Message>}
+      {loading ? (
+        <Loading />
+      ) : error ? (
+        <Message variant="alert-danger">{error}</Message>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Discount</th>
+              <th>Priority</th>
+              <th>Valid</th>
+              <th>Status</th>
+              <th className="text-end">Action</th>
+            </tr>
+          </thead>
+          {/* Table Data */}
+          <tbody>
+            {promotions.length === 0 && (
+              <tr>
+                <td colSpan="6" className="text-center">
+                  No promotions yet
+                </td>
+              </tr>
+            )}
+            {promotions.map((promotion) => {
+              const status = promotionStatus(promotion);
+              return (
+                <tr key={promotion._id}>
+                  <td>
+                    <b>{promotion.name}</b>
+                    <div className="text-muted small">
+                      {promotion.description}
+                    </div>
+                  </td>
+                  <td>
+                    {promotionSummary(promotion)}
+                    {promotion.minOrderValue > 0 && (
+                      <div className="text-muted small">
+                        From ${promotion.minOrderValue}
+                      </div>
+                    )}
+                    {(promotion.products.length > 0 ||
+                      promotion.categories.length > 0) && (
+                      <div className="text-muted small">
+                        {[...promotion.products, ...promotion.categories]
+                          .map((item) => item.name)
+                          .join(", ")}
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    {promotion.priority}
+                    {promotion.exclusive && (
+                      <div className="text-muted small">Exclusive</div>
+                    )}
+                  </td>
+                  <td className="small">
+                    {promotion.startsAt
+                      ? moment(promotion.startsAt).format("MMM D, YYYY")
+                      : "Now"}{" "}
+                    -{" "}
+                    {promotion.expiresAt
+                      ? moment(promotion.expiresAt).format("MMM D, YYYY")
+                      : "No end"}
+                  </td>
+                  <td>
+                    <span
+                      className={`badge rounded-pill alert-${status.variant}`}
+                    >
+                      {status.text}
+                    </span>
+                  </td>
+                  <td className="text-end">
+                    <div className="dropdown">
+                      <Link
+                        to="#"
+                        data-bs-toggle="dropdown"
+                        className="btn btn-light"
+                      >
+                        <i className="fas fa-ellipsis-h"></i>
+                      </Link>
+                      <div className="dropdown-menu">
+                        <Link
+                          className="dropdown-item"
+                          to="#"
+                          onClick={() => setEditPromotion(promotion)}
+                        >
+                          Edit info
+                        </Link>
+                        <Link
+                          className="dropdown-item text-danger"
+                          to="#"
+                          onClick={() => deletehandler(promotion._id)}
+                        >
+                          Delete
+                        </Link>
+                      </div>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default PromotionsTable;
@@ -0,0 +1,220 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import {
+  createShippingMethod,
+  updateShippingMethod,
+} from "../../Redux/Actions/ShippingActions";
+import {
+  SHIPPING_METHOD_CREATE_RESET,
+  SHIPPING_METHOD_UPDATE_RESET,
+} from "../../Redux/Constants/ShippingConstants";
+import ShippingRates, { emptyRate } from "./ShippingRates";
+import Toast from "../LoadingError/Toast";
+import Message from "../LoadingError/Error";
+import Loading from "../LoadingError/Loading";
+
+const ToastObjects = {
+  pauseOnFocusLoss: false,
+  draggable: false,
+  pauseOnHover: false,
+  autoClose: 2000,
+};
+
+const CreateShippingMethod = (props) => {
+  const { editMethod, setEditMethod } = props;
+
+  const [name, setName] = useState("");
+  const [type, setType] = useState("standard");
+  const [description, setDescription] = useState("");
+  const [estimatedDays, setEstimatedDays] = useState("");
+  const [freeShippingOver, setFreeShippingOver] = useState("");
+  const [isActive, setIsActive] = useState(true);
+  const [rates, setRates] = useState([{ ...emptyRate }]);
+
+  const dispatch = useDispatch();
+
+  const shippingMethodCreate = useSelector(
+    (state) => state.shippingMethodCreate
+  );
+  const {
+    loading: loadingCreate,
+    error: errorCreate,
+    success: successCreate,
+  } = shippingMethodCreate;
+  const shippingMethodUpdate = useSelector(
+    (state) => state.shippingMethodUpdate
+  );
+  const {
+    loading: loadingUpdate,
+    error: errorUpdate,
+    success: successUpdate,
+  } = shippingMethodUpdate;
+
+  const resetForm = () => {
+    setName("");
+    setType("standard");
+    setDescription("");
+    setEstimatedDays("");
+    setFreeShippingOver("");
+    setIsActive(true);
+    setRates([{ ...emptyRate }]);
+  };
+
+  useEffect(() => {
+    if (editMethod) {
+      setName(editMethod.name);
+      setType(editMethod.type);
+      setDescription(editMethod.description || "");
+      setEstimatedDays(editMethod.estimatedDays || "");
+      setFreeShippingOver(
+        editMethod.freeShippingOver === null ? "" : editMethod.freeShippingOver
+      );
+      setIsActive(editMethod.isActive);
+      setRates(editMethod.rates);
+    } else {
+      resetForm();
+    }
+  }, [editMethod]);
+
+  useEffect(() => {
+    if (successCreate) {
+      toast.success("Shipping Method Added", ToastObjects);
+      dispatch({ type: SHIPPING_METHOD_CREATE_RESET });
+      resetForm();
+    }
+    if (successUpdate) {
+      toast.success("Shipping Method Updated", ToastObjects);
+      dispatch({ type: SHIPPING_METHOD_UPDATE_RESET });
+      setEditMethod(null);
+    }
+  }, [dispatch, successCreate, successUpdate, setEditMethod]);
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    const method = {
+      name,
+      type,
+      description,
+      estimatedDays,
+      freeShippingOver,
+      isActive,
+      rates,
+    };
+    if (editMethod) {
+      dispatch(updateShippingMethod({ _id: editMethod._id, ...method }));
+    } else {
+      dispatch(createShippingMethod(method));
+    }
+  };
+
+  return (
+    <div className="col-md-12 col-lg-6">
+      <Toast />
+      <form onSubmit={submitHandler}>
+        {errorCreate && <Message variant="alert-danger">{errorCreate}</Message>}
+        {errorUpdate && <Message variant="alert-danger">{errorUpdate}</Message>}
+        {(loadingCreate || loadingUpdate) && <Loading />}
+        <div className="mb-4">
+          <label htmlFor="shipping_name" className="form-label">
+            Name
+          </label>
+          <input
+            type="text"
+            placeholder="Express"
+            className="form-control py-3"
+            id="shipping_name"
+            required
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+        </div>
+        <div className="row">
+          <div className="col-6 mb-4">
+            <label htmlFor="shipping_type" className="form-label">
+              Type
+            </label>
+            <select
+              className="form-select"
+              id="shipping_type"
+              value={type}
+              onChange={(e) => setType(e.target.value)}
+            >
+              <option value="standard">Standard</option>
+              <option value="express">Express</option>
+              <option value="pickup">Pickup</option>
+            </select>
+          </div>
+          <div className="col-6 mb-4">
+            <label htmlFor="shipping_days" className="form-label">
+              Delivery time
+            </label>
+            <input
+              type="text"
+              placeholder="1-2 business days"
+              className="form-control"
+              id="shipping_days"
+              value={estimatedDays}
+              onChange={(e) => setEstimatedDays(e.target.value)}
+            />
+          </div>
+        </div>
+        <div className="mb-4">
+          <label className="form-label">Description</label>
+          <input
+            type="text"
+            placeholder="Type here"
+            className="form-control"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+          />
+        </div>
+        <div className="mb-4">
+          <label htmlFor="shipping_free" className="form-label">
+            Free shipping from ($)
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            placeholder="Never free"
+            className="form-control"
+            id="shipping_free"
+            value={freeShippingOver}
+            onChange={(e) => setFreeShippingOver(e.target.value)}
+          />
+        </div>
+        <ShippingRates rates={rates} setRates={setRates} />
+        <div className="mb-4 form-check">
+          <input
+            type="checkbox"
+            className="form-check-input"
+            id="shipping_active"
+            checked={isActive}
+            onChange={(e) => setIsActive(e.target.checked)}
+          />
+          <label htmlFor="shipping_active" className="form-check-label">
+            Offer at checkout
+          </label>
+        </div>
+
+        <div className="d-grid">
+          <button type="submit" className="btn btn-primary py-3">
+            {editMethod ? "Update shipping method" : "Create shipping method"}
+          </button>
+          {editMethod && (
+            <button
+              type="button"
+              className="btn btn-light py-3 mt-2"
+              onClick={() => setEditMethod(null)}
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CreateShippingMethod;
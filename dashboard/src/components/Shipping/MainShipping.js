@@ -0,0 +1,56 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import CreateShippingMethod from "./CreateShippingMethod";
+import ShippingMethodsTable from "./ShippingMethodsTable";
+import { listShippingMethods } from "../../Redux/Actions/ShippingActions";
+
+const MainShipping = () => {
+  const [editMethod, setEditMethod] = useState(null);
+  const dispatch = useDispatch();
+
+  const shippingMethodCreate = useSelector(
+    (state) => state.shippingMethodCreate
+  );
+  const { success: successCreate } = shippingMethodCreate;
+  const shippingMethodUpdate = useSelector(
+    (state) => state.shippingMethodUpdate
+  );
+  const { success: successUpdate } = shippingMethodUpdate;
+  const shippingMethodDelete = useSelector(
+    (state) => state.shippingMethodDelete
+  );
+  const { success: successDelete } = shippingMethodDelete;
+
+  useEffect(() => {
+    dispatch(listShippingMethods());
+  }, [dispatch, successCreate, successUpdate, successDelete]);
+
+  return (
+    <section className="content-main">
+      <div className="content-header">
+        <h2 className="content-title">Shipping methods</h2>
+      </div>
+
+      <div className="card shadow-sm">
+        <div className="card-body">
+          <p className="text-muted">
+            A method is offered at checkout when one of its rates matches the
+            country, weight and value of the order. Rates for the country come
+            before rates for every country (*).
+          </p>
+          <div className="row">
+            {/* Create shipping method */}
+            <CreateShippingMethod
+              editMethod={editMethod}
+              setEditMethod={setEditMethod}
+            />
+            {/* Shipping methods table */}
+            <ShippingMethodsTable setEditMethod={setEditMethod} />
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default MainShipping;
@@ -0,0 +1,113 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { deleteShippingMethod } from "../../Redux/Actions/ShippingActions";
+import Loading from "../LoadingError/Loading";
+import Message from "../LoadingError/Error";
+
+const ShippingMethodsTable = (props) => {
+  const { setEditMethod } = props;
+  const dispatch = useDispatch();
+
+  const shippingMethodList = useSelector((state) => state.shippingMethodList);
+  const { loading, error, methods } = shippingMethodList;
+  const shippingMethodDelete = useSelector(
+    (state) => state.shippingMethodDelete
+  );
+  const { error: errorDelete } = shippingMethodDelete;
+
+  const deletehandler = (id) => {
+    if (window.confirm("Are you sure??")) {
+      dispatch(deleteShippingMethod(id));
+    }
+  };
+
+  return (
+    <div className="col-md-12 col-lg-6">
+      {errorDelete && <Message variant="alert-danger">{errorDelete}</Message>}
+      {loading ? (
+        <Loading />
+      ) : error ? (
+        <Message variant="alert-danger">{error}</Message>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Type</th>
+              <th>Rates</th>
+              <th>Free from</th>
+              <th>Status</th>
+              <th className="text-end">Action</th>
+            </tr>
+          </thead>
+          {/* Table Data */}
+          <tbody>
+            {methods.length === 0 && (
+              <tr>
+                <td colSpan="6" className="text-center">
+                  No shipping methods yet, customers cannot check out
+                </td>
+              </tr>
+            )}
+            {methods.map((method) => (
+              <tr key={method._id}>
+                <td>
+                  <b>{method.name}</b>
+                  <div className="text-muted small">{method.estimatedDays}</div>
+                </td>
+                <td>{method.type}</td>
+                <td>{method.rates.length}</td>
+                <td>
+                  {method.freeShippingOver === null
+                    ? "-"
+                    : `$${method.freeShippingOver}`}
+                </td>
+                <td>
+                  {method.isActive ? (
+                    <span className="badge rounded-pill alert-success">
+                      Active
+                    </span>
+                  ) : (
+                    <span className="badge rounded-pill alert-danger">
+                      Inactive
+                    </span>
+                  )}
+                </td>
+                <td className="text-end">
+                  <div className="dropdown">
+                    <Link
+                      to="#"
+                      data-bs-toggle="dropdown"
+                      className="btn btn-light"
+                    >
+                      <i className="fas fa-ellipsis-h"></i>
+                    </Link>
+                    <div className="dropdown-menu">
+                      <Link
+                        className="dropdown-item"
+                        to="#"
+                        onClick={() => setEditMethod(method)}
+                      >
+                        Edit info
+                      </Link>
+                      <Link
+                        className="dropdown-item text-danger"
+                        to="#"
+                        onClick={() => deletehandler(method._id)}
+                      >
+                        Delete
+                      </Link>
+                    </div>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ShippingMethodsTable;
@@ -0,0 +1,85 @@
+import React from "react";
+
+export const emptyRate = {
+  country: "*",
+  minWeight: 0,
+  maxWeight: "",
+  minOrderValue: 0,
+  maxOrderValue: "",
+  price: "",
+};
+
+// Rate table editor, empty maximums have no limit
+const ShippingRates = (props) => {
+  const { rates, setRates } = props;
+
+  const updateRate = (index, field, value) => {
+    setRates(
+      rates.map((rate, i) => (i === index ? { ...rate, [field]: value } : rate))
+    );
+  };
+
+  const input = (rate, index, field, placeholder) => (
+    <input
+      type={field === "country" ? "text" : "number"}
+      min="0"
+      step="any"
+      className="form-control form-control-sm"
+      placeholder={placeholder}
+      required={field === "country" || field === "price"}
+      value={rate[field] === null ? "" : rate[field]}
+      onChange={(e) => updateRate(index, field, e.target.value)}
+    />
+  );
+
+  return (
+    <div className="mb-4">
+      <label className="form-label">Rates</label>
+      <table className="table table-sm shipping-rates">
+        <thead>
+          <tr>
+            <th>Country</th>
+            <th>Weight (kg)</th>
+            <th>Order value</th>
+            <th>Price</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {rates.map((rate, index) => (
+            <tr key={index}>
+              <td>{input(rate, index, "country", "*")}</td>
+              <td>
+                {input(rate, index, "minWeight", "From")}
+                {input(rate, index, "maxWeight", "To")}
+              </td>
+              <td>
+                {input(rate, index, "minOrderValue", "From")}
+                {input(rate, index, "maxOrderValue", "To")}
+              </td>
+              <td>{input(rate, index, "price", "$")}</td>
+              <td>
+                <button
+                  type="button"
+                  className="btn btn-sm btn-light"
+                  onClick={() => setRates(rates.filter((r, i) => i !== index))}
+                >
+                  <i className="fas fa-times"></i>
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button
+        type="button"
+        className="btn btn-sm btn-light"
+        onClick={() => setRates([...rates, { ...emptyRate }])}
+      >
+        Add rate
+      </button>
+    </div>
+  );
+};
+
+export default ShippingRates;
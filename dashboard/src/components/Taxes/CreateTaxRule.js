@@ -0,0 +1,212 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import { createTaxRule, updateTaxRule } from "../../Redux/Actions/TaxActions";
+import {
+  TAX_RULE_CREATE_RESET,
+  TAX_RULE_UPDATE_RESET,
+} from "../../Redux/Constants/TaxConstants";
+import Toast from "../LoadingError/Toast";
+import Message from "../LoadingError/Error";
+import Loading from "../LoadingError/Loading";
+
+const ToastObjects = {
+  pauseOnFocusLoss: false,
+  draggable: false,
+  pauseOnHover: false,
+  autoClose: 2000,
+};
+
+const CreateTaxRule = (props) => {
+  const { editRule, setEditRule } = props;
+
+  const [name, setName] = useState("");
+  const [country, setCountry] = useState("");
+  const [region, setRegion] = useState("");
+  const [taxClass, setTaxClass] = useState("standard");
+  const [rate, setRate] = useState("");
+  const [inclusive, setInclusive] = useState(false);
+
+  const dispatch = useDispatch();
+
+  const taxRuleList = useSelector((state) => state.taxRuleList);
+  const { rules } = taxRuleList;
+  const taxRuleCreate = useSelector((state) => state.taxRuleCreate);
+  const {
+    loading: loadingCreate,
+    error: errorCreate,
+    success: successCreate,
+  } = taxRuleCreate;
+  const taxRuleUpdate = useSelector((state) => state.taxRuleUpdate);
+  const {
+    loading: loadingUpdate,
+    error: errorUpdate,
+    success: successUpdate,
+  } = taxRuleUpdate;
+
+  const taxClasses = [
+    ...new Set(["standard", ...rules.map((rule) => rule.taxClass)]),
+  ];
+
+  const resetForm = () => {
+    setName("");
+    setCountry("");
+    setRegion("");
+    setTaxClass("standard");
+    setRate("");
+    setInclusive(false);
+  };
+
+  useEffect(() => {
+    if (editRule) {
+      setName(editRule.name);
+      setCountry(editRule.country);
+      setRegion(editRule.region || "");
+      setTaxClass(editRule.taxClass);
+      setRate(editRule.rate);
+      setInclusive(editRule.inclusive);
+    } else {
+      resetForm();
+    }
+  }, [editRule]);
+
+  useEffect(() => {
+    if (successCreate) {
+      toast.success("Tax Rule Added", ToastObjects);
+      dispatch({ type: TAX_RULE_CREATE_RESET });
+      resetForm();
+    }
+    if (successUpdate) {
+      toast.success("Tax Rule Updated", ToastObjects);
+      dispatch({ type: TAX_RULE_UPDATE_RESET });
+      setEditRule(null);
+    }
+  }, [dispatch, successCreate, successUpdate, setEditRule]);
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    const rule = { name, country, region, taxClass, rate, inclusive };
+    if (editRule) {
+      dispatch(updateTaxRule({ _id: editRule._id, ...rule }));
+    } else {
+      dispatch(createTaxRule(rule));
+    }
+  };
+
+  return (
+    <div className="col-md-12 col-lg-4">
+      <Toast />
+      <form onSubmit={submitHandler}>
+        {errorCreate && <Message variant="alert-danger">{errorCreate}</Message>}
+        {errorUpdate && <Message variant="alert-danger">{errorUpdate}</Message>}
+        {(loadingCreate || loadingUpdate) && <Loading />}
+        <div className="mb-4">
+          <label htmlFor="tax_name" className="form-label">
+            Name
+          </label>
+          <input
+            type="text"
+            placeholder="VAT"
+            className="form-control py-3"
+            id="tax_name"
+            required
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+        </div>
+        <div className="mb-4">
+          <label htmlFor="tax_country" className="form-label">
+            Country
+          </label>
+          <input
+            type="text"
+            placeholder="* for every country"
+            className="form-control"
+            id="tax_country"
+            required
+            value={country}
+            onChange={(e) => setCountry(e.target.value)}
+          />
+        </div>
+        <div className="mb-4">
+          <label htmlFor="tax_region" className="form-label">
+            Region or city
+          </label>
+          <input
+            type="text"
+            placeholder="Leave empty for the whole country"
+            className="form-control"
+            id="tax_region"
+            disabled={country.trim() === "*"}
+            value={region}
+            onChange={(e) => setRegion(e.target.value)}
+          />
+        </div>
+        <div className="mb-4">
+          <label htmlFor="tax_class" className="form-label">
+            Product tax class
+          </label>
+          <input
+            type="text"
+            className="form-control"
+            id="tax_class"
+            list="tax_classes"
+            required
+            value={taxClass}
+            onChange={(e) => setTaxClass(e.target.value)}
+          />
+          <datalist id="tax_classes">
+            {taxClasses.map((c) => (
+              <option key={c} value={c} />
+            ))}
+          </datalist>
+        </div>
+        <div className="mb-4">
+          <label htmlFor="tax_rate" className="form-label">
+            Rate (%)
+          </label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="0.01"
+            className="form-control"
+            id="tax_rate"
+            required
+            value={rate}
+            onChange={(e) => setRate(e.target.value)}
+          />
+        </div>
+        <div className="mb-4 form-check">
+          <input
+            type="checkbox"
+            className="form-check-input"
+            id="tax_inclusive"
+            checked={inclusive}
+            onChange={(e) => setInclusive(e.target.checked)}
+          />
+          <label htmlFor="tax_inclusive" className="form-check-label">
+            Prices include this tax
+          </label>
+        </div>
+
+        <div className="d-grid">
+          <button type="submit" className="btn btn-primary py-3">
+            {editRule ? "Update tax rule" : "Create tax rule"}
+          </button>
+          {editRule && (
+            <button
+              type="button"
+              className="btn btn-light py-3 mt-2"
+              onClick={() => setEditRule(null)}
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CreateTaxRule;
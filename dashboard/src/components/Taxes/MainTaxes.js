@@ -0,0 +1,47 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import CreateTaxRule from "./CreateTaxRule";
+import TaxRulesTable from "./TaxRulesTable";
+import { listTaxRules } from "../../Redux/Actions/TaxActions";
+
+const MainTaxes = () => {
+  const [editRule, setEditRule] = useState(null);
+  const dispatch = useDispatch();
+
+  const taxRuleCreate = useSelector((state) => state.taxRuleCreate);
+  const { success: successCreate } = taxRuleCreate;
+  const taxRuleUpdate = useSelector((state) => state.taxRuleUpdate);
+  const { success: successUpdate } = taxRuleUpdate;
+  const taxRuleDelete = useSelector((state) => state.taxRuleDelete);
+  const { success: successDelete } = taxRuleDelete;
+
+  useEffect(() => {
+    dispatch(listTaxRules());
+  }, [dispatch, successCreate, successUpdate, successDelete]);
+
+  return (
+    <section className="content-main">
+      <div className="content-header">
+        <h2 className="content-title">Taxes</h2>
+      </div>
+
+      <div className="card shadow-sm">
+        <div className="card-body">
+          <p className="text-muted">
+            The most specific rule for the shipping address is used: a region
+            rule, then a country rule, then a rule for every country (*).
+            Products of a tax class without a rule use the standard class.
+          </p>
+          <div className="row">
+            {/* Create tax rule */}
+            <CreateTaxRule editRule={editRule} setEditRule={setEditRule} />
+            {/* Tax rules table */}
+            <TaxRulesTable setEditRule={setEditRule} />
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default MainTaxes;
@@ -0,0 +1,98 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { deleteTaxRule } from "../../Redux/Actions/TaxActions";
+import Loading from "../LoadingError/Loading";
+import Message from "../LoadingError/Error";
+
+const TaxRulesTable = (props) => {
+  const { setEditRule } = props;
+  const dispatch = useDispatch();
+
+  const taxRuleList = useSelector((state) => state.taxRuleList);
+  const { loading, error, rules } = taxRuleList;
+  const taxRuleDelete = useSelector((state) => state.taxRuleDelete);
+  const { error: errorDelete } = taxRuleDelete;
+
+  const deletehandler = (id) => {
+    if (window.confirm("Are you sure??")) {
+      dispatch(deleteTaxRule(id));
+    }
+  };
+
+  return (
+    <div className="col-md-12 col-lg-8">
+      {errorDelete && <Message variant="alert-danger">{errorDelete}</Message>}
+      {loading ? (
+        <Loading />
+      ) : error ? (
+        <Message variant="alert-danger">{error}</Message>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Country</th>
+              <th>Region</th>
+              <th>Tax class</th>
+              <th>Rate</th>
+              <th>Pricing</th>
+              <th className="text-end">Action</th>
+            </tr>
+          </thead>
+          {/* Table Data */}
+          <tbody>
+            {rules.length === 0 && (
+              <tr>
+                <td colSpan="7" className="text-center">
+                  No tax rules yet, every order is taxed at the default rate
+                </td>
+              </tr>
+            )}
+            {rules.map((rule) => (
+              <tr key={rule._id}>
+                <td>
+                  <b>{rule.name}</b>
+                </td>
+                <td>{rule.country === "*" ? "All countries" : rule.country}</td>
+                <td>{rule.region || "-"}</td>
+                <td>{rule.taxClass}</td>
+                <td>{rule.rate}%</td>
+                <td>{rule.inclusive ? "Inclusive" : "Exclusive"}</td>
+                <td className="text-end">
+                  <div className="dropdown">
+                    <Link
+                      to="#"
+                      data-bs-toggle="dropdown"
+                      className="btn btn-light"
+                    >
+                      <i className="fas fa-ellipsis-h"></i>
+                    </Link>
+                    <div className="dropdown-menu">
+                      <Link
+                        className="dropdown-item"
+                        to="#"
+                        onClick={() => setEditRule(rule)}
+                      >
+                        Edit info
+                      </Link>
+                      <Link
+                        className="dropdown-item text-danger"
+                        to="#"
+                        onClick={() => deletehandler(rule._id)}
+                      >
+                        Delete
+                      </Link>
+                    </div>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default TaxRulesTable;
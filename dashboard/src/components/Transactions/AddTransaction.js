@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import { createTransaction } from "../../Redux/Actions/TransactionActions";
+import { TRANSACTION_CREATE_RESET } from "../../Redux/Constants/TransactionConstants";
+import Message from "../LoadingError/Error";
+import Loading from "../LoadingError/Loading";
+
+const ToastObjects = {
+  pauseOnFocusLoss: false,
+  draggable: false,
+  pauseOnHover: false,
+  autoClose: 2000,
+};
+
+// Payouts to the bank and fees the providers do not report are entered from
+// the bank statement
+const AddTransaction = ({ methods }) => {
+  const [type, setType] = useState("payout");
+  const [provider, setProvider] = useState("paypal");
+  const [amount, setAmount] = useState("");
+  const [date, setDate] = useState("");
+  const [reference, setReference] = useState("");
+  const [description, setDescription] = useState("");
+
+  const dispatch = useDispatch();
+
+  const transactionCreate = useSelector((state) => state.transactionCreate);
+  const { loading, error, success } = transactionCreate;
+
+  useEffect(() => {
+    if (success) {
+      toast.success("Transaction Added", ToastObjects);
+      dispatch({ type: TRANSACTION_CREATE_RESET });
+      setAmount("");
+      setDate("");
+      setReference("");
+      setDescription("");
+    }
+  }, [dispatch, success]);
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    dispatch(
+      createTransaction({
+        type,
+        provider,
+        amount,
+        date: date || undefined,
+        reference,
+        description,
+      })
+    );
+  };
+
+  return (
+    <form onSubmit={submitHandler}>
+      <h5 className="mb-3">Add payout or fee</h5>
+      {error && <Message variant="alert-danger">{error}</Message>}
+      {loading && <Loading />}
+      <div className="mb-3">
+        <label className="form-label">Type</label>
+        <select
+          className="form-select"
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+        >
+          <option value="payout">Payout to the bank</option>
+          <option value="fee">Fee</option>
+        </select>
+      </div>
+      <div className="mb-3">
+        <label className="form-label">Method</label>
+        <select
+          className="form-select"
+          value={provider}
+          onChange={(e) => setProvider(e.target.value)}
+        >
+          {methods.map((method) => (
+            <option key={method.provider} value={method.provider}>
+              {method.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="mb-3">
+        <label className="form-label">Amount</label>
+        <input
+          type="number"
+          className="form-control"
+          min="0.01"
+          step="0.01"
+          required
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+        />
+      </div>
+      <div className="mb-3">
+        <label className="form-label">Date</label>
+        <input
+          type="date"
+          className="form-control"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+        />
+      </div>
+      <div className="mb-3">
+        <label className="form-label">Reference</label>
+        <input
+          type="text"
+          className="form-control"
+          placeholder="Bank or provider reference"
+          value={reference}
+          onChange={(e) => setReference(e.target.value)}
+        />
+      </div>
+      <div className="mb-3">
+        <label className="form-label">Description</label>
+        <input
+          type="text"
+          className="form-control"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+        />
+      </div>
+      <div className="d-grid">
+        <button type="submit" className="btn btn-primary py-3">
+          Add transaction
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default AddTransaction;
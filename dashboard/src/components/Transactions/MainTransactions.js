@@ -0,0 +1,273 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import AddTransaction from "./AddTransaction";
+import TransactionsTable from "./TransactionsTable";
+import {
+  exportTransactions,
+  listTransactions,
+} from "../../Redux/Actions/TransactionActions";
+import { listPaymentMethods } from "../../Redux/Actions/PaymentActions";
+import Toast from "../LoadingError/Toast";
+import Message from "../LoadingError/Error";
+import Loading from "../LoadingError/Loading";
+
+const ToastObjects = {
+  pauseOnFocusLoss: false,
+  draggable: false,
+  pauseOnHover: false,
+  autoClose: 2000,
+};
+
+const EMPTY_FILTERS = {
+  type: "",
+  provider: "",
+  status: "",
+  from: "",
+  to: "",
+  minAmount: "",
+  maxAmount: "",
+};
+
+const TOTALS = [
+  { key: "charges", label: "Charges" },
+  { key: "refunds", label: "Refunds" },
+  { key: "fees", label: "Fees" },
+  { key: "net", label: "Net" },
+  { key: "payouts", label: "Paid out" },
+];
+
+const MainTransactions = () => {
+  const dispatch = useDispatch();
+  // The form is applied with the Filter button
+  const [form, setForm] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [pageNumber, setPageNumber] = useState(1);
+  const [exporting, setExporting] = useState(false);
+
+  const transactionList = useSelector((state) => state.transactionList);
+  const { loading, error, transactions, page, pages, totals } = transactionList;
+  const paymentMethodList = useSelector((state) => state.paymentMethodList);
+  const { methods } = paymentMethodList;
+  const transactionCreate = useSelector((state) => state.transactionCreate);
+  const { success: successCreate } = transactionCreate;
+
+  useEffect(() => {
+    dispatch(listPaymentMethods());
+  }, [dispatch]);
+
+  useEffect(() => {
+    dispatch(listTransactions(filters, pageNumber));
+  }, [dispatch, filters, pageNumber, successCreate]);
+
+  const changeHandler = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const filterHandler = (e) => {
+    e.preventDefault();
+    setFilters(form);
+    setPageNumber(1);
+  };
+
+  const clearHandler = () => {
+    setForm(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+    setPageNumber(1);
+  };
+
+  const exportHandler = async () => {
+    setExporting(true);
+    try {
+      await dispatch(exportTransactions(filters));
+    } catch (error) {
+      toast.error("The transactions could not be exported", ToastObjects);
+    }
+    setExporting(false);
+  };
+
+  return (
+    <section className="content-main">
+      <Toast />
+      <div className="content-header">
+        <h2 className="content-title">Transactions</h2>
+        <div>
+          <button
+            type="button"
+            className="btn btn-primary"
+            disabled={exporting}
+            onClick={exportHandler}
+          >
+            <i className="fas fa-file-csv"></i> Export CSV
+          </button>
+        </div>
+      </div>
+
+      <div className="card mb-4 shadow-sm">
+        <header className="card-header bg-white">
+          <form className="row gx-3" onSubmit={filterHandler}>
+            <div className="col-lg-2 col-6 col-md-3 mb-2">
+              <select
+                name="type"
+                className="form-select"
+                value={form.type}
+                onChange={changeHandler}
+              >
+                <option value="">All types</option>
+                <option value="charge">Charges</option>
+                <option value="refund">Refunds</option>
+                <option value="fee">Fees</option>
+                <option value="payout">Payouts</option>
+              </select>
+            </div>
+            <div className="col-lg-2 col-6 col-md-3 mb-2">
+              <select
+                name="provider"
+                className="form-select"
+                value={form.provider}
+                onChange={changeHandler}
+              >
+                <option value="">All methods</option>
+                {methods.map((method) => (
+                  <option key={method.provider} value={method.provider}>
+                    {method.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="col-lg-2 col-6 col-md-3 mb-2">
+              <select
+                name="status"
+                className="form-select"
+                value={form.status}
+                onChange={changeHandler}
+              >
+                <option value="">All statuses</option>
+                <option value="completed">Completed</option>
+                <option value="pending">Pending</option>
+                <option value="failed">Failed</option>
+                <option value="manual">Manual</option>
+              </select>
+            </div>
+            <div className="col-lg-2 col-6 col-md-3 mb-2">
+              <input
+                type="date"
+                name="from"
+                className="form-control"
+                title="From"
+                value={form.from}
+                onChange={changeHandler}
+              />
+            </div>
+            <div className="col-lg-2 col-6 col-md-3 mb-2">
+              <input
+                type="date"
+                name="to"
+                className="form-control"
+                title="To"
+                value={form.to}
+                onChange={changeHandler}
+              />
+            </div>
+            <div className="col-lg-1 col-3 col-md-2 mb-2">
+              <input
+                type="number"
+                name="minAmount"
+                className="form-control"
+                placeholder="Min $"
+                min="0"
+                step="0.01"
+                value={form.minAmount}
+                onChange={changeHandler}
+              />
+            </div>
+            <div className="col-lg-1 col-3 col-md-2 mb-2">
+              <input
+                type="number"
+                name="maxAmount"
+                className="form-control"
+                placeholder="Max $"
+                min="0"
+                step="0.01"
+                value={form.maxAmount}
+                onChange={changeHandler}
+              />
+            </div>
+            <div className="col-12">
+              <button type="submit" className="btn btn-dark me-2">
+                Filter
+              </button>
+              <button
+                type="button"
+                className="btn btn-light"
+                onClick={clearHandler}
+              >
+                Clear
+              </button>
+            </div>
+          </form>
+        </header>
+
+        <div className="card-body">
+          {totals && (
+            <div className="row mb-4">
+              {TOTALS.map((total) => (
+                <div className="col" key={total.key}>
+                  <div className="text-muted small">{total.label}</div>
+                  <h5>${totals[total.key].toFixed(2)}</h5>
+                </div>
+              ))}
+            </div>
+          )}
+          <p className="text-muted small">
+            Totals count completed and manual transactions that match the
+            filters, on every page.
+          </p>
+          <div className="row">
+            <div className="col-md-12 col-lg-9">
+              {loading && !transactions.length ? (
+                <Loading />
+              ) : error ? (
+                <Message variant="alert-danger">{error}</Message>
+              ) : transactions.length === 0 ? (
+                <p className="text-muted">No transactions found</p>
+              ) : (
+                <div className="table-responsive">
+                  <TransactionsTable transactions={transactions} />
+                </div>
+              )}
+              {pages > 1 && (
+                <div className="d-flex justify-content-between">
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-light"
+                    disabled={page <= 1}
+                    onClick={() => setPageNumber(page - 1)}
+                  >
+                    Newer
+                  </button>
+                  <span className="text-muted">
+                    Page {page} of {pages}
+                  </span>
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-light"
+                    disabled={page >= pages}
+                    onClick={() => setPageNumber(page + 1)}
+                  >
+                    Older
+                  </button>
+                </div>
+              )}
+            </div>
+            <div className="col-md-12 col-lg-3">
+              <AddTransaction methods={methods} />
+            </div>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default MainTransactions;
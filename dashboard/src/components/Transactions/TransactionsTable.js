@@ -0,0 +1,81 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import moment from "moment";
+import { paymentMethodName } from "../../utils/payments";
+
+const STATUS_BADGES = {
+  pending: "alert-warning",
+  completed: "alert-success",
+  failed: "alert-danger",
+  manual: "alert-secondary",
+};
+
+// Money in for charges, out for everything else
+const signedAmount = (transaction) =>
+  `${transaction.type === "charge" ? "" : "-"}${transaction.amount.toFixed(
+    2
+  )} ${transaction.currency}`;
+
+const TransactionsTable = ({ transactions }) => {
+  return (
+    <table className="table">
+      <thead>
+        <tr>
+          <th scope="col">Date</th>
+          <th scope="col">Type</th>
+          <th scope="col">Method</th>
+          <th scope="col">Order</th>
+          <th scope="col">Reference</th>
+          <th scope="col">Status</th>
+          <th scope="col" className="text-end">
+            Amount
+          </th>
+        </tr>
+      </thead>
+      <tbody>
+        {transactions.map((transaction) => (
+          <tr key={transaction._id}>
+            <td>{moment(transaction.date).format("MMM Do YY, LT")}</td>
+            <td>
+              <b className="text-capitalize">{transaction.type}</b>
+              {transaction.description && (
+                <div className="text-muted small">
+                  {transaction.description}
+                </div>
+              )}
+            </td>
+            <td>{paymentMethodName(transaction.provider)}</td>
+            <td>
+              {transaction.order ? (
+                <Link to={`/order/${transaction.order}`}>
+                  {transaction.order.slice(-6)}
+                </Link>
+              ) : (
+                "-"
+              )}
+            </td>
+            <td className="small">{transaction.reference || "-"}</td>
+            <td>
+              <span
+                className={`badge rounded-pill ${
+                  STATUS_BADGES[transaction.status]
+                }`}
+              >
+                {transaction.status}
+              </span>
+            </td>
+            <td
+              className={`text-end ${
+                transaction.type === "charge" ? "text-success" : ""
+              }`}
+            >
+              {signedAmount(transaction)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default TransactionsTable;
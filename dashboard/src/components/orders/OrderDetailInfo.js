@@ -1,7 +1,10 @@
 import React from "react";
+import { paymentMethodName } from "../../utils/payments";
 
 const OrderDetailInfo = (props) => {
   const { order } = props;
+  // Guest orders have an email but no user
+  const customerEmail = order.user ? order.user.email : order.guestEmail;
   return (
     <div className="row mb-5 order-info-wrap">
       <div className="col-md-6 col-lg-4">
@@ -12,8 +15,8 @@ const OrderDetailInfo = (props) => {
           <div className="text">
             <h6 className="mb-1">Customer</h6>
             <p className="mb-1">
-              {order.user.name} <br />
-              <a href={`mailto:${order.user.email}`}>{order.user.email}</a>
+              {order.user ? order.user.name : "Guest"} <br />
+              <a href={`mailto:${customerEmail}`}>{customerEmail}</a>
             </p>
           </div>
         </article>
@@ -26,8 +29,29 @@ const OrderDetailInfo = (props) => {
           <div className="text">
             <h6 className="mb-1">Order info</h6>
             <p className="mb-1">
-              Shipping: {order.shippingAddress.country} <br /> Pay method:{" "}
-              {order.paymentMethod}
+              Shipping: {order.shippingAddress.country} <br />
+              {order.shippingMethod && order.shippingMethod.name && (
+                <>
+                  Delivery: {order.shippingMethod.name} <br />
+                </>
+              )}
+              Pay method: {paymentMethodName(order.paymentMethod)}
+              {order.paymentStatus && (
+                <>
+                  <br />
+                  Payment: {order.paymentStatus}
+                </>
+              )}
+              {/* Opened by the buyer with the provider */}
+              {order.dispute && order.dispute.id && (
+                <>
+                  <br />
+                  <span className="text-danger">
+                    Dispute {order.dispute.status}
+                    {order.dispute.reason && `: ${order.dispute.reason}`}
+                  </span>
+                </>
+              )}
             </p>
           </div>
         </article>
@@ -45,6 +69,15 @@ const OrderDetailInfo = (props) => {
               {order.shippingAddress.address}
               <br /> {order.shippingAddress.postalCode}
             </p>
+            {order.billingAddress && (
+              <p className="mb-1">
+                Billing: {order.billingAddress.city}
+                <br />
+                {order.billingAddress.address}
+                <br /> {order.billingAddress.postalCode},{" "}
+                {order.billingAddress.country}
+              </p>
+            )}
           </div>
         </article>
       </div>
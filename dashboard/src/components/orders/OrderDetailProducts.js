@@ -40,12 +40,34 @@ const OrderDetailProducts = (props) => {
                     className="img-xs"
                   />
                 </div>
-                <div className="info">{item.name}</div>
+                <div className="info">
+                  {item.name}
+                  {item.variant && (
+                    <div className="text-muted small">
+                      {item.sku} -{" "}
+                      {item.options
+                        .map((option) => `${option.name}: ${option.value}`)
+                        .join(", ")}
+                    </div>
+                  )}
+                </div>
               </Link>
             </td>
             <td>${item.price} </td>
             <td>{item.qty} </td>
-            <td className="text-end"> ${item.qty * item.price}</td>
+            <td className="text-end">
+              {" "}
+              ${item.qty * item.price}
+              {item.discount > 0 && (
+                <div className="text-muted small">-${item.discount}</div>
+              )}
+              {item.taxAmount > 0 && (
+                <div className="text-muted small">
+                  {item.taxName} {item.taxRate}%
+                  {item.taxInclusive ? " incl." : ""}: ${item.taxAmount}
+                </div>
+              )}
+            </td>
           </tr>
         ))}
 
@@ -55,9 +77,33 @@ const OrderDetailProducts = (props) => {
               <dl className="dlist">
                 <dt>Subtotal:</dt> <dd>${order.itemsPrice}</dd>
               </dl>
+              {(order.promotions || []).map((promotion) => (
+                <dl className="dlist" key={promotion.promotion}>
+                  <dt className="text-success">{promotion.name}:</dt>
+                  <dd className="text-success">
+                    {promotion.type === "free_shipping"
+                      ? `Free shipping (-$${promotion.discount})`
+                      : `-$${promotion.discount}`}
+                  </dd>
+                </dl>
+              ))}
+              {order.discountPrice > 0 && (
+                <dl className="dlist">
+                  <dt>
+                    {order.coupon && order.coupon.code
+                      ? `Discount (${order.coupon.code})`
+                      : "Discount"}
+                    :
+                  </dt>
+                  <dd>-${order.discountPrice}</dd>
+                </dl>
+              )}
               <dl className="dlist">
                 <dt>Shipping cost:</dt> <dd>${order.shippingPrice}</dd>
               </dl>
+              <dl className="dlist">
+                <dt>Tax:</dt> <dd>${order.taxPrice}</dd>
+              </dl>
               <dl className="dlist">
                 <dt>Grand total:</dt>
                 <dd>
@@ -1,15 +1,18 @@
-import React, { useEffect } from "react";
+import React, { useEffect, useState } from "react";
 import OrderDetailProducts from "./OrderDetailProducts";
 import OrderDetailInfo from "./OrderDetailInfo";
+import OrderRefunds from "./OrderRefunds";
 import { Link } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
 import {
   deliverOrder,
   getOrderDetails,
+  payOrder,
 } from "../../Redux/Actions/OrderActions";
 import Loading from "../LoadingError/Loading";
 import Message from "../LoadingError/Error";
 import moment from "moment";
+import { paymentProvider } from "../../utils/payments";
 
 const OrderDetailmain = (props) => {
   const { orderId } = props;
@@ -20,15 +23,27 @@ const OrderDetailmain = (props) => {
 
   const orderDeliver = useSelector((state) => state.orderDeliver);
   const { loading: loadingDelivered, success: successDelivered } = orderDeliver;
+  const orderPay = useSelector((state) => state.orderPay);
+  const {
+    loading: loadingPay,
+    error: errorPay,
+    success: successPay,
+  } = orderPay;
+
+  const [reference, setReference] = useState("");
 
   useEffect(() => {
     dispatch(getOrderDetails(orderId));
-  }, [dispatch, orderId, successDelivered]);
+  }, [dispatch, orderId, successDelivered, successPay]);
 
   const deliverHandler = () => {
     dispatch(deliverOrder(order));
   };
 
+  const payHandler = () => {
+    dispatch(payOrder(order, reference));
+  };
+
   return (
     <section className="content-main">
       <div className="content-header">
@@ -83,6 +98,7 @@ const OrderDetailmain = (props) => {
                 <div className="table-responsive">
                   <OrderDetailProducts order={order} loading={loading} />
                 </div>
+                <OrderRefunds order={order} />
               </div>
               {/* Payment Info */}
               <div className="col-lg-3">
@@ -103,6 +119,31 @@ const OrderDetailmain = (props) => {
                       </button>
                     </>
                   )}
+                  {/* Cash and bank payments are recorded when they arrive */}
+                  {!order.isPaid &&
+                    !order.isCancelled &&
+                    paymentProvider(order.paymentMethod) !== "paypal" && (
+                      <div className="mt-3">
+                        {errorPay && (
+                          <Message variant="alert-danger">{errorPay}</Message>
+                        )}
+                        {loadingPay && <Loading />}
+                        <input
+                          type="text"
+                          className="form-control mb-2"
+                          placeholder="Receipt or transfer reference"
+                          value={reference}
+                          onChange={(e) => setReference(e.target.value)}
+                        />
+                        <button
+                          onClick={payHandler}
+                          className="btn btn-primary col-12"
+                          disabled={loadingPay}
+                        >
+                          MARK AS PAID
+                        </button>
+                      </div>
+                    )}
                 </div>
               </div>
             </div>
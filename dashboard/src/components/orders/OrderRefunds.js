@@ -0,0 +1,199 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import moment from "moment";
+import { getOrderDetails, refundOrder } from "../../Redux/Actions/OrderActions";
+import { ORDER_REFUND_RESET } from "../../Redux/Constants/OrderConstants";
+import Message from "../LoadingError/Error";
+import Loading from "../LoadingError/Loading";
+
+// Units of an order line refunded so far
+const refundedQty = (order, item) =>
+  order.refunds.reduce(
+    (total, refund) =>
+      total +
+      refund.items
+        .filter((line) => line.item === item._id)
+        .reduce((sum, line) => sum + line.qty, 0),
+    0
+  );
+
+// Refund history of a paid order and the form to refund more of it
+const OrderRefunds = ({ order }) => {
+  const dispatch = useDispatch();
+  const [quantities, setQuantities] = useState({});
+  const [amount, setAmount] = useState("");
+  const [reason, setReason] = useState("");
+  const [restock, setRestock] = useState(false);
+
+  const orderRefund = useSelector((state) => state.orderRefund);
+  const { loading, error, success } = orderRefund;
+
+  const refunds = order.refunds || [];
+  const refundable =
+    Math.round((order.totalPrice - (order.refundedAmount || 0)) * 100) / 100;
+
+  useEffect(() => {
+    if (success) {
+      setQuantities({});
+      setAmount("");
+      setReason("");
+      setRestock(false);
+      dispatch({ type: ORDER_REFUND_RESET });
+      dispatch(getOrderDetails(order._id));
+    }
+  }, [dispatch, success, order._id]);
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    const items = Object.keys(quantities)
+      .filter((item) => Number(quantities[item]) > 0)
+      .map((item) => ({ item, qty: Number(quantities[item]) }));
+    if (
+      window.confirm(
+        amount
+          ? `Refund $${amount} to the customer?`
+          : "Refund the chosen items to the customer?"
+      )
+    ) {
+      dispatch(refundOrder(order, { items, amount, reason, restock }));
+    }
+  };
+
+  if (!order.isPaid && !refunds.length) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4">
+      {refunds.length > 0 && (
+        <>
+          <h5>Refunds</h5>
+          <table className="table border">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Items</th>
+                <th>Reason</th>
+                <th className="text-end">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {refunds.map((refund) => (
+                <tr key={refund._id}>
+                  <td>{moment(refund.createdAt).format("MMM Do YY")}</td>
+                  <td>
+                    {refund.items
+                      .map((line) => `${line.qty} x ${line.name}`)
+                      .join(", ") || "-"}
+                    {refund.restock && (
+                      <div className="text-muted small">Put back in stock</div>
+                    )}
+                  </td>
+                  <td>
+                    {refund.reason || "-"}
+                    {refund.status === "MANUAL" && (
+                      <div className="text-muted small">
+                        Paid back by the shop
+                      </div>
+                    )}
+                  </td>
+                  <td className="text-end">${refund.amount.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      {order.isPaid && refundable > 0 && (
+        <form onSubmit={submitHandler}>
+          <h5>Refund</h5>
+          {error && <Message variant="alert-danger">{error}</Message>}
+          {loading && <Loading />}
+          <table className="table border">
+            <thead>
+              <tr>
+                <th>Product</th>
+                <th>Refunded</th>
+                <th style={{ width: "120px" }}>Refund qty</th>
+              </tr>
+            </thead>
+            <tbody>
+              {order.orderItems.map((item) => {
+                const left = item.qty - refundedQty(order, item);
+                return (
+                  <tr key={item._id}>
+                    <td>{item.name}</td>
+                    <td>
+                      {item.qty - left} of {item.qty}
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        className="form-control"
+                        min="0"
+                        max={left}
+                        disabled={left === 0}
+                        value={quantities[item._id] || ""}
+                        onChange={(e) =>
+                          setQuantities({
+                            ...quantities,
+                            [item._id]: e.target.value,
+                          })
+                        }
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div className="row">
+            <div className="col-md-4 mb-3">
+              <label className="form-label">Amount</label>
+              <input
+                type="number"
+                className="form-control"
+                min="0.01"
+                max={refundable}
+                step="0.01"
+                placeholder="Price of the items"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+              />
+              <small className="text-muted">
+                Up to ${refundable.toFixed(2)}
+              </small>
+            </div>
+            <div className="col-md-8 mb-3">
+              <label className="form-label">Reason</label>
+              <input
+                type="text"
+                className="form-control"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+              />
+            </div>
+          </div>
+          <div className="form-check mb-3">
+            <input
+              id="refund-restock"
+              type="checkbox"
+              className="form-check-input"
+              checked={restock}
+              onChange={(e) => setRestock(e.target.checked)}
+            />
+            <label className="form-check-label" htmlFor="refund-restock">
+              Put the refunded items back in stock
+            </label>
+          </div>
+          <button type="submit" className="btn btn-danger" disabled={loading}>
+            REFUND
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default OrderRefunds;
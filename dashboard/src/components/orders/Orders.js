@@ -23,9 +23,9 @@ const Orders = (props) => {
         {orders.map((order) => (
           <tr key={order._id}>
             <td>
-              <b>{order.user.name}</b>
+              <b>{order.user ? order.user.name : "Guest"}</b>
             </td>
-            <td>{order.user.email}</td>
+            <td>{order.user ? order.user.email : order.guestEmail}</td>
             <td>${order.totalPrice}</td>
             <td>
               {order.isPaid ? (
@@ -7,6 +7,9 @@ import { createProduct } from "./../../Redux/Actions/ProductActions";
 import Toast from "../LoadingError/Toast";
 import Message from "../LoadingError/Error";
 import Loading from "../LoadingError/Loading";
+import ExtraData from "./ExtraData";
+import Variants, { parseOptions } from "./Variants";
+import ImageGallery from "./ImageGallery";
 
 const ToastObjects = {
   pauseOnFocusLoss: false,
@@ -17,9 +20,14 @@ const ToastObjects = {
 const AddProductMain = () => {
   const [name, setName] = useState("");
   const [price, setPrice] = useState(0);
-  const [image, setImage] = useState("");
+  const [images, setImages] = useState([]);
   const [countInStock, setCountInStock] = useState(0);
+  const [weight, setWeight] = useState(0);
   const [description, setDescription] = useState("");
+  const [category, setCategory] = useState("");
+  const [taxClass, setTaxClass] = useState("standard");
+  const [options, setOptions] = useState([]);
+  const [variants, setVariants] = useState([]);
 
   const dispatch = useDispatch();
 
@@ -33,14 +41,32 @@ const AddProductMain = () => {
       setName("");
       setDescription("");
       setCountInStock(0);
-      setImage("");
+      setWeight(0);
+      setImages([]);
       setPrice(0);
+      setCategory("");
+      setTaxClass("standard");
+      setOptions([]);
+      setVariants([]);
     }
   }, [product, dispatch]);
 
   const submitHandler = (e) => {
     e.preventDefault();
-    dispatch(createProduct(name, price, description, image, countInStock));
+    dispatch(
+      createProduct({
+        name,
+        price,
+        description,
+        images,
+        countInStock,
+        weight,
+        category,
+        taxClass,
+        options: parseOptions(options),
+        variants,
+      })
+    );
   };
 
   return (
@@ -104,10 +130,33 @@ const AddProductMain = () => {
                       className="form-control"
                       id="product_price"
                       required
-                      value={countInStock}
+                      value={
+                        variants.length
+                          ? variants.reduce(
+                              (total, v) => total + Number(v.countInStock),
+                              0
+                            )
+                          : countInStock
+                      }
+                      readOnly={variants.length > 0}
                       onChange={(e) => setCountInStock(e.target.value)}
                     />
                   </div>
+                  <div className="mb-4">
+                    <label htmlFor="product_weight" className="form-label">
+                      Weight (kg)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      placeholder="Type here"
+                      className="form-control"
+                      id="product_weight"
+                      value={weight}
+                      onChange={(e) => setWeight(e.target.value)}
+                    />
+                  </div>
                   <div className="mb-4">
                     <label className="form-label">Description</label>
                     <textarea
@@ -119,21 +168,23 @@ const AddProductMain = () => {
                       onChange={(e) => setDescription(e.target.value)}
                     ></textarea>
                   </div>
-                  <div className="mb-4">
-                    <label className="form-label">Images</label>
-                    <input
-                      className="form-control"
-                      type="text"
-                      placeholder="Enter Image URL"
-                      value={image}
-                      required
-                      onChange={(e) => setImage(e.target.value)}
-                    />
-                    <input className="form-control mt-3" type="file" />
-                  </div>
+                  <ImageGallery images={images} setImages={setImages} />
                 </div>
               </div>
+              <Variants
+                options={options}
+                setOptions={setOptions}
+                variants={variants}
+                setVariants={setVariants}
+                price={price}
+              />
             </div>
+            <ExtraData
+              category={category}
+              setCategory={setCategory}
+              taxClass={taxClass}
+              setTaxClass={setTaxClass}
+            />
           </div>
         </form>
       </section>
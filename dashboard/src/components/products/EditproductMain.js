@@ -10,6 +10,9 @@ import { PRODUCT_UPDATE_RESET } from "../../Redux/Constants/ProductConstants";
 import { toast } from "react-toastify";
 import Message from "../LoadingError/Error";
 import Loading from "../LoadingError/Loading";
+import ExtraData from "./ExtraData";
+import Variants, { formatOptions, parseOptions } from "./Variants";
+import ImageGallery from "./ImageGallery";
 
 const ToastObjects = {
   pauseOnFocusLoss: false,
@@ -23,9 +26,14 @@ const EditProductMain = (props) => {
 
   const [name, setName] = useState("");
   const [price, setPrice] = useState(0);
-  const [image, setImage] = useState("");
+  const [images, setImages] = useState([]);
   const [countInStock, setCountInStock] = useState(0);
+  const [weight, setWeight] = useState(0);
   const [description, setDescription] = useState("");
+  const [category, setCategory] = useState("");
+  const [taxClass, setTaxClass] = useState("standard");
+  const [options, setOptions] = useState([]);
+  const [variants, setVariants] = useState([]);
 
   const dispatch = useDispatch();
 
@@ -50,8 +58,19 @@ const EditProductMain = (props) => {
         setName(product.name);
         setDescription(product.description);
         setCountInStock(product.countInStock);
-        setImage(product.image);
+        setWeight(product.weight || 0);
+        setImages(
+          product.images && product.images.length
+            ? product.images
+            : product.image
+              ? [{ url: product.image }]
+              : []
+        );
         setPrice(product.price);
+        setCategory(product.category || "");
+        setTaxClass(product.taxClass || "standard");
+        setOptions(formatOptions(product.options));
+        setVariants(product.variants || []);
       }
     }
   }, [product, dispatch, productId, successUpdate]);
@@ -64,8 +83,13 @@ const EditProductMain = (props) => {
         name,
         price,
         description,
-        image,
+        images,
         countInStock,
+        weight,
+        category,
+        taxClass,
+        options: parseOptions(options),
+        variants,
       })
     );
   };
@@ -139,10 +163,33 @@ const EditProductMain = (props) => {
                           className="form-control"
                           id="product_price"
                           required
-                          value={countInStock}
+                          value={
+                            variants.length
+                              ? variants.reduce(
+                                  (total, v) => total + Number(v.countInStock),
+                                  0
+                                )
+                              : countInStock
+                          }
+                          readOnly={variants.length > 0}
                           onChange={(e) => setCountInStock(e.target.value)}
                         />
                       </div>
+                      <div className="mb-4">
+                        <label htmlFor="product_weight" className="form-label">
+                          Weight (kg)
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          placeholder="Type here"
+                          className="form-control"
+                          id="product_weight"
+                          value={weight}
+                          onChange={(e) => setWeight(e.target.value)}
+                        />
+                      </div>
                       <div className="mb-4">
                         <label className="form-label">Description</label>
                         <textarea
@@ -154,21 +201,25 @@ const EditProductMain = (props) => {
                           onChange={(e) => setDescription(e.target.value)}
                         ></textarea>
                       </div>
-                      <div className="mb-4">
-                        <label className="form-label">Images</label>
-                        <input
-                          className="form-control"
-                          type="text"
-                          value={image}
-                          required
-                          onChange={(e) => setImage(e.target.value)}
-                        />
-                      </div>
+                      <ImageGallery images={images} setImages={setImages} />
                     </>
                   )}
                 </div>
               </div>
+              <Variants
+                options={options}
+                setOptions={setOptions}
+                variants={variants}
+                setVariants={setVariants}
+                price={price}
+              />
             </div>
+            <ExtraData
+              category={category}
+              setCategory={setCategory}
+              taxClass={taxClass}
+              setTaxClass={setTaxClass}
+            />
           </div>
         </form>
       </section>
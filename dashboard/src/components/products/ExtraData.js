@@ -1,165 +1,94 @@
-import React from "react";
+import React, { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { listCategories } from "../../Redux/Actions/CategoryActions";
+import { listTaxRules } from "../../Redux/Actions/TaxActions";
+import Loading from "../LoadingError/Loading";
+import Message from "../LoadingError/Error";
+
+const ExtraData = (props) => {
+  const { category, setCategory, taxClass, setTaxClass } = props;
+  const dispatch = useDispatch();
+
+  const categoryList = useSelector((state) => state.categoryList);
+  const { loading, error, categories } = categoryList;
+  const taxRuleList = useSelector((state) => state.taxRuleList);
+  const { rules } = taxRuleList;
+
+  const taxClasses = [
+    ...new Set(["standard", ...rules.map((rule) => rule.taxClass)]),
+  ];
+
+  useEffect(() => {
+    dispatch(listCategories());
+    dispatch(listTaxRules());
+  }, [dispatch]);
 
-const ExtraData = () => {
   return (
     <aside className="col-xl-4 col-lg-4">
       <div className="card mb-4 shadow-sm">
         <div className="card-body">
           {/* categories */}
-          <>
-            <h5 className="mb-3">Categories</h5>
-            <div className="form-check">
-              <input
-                className="form-check-input"
-                type="checkbox"
-                value=""
-                id="product-cat"
-              />
-              <label className="form-check-label" htmlFor="product-cat">
-                Shirt
-              </label>
-            </div>
-            <div className="form-check">
-              <input
-                className="form-check-input"
-                type="checkbox"
-                value=""
-                id="product-cat-1"
-              />
-              <label className="form-check-label" htmlFor="product-cat-1">
-                T-Shirt
-              </label>
-            </div>
-            <div className="form-check">
-              <input
-                className="form-check-input"
-                type="checkbox"
-                value=""
-                id="product-cat-2"
-              />
-              <label className="form-check-label" htmlFor="product-cat-2">
-                Sneakers
-              </label>
-            </div>
-            <div className="form-check">
-              <input
-                className="form-check-input"
-                type="checkbox"
-                value=""
-                id="product-cat-3"
-              />
-              <label className="form-check-label" htmlFor="product-cat-3">
-                Joggers
-              </label>
-            </div>
-            <div className="form-check">
-              <input
-                className="form-check-input"
-                type="checkbox"
-                value=""
-                id="product-cat-4"
-              />
-              <label className="form-check-label" htmlFor="product-cat-4">
-                Vests
-              </label>
-            </div>
-            <div className="form-check">
-              <input
-                className="form-check-input"
-                type="checkbox"
-                value=""
-                id="product-cat-5"
-              />
-              <label className="form-check-label" htmlFor="product-cat-5">
-                Knitwear
-              </label>
-            </div>
-            <div className="form-check">
-              <input
-                className="form-check-input"
-                type="checkbox"
-                value=""
-                id="product-cat-8"
-              />
-              <label className="form-check-label" htmlFor="product-cat-8">
-                Shorts
-              </label>
-            </div>
-          </>
-          {/* Colors */}
-          <>
-            <h5 className="mb-3 mt-4">Colors</h5>
-            <div className="form-check">
-              <input
-                className="form-check-input"
-                type="checkbox"
-                value=""
-                id="product-cat"
-              />
-              <label className="form-check-label" htmlFor="product-cat">
-                Yellow
-              </label>
-            </div>
-            <div className="form-check">
-              <input
-                className="form-check-input"
-                type="checkbox"
-                value=""
-                id="product-cat-1"
-              />
-              <label className="form-check-label" htmlFor="product-cat-1">
-                Green
-              </label>
-            </div>
-            <div className="form-check">
-              <input
-                className="form-check-input"
-                type="checkbox"
-                value=""
-                id="product-cat-2"
-              />
-              <label className="form-check-label" htmlFor="product-cat-2">
-                Blue
-              </label>
-            </div>
-          </>
-          {/* Size */}
-          <>
-            <h5 className="mb-3 mt-4">Size</h5>
-            <div className="form-check">
-              <input
-                className="form-check-input"
-                type="checkbox"
-                value=""
-                id="product-cat"
-              />
-              <label className="form-check-label" htmlFor="product-cat">
-                SM
-              </label>
-            </div>
-            <div className="form-check">
-              <input
-                className="form-check-input"
-                type="checkbox"
-                value=""
-                id="product-cat-1"
-              />
-              <label className="form-check-label" htmlFor="product-cat-1">
-                M
-              </label>
-            </div>
-            <div className="form-check">
-              <input
-                className="form-check-input"
-                type="checkbox"
-                value=""
-                id="product-cat-2"
-              />
-              <label className="form-check-label" htmlFor="product-cat-2">
-                XL
-              </label>
-            </div>
-          </>
+          <h5 className="mb-3">Categories</h5>
+          {loading ? (
+            <Loading />
+          ) : error ? (
+            <Message variant="alert-danger">{error}</Message>
+          ) : (
+            <>
+              <div className="form-check">
+                <input
+                  className="form-check-input"
+                  type="radio"
+                  name="product-category"
+                  id="product-cat-none"
+                  checked={!category}
+                  onChange={() => setCategory("")}
+                />
+                <label className="form-check-label" htmlFor="product-cat-none">
+                  No category
+                </label>
+              </div>
+              {categories.map((c) => (
+                <div className="form-check" key={c._id}>
+                  <input
+                    className="form-check-input"
+                    type="radio"
+                    name="product-category"
+                    id={`product-cat-${c._id}`}
+                    checked={category === c._id}
+                    onChange={() => setCategory(c._id)}
+                  />
+                  <label
+                    className="form-check-label"
+                    htmlFor={`product-cat-${c._id}`}
+                  >
+                    {c.name}
+                  </label>
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+      <div className="card mb-4 shadow-sm">
+        <div className="card-body">
+          {/* tax class */}
+          <h5 className="mb-3">Tax class</h5>
+          <input
+            type="text"
+            className="form-control"
+            list="product-tax-classes"
+            value={taxClass}
+            onChange={(e) => setTaxClass(e.target.value)}
+          />
+          <datalist id="product-tax-classes">
+            {taxClasses.map((c) => (
+              <option key={c} value={c} />
+            ))}
+          </datalist>
+          <small className="text-muted">
+            Tax rules of this class apply to the product
+          </small>
         </div>
       </div>
     </aside>
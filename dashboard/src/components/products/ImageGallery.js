@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { uploadImages } from "../../Redux/Actions/UploadActions";
+import { IMAGE_UPLOAD_RESET } from "../../Redux/Constants/UploadConstants";
+import Message from "../LoadingError/Error";
+import Loading from "../LoadingError/Loading";
+
+// Drop or choose files to upload them, drag the images to change their order.
+// The first image is the cover shown in the shop.
+const ImageGallery = (props) => {
+  const { images, setImages } = props;
+  const [url, setUrl] = useState("");
+  const [dragging, setDragging] = useState(null);
+  const [dropActive, setDropActive] = useState(false);
+
+  const dispatch = useDispatch();
+
+  const imageUpload = useSelector((state) => state.imageUpload);
+  const { loading, error, images: uploaded } = imageUpload;
+
+  useEffect(() => {
+    if (uploaded) {
+      setImages((current) => [...current, ...uploaded]);
+      dispatch({ type: IMAGE_UPLOAD_RESET });
+    }
+  }, [uploaded, dispatch, setImages]);
+
+  useEffect(() => {
+    return () => dispatch({ type: IMAGE_UPLOAD_RESET });
+  }, [dispatch]);
+
+  const upload = (files) => {
+    if (files.length) {
+      dispatch(uploadImages(files));
+    }
+  };
+
+  const dropHandler = (e) => {
+    e.preventDefault();
+    setDropActive(false);
+    if (dragging === null) {
+      upload([...e.dataTransfer.files]);
+    }
+  };
+
+  // Move the dragged image to the place of the one it is dragged over
+  const dragOverImage = (e, index) => {
+    e.preventDefault();
+    if (dragging === null || dragging === index) {
+      return;
+    }
+    const ordered = [...images];
+    const [moved] = ordered.splice(dragging, 1);
+    ordered.splice(index, 0, moved);
+    setImages(ordered);
+    setDragging(index);
+  };
+
+  const addUrl = () => {
+    const value = url.trim();
+    if (value && !images.some((image) => image.url === value)) {
+      setImages([...images, { url: value }]);
+    }
+    setUrl("");
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="form-label">Images</label>
+      {error && <Message variant="alert-danger">{error}</Message>}
+      {loading && <Loading />}
+      {images.length > 0 && (
+        <div className="image-gallery mb-3">
+          {images.map((image, index) => (
+            <div
+              key={image.url}
+              className={`image-gallery-item ${
+                dragging === index ? "dragging" : ""
+              }`}
+              draggable
+              onDragStart={() => setDragging(index)}
+              onDragOver={(e) => dragOverImage(e, index)}
+              onDragEnd={() => setDragging(null)}
+            >
+              <img
+                src={(image.thumbnails && image.thumbnails.small) || image.url}
+                alt={`Product ${index + 1}`}
+              />
+              {index === 0 && <span className="badge bg-primary">Cover</span>}
+              <button
+                type="button"
+                className="btn btn-sm btn-light"
+                onClick={() => setImages(images.filter((_, i) => i !== index))}
+              >
+                <i className="fas fa-trash-alt"></i>
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      <label
+        className={`image-drop ${dropActive ? "active" : ""}`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDropActive(dragging === null);
+        }}
+        onDragLeave={() => setDropActive(false)}
+        onDrop={dropHandler}
+      >
+        <i className="fas fa-cloud-upload-alt"></i>
+        <span>Drop images here or click to choose</span>
+        <input
+          type="file"
+          multiple
+          hidden
+          accept="image/jpeg,image/png,image/webp,image/gif"
+          onChange={(e) => {
+            upload([...e.target.files]);
+            e.target.value = "";
+          }}
+        />
+      </label>
+      <div className="input-group mt-3">
+        <input
+          className="form-control"
+          type="text"
+          placeholder="Enter Image URL"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+        />
+        <button type="button" className="btn btn-light" onClick={addUrl}>
+          Add
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImageGallery;
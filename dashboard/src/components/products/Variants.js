@@ -0,0 +1,224 @@
+import React from "react";
+
+// Option rows are edited as "S, M, L" and sent as ["S", "M", "L"]
+export const parseOptions = (rows) => {
+  return rows
+    .map((row) => ({
+      name: row.name.trim(),
+      values: [
+        ...new Set(
+          row.values
+            .split(",")
+            .map((value) => value.trim())
+            .filter(Boolean)
+        ),
+      ],
+    }))
+    .filter((option) => option.name && option.values.length);
+};
+
+export const formatOptions = (options) => {
+  return (options || []).map((option) => ({
+    name: option.name,
+    values: option.values.join(", "),
+  }));
+};
+
+// Every combination of one value of each option
+const combine = (options) => {
+  return options.reduce(
+    (combinations, option) =>
+      combinations.flatMap((combination) =>
+        option.values.map((value) => [
+          ...combination,
+          { name: option.name, value },
+        ])
+      ),
+    [[]]
+  );
+};
+
+const Variants = (props) => {
+  const { options, setOptions, variants, setVariants, price } = props;
+
+  const updateOption = (index, field, value) => {
+    setOptions(
+      options.map((option, i) =>
+        i === index ? { ...option, [field]: value } : option
+      )
+    );
+  };
+
+  const updateVariant = (index, field, value) => {
+    setVariants(
+      variants.map((variant, i) =>
+        i === index ? { ...variant, [field]: value } : variant
+      )
+    );
+  };
+
+  // Keep the SKU, price and stock of combinations that already exist
+  const generateHandler = () => {
+    const parsed = parseOptions(options);
+    if (!parsed.length) {
+      setVariants([]);
+      return;
+    }
+    setVariants(
+      combine(parsed).map((combination) => {
+        const existing = variants.find((variant) =>
+          combination.every((option) =>
+            variant.options.some(
+              (o) => o.name === option.name && o.value === option.value
+            )
+          )
+        );
+        return existing
+          ? { ...existing, options: combination }
+          : {
+              sku: "",
+              options: combination,
+              price: "",
+              countInStock: 0,
+              image: "",
+            };
+      })
+    );
+  };
+
+  return (
+    <div className="card mb-4 shadow-sm">
+      <div className="card-body">
+        <h5 className="mb-3">Variants</h5>
+        {options.map((option, index) => (
+          <div className="row mb-3" key={index}>
+            <div className="col-md-4">
+              <input
+                type="text"
+                placeholder="Option, e.g. Size"
+                className="form-control"
+                value={option.name}
+                onChange={(e) => updateOption(index, "name", e.target.value)}
+              />
+            </div>
+            <div className="col-md-6">
+              <input
+                type="text"
+                placeholder="Values, e.g. 40, 41, 42"
+                className="form-control"
+                value={option.values}
+                onChange={(e) => updateOption(index, "values", e.target.value)}
+              />
+            </div>
+            <div className="col-md-2">
+              <button
+                type="button"
+                className="btn btn-light"
+                onClick={() =>
+                  setOptions(options.filter((_, i) => i !== index))
+                }
+              >
+                <i className="fas fa-trash-alt"></i>
+              </button>
+            </div>
+          </div>
+        ))}
+        <div className="mb-4">
+          <button
+            type="button"
+            className="btn btn-light me-2"
+            onClick={() => setOptions([...options, { name: "", values: "" }])}
+          >
+            Add option
+          </button>
+          <button
+            type="button"
+            className="btn btn-light"
+            onClick={generateHandler}
+          >
+            Generate variants
+          </button>
+        </div>
+
+        {variants.length > 0 && (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Variant</th>
+                <th>SKU</th>
+                <th>Price</th>
+                <th>Stock</th>
+                <th>Image</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {variants.map((variant, index) => (
+                <tr key={variant.options.map((o) => o.value).join("/")}>
+                  <td>{variant.options.map((o) => o.value).join(" / ")}</td>
+                  <td>
+                    <input
+                      type="text"
+                      className="form-control"
+                      required
+                      value={variant.sku}
+                      onChange={(e) =>
+                        updateVariant(index, "sku", e.target.value)
+                      }
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      className="form-control"
+                      placeholder={price}
+                      value={variant.price == null ? "" : variant.price}
+                      onChange={(e) =>
+                        updateVariant(index, "price", e.target.value)
+                      }
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      className="form-control"
+                      min="0"
+                      value={variant.countInStock}
+                      onChange={(e) =>
+                        updateVariant(index, "countInStock", e.target.value)
+                      }
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      className="form-control"
+                      placeholder="Image URL"
+                      value={variant.image || ""}
+                      onChange={(e) =>
+                        updateVariant(index, "image", e.target.value)
+                      }
+                    />
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      className="btn btn-light"
+                      onClick={() =>
+                        setVariants(variants.filter((_, i) => i !== index))
+                      }
+                    >
+                      <i className="fas fa-trash-alt"></i>
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Variants;
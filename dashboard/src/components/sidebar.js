@@ -64,6 +64,46 @@ const Sidebar = () => {
                 <span className="text">Categories</span>
               </NavLink>
             </li>
+            <li className="menu-item">
+              <NavLink
+                activeClassName="active"
+                className="menu-link"
+                to="/taxes"
+              >
+                <i className="icon fas fa-percent"></i>
+                <span className="text">Taxes</span>
+              </NavLink>
+            </li>
+            <li className="menu-item">
+              <NavLink
+                activeClassName="active"
+                className="menu-link"
+                to="/shipping"
+              >
+                <i className="icon fas fa-shipping-fast"></i>
+                <span className="text">Shipping</span>
+              </NavLink>
+            </li>
+            <li className="menu-item">
+              <NavLink
+                activeClassName="active"
+                className="menu-link"
+                to="/payments"
+              >
+                <i className="icon fas fa-money-bill-wave"></i>
+                <span className="text">Payments</span>
+              </NavLink>
+            </li>
+            <li className="menu-item">
+              <NavLink
+                activeClassName="active"
+                className="menu-link"
+                to="/promotions"
+              >
+                <i className="icon fas fa-tags"></i>
+                <span className="text">Promotions</span>
+              </NavLink>
+            </li>
             <li className="menu-item">
               <NavLink
                 activeClassName="active"
@@ -98,7 +138,7 @@ const Sidebar = () => {
             <li className="menu-item">
               <NavLink
                 activeClassName="active"
-                className="menu-link disabled"
+                className="menu-link"
                 to="/transaction"
               >
                 <i className="icon fas fa-usd-circle"></i>
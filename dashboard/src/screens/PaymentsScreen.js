@@ -0,0 +1,18 @@
+import React from "react";
+import Sidebar from "./../components/sidebar";
+import Header from "./../components/Header";
+import MainPayments from "./../components/Payments/MainPayments";
+
+const PaymentsScreen = () => {
+  return (
+    <>
+      <Sidebar />
+      <main className="main-wrap">
+        <Header />
+        <MainPayments />
+      </main>
+    </>
+  );
+};
+
+export default PaymentsScreen;
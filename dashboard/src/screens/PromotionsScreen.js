@@ -0,0 +1,18 @@
+import React from "react";
+import Sidebar from "./../components/sidebar";
+import Header from "./../components/Header";
+import MainPromotions from "./../components/Promotions/MainPromotions";
+
+const PromotionsScreen = () => {
+  return (
+    <>
+      <Sidebar />
+      <main className="main-wrap">
+        <Header />
+        <MainPromotions />
+      </main>
+    </>
+  );
+};
+
+export default PromotionsScreen;
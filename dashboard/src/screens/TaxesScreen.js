@@ -0,0 +1,18 @@
+import React from "react";
+import Sidebar from "./../components/sidebar";
+import Header from "./../components/Header";
+import MainTaxes from "./../components/Taxes/MainTaxes";
+
+const TaxesScreen = () => {
+  return (
+    <>
+      <Sidebar />
+      <main className="main-wrap">
+        <Header />
+        <MainTaxes />
+      </main>
+    </>
+  );
+};
+
+export default TaxesScreen;
@@ -0,0 +1,18 @@
+import React from "react";
+import Sidebar from "./../components/sidebar";
+import Header from "./../components/Header";
+import MainTransactions from "./../components/Transactions/MainTransactions";
+
+const TransactionScreen = () => {
+  return (
+    <>
+      <Sidebar />
+      <main className="main-wrap">
+        <Header />
+        <MainTransactions />
+      </main>
+    </>
+  );
+};
+
+export default TransactionScreen;
@@ -0,0 +1,17 @@
+const PAYMENT_METHOD_NAMES = {
+  paypal: "PayPal",
+  cod: "Cash on delivery",
+  bank_transfer: "Bank transfer",
+};
+
+// Orders from before the payment providers say "Paypal" or "PayPal"
+export const paymentProvider = (paymentMethod) => {
+  return `${paymentMethod || "paypal"}`
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+};
+
+export const paymentMethodName = (paymentMethod) => {
+  return PAYMENT_METHOD_NAMES[paymentProvider(paymentMethod)] || paymentMethod;
+};
@@ -3,7 +3,10 @@ import User from "./Models/UserModel.js";
 import users from "./data/users.js";
 import Product from "./Models/ProductModel.js";
 import products from "./data/Products.js";
+import ShippingMethod from "./Models/ShippingMethodModel.js";
+import shippingMethods from "./data/shippingMethods.js";
 import asyncHandler from "express-async-handler";
+import { admin, protect } from "./Middleware/AuthMiddleware.js";
 
 const ImportData = express.Router();
 
@@ -25,4 +28,17 @@ ImportData.post(
   })
 );
 
+// Replaces the shipping methods set up in the dashboard, admins only
+ImportData.post(
+  "/shipping",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    await ShippingMethod.remove({});
+    const importShippingMethods =
+      await ShippingMethod.insertMany(shippingMethods);
+    res.send({ importShippingMethods });
+  })
+);
+
 export default ImportData;
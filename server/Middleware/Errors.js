@@ -9,6 +9,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode);
   res.json({
     message: err.message,
+    ...(err.items && { items: err.items }),
     stack: process.env.NODE_ENV === "production" ? null : err.stack,
   });
 };
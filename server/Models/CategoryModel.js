@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+import slugify from "../utils/slugify.js";
+
+const categorySchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    image: {
+      type: String,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Slug: names without latin letters or digits use the id, and names that
+// only differ in punctuation get a number
+categorySchema.pre("validate", async function () {
+  if (this.isModified("name") || !this.slug) {
+    const base = slugify(this.name || "") || this._id.toString();
+    let slug = base;
+    let count = 1;
+    while (await this.constructor.exists({ slug, _id: { $ne: this._id } })) {
+      count += 1;
+      slug = `${base}-${count}`;
+    }
+    this.slug = slug;
+  }
+});
+
+// Tree: nest every category under its parent
+categorySchema.statics.getTree = async function () {
+  const categories = await this.find({}).sort({ name: 1 }).lean();
+  const byId = {};
+  categories.forEach((c) => {
+    byId[c._id.toString()] = { ...c, children: [] };
+  });
+  const roots = [];
+  categories.forEach((c) => {
+    const node = byId[c._id.toString()];
+    const parent = c.parent && byId[c.parent.toString()];
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  return roots;
+};
+
+// Ids of a category and all of its subcategories
+categorySchema.statics.getDescendantIds = async function (categoryId) {
+  const categories = await this.find({}).select("_id parent").lean();
+  const ids = [categoryId.toString()];
+  for (let i = 0; i < ids.length; i++) {
+    categories.forEach((c) => {
+      if (c.parent && c.parent.toString() === ids[i]) {
+        ids.push(c._id.toString());
+      }
+    });
+  }
+  return ids.map((id) => new mongoose.Types.ObjectId(id));
+};
+
+// Breadcrumb: path from the root category down to this one
+categorySchema.statics.getBreadcrumb = async function (categoryId) {
+  const path = [];
+  let current = categoryId && (await this.findById(categoryId).lean());
+  while (current && path.length < 20) {
+    path.unshift({ _id: current._id, name: current.name, slug: current.slug });
+    current = current.parent && (await this.findById(current.parent).lean());
+  }
+  return path;
+};
+
+// Find by id or slug
+categorySchema.statics.findByIdOrSlug = function (value) {
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    return this.findOne({ $or: [{ _id: value }, { slug: value }] });
+  }
+  return this.findOne({ slug: value });
+};
+
+const Category = mongoose.model("Category", categorySchema);
+
+export default Category;
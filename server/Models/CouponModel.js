@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+const couponSchema = mongoose.Schema(
+  {
+    // Stored upper case, customers can type it in any case
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["percentage", "fixed", "free_shipping", "buy_x_get_y"],
+    },
+    // Percent off for percentage coupons, amount off for fixed ones
+    value: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Buy X get Y: every buyQuantity eligible items, the next getQuantity
+    // (the cheapest) are free
+    buyQuantity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    getQuantity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    minOrderValue: {
+      type: Number,
+      default: 0,
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Empty limits are unlimited
+    usageLimit: {
+      type: Number,
+      default: null,
+    },
+    usageLimitPerCustomer: {
+      type: Number,
+      default: null,
+    },
+    // Only these products, or products of these categories and their
+    // subcategories, are discounted. Every product when both are empty.
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+    // Orders placed with the coupon and not cancelled
+    usedCount: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+    // The same for each customer, by the key of utils/coupons.js
+    customerUses: {
+      type: Map,
+      of: Number,
+      default: {},
+      select: false,
+    },
+    isActive: {
+      type: Boolean,
+      required: true,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Coupon = mongoose.model("Coupon", couponSchema);
+
+export default Coupon;
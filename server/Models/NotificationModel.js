@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+// An alert shown in the storefront, and emailed unless the user opted out
+const notificationSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["price_drop", "back_in_stock"],
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Product",
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    link: {
+      type: String,
+    },
+    // Price drops only
+    oldPrice: {
+      type: Number,
+    },
+    price: {
+      type: Number,
+    },
+    isRead: {
+      type: Boolean,
+      required: true,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+    },
+    // Emails are queued and sent in the background, see utils/alerts.js
+    email: {
+      status: {
+        type: String,
+        required: true,
+        enum: ["pending", "sending", "sent", "failed", "skipped"],
+        default: "pending",
+      },
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      sentAt: {
+        type: Date,
+      },
+      error: {
+        type: String,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ "email.status": 1, createdAt: 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
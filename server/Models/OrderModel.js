@@ -2,11 +2,19 @@ import mongoose from "mongoose";
 
 const orderSchema = mongoose.Schema(
   {
+    // Guest orders have no user until the guest creates an account
     user: {
       type: mongoose.Schema.Types.ObjectId,
-      required: true,
+      required: function () {
+        return !this.guestEmail;
+      },
       ref: "User",
     },
+    guestEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
     orderItems: [
       {
         name: { type: String, required: true },
@@ -18,6 +26,21 @@ const orderSchema = mongoose.Schema(
           required: true,
           ref: "Product",
         },
+        variant: { type: mongoose.Schema.Types.ObjectId },
+        sku: { type: String },
+        options: [
+          {
+            _id: false,
+            name: { type: String },
+            value: { type: String },
+          },
+        ],
+        discount: { type: Number, default: 0 },
+        taxClass: { type: String },
+        taxName: { type: String },
+        taxRate: { type: Number, default: 0 },
+        taxAmount: { type: Number, default: 0 },
+        taxInclusive: { type: Boolean, default: false },
       },
     ],
     shippingAddress: {
@@ -26,16 +49,115 @@ const orderSchema = mongoose.Schema(
       postalCode: { type: String, required: true },
       country: { type: String, required: true },
     },
+    // The shipping address when the customer gave no other
+    billingAddress: {
+      address: { type: String },
+      city: { type: String },
+      postalCode: { type: String },
+      country: { type: String },
+    },
+    shippingMethod: {
+      method: { type: mongoose.Schema.Types.ObjectId, ref: "ShippingMethod" },
+      name: { type: String },
+      type: { type: String },
+      estimatedDays: { type: String },
+    },
+    coupon: {
+      coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+      code: { type: String },
+      type: { type: String },
+      freeShipping: { type: Boolean },
+      // Whether the order still counts against the usage limit
+      redeemed: { type: Boolean },
+      // Key of the customer the use was counted for
+      customer: { type: String },
+    },
+    // Automatic promotions applied, with what each saved
+    promotions: [
+      {
+        promotion: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion" },
+        name: { type: String },
+        description: { type: String },
+        type: { type: String },
+        discount: { type: Number },
+      },
+    ],
+    // Key of the payment provider, see utils/payments.js
     paymentMethod: {
       type: String,
       required: true,
-      default: "Paypal",
+      default: "paypal",
+    },
+    // Bank details, what to have ready, ... as they were when ordering
+    paymentInstructions: {
+      type: String,
+    },
+    // PayPal order created for the order total, captured by PUT /:id/pay
+    paypalOrderId: {
+      type: String,
     },
     paymentResult: {
       id: { type: String },
       status: { type: String },
       update_time: { type: String },
       email_address: { type: String },
+      captureId: { type: String },
+      amount: { type: Number },
+      currency: { type: String },
+      // What the provider kept of the amount
+      fee: { type: Number },
+    },
+    // What happened to the payment when the order is not simply paid or
+    // unpaid: pending (the provider is still reviewing it), failed, reversed,
+    // partially_refunded, refunded or refund_needed (money came in that an
+    // admin has to give back)
+    paymentStatus: {
+      type: String,
+    },
+    // Money given back to the buyer, oldest first. items are the order lines
+    // refunded, empty when the amount was not for particular items.
+    refunds: [
+      {
+        amount: { type: Number, required: true },
+        items: [
+          {
+            _id: false,
+            item: { type: mongoose.Schema.Types.ObjectId },
+            name: { type: String },
+            qty: { type: Number },
+            amount: { type: Number },
+          },
+        ],
+        reason: { type: String },
+        restock: { type: Boolean, default: false },
+        // Refund of the provider, MANUAL when the shop pays the money back
+        refundId: { type: String },
+        status: { type: String },
+        createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Latest dispute the buyer opened with the provider
+    dispute: {
+      id: { type: String },
+      status: { type: String },
+      reason: { type: String },
+      amount: { type: Number },
+      updatedAt: { type: Date },
+    },
+    itemsPrice: {
+      type: Number,
+      required: true,
+      default: 0.0,
+    },
+    discountPrice: {
+      type: Number,
+      required: true,
+      default: 0.0,
     },
     taxPrice: {
       type: Number,
@@ -68,6 +190,24 @@ const orderSchema = mongoose.Schema(
     deliveredAt: {
       type: Date,
     },
+    isCancelled: {
+      type: Boolean,
+      required: true,
+      default: false,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancelReason: {
+      type: String,
+    },
+    stockReserved: {
+      type: Boolean,
+      default: false,
+    },
+    reservedUntil: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
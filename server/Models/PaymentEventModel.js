@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// Notifications of the payment providers, stored once per provider event and
+// processed once, see utils/paymentEvents.js
+const paymentEventSchema = mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    // Id the provider gave the event, the same when it sends it again
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: ["received", "processing", "processed", "ignored", "failed"],
+      default: "received",
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+
+const PaymentEvent = mongoose.model("PaymentEvent", paymentEventSchema);
+
+export default PaymentEvent;
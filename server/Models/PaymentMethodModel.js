@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// Shop settings of a payment provider, one per provider. The providers
+// themselves are in utils/payments.js.
+const paymentMethodSchema = mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    // Shown on the order: bank account details, what to have ready, ...
+    instructions: {
+      type: String,
+      default: "",
+    },
+    isEnabled: {
+      type: Boolean,
+      required: true,
+      default: false,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PaymentMethod = mongoose.model("PaymentMethod", paymentMethodSchema);
+
+export default PaymentMethod;
@@ -16,6 +16,41 @@ const reviewSchema = mongoose.Schema(
   }
 );
 
+// Uploaded image with its thumbnails
+const imageSchema = mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number },
+    thumbnails: {
+      small: { type: String },
+      medium: { type: String },
+      large: { type: String },
+    },
+    thumbnailWidths: {
+      small: { type: Number },
+      medium: { type: Number },
+      large: { type: Number },
+    },
+  },
+  { _id: false }
+);
+
+// One sellable combination of option values, e.g. size 42 in red
+const variantSchema = mongoose.Schema({
+  sku: { type: String, required: true },
+  options: [
+    {
+      _id: false,
+      name: { type: String, required: true },
+      value: { type: String, required: true },
+    },
+  ],
+  price: { type: Number },
+  countInStock: { type: Number, required: true, default: 0 },
+  image: { type: String },
+});
+
 const productSchema = mongoose.Schema(
   {
     name: {
@@ -25,10 +60,18 @@ const productSchema = mongoose.Schema(
     image: {
       type: String,
     },
+    images: [imageSchema],
     description: {
       type: String,
       required: true,
     },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    categoryPath: {
+      type: String,
+    },
     reviews: [reviewSchema],
     rating: {
       type: Number,
@@ -50,12 +93,65 @@ const productSchema = mongoose.Schema(
       required: true,
       default: 0,
     },
+    // Kilograms, used by the shipping rate tables
+    weight: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Tax rules of this class apply to the product
+    taxClass: {
+      type: String,
+      default: "standard",
+    },
+    options: [
+      {
+        _id: false,
+        name: { type: String, required: true },
+        values: [String],
+      },
+    ],
+    variants: [variantSchema],
   },
   {
     timestamps: true,
   }
 );
 
+// The first image of the gallery is the cover used by lists, carts and orders
+productSchema.pre("validate", function (next) {
+  if (!this.images.length && this.image) {
+    this.images = [{ url: this.image }];
+  }
+  this.image = this.images.length ? this.images[0].url : undefined;
+  next();
+});
+
+// Stock of a product with variants is the stock of all its variants
+productSchema.pre("validate", function (next) {
+  if (this.variants.length) {
+    this.countInStock = this.variants.reduce(
+      (total, variant) => total + variant.countInStock,
+      0
+    );
+  }
+  next();
+});
+
+// Variant by id, null when the product has no such variant
+productSchema.methods.findVariant = function (variantId) {
+  return (variantId && this.variants.id(variantId)) || null;
+};
+
+// Full text search, name matches rank highest
+productSchema.index(
+  { name: "text", categoryPath: "text", description: "text" },
+  {
+    name: "ProductTextIndex",
+    weights: { name: 10, categoryPath: 5, description: 1 },
+  }
+);
+
 const Product = mongoose.model("Product", productSchema);
 
 export default Product;
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+const tierSchema = mongoose.Schema(
+  {
+    minQuantity: { type: Number, required: true, min: 1 },
+    // Percent off
+    value: { type: Number, required: true, min: 0, max: 100 },
+  },
+  { _id: false }
+);
+
+// Discounts applied to every cart that qualifies, without a code
+const promotionSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    // Shown to the customer with the savings
+    description: {
+      type: String,
+      default: "",
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["percentage", "fixed", "free_shipping", "tiered"],
+    },
+    // Percent off for percentage promotions, amount off for fixed ones
+    value: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Tiered: percent off for the number of eligible items in the cart
+    tiers: [tierSchema],
+    // Free shipping: the shipping method types it covers, all when empty
+    shippingTypes: [{ type: String, enum: ["standard", "express", "pickup"] }],
+    minOrderValue: {
+      type: Number,
+      default: 0,
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Only these products, or products of these categories and their
+    // subcategories, count. Every product when both are empty.
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+    // Higher priorities are applied first
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    // When applied, promotions with a lower priority are not
+    exclusive: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      required: true,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Promotion = mongoose.model("Promotion", promotionSchema);
+
+export default Promotion;
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// One row of a rate table. A cart matches a row when the country matches
+// and its weight and value are between the row's min (included) and max
+// (excluded). An empty max has no upper limit.
+const rateSchema = mongoose.Schema(
+  {
+    country: { type: String, required: true, default: "*" },
+    minWeight: { type: Number, default: 0 },
+    maxWeight: { type: Number, default: null },
+    minOrderValue: { type: Number, default: 0 },
+    maxOrderValue: { type: Number, default: null },
+    price: { type: Number, required: true, min: 0 },
+  },
+  {
+    _id: false,
+  }
+);
+
+const shippingMethodSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["standard", "express", "pickup"],
+      default: "standard",
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    estimatedDays: {
+      type: String,
+      default: "",
+    },
+    // Orders worth at least this ship for free, never when empty
+    freeShippingOver: {
+      type: Number,
+      default: null,
+    },
+    rates: [rateSchema],
+    isActive: {
+      type: Boolean,
+      required: true,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ShippingMethod = mongoose.model("ShippingMethod", shippingMethodSchema);
+
+export default ShippingMethod;
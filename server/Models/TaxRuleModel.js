@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+const taxRuleSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    // Country name or code as entered in the shipping address, "*" for all
+    country: {
+      type: String,
+      required: true,
+      default: "*",
+    },
+    // Region or city inside the country, empty for the whole country
+    region: {
+      type: String,
+      default: "",
+    },
+    taxClass: {
+      type: String,
+      required: true,
+      default: "standard",
+    },
+    // Percent, 20 for 20%
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    // Inclusive rates are already part of the product price
+    inclusive: {
+      type: Boolean,
+      required: true,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+taxRuleSchema.index({ country: 1, region: 1, taxClass: 1 }, { unique: true });
+
+const TaxRule = mongoose.model("TaxRule", taxRuleSchema);
+
+export default TaxRule;
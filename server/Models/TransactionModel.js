@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// Money moving through the payment providers, written by the order and
+// payment code, see utils/transactions.js. Payouts to the bank and fees the
+// provider does not report are added by admins.
+const transactionSchema = mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: ["charge", "refund", "payout", "fee"],
+    },
+    // Key of the payment provider, see utils/payments.js
+    provider: {
+      type: String,
+      required: true,
+    },
+    // manual: the shop moves the money itself, like a cash refund
+    status: {
+      type: String,
+      required: true,
+      enum: ["pending", "completed", "failed", "manual"],
+    },
+    // Always positive, type says which way the money went
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    // Id of the provider: capture, refund, payout, or a receipt number
+    reference: {
+      type: String,
+    },
+    description: {
+      type: String,
+    },
+    // When the money moved
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+transactionSchema.index({ date: -1 });
+transactionSchema.index({ order: 1, type: 1 });
+
+const Transaction = mongoose.model("Transaction", transactionSchema);
+
+export default Transaction;
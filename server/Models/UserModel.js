@@ -1,6 +1,76 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 
+// Only what the customer picked is stored, prices and stock are read from
+// the product when the cart is loaded
+const cartItemSchema = mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Product",
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    qty: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+// A wishlist entry, the variant when one was saved for later from the cart
+const favoriteSchema = mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Product",
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+  },
+  { _id: false, timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// An address of the address book
+const addressSchema = mongoose.Schema({
+  label: {
+    type: String,
+    default: "",
+  },
+  address: {
+    type: String,
+    required: true,
+  },
+  city: {
+    type: String,
+    required: true,
+  },
+  postalCode: {
+    type: String,
+    required: true,
+  },
+  country: {
+    type: String,
+    required: true,
+  },
+  isDefaultShipping: {
+    type: Boolean,
+    default: false,
+  },
+  isDefaultBilling: {
+    type: Boolean,
+    default: false,
+  },
+});
+
 const userSchema = mongoose.Schema(
   {
     name: {
@@ -21,6 +91,24 @@ const userSchema = mongoose.Schema(
       required: true,
       default: false,
     },
+    cart: [cartItemSchema],
+    favorites: [favoriteSchema],
+    addresses: [addressSchema],
+    // Wishlist alerts the user wants, in the storefront and by email
+    notificationSettings: {
+      priceDrop: {
+        type: Boolean,
+        default: true,
+      },
+      backInStock: {
+        type: Boolean,
+        default: true,
+      },
+      email: {
+        type: Boolean,
+        default: true,
+      },
+    },
   },
   {
     timestamps: true,
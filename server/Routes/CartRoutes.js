@@ -0,0 +1,94 @@
+import express from "express";
+import asyncHandler from "express-async-handler";
+import { validateCartItems } from "./../utils/cart.js";
+
+const cartRouter = express.Router();
+
+/**
+ * @swagger
+ * /cart/validate:
+ *   post:
+ *     tags: [Cart]
+ *     summary: Check a cart against the live products
+ *     description: Compare the prices and stock the storefront kept for the cart with the current ones. Returns the cart as it can be ordered now and one change per line that was updated. Lines whose product or variant was deleted, or that are out of stock, are removed. Quantities over the stock are reduced to it.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: cart
+ *         description: The cart items as kept by the storefront
+ *         required: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             cartItems:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   product:
+ *                     type: string
+ *                   variant:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   price:
+ *                     type: number
+ *                   qty:
+ *                     type: integer
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           type: object
+ *           properties:
+ *             cartItems:
+ *               type: array
+ *               items:
+ *                 $ref: '#/definitions/CartItem'
+ *             changes:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   product:
+ *                     type: string
+ *                   variant:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   type:
+ *                     type: string
+ *                     enum: [removed, out_of_stock, price_changed, quantity_reduced]
+ *                   oldPrice:
+ *                     type: number
+ *                   price:
+ *                     type: number
+ *                   oldQty:
+ *                     type: integer
+ *                   qty:
+ *                     type: integer
+ *                   message:
+ *                     type: string
+ *       400:
+ *         description: The cart items are missing
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// VALIDATE CART
+cartRouter.post(
+  "/validate",
+  asyncHandler(async (req, res) => {
+    const { cartItems } = req.body;
+    if (!Array.isArray(cartItems)) {
+      res.status(400);
+      throw new Error("Cart items are required");
+    }
+    res.json(await validateCartItems(cartItems));
+  })
+);
+
+export default cartRouter;
@@ -0,0 +1,341 @@
+import express from "express";
+import asyncHandler from "express-async-handler";
+import Category from "./../Models/CategoryModel.js";
+import Product from "./../Models/ProductModel.js";
+import { admin, protect } from "./../Middleware/AuthMiddleware.js";
+import { refreshCategoryPaths } from "./../utils/textSearch.js";
+
+const categoryRouter = express.Router();
+
+// Check that the parent exists and is not the category or one of its children
+const checkParent = async (res, parent, categoryId) => {
+  if (!parent) {
+    return null;
+  }
+  const parentCategory = await Category.findById(parent);
+  if (!parentCategory) {
+    res.status(400);
+    throw new Error("Parent category not found");
+  }
+  if (categoryId) {
+    const descendants = await Category.getDescendantIds(categoryId);
+    if (descendants.some((id) => id.equals(parentCategory._id))) {
+      res.status(400);
+      throw new Error("Category cannot be moved under itself");
+    }
+  }
+  return parentCategory._id;
+};
+
+/**
+ * @swagger
+ * /categories:
+ *   get:
+ *     tags: [Category]
+ *     summary: Get all categories
+ *     description: Get a list of all categories sorted by name
+ *     produces:
+ *       - application/json
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/definitions/Category'
+ */
+// GET ALL CATEGORIES
+categoryRouter.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const categories = await Category.find({})
+      .sort({ name: 1 })
+      .populate("parent", "name slug");
+    res.json(categories);
+  })
+);
+
+/**
+ * @swagger
+ * /categories/tree:
+ *   get:
+ *     tags: [Category]
+ *     summary: Get the category tree
+ *     description: Get all root categories with their subcategories nested in children
+ *     produces:
+ *       - application/json
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/definitions/CategoryTree'
+ */
+// GET CATEGORY TREE
+categoryRouter.get(
+  "/tree",
+  asyncHandler(async (req, res) => {
+    const tree = await Category.getTree();
+    res.json(tree);
+  })
+);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   get:
+ *     tags: [Category]
+ *     summary: Get a single category
+ *     description: Get a category by ID
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: Category ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           $ref: '#/definitions/Category'
+ *       404:
+ *         description: Category not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// GET SINGLE CATEGORY
+categoryRouter.get(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    const category = await Category.findById(req.params.id).populate(
+      "parent",
+      "name slug"
+    );
+    if (category) {
+      res.json(category);
+    } else {
+      res.status(404);
+      throw new Error("Category not found");
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /categories:
+ *   post:
+ *     tags: [Category]
+ *     summary: Create a new category
+ *     description: Create a new category (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: category
+ *         description: Category details
+ *         required: true
+ *         schema:
+ *           $ref: '#/definitions/NewCategory'
+ *     responses:
+ *       201:
+ *         description: Category created successfully
+ *         schema:
+ *           $ref: '#/definitions/Category'
+ *       400:
+ *         description: Bad request
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// CREATE CATEGORY
+categoryRouter.post(
+  "/",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const { name, description, image, parent } = req.body;
+    if (!name || !name.trim()) {
+      res.status(400);
+      throw new Error("Category name is required");
+    }
+    const categoryExist = await Category.findOne({ name: name.trim() });
+    if (categoryExist) {
+      res.status(400);
+      throw new Error("Category name already exist");
+    }
+    const category = new Category({
+      name: name.trim(),
+      description,
+      image,
+      parent: await checkParent(res, parent),
+    });
+    const createdCategory = await category.save();
+    res.status(201).json(createdCategory);
+  })
+);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   put:
+ *     tags: [Category]
+ *     summary: Update a category
+ *     description: Update a specific category by ID (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: Category ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: body
+ *         name: category
+ *         description: Updated category details
+ *         required: true
+ *         schema:
+ *           $ref: '#/definitions/NewCategory'
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *         schema:
+ *           $ref: '#/definitions/Category'
+ *       400:
+ *         description: Bad request
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Category not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// UPDATE CATEGORY
+categoryRouter.put(
+  "/:id",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const { name, description, image, parent } = req.body;
+    const category = await Category.findById(req.params.id);
+    if (category) {
+      if (name && name.trim() !== category.name) {
+        const categoryExist = await Category.findOne({ name: name.trim() });
+        if (categoryExist) {
+          res.status(400);
+          throw new Error("Category name already exist");
+        }
+        category.name = name.trim();
+      }
+      if (description !== undefined) {
+        category.description = description;
+      }
+      category.image = image || category.image;
+      if (parent !== undefined) {
+        category.parent = await checkParent(res, parent, category._id);
+      }
+
+      const updatedCategory = await category.save();
+      await refreshCategoryPaths(updatedCategory._id);
+      res.json(updatedCategory);
+    } else {
+      res.status(404);
+      throw new Error("Category not found");
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   delete:
+ *     tags: [Category]
+ *     summary: Delete a category
+ *     description: Delete a specific category by ID (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: Category ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted successfully
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       400:
+ *         description: Category still has subcategories
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Category not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// DELETE CATEGORY
+categoryRouter.delete(
+  "/:id",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const category = await Category.findById(req.params.id);
+    if (category) {
+      const children = await Category.countDocuments({ parent: category._id });
+      if (children > 0) {
+        res.status(400);
+        throw new Error("Delete or move the subcategories first");
+      }
+      await Product.updateMany(
+        { category: category._id },
+        { $unset: { category: 1, categoryPath: 1 } }
+      );
+      await category.remove();
+      res.json({ message: "Category deleted" });
+    } else {
+      res.status(404);
+      throw new Error("Category not found");
+    }
+  })
+);
+
+export default categoryRouter;
@@ -0,0 +1,295 @@
+import express from "express";
+import asyncHandler from "express-async-handler";
+import Coupon from "./../Models/CouponModel.js";
+import { admin, protect } from "./../Middleware/AuthMiddleware.js";
+
+const couponRouter = express.Router();
+
+const COUPON_TYPES = ["percentage", "fixed", "free_shipping", "buy_x_get_y"];
+
+const toLimit = (value) => {
+  return value === undefined || value === null || value === ""
+    ? null
+    : Number(value);
+};
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+// Check the coupon fields and return them cleaned up
+const checkCoupon = async (res, body, couponId) => {
+  const code = `${body.code || ""}`.trim().toUpperCase();
+  if (!code) {
+    res.status(400);
+    throw new Error("Coupon code is required");
+  }
+  if (!/^[A-Z0-9_-]+$/.test(code)) {
+    res.status(400);
+    throw new Error("Coupon codes can only have letters, numbers, - and _");
+  }
+  const couponExist = await Coupon.findOne({ code, _id: { $ne: couponId } });
+  if (couponExist) {
+    res.status(400);
+    throw new Error("Coupon code already exist");
+  }
+  if (!COUPON_TYPES.includes(body.type)) {
+    res.status(400);
+    throw new Error("Invalid coupon type");
+  }
+  const coupon = {
+    code,
+    description: body.description || "",
+    type: body.type,
+    value: Number(body.value) || 0,
+    buyQuantity: Number(body.buyQuantity) || 1,
+    getQuantity: Number(body.getQuantity) || 1,
+    minOrderValue: Number(body.minOrderValue) || 0,
+    startsAt: toDate(body.startsAt),
+    expiresAt: toDate(body.expiresAt),
+    usageLimit: toLimit(body.usageLimit),
+    usageLimitPerCustomer: toLimit(body.usageLimitPerCustomer),
+    products: body.products || [],
+    categories: body.categories || [],
+    isActive: body.isActive !== false,
+  };
+  if (
+    (coupon.type === "percentage" || coupon.type === "fixed") &&
+    coupon.value <= 0
+  ) {
+    res.status(400);
+    throw new Error("Enter the discount of the coupon");
+  }
+  if (coupon.type === "percentage" && coupon.value > 100) {
+    res.status(400);
+    throw new Error("A percentage discount can't be over 100");
+  }
+  if (
+    [coupon.usageLimit, coupon.usageLimitPerCustomer].some(
+      (limit) => limit !== null && (!Number.isInteger(limit) || limit < 1)
+    )
+  ) {
+    res.status(400);
+    throw new Error("Usage limits must be whole numbers of at least 1");
+  }
+  if (
+    [coupon.startsAt, coupon.expiresAt].some(
+      (date) => date && Number.isNaN(date.getTime())
+    )
+  ) {
+    res.status(400);
+    throw new Error("Invalid validity dates");
+  }
+  if (
+    coupon.startsAt &&
+    coupon.expiresAt &&
+    coupon.expiresAt <= coupon.startsAt
+  ) {
+    res.status(400);
+    throw new Error("The coupon must expire after it starts");
+  }
+  return coupon;
+};
+
+/**
+ * @swagger
+ * /coupons:
+ *   get:
+ *     tags: [Coupon]
+ *     summary: Get all coupons
+ *     description: Get all coupons, newest first, with the number of orders placed with each in usedCount (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/definitions/Coupon'
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// GET ALL COUPONS
+couponRouter.get(
+  "/",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const coupons = await Coupon.find({})
+      .sort({ _id: -1 })
+      .populate("products", "name")
+      .populate("categories", "name");
+    res.json(coupons);
+  })
+);
+
+/**
+ * @swagger
+ * /coupons:
+ *   post:
+ *     tags: [Coupon]
+ *     summary: Create a coupon
+ *     description: Create a percentage, fixed amount, free shipping or buy X get Y coupon (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: coupon
+ *         description: Coupon details
+ *         required: true
+ *         schema:
+ *           $ref: '#/definitions/NewCoupon'
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ *         schema:
+ *           $ref: '#/definitions/Coupon'
+ *       400:
+ *         description: Bad request
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// CREATE COUPON
+couponRouter.post(
+  "/",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const coupon = new Coupon(await checkCoupon(res, req.body));
+    const createdCoupon = await coupon.save();
+    res.status(201).json(createdCoupon);
+  })
+);
+
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   put:
+ *     tags: [Coupon]
+ *     summary: Update a coupon
+ *     description: Update a specific coupon by ID (admin only). The redemption count is kept.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: Coupon ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: body
+ *         name: coupon
+ *         description: Updated coupon details
+ *         required: true
+ *         schema:
+ *           $ref: '#/definitions/NewCoupon'
+ *     responses:
+ *       200:
+ *         description: Coupon updated successfully
+ *         schema:
+ *           $ref: '#/definitions/Coupon'
+ *       400:
+ *         description: Bad request
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Coupon not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// UPDATE COUPON
+couponRouter.put(
+  "/:id",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const coupon = await Coupon.findById(req.params.id);
+    if (coupon) {
+      coupon.set(await checkCoupon(res, req.body, coupon._id));
+      const updatedCoupon = await coupon.save();
+      res.json(updatedCoupon);
+    } else {
+      res.status(404);
+      throw new Error("Coupon not found");
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   delete:
+ *     tags: [Coupon]
+ *     summary: Delete a coupon
+ *     description: Delete a specific coupon by ID (admin only). Orders keep the discount they were placed with.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: Coupon ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted successfully
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Coupon not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// DELETE COUPON
+couponRouter.delete(
+  "/:id",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const coupon = await Coupon.findById(req.params.id);
+    if (coupon) {
+      await coupon.remove();
+      res.json({ message: "Coupon deleted" });
+    } else {
+      res.status(404);
+      throw new Error("Coupon not found");
+    }
+  })
+);
+
+export default couponRouter;
@@ -0,0 +1,254 @@
+import express from "express";
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Notification from "./../Models/NotificationModel.js";
+import User from "./../Models/UserModel.js";
+import { protect } from "./../Middleware/AuthMiddleware.js";
+
+const notificationRouter = express.Router();
+
+const LIST_LIMIT = 50;
+const SETTINGS = ["priceDrop", "backInStock", "email"];
+
+// The latest notifications of a user and how many are unread
+const listNotifications = async (userId) => {
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find({ user: userId })
+      .select("-email")
+      .sort({ createdAt: -1 })
+      .limit(LIST_LIMIT),
+    Notification.countDocuments({ user: userId, isRead: false }),
+  ]);
+  return { notifications, unreadCount };
+};
+
+const getSettings = (user) => {
+  const settings = {};
+  SETTINGS.forEach((key) => {
+    settings[key] = user.notificationSettings[key];
+  });
+  return settings;
+};
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     tags: [Notification]
+ *     summary: Get my notifications
+ *     description: Get the latest price drop and back in stock alerts of the logged in user, newest first
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           $ref: '#/definitions/NotificationList'
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// GET MY NOTIFICATIONS
+notificationRouter.get(
+  "/",
+  protect,
+  asyncHandler(async (req, res) => {
+    res.json(await listNotifications(req.user._id));
+  })
+);
+
+/**
+ * @swagger
+ * /notifications/settings:
+ *   get:
+ *     tags: [Notification]
+ *     summary: Get my notification settings
+ *     description: Get which wishlist alerts the logged in user gets, and whether they are emailed
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           $ref: '#/definitions/NotificationSettings'
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// GET NOTIFICATION SETTINGS
+notificationRouter.get(
+  "/settings",
+  protect,
+  asyncHandler(async (req, res) => {
+    res.json(getSettings(req.user));
+  })
+);
+
+/**
+ * @swagger
+ * /notifications/settings:
+ *   put:
+ *     tags: [Notification]
+ *     summary: Update my notification settings
+ *     description: Turn price drop alerts, back in stock alerts or alert emails on or off. Settings left out are kept.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: settings
+ *         required: true
+ *         schema:
+ *           $ref: '#/definitions/NotificationSettings'
+ *     responses:
+ *       200:
+ *         description: Settings updated successfully
+ *         schema:
+ *           $ref: '#/definitions/NotificationSettings'
+ *       400:
+ *         description: Bad request
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// UPDATE NOTIFICATION SETTINGS
+notificationRouter.put(
+  "/settings",
+  protect,
+  asyncHandler(async (req, res) => {
+    const settings = getSettings(req.user);
+    SETTINGS.forEach((key) => {
+      if (req.body[key] === undefined) {
+        return;
+      }
+      if (typeof req.body[key] !== "boolean") {
+        res.status(400);
+        throw new Error(`${key} must be true or false`);
+      }
+      settings[key] = req.body[key];
+    });
+    await User.updateOne(
+      { _id: req.user._id },
+      { notificationSettings: settings }
+    );
+    res.json(settings);
+  })
+);
+
+/**
+ * @swagger
+ * /notifications/read:
+ *   put:
+ *     tags: [Notification]
+ *     summary: Mark all my notifications as read
+ *     description: Mark every notification of the logged in user as read
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           $ref: '#/definitions/NotificationList'
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// MARK ALL NOTIFICATIONS READ
+notificationRouter.put(
+  "/read",
+  protect,
+  asyncHandler(async (req, res) => {
+    await Notification.updateMany(
+      { user: req.user._id, isRead: false },
+      { isRead: true, readAt: Date.now() }
+    );
+    res.json(await listNotifications(req.user._id));
+  })
+);
+
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   put:
+ *     tags: [Notification]
+ *     summary: Mark a notification as read
+ *     description: Mark one notification of the logged in user as read
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: Notification ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           $ref: '#/definitions/NotificationList'
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Notification not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// MARK NOTIFICATION READ
+notificationRouter.put(
+  "/:id/read",
+  protect,
+  asyncHandler(async (req, res) => {
+    const notification =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await Notification.findOneAndUpdate(
+        { _id: req.params.id, user: req.user._id },
+        { isRead: true, readAt: Date.now() }
+      ));
+    if (!notification) {
+      res.status(404);
+      throw new Error("Notification not found");
+    }
+    res.json(await listNotifications(req.user._id));
+  })
+);
+
+export default notificationRouter;
@@ -0,0 +1,403 @@
+import express from "express";
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import PaymentMethod from "./../Models/PaymentMethodModel.js";
+import PaymentEvent from "./../Models/PaymentEventModel.js";
+import { admin, protect } from "./../Middleware/AuthMiddleware.js";
+import {
+  getPaymentMethods,
+  getProvider,
+  toProviderKey,
+} from "./../utils/payments.js";
+import { processEvent, recordEvent } from "./../utils/paymentEvents.js";
+
+const paymentRouter = express.Router();
+
+/**
+ * @swagger
+ * /payments:
+ *   get:
+ *     tags: [Payment]
+ *     summary: Get all payment methods
+ *     description: Get the settings of every payment provider, including disabled ones (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/definitions/PaymentMethod'
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// GET ALL PAYMENT METHODS
+paymentRouter.get(
+  "/",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    res.json(await getPaymentMethods());
+  })
+);
+
+/**
+ * @swagger
+ * /payments/methods:
+ *   get:
+ *     tags: [Payment]
+ *     summary: Get the payment methods of the checkout
+ *     description: Get the enabled payment methods in the order the checkout shows them
+ *     produces:
+ *       - application/json
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ */
+// GET CHECKOUT PAYMENT METHODS
+paymentRouter.get(
+  "/methods",
+  asyncHandler(async (req, res) => {
+    const methods = await getPaymentMethods();
+    res.json(
+      methods
+        .filter((method) => method.isEnabled)
+        .map(({ provider, name, description }) => ({
+          provider,
+          name,
+          description,
+        }))
+    );
+  })
+);
+
+/**
+ * @swagger
+ * /payments/{provider}:
+ *   put:
+ *     tags: [Payment]
+ *     summary: Update a payment method
+ *     description: Enable or disable a payment provider and change what customers read about it (admin only). At least one method stays enabled, and bank transfer needs the account details in its instructions.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         description: paypal, cod or bank_transfer
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: body
+ *         name: method
+ *         required: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             isEnabled:
+ *               type: boolean
+ *             description:
+ *               type: string
+ *             instructions:
+ *               type: string
+ *             sortOrder:
+ *               type: number
+ *     responses:
+ *       200:
+ *         description: Every payment method after the update
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/definitions/PaymentMethod'
+ *       400:
+ *         description: Bad request
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Payment provider not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// UPDATE PAYMENT METHOD
+paymentRouter.put(
+  "/:provider",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const methods = await getPaymentMethods();
+    const method = methods.find(
+      (m) => m.provider === toProviderKey(req.params.provider)
+    );
+    if (!method) {
+      res.status(404);
+      throw new Error("Payment provider not found");
+    }
+
+    const { isEnabled, description, instructions, sortOrder } = req.body;
+    const update = {};
+    if (isEnabled !== undefined) {
+      update.isEnabled = Boolean(isEnabled);
+    }
+    if (description !== undefined) {
+      update.description = `${description}`.trim();
+    }
+    if (instructions !== undefined) {
+      update.instructions = `${instructions}`.trim();
+    }
+    if (sortOrder !== undefined) {
+      if (Number.isNaN(Number(sortOrder))) {
+        res.status(400);
+        throw new Error("Sort order must be a number");
+      }
+      update.sortOrder = Number(sortOrder);
+    }
+
+    const updated = { ...method, ...update };
+    if (
+      !updated.isEnabled &&
+      !methods.some((m) => m.provider !== method.provider && m.isEnabled)
+    ) {
+      res.status(400);
+      throw new Error("Keep at least one payment method enabled");
+    }
+    if (
+      updated.isEnabled &&
+      updated.provider === "bank_transfer" &&
+      !updated.instructions
+    ) {
+      res.status(400);
+      throw new Error("Add the bank account details before enabling transfers");
+    }
+
+    await PaymentMethod.updateOne({ provider: method.provider }, update);
+    res.json(await getPaymentMethods());
+  })
+);
+
+/**
+ * @swagger
+ * /payments/webhooks/{provider}:
+ *   post:
+ *     tags: [Payment]
+ *     summary: Receive a payment provider notification
+ *     description: Called by the payment provider when a payment changes. The signature is checked with the provider, every notification is stored and processed once, a notification sent again is only acknowledged. Completed payments are read back from the provider before the order is marked paid; pending, denied and reversed payments and disputes update the payment state of the order. A notification that fails is answered with 500 so the provider sends it again, and admins can replay it.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         description: Payment provider, paypal
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification received
+ *       400:
+ *         description: The signature is not valid
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: The provider sends no notifications
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       500:
+ *         description: The notification could not be processed
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// PAYMENT WEBHOOK
+paymentRouter.post(
+  "/webhooks/:provider",
+  asyncHandler(async (req, res) => {
+    const key = toProviderKey(req.params.provider);
+    const provider = getProvider(key);
+    if (!provider || !provider.webhook) {
+      res.status(404);
+      throw new Error("This payment provider sends no notifications");
+    }
+
+    let notification;
+    try {
+      notification = await provider.verifyWebhook(req);
+    } catch (error) {
+      console.error(`Rejected ${key} notification:`, error.message);
+      res.status(400);
+      throw new Error("The notification signature is not valid");
+    }
+
+    const event = await recordEvent(key, notification, req.body);
+    const processed = await processEvent(event);
+    if (processed && processed.status === "failed") {
+      res.status(500);
+      throw new Error("The notification could not be processed");
+    }
+    res.json({ received: true });
+  })
+);
+
+/**
+ * @swagger
+ * /payments/events:
+ *   get:
+ *     tags: [Payment]
+ *     summary: Get payment notifications
+ *     description: Get the latest notifications received from the payment providers, newest first (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         description: received, processing, processed, ignored or failed
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: pageNumber
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           type: object
+ *           properties:
+ *             events:
+ *               type: array
+ *               items:
+ *                 $ref: '#/definitions/PaymentEvent'
+ *             page:
+ *               type: number
+ *             pages:
+ *               type: number
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// GET PAYMENT EVENTS
+paymentRouter.get(
+  "/events",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const pageSize = 20;
+    const page = Math.max(Number(req.query.pageNumber) || 1, 1);
+    const filter = req.query.status ? { status: `${req.query.status}` } : {};
+    const count = await PaymentEvent.countDocuments(filter);
+    const events = await PaymentEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip(pageSize * (page - 1))
+      .populate("order", "totalPrice isPaid paymentStatus");
+    res.json({ events, page, pages: Math.ceil(count / pageSize) });
+  })
+);
+
+/**
+ * @swagger
+ * /payments/events/{id}/replay:
+ *   post:
+ *     tags: [Payment]
+ *     summary: Replay a failed payment notification
+ *     description: Process a stored notification that failed again, without asking the provider to resend it (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: Payment event ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The event after it ran, failed again when error is set
+ *         schema:
+ *           $ref: '#/definitions/PaymentEvent'
+ *       400:
+ *         description: The event already ran or is running
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Payment event not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// REPLAY PAYMENT EVENT
+paymentRouter.post(
+  "/events/:id/replay",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const event = mongoose.isValidObjectId(req.params.id)
+      ? await PaymentEvent.findById(req.params.id)
+      : null;
+    if (!event) {
+      res.status(404);
+      throw new Error("Payment event not found");
+    }
+    if (event.status === "processed" || event.status === "ignored") {
+      res.status(400);
+      throw new Error("This event was already processed");
+    }
+
+    const processed = await processEvent(event);
+    if (!processed) {
+      res.status(400);
+      throw new Error("This event is being processed");
+    }
+    res.json(
+      await processed.populate("order", "totalPrice isPaid paymentStatus")
+    );
+  })
+);
+
+export default paymentRouter;
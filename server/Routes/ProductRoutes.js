@@ -1,10 +1,127 @@
 import express from "express";
 import asyncHandler from "express-async-handler";
 import Product from "./../Models/ProductModel.js";
+import Category from "./../Models/CategoryModel.js";
+import {
+  buildProductFilters,
+  combineFilters,
+  getProductFacets,
+  getProductSort,
+} from "./../utils/productSearch.js";
+import {
+  addHighlights,
+  getCategoryPath,
+  getSuggestions,
+  invalidateVocabulary,
+} from "./../utils/textSearch.js";
+import { getStockSnapshot, queueProductAlerts } from "./../utils/alerts.js";
 import { admin, protect } from "./../Middleware/AuthMiddleware.js";
 
 const productRoute = express.Router();
 
+// Gallery images in the order they were sent, urls are accepted as well
+const cleanImages = (images) => {
+  return images
+    .map((image) => (typeof image === "string" ? { url: image } : image))
+    .filter((image) => image && image.url)
+    .map(({ url, width, height, thumbnails, thumbnailWidths }) => ({
+      url,
+      width,
+      height,
+      thumbnails,
+      thumbnailWidths,
+    }));
+};
+
+// Clean up the option axes and check that every variant has a unique SKU
+// and picks one value of each option
+const checkVariants = async (res, options = [], variants = [], productId) => {
+  const fail = (message) => {
+    res.status(400);
+    throw new Error(message);
+  };
+  const axes = options
+    .map((option) => ({
+      name: `${option.name || ""}`.trim(),
+      values: [
+        ...new Set(
+          (option.values || []).map((v) => `${v}`.trim()).filter(Boolean)
+        ),
+      ],
+    }))
+    .filter((option) => option.name && option.values.length);
+  const names = axes.map((axis) => axis.name.toLowerCase());
+  if (new Set(names).size !== names.length) {
+    fail("Option names must be unique");
+  }
+  if (variants.length && !axes.length) {
+    fail("Add an option before adding variants");
+  }
+
+  const skus = new Set();
+  const combinations = new Set();
+  const cleaned = variants.map((variant) => {
+    const sku = `${variant.sku || ""}`.trim();
+    if (!sku) {
+      fail("Every variant needs a SKU");
+    }
+    if (skus.has(sku)) {
+      fail(`SKU ${sku} is used more than once`);
+    }
+    skus.add(sku);
+    const picked = axes.map((axis) => {
+      const option = (variant.options || []).find((o) => o.name === axis.name);
+      if (!option || !axis.values.includes(option.value)) {
+        fail(`Variant ${sku} needs a ${axis.name} value`);
+      }
+      return { name: axis.name, value: option.value };
+    });
+    const combination = picked.map((o) => o.value).join(" / ");
+    if (combinations.has(combination)) {
+      fail(`More than one variant for ${combination}`);
+    }
+    combinations.add(combination);
+    const hasPrice =
+      variant.price !== undefined &&
+      variant.price !== null &&
+      variant.price !== "";
+    if (hasPrice && !(Number(variant.price) >= 0)) {
+      fail(`Invalid price for variant ${sku}`);
+    }
+    return {
+      _id: variant._id,
+      sku,
+      options: picked,
+      price: hasPrice ? Number(variant.price) : undefined,
+      countInStock: Math.max(0, Number(variant.countInStock) || 0),
+      image: variant.image || undefined,
+    };
+  });
+
+  if (skus.size) {
+    const skuExist = await Product.findOne({
+      _id: { $ne: productId },
+      "variants.sku": { $in: [...skus] },
+    });
+    if (skuExist) {
+      fail(`SKU already used by ${skuExist.name}`);
+    }
+  }
+  return { options: axes, variants: cleaned };
+};
+
+// Page size and number as whole positive numbers, a missing or broken value
+// takes the default
+const toPositiveInt = (value, fallback) => {
+  const number = Math.floor(Number(value));
+  return Number.isSafeInteger(number) && number > 0 ? number : fallback;
+};
+
+const getPaging = (query) => ({
+  pageSize: Math.min(toPositiveInt(query.pageSize, 12), 48),
+  page: toPositiveInt(query.pageNumber, 1),
+});
+
 
 
 
@@ -12,45 +129,98 @@ const productRoute = express.Router();
 productRoute.get(
   "/",
   asyncHandler(async (req, res) => {
-    const pageSize = 12;
-    const page = Number(req.query.pageNumber) || 1;
-    const keyword = req.query.keyword
-      ? {
-          name: {
-            $regex: req.query.keyword,
-            $options: "i",
-          },
-        }
-      : {};
-    const count = await Product.countDocuments({ ...keyword });
-    const products = await Product.find({ ...keyword })
+    const { pageSize, page } = getPaging(req.query);
+    const { filters, search } = await buildProductFilters(req.query);
+    const match = combineFilters(filters);
+    const projection = search ? { score: { $meta: "textScore" } } : {};
+    const [count, products, facets] = await Promise.all([
+      Product.countDocuments(match),
+      Product.find(match, projection)
+        .limit(pageSize)
+        .skip(pageSize * (page - 1))
+        .sort(getProductSort(req.query.sort, search)),
+      getProductFacets(filters),
+    ]);
+    res.json({
+      products: addHighlights(products, search),
+      page,
+      pages: Math.ceil(count / pageSize),
+      count,
+      facets,
+      search,
+    });
+  })
+);
+
+// TOP RATED PRODUCTS
+productRoute.get(
+  "/top-rated",
+  asyncHandler(async (req, res) => {
+    const { pageSize, page } = getPaging(req.query);
+    const { filters, search } = await buildProductFilters(req.query);
+    const match = combineFilters(filters);
+    const projection = search ? { score: { $meta: "textScore" } } : {};
+    const count = await Product.countDocuments(match);
+
+    // Sort the products by rating in descending order
+    const products = await Product.find(match, projection)
       .limit(pageSize)
       .skip(pageSize * (page - 1))
-      .sort({ _id: -1 });
-    res.json({ products, page, pages: Math.ceil(count / pageSize) });
+      .sort(getProductSort("rating"));
+
+    res.json({
+      products: addHighlights(products, search),
+      page,
+      pages: Math.ceil(count / pageSize),
+      search,
+    });
   })
 );
-productRoute.get('/top-rated', asyncHandler(async (req, res) => {
-  const pageSize = 12;
-  const page = Number(req.query.pageNumber) || 1;
-  const keyword = req.query.keyword
-    ? {
-        name: {
-          $regex: req.query.keyword,
-          $options: 'i',
-        },
-      }
-    : {};
-  const count = await Product.countDocuments({ ...keyword });
-  
-  // Sort the products by rating in descending order
-  const products = await Product.find({ ...keyword })
-    .limit(pageSize)
-    .skip(pageSize * (page - 1))
-    .sort({ rating: -1 });
-
-  res.json({ products, page, pages: Math.ceil(count / pageSize) });
-}));
+
+/**
+ * @swagger
+ * /products/suggest:
+ *   get:
+ *     tags: [Product]
+ *     summary: Search suggestions
+ *     description: Get the top matching product names, categories and thumbnails for a search prefix
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: What the customer has typed so far
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           type: object
+ *           properties:
+ *             query:
+ *               type: string
+ *             corrected:
+ *               type: string
+ *             products:
+ *               type: array
+ *               items:
+ *                 type: object
+ *             categories:
+ *               type: array
+ *               items:
+ *                 type: object
+ */
+// SEARCH SUGGESTIONS
+productRoute.get(
+  "/suggest",
+  asyncHandler(async (req, res) => {
+    const suggestions = await getSuggestions(req.query.q);
+    res.json(suggestions);
+  })
+);
+
 /**
  * @swagger
  * /products/all:
@@ -130,7 +300,8 @@ productRoute.get(
   asyncHandler(async (req, res) => {
     const product = await Product.findById(req.params.id);
     if (product) {
-      res.json(product);
+      const breadcrumb = await Category.getBreadcrumb(product.category);
+      res.json({ ...product.toObject(), breadcrumb });
     } else {
       res.status(404);
       throw new Error("Product not Found");
@@ -280,6 +451,7 @@ productRoute.delete(
     const product = await Product.findById(req.params.id);
     if (product) {
       await product.remove();
+      invalidateVocabulary();
       res.json({ message: "Product deleted" });
     } else {
       res.status(404);
@@ -333,7 +505,23 @@ productRoute.post(
   protect,
   admin,
   asyncHandler(async (req, res) => {
-    const { name, price, description, image, countInStock } = req.body;
+    const {
+      name,
+      price,
+      description,
+      image,
+      images,
+      countInStock,
+      category,
+      weight,
+      taxClass,
+      options,
+      variants,
+    } = req.body;
+    if (taxClass !== undefined && typeof taxClass !== "string") {
+      res.status(400);
+      throw new Error("Tax class must be text");
+    }
     const productExist = await Product.findOne({ name });
     if (productExist) {
       res.status(400);
@@ -344,11 +532,18 @@ productRoute.post(
         price,
         description,
         image,
+        images: images ? cleanImages(images) : [],
         countInStock,
+        category: category || undefined,
+        categoryPath: category ? await getCategoryPath(category) : undefined,
+        weight: Number(weight) || 0,
+        taxClass: (taxClass && taxClass.trim()) || undefined,
+        ...(await checkVariants(res, options, variants)),
         user: req.user._id,
       });
       if (product) {
         const createdproduct = await product.save();
+        invalidateVocabulary();
         res.status(201).json(createdproduct);
       } else {
         res.status(400);
@@ -418,16 +613,66 @@ productRoute.put(
   protect,
   admin,
   asyncHandler(async (req, res) => {
-    const { name, price, description, image, countInStock } = req.body;
+    const {
+      name,
+      price,
+      description,
+      image,
+      images,
+      countInStock,
+      category,
+      weight,
+      taxClass,
+      options,
+      variants,
+    } = req.body;
+    if (taxClass !== undefined && typeof taxClass !== "string") {
+      res.status(400);
+      throw new Error("Tax class must be text");
+    }
     const product = await Product.findById(req.params.id);
     if (product) {
+      const before = getStockSnapshot(product);
       product.name = name || product.name;
       product.price = price || product.price;
       product.description = description || product.description;
-      product.image = image || product.image;
-      product.countInStock = countInStock || product.countInStock;
+      if (images !== undefined) {
+        product.images = cleanImages(images);
+        product.image = undefined;
+      } else if (image) {
+        product.images = [{ url: image }, ...product.images.slice(1)];
+      }
+      product.countInStock =
+        countInStock !== undefined ? countInStock : product.countInStock;
+      if (category !== undefined) {
+        product.category = category || undefined;
+        product.categoryPath = category
+          ? await getCategoryPath(category)
+          : undefined;
+      }
+      if (weight !== undefined) {
+        product.weight = Number(weight) || 0;
+      }
+      if (taxClass !== undefined) {
+        product.taxClass = taxClass.trim() || "standard";
+      }
+      if (options !== undefined || variants !== undefined) {
+        const checked = await checkVariants(
+          res,
+          options !== undefined ? options : product.options,
+          variants !== undefined ? variants : product.variants,
+          product._id
+        );
+        product.options = checked.options;
+        product.variants = checked.variants;
+      }
 
       const updatedProduct = await product.save();
+      invalidateVocabulary();
+      // Wishlist alerts never fail the update
+      await queueProductAlerts(before, updatedProduct).catch((error) =>
+        console.error(`Queueing product alerts failed: ${error.message}`)
+      );
       res.json(updatedProduct);
     } else {
       res.status(404);
@@ -0,0 +1,306 @@
+import express from "express";
+import asyncHandler from "express-async-handler";
+import Promotion from "./../Models/PromotionModel.js";
+import { admin, protect } from "./../Middleware/AuthMiddleware.js";
+
+const promotionRouter = express.Router();
+
+const PROMOTION_TYPES = ["percentage", "fixed", "free_shipping", "tiered"];
+const SHIPPING_TYPES = ["standard", "express", "pickup"];
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+// Tiers as numbers, from the smallest quantity up
+const checkTiers = (res, tiers) => {
+  const checked = (tiers || []).map((tier) => ({
+    minQuantity: Number(tier.minQuantity),
+    value: Number(tier.value),
+  }));
+  if (!checked.length) {
+    res.status(400);
+    throw new Error("Add at least one quantity tier");
+  }
+  checked.forEach((tier) => {
+    if (!Number.isInteger(tier.minQuantity) || tier.minQuantity < 1) {
+      res.status(400);
+      throw new Error("Tier quantities must be whole numbers of at least 1");
+    }
+    if (!(tier.value > 0 && tier.value <= 100)) {
+      res.status(400);
+      throw new Error("Tier discounts must be between 0 and 100 percent");
+    }
+  });
+  const quantities = checked.map((tier) => tier.minQuantity);
+  if (new Set(quantities).size !== quantities.length) {
+    res.status(400);
+    throw new Error("Each tier needs a different quantity");
+  }
+  return checked.sort((a, b) => a.minQuantity - b.minQuantity);
+};
+
+// Check the promotion fields and return them cleaned up
+const checkPromotion = (res, body) => {
+  const name = `${body.name || ""}`.trim();
+  if (!name) {
+    res.status(400);
+    throw new Error("Promotion name is required");
+  }
+  if (!PROMOTION_TYPES.includes(body.type)) {
+    res.status(400);
+    throw new Error("Invalid promotion type");
+  }
+  const promotion = {
+    name,
+    description: body.description || "",
+    type: body.type,
+    value: Number(body.value) || 0,
+    tiers: body.type === "tiered" ? checkTiers(res, body.tiers) : [],
+    shippingTypes:
+      body.type === "free_shipping" ? body.shippingTypes || [] : [],
+    minOrderValue: Number(body.minOrderValue) || 0,
+    startsAt: toDate(body.startsAt),
+    expiresAt: toDate(body.expiresAt),
+    products: body.products || [],
+    categories: body.categories || [],
+    priority: Number(body.priority) || 0,
+    exclusive: Boolean(body.exclusive),
+    isActive: body.isActive !== false,
+  };
+  if (
+    (promotion.type === "percentage" || promotion.type === "fixed") &&
+    promotion.value <= 0
+  ) {
+    res.status(400);
+    throw new Error("Enter the discount of the promotion");
+  }
+  if (promotion.type === "percentage" && promotion.value > 100) {
+    res.status(400);
+    throw new Error("A percentage discount can't be over 100");
+  }
+  if (promotion.shippingTypes.some((type) => !SHIPPING_TYPES.includes(type))) {
+    res.status(400);
+    throw new Error("Invalid shipping type");
+  }
+  if (
+    [promotion.startsAt, promotion.expiresAt].some(
+      (date) => date && Number.isNaN(date.getTime())
+    )
+  ) {
+    res.status(400);
+    throw new Error("Invalid validity dates");
+  }
+  if (
+    promotion.startsAt &&
+    promotion.expiresAt &&
+    promotion.expiresAt <= promotion.startsAt
+  ) {
+    res.status(400);
+    throw new Error("The promotion must end after it starts");
+  }
+  return promotion;
+};
+
+/**
+ * @swagger
+ * /promotions:
+ *   get:
+ *     tags: [Promotion]
+ *     summary: Get all promotions
+ *     description: Get all automatic promotions, highest priority first (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/definitions/Promotion'
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// GET ALL PROMOTIONS
+promotionRouter.get(
+  "/",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const promotions = await Promotion.find({})
+      .sort({ priority: -1, _id: 1 })
+      .populate("products", "name")
+      .populate("categories", "name");
+    res.json(promotions);
+  })
+);
+
+/**
+ * @swagger
+ * /promotions:
+ *   post:
+ *     tags: [Promotion]
+ *     summary: Create a promotion
+ *     description: Create a percentage, fixed amount, free shipping or tiered quantity promotion, applied to every qualifying cart without a code (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: promotion
+ *         description: Promotion details
+ *         required: true
+ *         schema:
+ *           $ref: '#/definitions/NewPromotion'
+ *     responses:
+ *       201:
+ *         description: Promotion created successfully
+ *         schema:
+ *           $ref: '#/definitions/Promotion'
+ *       400:
+ *         description: Bad request
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// CREATE PROMOTION
+promotionRouter.post(
+  "/",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const promotion = new Promotion(checkPromotion(res, req.body));
+    const createdPromotion = await promotion.save();
+    res.status(201).json(createdPromotion);
+  })
+);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   put:
+ *     tags: [Promotion]
+ *     summary: Update a promotion
+ *     description: Update a specific promotion by ID (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: Promotion ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: body
+ *         name: promotion
+ *         description: Updated promotion details
+ *         required: true
+ *         schema:
+ *           $ref: '#/definitions/NewPromotion'
+ *     responses:
+ *       200:
+ *         description: Promotion updated successfully
+ *         schema:
+ *           $ref: '#/definitions/Promotion'
+ *       400:
+ *         description: Bad request
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Promotion not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// UPDATE PROMOTION
+promotionRouter.put(
+  "/:id",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const promotion = await Promotion.findById(req.params.id);
+    if (promotion) {
+      promotion.set(checkPromotion(res, req.body));
+      const updatedPromotion = await promotion.save();
+      res.json(updatedPromotion);
+    } else {
+      res.status(404);
+      throw new Error("Promotion not found");
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   delete:
+ *     tags: [Promotion]
+ *     summary: Delete a promotion
+ *     description: Delete a specific promotion by ID (admin only). Orders keep the discount they were placed with.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: Promotion ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion deleted successfully
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Promotion not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// DELETE PROMOTION
+promotionRouter.delete(
+  "/:id",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const promotion = await Promotion.findById(req.params.id);
+    if (promotion) {
+      await promotion.remove();
+      res.json({ message: "Promotion deleted" });
+    } else {
+      res.status(404);
+      throw new Error("Promotion not found");
+    }
+  })
+);
+
+export default promotionRouter;
@@ -0,0 +1,294 @@
+import express from "express";
+import asyncHandler from "express-async-handler";
+import ShippingMethod from "./../Models/ShippingMethodModel.js";
+import { admin, protect } from "./../Middleware/AuthMiddleware.js";
+import { ensureShippingMethods } from "./../utils/shipping.js";
+
+const shippingRouter = express.Router();
+
+const toLimit = (value) => {
+  return value === undefined || value === null || value === ""
+    ? null
+    : Number(value);
+};
+
+// Check the rate table rows and return them with numbers
+const checkRates = (res, rates) => {
+  if (!Array.isArray(rates) || rates.length === 0) {
+    res.status(400);
+    throw new Error("Add at least one shipping rate");
+  }
+  return rates.map((rate) => {
+    const checked = {
+      country: `${rate.country || ""}`.trim() || "*",
+      minWeight: Number(rate.minWeight) || 0,
+      maxWeight: toLimit(rate.maxWeight),
+      minOrderValue: Number(rate.minOrderValue) || 0,
+      maxOrderValue: toLimit(rate.maxOrderValue),
+      price: Number(rate.price),
+    };
+    const numbers = [
+      checked.minWeight,
+      checked.maxWeight,
+      checked.minOrderValue,
+      checked.maxOrderValue,
+      checked.price,
+    ];
+    if (
+      rate.price === undefined ||
+      rate.price === "" ||
+      numbers.some((n) => n !== null && (Number.isNaN(n) || n < 0))
+    ) {
+      res.status(400);
+      throw new Error(`Invalid shipping rate for ${checked.country}`);
+    }
+    if (
+      (checked.maxWeight !== null && checked.maxWeight <= checked.minWeight) ||
+      (checked.maxOrderValue !== null &&
+        checked.maxOrderValue <= checked.minOrderValue)
+    ) {
+      res.status(400);
+      throw new Error(
+        `Shipping rate maximums must be above the minimums (${checked.country})`
+      );
+    }
+    return checked;
+  });
+};
+
+// Check the method fields and return them trimmed
+const checkShippingMethod = async (res, body, methodId) => {
+  const name = `${body.name || ""}`.trim();
+  if (!name) {
+    res.status(400);
+    throw new Error("Shipping method name is required");
+  }
+  const methodExist = await ShippingMethod.findOne({
+    name,
+    _id: { $ne: methodId },
+  });
+  if (methodExist) {
+    res.status(400);
+    throw new Error("Shipping method name already exist");
+  }
+  const freeShippingOver = toLimit(body.freeShippingOver);
+  if (
+    freeShippingOver !== null &&
+    (Number.isNaN(freeShippingOver) || freeShippingOver < 0)
+  ) {
+    res.status(400);
+    throw new Error("Invalid free shipping threshold");
+  }
+  return {
+    name,
+    type: body.type || "standard",
+    description: body.description || "",
+    estimatedDays: body.estimatedDays || "",
+    freeShippingOver,
+    rates: checkRates(res, body.rates),
+    isActive: body.isActive !== false,
+  };
+};
+
+/**
+ * @swagger
+ * /shipping:
+ *   get:
+ *     tags: [Shipping]
+ *     summary: Get all shipping methods
+ *     description: Get all shipping methods with their rate tables, including inactive ones (admin only). A shop without any starts with Standard, Express and Store pickup.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/definitions/ShippingMethod'
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// GET ALL SHIPPING METHODS
+shippingRouter.get(
+  "/",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    await ensureShippingMethods();
+    const methods = await ShippingMethod.find({}).sort({ createdAt: 1 });
+    res.json(methods);
+  })
+);
+
+/**
+ * @swagger
+ * /shipping:
+ *   post:
+ *     tags: [Shipping]
+ *     summary: Create a shipping method
+ *     description: Create a shipping method with its rate table (admin only). Every rate row applies to a country ("*" for all) and a weight and order value range.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: method
+ *         description: Shipping method details
+ *         required: true
+ *         schema:
+ *           $ref: '#/definitions/NewShippingMethod'
+ *     responses:
+ *       201:
+ *         description: Shipping method created successfully
+ *         schema:
+ *           $ref: '#/definitions/ShippingMethod'
+ *       400:
+ *         description: Bad request
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// CREATE SHIPPING METHOD
+shippingRouter.post(
+  "/",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const method = new ShippingMethod(await checkShippingMethod(res, req.body));
+    const createdMethod = await method.save();
+    res.status(201).json(createdMethod);
+  })
+);
+
+/**
+ * @swagger
+ * /shipping/{id}:
+ *   put:
+ *     tags: [Shipping]
+ *     summary: Update a shipping method
+ *     description: Update a specific shipping method by ID (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: Shipping method ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: body
+ *         name: method
+ *         description: Updated shipping method details
+ *         required: true
+ *         schema:
+ *           $ref: '#/definitions/NewShippingMethod'
+ *     responses:
+ *       200:
+ *         description: Shipping method updated successfully
+ *         schema:
+ *           $ref: '#/definitions/ShippingMethod'
+ *       400:
+ *         description: Bad request
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Shipping method not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// UPDATE SHIPPING METHOD
+shippingRouter.put(
+  "/:id",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const method = await ShippingMethod.findById(req.params.id);
+    if (method) {
+      method.set(await checkShippingMethod(res, req.body, method._id));
+      const updatedMethod = await method.save();
+      res.json(updatedMethod);
+    } else {
+      res.status(404);
+      throw new Error("Shipping method not found");
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /shipping/{id}:
+ *   delete:
+ *     tags: [Shipping]
+ *     summary: Delete a shipping method
+ *     description: Delete a specific shipping method by ID (admin only). Orders keep the method they were placed with.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: Shipping method ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipping method deleted successfully
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Shipping method not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// DELETE SHIPPING METHOD
+shippingRouter.delete(
+  "/:id",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const method = await ShippingMethod.findById(req.params.id);
+    if (method) {
+      await method.remove();
+      res.json({ message: "Shipping method deleted" });
+    } else {
+      res.status(404);
+      throw new Error("Shipping method not found");
+    }
+  })
+);
+
+export default shippingRouter;
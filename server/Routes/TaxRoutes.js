@@ -0,0 +1,247 @@
+import express from "express";
+import asyncHandler from "express-async-handler";
+import TaxRule from "./../Models/TaxRuleModel.js";
+import { admin, protect } from "./../Middleware/AuthMiddleware.js";
+
+const taxRouter = express.Router();
+
+// Check the rule fields and return them trimmed
+const checkTaxRule = async (res, body, ruleId) => {
+  const name = `${body.name || ""}`.trim();
+  const country = `${body.country || ""}`.trim() || "*";
+  const region = country === "*" ? "" : `${body.region || ""}`.trim();
+  const taxClass = `${body.taxClass || ""}`.trim() || "standard";
+  const rate = Number(body.rate);
+  if (!name) {
+    res.status(400);
+    throw new Error("Tax rule name is required");
+  }
+  if (body.rate === undefined || body.rate === "" || Number.isNaN(rate)) {
+    res.status(400);
+    throw new Error("Tax rate is required");
+  }
+  if (rate < 0 || rate > 100) {
+    res.status(400);
+    throw new Error("Tax rate must be between 0 and 100");
+  }
+  // Case insensitive, "kosovo" and "Kosovo" are the same country
+  const ruleExist = await TaxRule.findOne({
+    country,
+    region,
+    taxClass,
+    _id: { $ne: ruleId },
+  }).collation({ locale: "en", strength: 2 });
+  if (ruleExist) {
+    res.status(400);
+    throw new Error(
+      `${ruleExist.name} already applies to ${taxClass} products there`
+    );
+  }
+  return { name, country, region, taxClass, rate, inclusive: !!body.inclusive };
+};
+
+/**
+ * @swagger
+ * /taxes:
+ *   get:
+ *     tags: [Tax]
+ *     summary: Get all tax rules
+ *     description: Get all tax rules sorted by country, region and tax class (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/definitions/TaxRule'
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// GET ALL TAX RULES
+taxRouter.get(
+  "/",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const rules = await TaxRule.find({}).sort({
+      country: 1,
+      region: 1,
+      taxClass: 1,
+    });
+    res.json(rules);
+  })
+);
+
+/**
+ * @swagger
+ * /taxes:
+ *   post:
+ *     tags: [Tax]
+ *     summary: Create a tax rule
+ *     description: Create a tax rule for a country, or a region of it, and a product tax class (admin only). Use "*" as country for a rule that applies everywhere else.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: rule
+ *         description: Tax rule details
+ *         required: true
+ *         schema:
+ *           $ref: '#/definitions/NewTaxRule'
+ *     responses:
+ *       201:
+ *         description: Tax rule created successfully
+ *         schema:
+ *           $ref: '#/definitions/TaxRule'
+ *       400:
+ *         description: Bad request
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// CREATE TAX RULE
+taxRouter.post(
+  "/",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const rule = new TaxRule(await checkTaxRule(res, req.body));
+    const createdRule = await rule.save();
+    res.status(201).json(createdRule);
+  })
+);
+
+/**
+ * @swagger
+ * /taxes/{id}:
+ *   put:
+ *     tags: [Tax]
+ *     summary: Update a tax rule
+ *     description: Update a specific tax rule by ID (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: Tax rule ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: body
+ *         name: rule
+ *         description: Updated tax rule details
+ *         required: true
+ *         schema:
+ *           $ref: '#/definitions/NewTaxRule'
+ *     responses:
+ *       200:
+ *         description: Tax rule updated successfully
+ *         schema:
+ *           $ref: '#/definitions/TaxRule'
+ *       400:
+ *         description: Bad request
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Tax rule not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// UPDATE TAX RULE
+taxRouter.put(
+  "/:id",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const rule = await TaxRule.findById(req.params.id);
+    if (rule) {
+      rule.set(await checkTaxRule(res, req.body, rule._id));
+      const updatedRule = await rule.save();
+      res.json(updatedRule);
+    } else {
+      res.status(404);
+      throw new Error("Tax rule not found");
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /taxes/{id}:
+ *   delete:
+ *     tags: [Tax]
+ *     summary: Delete a tax rule
+ *     description: Delete a specific tax rule by ID (admin only). Orders keep the tax they were placed with.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: Tax rule ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rule deleted successfully
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Tax rule not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// DELETE TAX RULE
+taxRouter.delete(
+  "/:id",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const rule = await TaxRule.findById(req.params.id);
+    if (rule) {
+      await rule.remove();
+      res.json({ message: "Tax rule deleted" });
+    } else {
+      res.status(404);
+      throw new Error("Tax rule not found");
+    }
+  })
+);
+
+export default taxRouter;
@@ -0,0 +1,252 @@
+import express from "express";
+import asyncHandler from "express-async-handler";
+import Transaction from "./../Models/TransactionModel.js";
+import { admin, protect } from "./../Middleware/AuthMiddleware.js";
+import { getProvider, toProviderKey } from "./../utils/payments.js";
+import { getCurrency } from "./../utils/paypal.js";
+import { roundPrice } from "./../utils/pricing.js";
+import {
+  buildTransactionFilter,
+  getTransactionTotals,
+  toCsv,
+} from "./../utils/transactions.js";
+
+const transactionRouter = express.Router();
+
+/**
+ * @swagger
+ * /transactions:
+ *   get:
+ *     tags: [Transaction]
+ *     summary: Get the payment transactions
+ *     description: Get the charges, refunds, payouts and fees of the payment providers, newest first, with the settled totals of every transaction that matches the filters (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         description: charge, refund, payout or fee
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: provider
+ *         description: Payment method, paypal, cod or bank_transfer
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         description: pending, completed, failed or manual
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: First day, YYYY-MM-DD
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         description: Last day, YYYY-MM-DD
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: pageNumber
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           type: object
+ *           properties:
+ *             transactions:
+ *               type: array
+ *               items:
+ *                 $ref: '#/definitions/Transaction'
+ *             page:
+ *               type: number
+ *             pages:
+ *               type: number
+ *             totals:
+ *               type: object
+ *               properties:
+ *                 charges:
+ *                   type: number
+ *                 refunds:
+ *                   type: number
+ *                 fees:
+ *                   type: number
+ *                 payouts:
+ *                   type: number
+ *                 net:
+ *                   type: number
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// GET TRANSACTIONS
+transactionRouter.get(
+  "/",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const pageSize = 50;
+    const page = Math.max(Number(req.query.pageNumber) || 1, 1);
+    const filter = buildTransactionFilter(req.query);
+    const [count, transactions, totals] = await Promise.all([
+      Transaction.countDocuments(filter),
+      Transaction.find(filter)
+        .sort({ date: -1, _id: -1 })
+        .limit(pageSize)
+        .skip(pageSize * (page - 1)),
+      getTransactionTotals(filter),
+    ]);
+    res.json({
+      transactions,
+      page,
+      pages: Math.ceil(count / pageSize),
+      totals,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /transactions/export:
+ *   get:
+ *     tags: [Transaction]
+ *     summary: Export the payment transactions
+ *     description: Download every transaction that matches the filters of GET /transactions as a CSV file, newest first (admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - text/csv
+ *     responses:
+ *       200:
+ *         description: CSV file with a header line
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// EXPORT TRANSACTIONS
+transactionRouter.get(
+  "/export",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const transactions = await Transaction.find(
+      buildTransactionFilter(req.query)
+    )
+      .sort({ date: -1, _id: -1 })
+      .lean();
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      'attachment; filename="transactions.csv"'
+    );
+    res.send(toCsv(transactions));
+  })
+);
+
+/**
+ * @swagger
+ * /transactions:
+ *   post:
+ *     tags: [Transaction]
+ *     summary: Add a payout or a fee
+ *     description: Record money the provider paid out to the bank, or a fee it does not report, so the ledger matches the bank statement (admin only). Charges and refunds are written by the orders.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: transaction
+ *         required: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               description: payout or fee
+ *             provider:
+ *               type: string
+ *             amount:
+ *               type: number
+ *             date:
+ *               type: string
+ *             reference:
+ *               type: string
+ *             description:
+ *               type: string
+ *     responses:
+ *       201:
+ *         description: Transaction added
+ *         schema:
+ *           $ref: '#/definitions/Transaction'
+ *       400:
+ *         description: Bad request
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// ADD TRANSACTION
+transactionRouter.post(
+  "/",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const { type, provider, amount, date, reference, description } = req.body;
+    if (type !== "payout" && type !== "fee") {
+      res.status(400);
+      throw new Error("Only payouts and fees are added by hand");
+    }
+    if (!provider || !getProvider(provider)) {
+      res.status(400);
+      throw new Error("Payment provider not found");
+    }
+    if (!(Number(amount) > 0)) {
+      res.status(400);
+      throw new Error("Amount must be more than 0");
+    }
+    const day = date ? new Date(date) : new Date();
+    if (Number.isNaN(day.getTime())) {
+      res.status(400);
+      throw new Error("Date is not valid");
+    }
+
+    const transaction = await Transaction.create({
+      type,
+      provider: toProviderKey(provider),
+      status: "completed",
+      amount: roundPrice(Number(amount)),
+      currency: getCurrency(),
+      reference: `${reference || ""}`.trim() || undefined,
+      description: `${description || ""}`.trim() || undefined,
+      date: day,
+      createdBy: req.user._id,
+    });
+    res.status(201).json(transaction);
+  })
+);
+
+export default transactionRouter;
@@ -0,0 +1,121 @@
+import express from "express";
+import asyncHandler from "express-async-handler";
+import multer from "multer";
+import { admin, protect } from "./../Middleware/AuthMiddleware.js";
+import {
+  IMAGE_TYPES,
+  MAX_IMAGES,
+  MAX_IMAGE_SIZE,
+  readImage,
+  saveImage,
+} from "./../utils/images.js";
+
+const uploadRouter = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_IMAGES },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`${file.originalname} is not a JPEG, PNG, WebP or GIF`));
+    }
+  },
+});
+
+// Read the "images" files of a multipart form, answering 400 when invalid
+const receiveImages = (req, res, next) => {
+  upload.array("images", MAX_IMAGES)(req, res, (error) => {
+    if (error) {
+      res.status(400);
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return next(
+          new Error(`Images must be smaller than ${MAX_IMAGE_SIZE / 1048576}MB`)
+        );
+      }
+      if (error.code === "LIMIT_FILE_COUNT") {
+        return next(new Error(`Upload at most ${MAX_IMAGES} images at a time`));
+      }
+      return next(error);
+    }
+    next();
+  });
+};
+
+/**
+ * @swagger
+ * /upload:
+ *   post:
+ *     tags: [Upload]
+ *     summary: Upload images
+ *     description: Upload up to 10 JPEG, PNG, WebP or GIF images of at most 5MB (admin only). Every image is stored with small, medium and large thumbnails.
+ *     security:
+ *       - BearerAuth: []
+ *     consumes:
+ *       - multipart/form-data
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: formData
+ *         name: images
+ *         type: file
+ *         description: Image files
+ *         required: true
+ *     responses:
+ *       201:
+ *         description: Images uploaded successfully
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/definitions/Image'
+ *       400:
+ *         description: Missing, invalid or too large image
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// UPLOAD IMAGES
+uploadRouter.post(
+  "/",
+  protect,
+  admin,
+  receiveImages,
+  asyncHandler(async (req, res) => {
+    const files = req.files || [];
+    if (!files.length) {
+      res.status(400);
+      throw new Error("No images uploaded");
+    }
+
+    // The type sent by the browser is not trusted, check the file itself
+    const images = await Promise.all(
+      files.map(async (file) => ({
+        file,
+        metadata: await readImage(file.buffer),
+      }))
+    );
+    const invalid = images.find((image) => !image.metadata);
+    if (invalid) {
+      res.status(400);
+      throw new Error(`${invalid.file.originalname} is not a valid image`);
+    }
+
+    const saved = [];
+    for (const image of images) {
+      saved.push(await saveImage(image.file.buffer, image.metadata));
+    }
+    res.status(201).json(saved);
+  })
+);
+
+export default uploadRouter;
@@ -1,11 +1,60 @@
 import express from "express";
 import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
 import { protect, admin } from "../Middleware/AuthMiddleware.js";
 import generateToken from "../utils/generateToken.js";
 import User from "./../Models/UserModel.js";
+import Product from "./../Models/ProductModel.js";
+import {
+  getCartItems,
+  isSameLine,
+  mergeCartItems,
+  parseCartItems,
+} from "../utils/cart.js";
+import { getWishlistItems } from "../utils/wishlist.js";
+import { parseAddress, setDefaultAddresses } from "../utils/addresses.js";
+import Order from "./../Models/OrderModel.js";
+import {
+  claimGuestOrders,
+  findUserByEmail,
+  verifyOrderAccessToken,
+} from "../utils/guestOrders.js";
 
 const userRouter = express.Router();
 
+const MAX_ADDRESSES = 20;
+
+// Users can only read and change their own cart, wishlist and addresses
+const accountOwner = (req, res, next) => {
+  if (req.user && req.user._id.equals(req.params.id)) {
+    next();
+  } else {
+    res.status(401);
+    throw new Error("Not authorized to use this account");
+  }
+};
+
+// The defaults asked for in the request body for the address being saved.
+// Turning a default off moves it to another address.
+const preferredDefaults = (body, address, addresses) => {
+  const preferred = {};
+  ["isDefaultShipping", "isDefaultBilling"].forEach((flag) => {
+    if (body[flag] === true) {
+      preferred[flag] = address;
+    } else if (body[flag] === false && address[flag]) {
+      address[flag] = false;
+      preferred[flag] = addresses.find((a) => a !== address);
+    }
+  });
+  return preferred;
+};
+
+const saveAddresses = async (user, addresses, preferred) => {
+  setDefaultAddresses(addresses, preferred);
+  await User.updateOne({ _id: user._id }, { addresses });
+  return addresses;
+};
+
 
 
 
@@ -183,6 +232,193 @@ userRouter.post(
     }
   })
 );
+/**
+ * @swagger
+ * /users/guest:
+ *   post:
+ *     tags: [User]
+ *     summary: Create an account from a guest order
+ *     description: Register the guest of an order with the email the order was placed with. The access token of the order link proves the email. Every guest order placed with that email is moved to the new account.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: guest
+ *         required: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             orderId:
+ *               type: string
+ *             access:
+ *               type: string
+ *               description: Access token of the order link
+ *             name:
+ *               type: string
+ *             password:
+ *               type: string
+ *           required:
+ *             - orderId
+ *             - access
+ *             - name
+ *             - password
+ *     responses:
+ *       201:
+ *         description: User created and logged in
+ *         schema:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *             isAdmin:
+ *               type: boolean
+ *             token:
+ *               type: string
+ *             claimedOrders:
+ *               type: number
+ *       400:
+ *         description: Missing name or password, or an account with the email already exists
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: The order link is not valid
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// REGISTER GUEST
+userRouter.post(
+  "/guest",
+  asyncHandler(async (req, res) => {
+    const { orderId, access, name, password } = req.body;
+
+    const order = mongoose.isValidObjectId(orderId)
+      ? await Order.findById(orderId)
+      : null;
+    if (
+      !order ||
+      !order.guestEmail ||
+      !verifyOrderAccessToken(access, orderId)
+    ) {
+      res.status(401);
+      throw new Error("This order link is not valid");
+    }
+    if (!name || !name.trim() || !password) {
+      res.status(400);
+      throw new Error("Enter your name and a password");
+    }
+    const userExists = await findUserByEmail(order.guestEmail);
+    if (userExists) {
+      res.status(400);
+      throw new Error(
+        "An account with this email already exists, log in to add this order to it"
+      );
+    }
+
+    const user = await User.create({
+      name: name.trim(),
+      email: order.guestEmail,
+      password,
+    });
+    const claimedOrders = await claimGuestOrders(user);
+
+    res.status(201).json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      isAdmin: user.isAdmin,
+      token: generateToken(user._id),
+      claimedOrders,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /users/guest/claim:
+ *   post:
+ *     tags: [User]
+ *     summary: Add guest orders to an account
+ *     description: Move the guest orders placed with the logged in user's email to the account. The access token of one of the order links proves the email, so the order must have been placed with the same email.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: claim
+ *         required: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             orderId:
+ *               type: string
+ *             access:
+ *               type: string
+ *               description: Access token of the order link
+ *           required:
+ *             - orderId
+ *             - access
+ *     responses:
+ *       200:
+ *         description: Number of guest orders added to the account
+ *         schema:
+ *           type: object
+ *           properties:
+ *             claimedOrders:
+ *               type: number
+ *       400:
+ *         description: The order was placed with another email
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: Not logged in, or the order link is not valid
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// CLAIM GUEST ORDERS
+userRouter.post(
+  "/guest/claim",
+  protect,
+  asyncHandler(async (req, res) => {
+    const { orderId, access } = req.body;
+
+    const order = mongoose.isValidObjectId(orderId)
+      ? await Order.findById(orderId)
+      : null;
+    if (
+      !order ||
+      !order.guestEmail ||
+      !verifyOrderAccessToken(access, orderId)
+    ) {
+      res.status(401);
+      throw new Error("This order link is not valid");
+    }
+    if (order.guestEmail !== req.user.email.toLowerCase()) {
+      res.status(400);
+      throw new Error("This order was placed with another email");
+    }
+
+    const claimedOrders = await claimGuestOrders(req.user);
+    res.json({ claimedOrders });
+  })
+);
+
 /**
  * @swagger
  * /users/orders:
@@ -844,152 +1080,577 @@ userRouter.get(
  * @swagger
  * /users/{id}/cart/{product_id}:
  *   put:
- *     summary: Update the quantity of a product in a user's shopping cart
- *     tags: [Users]
+ *     tags: [User]
+ *     summary: Change the quantity of a cart item
+ *     description: Set the quantity of a product, or of one of its variants, in the user's cart. A quantity of 0 removes it.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
  *     parameters:
  *       - in: path
  *         name: id
+ *         description: User ID, only the logged in user's own account can be used
  *         required: true
  *         schema:
  *           type: string
  *       - in: path
  *         name: product_id
+ *         description: Product ID
  *         required: true
  *         schema:
  *           type: string
  *       - in: body
- *         name: quantity
+ *         name: item
  *         required: true
  *         schema:
- *           type: integer
+ *           type: object
+ *           properties:
+ *             quantity:
+ *               type: integer
+ *             variant:
+ *               type: string
  *     responses:
- *       '200':
- *         description: Cart updated successfully
- *       '404':
- *         description: User not found or Product not found in cart
- *       '500':
- *         description: Internal server error
+ *       200:
+ *         description: The cart with the current name, image, price and stock of every item
+ *         schema:
+ *           type: object
+ *           properties:
+ *             cart:
+ *               type: array
+ *               items:
+ *                 $ref: '#/definitions/CartItem'
+ *       400:
+ *         description: Invalid quantity
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Product not found in cart
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
  */
-
-// Update the quantity of a product in a user's shopping cart
+// UPDATE CART ITEM
 userRouter.put(
-  '/users/:id/cart/:product_id',
+  "/users/:id/cart/:product_id",
+  protect,
+  accountOwner,
   asyncHandler(async (req, res) => {
-    const userId = req.params.id;
-    const productId = req.params.product_id;
-    const quantity = req.body.quantity;
-
-    // Find the user by ID
-    const user = await User.findById(userId);
-
-    if (!user) {
-      res.status(404).json({ message: 'User not found' });
-    } else {
-      // Find the product in the user's shopping cart
-      const cartItem = user.cart.find(item => item.product == productId);
-
-      if (cartItem) {
-        // Update the quantity of the product
-        cartItem.quantity = quantity;
-        await user.save();
-        res.json({ message: 'Cart updated successfully' });
-      } else {
-        res.status(404).json({ message: 'Product not found in cart' });
-      }
+    const quantity = Number(req.body.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      res.status(400);
+      throw new Error("Invalid quantity");
+    }
+    const line = {
+      product: req.params.product_id,
+      variant: req.body.variant || null,
+    };
+    const cartItem = req.user.cart.find((item) => isSameLine(item, line));
+    if (!cartItem) {
+      res.status(404);
+      throw new Error("Product not found in cart");
     }
+    const cart =
+      quantity === 0
+        ? req.user.cart.filter((item) => item !== cartItem)
+        : req.user.cart.map((item) =>
+            item === cartItem ? { ...line, qty: quantity } : item
+          );
+    await User.updateOne({ _id: req.user._id }, { cart });
+    res.json({ cart: await getCartItems(cart) });
   })
 );
 
 /**
  * @swagger
- * /users/{id}/favorites/{product_id}:
- *   delete:
- *     summary: Remove a product from a user's favorites
- *     tags: [Users]
+ * /users/{id}/addresses:
+ *   get:
+ *     tags: [User]
+ *     summary: Get the address book
+ *     description: Get the saved addresses of the user, with the default shipping and billing address flagged
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
  *     parameters:
  *       - in: path
  *         name: id
- *         required: true
- *         schema:
- *           type: string
- *       - in: path
- *         name: product_id
+ *         description: User ID, only the logged in user's own account can be used
  *         required: true
  *         schema:
  *           type: string
  *     responses:
- *       '200':
- *         description: Product removed from favorites
- *       '404':
- *         description: User not found
- *       '500':
- *         description: Internal server error
+ *       200:
+ *         description: The address book
+ *         schema:
+ *           type: object
+ *           properties:
+ *             addresses:
+ *               type: array
+ *               items:
+ *                 $ref: '#/definitions/Address'
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
  */
-// Remove a product from a user's favorites
-userRouter.delete(
-  '/users/:id/favorites/:product_id',
+// GET ADDRESSES
+userRouter.get(
+  "/users/:id/addresses",
+  protect,
+  accountOwner,
   asyncHandler(async (req, res) => {
-    const userId = req.params.id;
-    const productId = req.params.product_id;
-
-    // Find the user by ID
-    const user = await User.findById(userId);
-
-    if (!user) {
-      res.status(404).json({ message: 'User not found' });
-    } else {
-      // Remove the product from the favorites array
-      const index = user.favorites.indexOf(productId);
-      if (index !== -1) {
-        user.favorites.splice(index, 1);
-        await user.save();
-      }
-
-      res.json({ message: 'Product removed from favorites' });
-    }
+    res.json({ addresses: req.user.addresses });
   })
 );
 
-
 /**
  * @swagger
- * /users/{id}/favorites:
- *   get:
- *     summary: Retrieve all favorite products of a specific user
- *     tags: [Users]
+ * /users/{id}/addresses:
+ *   post:
+ *     tags: [User]
+ *     summary: Add an address
+ *     description: Add an address to the address book. The first address is the default shipping and billing address.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
  *     parameters:
  *       - in: path
  *         name: id
+ *         description: User ID, only the logged in user's own account can be used
  *         required: true
  *         schema:
  *           type: string
+ *       - in: body
+ *         name: address
+ *         required: true
+ *         schema:
+ *           $ref: '#/definitions/NewAddress'
  *     responses:
- *       '200':
- *         description: OK
- *       '404':
- *         description: User not found
- *       '500':
- *         description: Internal server error
+ *       200:
+ *         description: The address book
+ *         schema:
+ *           type: object
+ *           properties:
+ *             addresses:
+ *               type: array
+ *               items:
+ *                 $ref: '#/definitions/Address'
+ *       400:
+ *         description: Incomplete address, or the address book is full
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
  */
-
-// Retrieve all favorite products of a specific user
-userRouter.get(
-  '/users/:id/favorites',
+// ADD ADDRESS
+userRouter.post(
+  "/users/:id/addresses",
+  protect,
+  accountOwner,
   asyncHandler(async (req, res) => {
-    const userId = req.params.id;
+    const fields = parseAddress(req.body);
+    if (!fields) {
+      res.status(400);
+      throw new Error("Enter the address, city, postal code and country");
+    }
+    if (req.user.addresses.length >= MAX_ADDRESSES) {
+      res.status(400);
+      throw new Error(`You can save up to ${MAX_ADDRESSES} addresses`);
+    }
 
-    // Find the user by ID
-    const user = await User.findById(userId);
+    const addresses = req.user.addresses.map((a) => a.toObject());
+    const address = {
+      _id: new mongoose.Types.ObjectId(),
+      label: (req.body.label || "").trim(),
+      ...fields,
+    };
+    addresses.push(address);
+    res.json({
+      addresses: await saveAddresses(
+        req.user,
+        addresses,
+        preferredDefaults(req.body, address, addresses)
+      ),
+    });
+  })
+);
 
-    if (!user) {
-      res.status(404).json({ message: 'User not found' });
-    } else {
-      const favoriteProducts = user.favorites;
+/**
+ * @swagger
+ * /users/{id}/addresses/{address_id}:
+ *   put:
+ *     tags: [User]
+ *     summary: Update an address
+ *     description: Update an address of the address book, or make it the default shipping or billing address
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: User ID, only the logged in user's own account can be used
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: address_id
+ *         description: Address ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: body
+ *         name: address
+ *         required: true
+ *         schema:
+ *           $ref: '#/definitions/NewAddress'
+ *     responses:
+ *       200:
+ *         description: The address book
+ *         schema:
+ *           type: object
+ *           properties:
+ *             addresses:
+ *               type: array
+ *               items:
+ *                 $ref: '#/definitions/Address'
+ *       400:
+ *         description: Incomplete address
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Address not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// UPDATE ADDRESS
+userRouter.put(
+  "/users/:id/addresses/:address_id",
+  protect,
+  accountOwner,
+  asyncHandler(async (req, res) => {
+    const addresses = req.user.addresses.map((a) => a.toObject());
+    const address = addresses.find((a) => `${a._id}` === req.params.address_id);
+    if (!address) {
+      res.status(404);
+      throw new Error("Address not found");
+    }
+    const fields = parseAddress({ ...address, ...req.body });
+    if (!fields) {
+      res.status(400);
+      throw new Error("Enter the address, city, postal code and country");
+    }
 
-      res.json({ favoriteProducts });
+    Object.assign(address, fields);
+    if (req.body.label !== undefined) {
+      address.label = `${req.body.label}`.trim();
+    }
+    res.json({
+      addresses: await saveAddresses(
+        req.user,
+        addresses,
+        preferredDefaults(req.body, address, addresses)
+      ),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /users/{id}/addresses/{address_id}:
+ *   delete:
+ *     tags: [User]
+ *     summary: Delete an address
+ *     description: Remove an address from the address book. Its defaults move to the first remaining address.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: User ID, only the logged in user's own account can be used
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: address_id
+ *         description: Address ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The address book
+ *         schema:
+ *           type: object
+ *           properties:
+ *             addresses:
+ *               type: array
+ *               items:
+ *                 $ref: '#/definitions/Address'
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Address not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// DELETE ADDRESS
+userRouter.delete(
+  "/users/:id/addresses/:address_id",
+  protect,
+  accountOwner,
+  asyncHandler(async (req, res) => {
+    const addresses = req.user.addresses.map((a) => a.toObject());
+    const remaining = addresses.filter(
+      (a) => `${a._id}` !== req.params.address_id
+    );
+    if (remaining.length === addresses.length) {
+      res.status(404);
+      throw new Error("Address not found");
+    }
+    res.json({ addresses: await saveAddresses(req.user, remaining) });
+  })
+);
+
+/**
+ * @swagger
+ * /users/{id}/favorites/{product_id}:
+ *   delete:
+ *     tags: [User]
+ *     summary: Remove a product from the wishlist
+ *     description: Remove a product from the user's wishlist, only the given variant when there is one
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: User ID, only the logged in user's own account can be used
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: product_id
+ *         description: Product ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variant
+ *         description: Variant ID
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The wishlist, newest first, with the current details of every product
+ *         schema:
+ *           type: object
+ *           properties:
+ *             favoriteProducts:
+ *               type: array
+ *               items:
+ *                 $ref: '#/definitions/WishlistItem'
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// REMOVE FROM WISHLIST
+userRouter.delete(
+  "/users/:id/favorites/:product_id",
+  protect,
+  accountOwner,
+  asyncHandler(async (req, res) => {
+    const { variant } = req.query;
+    const favorites = req.user.favorites.filter(
+      (item) =>
+        !(
+          `${item.product}` === req.params.product_id &&
+          (!variant || `${item.variant}` === variant)
+        )
+    );
+    await User.updateOne({ _id: req.user._id }, { favorites });
+    res.json({ favoriteProducts: await getWishlistItems(favorites) });
+  })
+);
+
+/**
+ * @swagger
+ * /users/{id}/favorites:
+ *   get:
+ *     tags: [User]
+ *     summary: Get the wishlist
+ *     description: Get the products the user saved to the wishlist or for later
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: User ID, only the logged in user's own account can be used
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The wishlist, newest first, with the current details of every product
+ *         schema:
+ *           type: object
+ *           properties:
+ *             favoriteProducts:
+ *               type: array
+ *               items:
+ *                 $ref: '#/definitions/WishlistItem'
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// GET WISHLIST
+userRouter.get(
+  "/users/:id/favorites",
+  protect,
+  accountOwner,
+  asyncHandler(async (req, res) => {
+    res.json({ favoriteProducts: await getWishlistItems(req.user.favorites) });
+  })
+);
+
+/**
+ * @swagger
+ * /users/{id}/favorites:
+ *   post:
+ *     tags: [User]
+ *     summary: Add a product to the wishlist
+ *     description: Add a product, or one of its variants, to the user's wishlist. Adding it again does nothing.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: User ID, only the logged in user's own account can be used
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: body
+ *         name: favorite
+ *         required: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             productId:
+ *               type: string
+ *             variant:
+ *               type: string
+ *     responses:
+ *       200:
+ *         description: The wishlist, newest first, with the current details of every product
+ *         schema:
+ *           type: object
+ *           properties:
+ *             favoriteProducts:
+ *               type: array
+ *               items:
+ *                 $ref: '#/definitions/WishlistItem'
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Product not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// ADD TO WISHLIST
+userRouter.post(
+  "/users/:id/favorites",
+  protect,
+  accountOwner,
+  asyncHandler(async (req, res) => {
+    const { productId, variant } = req.body;
+    const product = mongoose.isValidObjectId(productId)
+      ? await Product.findById(productId)
+      : null;
+    if (!product || (variant && !product.findVariant(variant))) {
+      res.status(404);
+      throw new Error("Product not found");
     }
+
+    const favorite = { product: product._id, variant: variant || null };
+    const favorites = req.user.favorites.some((item) =>
+      isSameLine(item, favorite)
+    )
+      ? req.user.favorites
+      : [...req.user.favorites, { ...favorite, createdAt: new Date() }];
+    await User.updateOne({ _id: req.user._id }, { favorites });
+    res.json({ favoriteProducts: await getWishlistItems(favorites) });
   })
 );
+
 /**
  * @swagger
  * /users/{id}/orders/{orderId}:
@@ -1158,11 +1819,17 @@ userRouter.get(
  * @swagger
  * /users/{id}/cart:
  *   post:
- *     summary: Add a product to a user's shopping cart
- *     tags: [Users]
+ *     tags: [User]
+ *     summary: Add a product to the cart
+ *     description: Add a product, or one of its variants, to the user's cart. The quantity is added to the one already in the cart.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
  *     parameters:
  *       - in: path
  *         name: id
+ *         description: User ID, only the logged in user's own account can be used
  *         required: true
  *         schema:
  *           type: string
@@ -1174,46 +1841,75 @@ userRouter.get(
  *           properties:
  *             productId:
  *               type: string
+ *             variant:
+ *               type: string
  *             quantity:
- *               type: number
+ *               type: integer
  *     responses:
- *       '200':
- *         description: Product added to cart successfully
- *       '404':
- *         description: User not found
- *       '500':
- *         description: Internal server error
+ *       200:
+ *         description: The cart with the current name, image, price and stock of every item
+ *         schema:
+ *           type: object
+ *           properties:
+ *             cart:
+ *               type: array
+ *               items:
+ *                 $ref: '#/definitions/CartItem'
+ *       400:
+ *         description: Invalid quantity or the product options are missing
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Product not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
  */
-// Add a product to a user's shopping cart
+// ADD TO CART
 userRouter.post(
-  '/users/:id/cart',
+  "/users/:id/cart",
+  protect,
+  accountOwner,
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const { productId, quantity } = req.body;
-
-    // Find the user by ID
-    const user = await User.findById(id);
-
-    if (!user) {
+    const { productId, variant } = req.body;
+    const quantity = Number(req.body.quantity || 1);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      res.status(400);
+      throw new Error("Invalid quantity");
+    }
+    const product = mongoose.isValidObjectId(productId)
+      ? await Product.findById(productId)
+      : null;
+    if (!product || (variant && !product.findVariant(variant))) {
       res.status(404);
-      throw new Error('User not found');
+      throw new Error("Product not found");
     }
-
-    // Check if the product is already in the user's cart
-    const existingCartItem = user.cart.find((item) => item.product.toString() === productId);
-
-    if (existingCartItem) {
-      // Update the quantity of the existing item
-      existingCartItem.quantity += quantity;
-    } else {
-      // Add the product to the user's cart
-      user.cart.push({ product: productId, quantity });
+    if (!variant && product.variants.length) {
+      res.status(400);
+      throw new Error(`Choose the options of ${product.name}`);
     }
 
-    // Save the updated user with the modified cart
-    await user.save();
-
-    res.json({ message: 'Product added to cart' });
+    const line = { product: product._id, variant: variant || null };
+    const existing = req.user.cart.find((item) => isSameLine(item, line));
+    const cart = existing
+      ? req.user.cart.map((item) =>
+          item === existing ? { ...line, qty: item.qty + quantity } : item
+        )
+      : [...req.user.cart, { ...line, qty: quantity }];
+    await User.updateOne({ _id: req.user._id }, { cart });
+    res.json({ cart: await getCartItems(cart) });
   })
 );
 
@@ -1281,49 +1977,198 @@ userRouter.get(
  * @swagger
  * /users/{id}/cart:
  *   get:
- *     summary: Retrieve a user's shopping cart
- *     tags: [Users]
+ *     tags: [User]
+ *     summary: Get the cart
+ *     description: Get the user's cart, saved on the server so it is the same on every device
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
  *     parameters:
  *       - in: path
  *         name: id
+ *         description: User ID, only the logged in user's own account can be used
  *         required: true
  *         schema:
  *           type: string
  *     responses:
- *       '200':
- *         description: User's shopping cart retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 cart:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/CartItem'
- *       '404':
- *         description: User not found
- *       '500':
- *         description: Internal server error
+ *       200:
+ *         description: The cart with the current name, image, price and stock of every item
+ *         schema:
+ *           type: object
+ *           properties:
+ *             cart:
+ *               type: array
+ *               items:
+ *                 $ref: '#/definitions/CartItem'
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
  */
-// Retrieve a user's shopping cart
+// GET CART
 userRouter.get(
-  '/users/:id/cart',
+  "/users/:id/cart",
+  protect,
+  accountOwner,
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-
-    // Find the user by ID
-    const user = await User.findById(id);
+    res.json({ cart: await getCartItems(req.user.cart) });
+  })
+);
 
-    if (!user) {
-      res.status(404);
-      throw new Error('User not found');
+/**
+ * @swagger
+ * /users/{id}/cart:
+ *   put:
+ *     tags: [User]
+ *     summary: Replace the cart
+ *     description: Save the storefront cart as the user's cart. Only the product, variant and qty of the items are used.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: User ID, only the logged in user's own account can be used
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: body
+ *         name: cart
+ *         required: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             cartItems:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   product:
+ *                     type: string
+ *                   variant:
+ *                     type: string
+ *                   qty:
+ *                     type: integer
+ *     responses:
+ *       200:
+ *         description: The cart with the current name, image, price and stock of every item
+ *         schema:
+ *           type: object
+ *           properties:
+ *             cart:
+ *               type: array
+ *               items:
+ *                 $ref: '#/definitions/CartItem'
+ *       400:
+ *         description: Invalid cart items
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// REPLACE CART
+userRouter.put(
+  "/users/:id/cart",
+  protect,
+  accountOwner,
+  asyncHandler(async (req, res) => {
+    const cart = parseCartItems(req.body.cartItems);
+    if (!cart) {
+      res.status(400);
+      throw new Error("Invalid cart items");
     }
+    await User.updateOne({ _id: req.user._id }, { cart });
+    res.json({ cart: await getCartItems(cart) });
+  })
+);
 
-    // Retrieve the user's shopping cart
-    const cart = user.cart;
-
-    res.json({ cart });
+/**
+ * @swagger
+ * /users/{id}/cart/merge:
+ *   post:
+ *     tags: [User]
+ *     summary: Merge a cart into the user's cart
+ *     description: Add the items of the cart kept before logging in to the user's cart. Items already in the cart keep the larger quantity.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: User ID, only the logged in user's own account can be used
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: body
+ *         name: cart
+ *         required: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             cartItems:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   product:
+ *                     type: string
+ *                   variant:
+ *                     type: string
+ *                   qty:
+ *                     type: integer
+ *     responses:
+ *       200:
+ *         description: The cart with the current name, image, price and stock of every item
+ *         schema:
+ *           type: object
+ *           properties:
+ *             cart:
+ *               type: array
+ *               items:
+ *                 $ref: '#/definitions/CartItem'
+ *       400:
+ *         description: Invalid cart items
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// MERGE CART
+userRouter.post(
+  "/users/:id/cart/merge",
+  protect,
+  accountOwner,
+  asyncHandler(async (req, res) => {
+    const items = parseCartItems(req.body.cartItems);
+    if (!items) {
+      res.status(400);
+      throw new Error("Invalid cart items");
+    }
+    const cart = mergeCartItems(req.user.cart, items);
+    await User.updateOne({ _id: req.user._id }, { cart });
+    res.json({ cart: await getCartItems(cart) });
   })
 );
 
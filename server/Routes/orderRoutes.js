@@ -1,10 +1,303 @@
 import express from "express";
 import asyncHandler from "express-async-handler";
-import { admin, protect } from "../Middleware/AuthMiddleware.js";
+import mongoose from "mongoose";
+import { admin, identify, protect } from "../Middleware/AuthMiddleware.js";
 import Order from "./../Models/OrderModel.js";
+import Product from "./../Models/ProductModel.js";
+import User from "./../Models/UserModel.js";
+import {
+  getReservationExpiry,
+  releaseStock,
+  reserveStock,
+  returnStock,
+} from "./../utils/inventory.js";
+import { calculateOrderPrices, getUnitPrice } from "./../utils/pricing.js";
+import { getShippingOption, getShippingOptions } from "./../utils/shipping.js";
+import { applyTaxes } from "./../utils/tax.js";
+import {
+  generateOrderAccessToken,
+  isEmail,
+  sendGuestOrderEmail,
+  verifyOrderAccessToken,
+} from "./../utils/guestOrders.js";
+import { parseAddress } from "./../utils/addresses.js";
+import {
+  parseRefund,
+  releaseRefund,
+  reserveRefund,
+} from "./../utils/refunds.js";
+import {
+  getEnabledMethod,
+  getProvider,
+  markOrderPaid,
+  markOrderUnpaid,
+  markPaymentPending,
+  recordRefund,
+} from "./../utils/payments.js";
+import {
+  applyCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  returnCoupon,
+} from "./../utils/coupons.js";
+import {
+  applyPromotions,
+  coversShipping,
+  getPromotionSavings,
+} from "./../utils/promotions.js";
 
 const orderRouter = express.Router();
 
+const fail = (res, message) => {
+  res.status(400);
+  throw new Error(message);
+};
+
+// Build the order items from the products. Only the product, variant and
+// quantity come from the client, names and prices are looked up.
+const checkOrderItems = async (res, orderItems) => {
+  if (!Array.isArray(orderItems) || orderItems.length === 0) {
+    fail(res, "No order items");
+  }
+  return Promise.all(
+    orderItems.map(async (item) => {
+      if (!item || typeof item !== "object") {
+        fail(res, "Invalid order item");
+      }
+      const qty = Number(item.qty);
+      if (!Number.isInteger(qty) || qty < 1) {
+        fail(res, `Invalid quantity for ${item.name}`);
+      }
+      const product = mongoose.isValidObjectId(item.product)
+        ? await Product.findById(item.product)
+        : null;
+      if (!product) {
+        fail(res, `${item.name || "A product"} is no longer available`);
+      }
+      const variant = product.findVariant(item.variant);
+      if (item.variant && !variant) {
+        fail(res, `${product.name} is not available in these options`);
+      }
+      if (!item.variant && product.variants.length) {
+        fail(res, `Choose the options of ${product.name}`);
+      }
+      return {
+        name: product.name,
+        qty,
+        image: (variant && variant.image) || product.image,
+        price: getUnitPrice(product, variant),
+        product: product._id,
+        category: product.category,
+        weight: product.weight,
+        taxClass: product.taxClass,
+        ...(variant && {
+          variant: variant._id,
+          sku: variant.sku,
+          options: variant.options.map(({ name, value }) => ({ name, value })),
+        }),
+      };
+    })
+  );
+};
+
+// The chosen shipping method with its price for the items and address
+const checkShippingMethod = async (res, items, address, methodId) => {
+  const shipping = await getShippingOption(items, address, methodId);
+  if (!shipping) {
+    fail(res, "This shipping method is not available for your order");
+  }
+  return shipping;
+};
+
+// The customer who placed the order, an admin, or a guest with the access
+// token of the order's link
+const canAccessOrder = (req, order) => {
+  if (
+    req.user &&
+    (req.user.isAdmin || (order.user && req.user._id.equals(order.user)))
+  ) {
+    return true;
+  }
+  const token = req.query.access || req.headers["x-order-access"];
+  return Boolean(token) && verifyOrderAccessToken(token, order._id);
+};
+
+// The order behind /:id/payment and /:id/pay, while it can still be paid
+const getPayableOrder = async (req, res) => {
+  const order = mongoose.isValidObjectId(req.params.id)
+    ? await Order.findById(req.params.id)
+    : null;
+  if (!order || !canAccessOrder(req, order)) {
+    res.status(404);
+    throw new Error("Order Not Found");
+  }
+  if (order.isCancelled) {
+    fail(res, "Order was cancelled, its items are no longer reserved");
+  }
+  if (order.isPaid) {
+    fail(res, "Order is already paid");
+  }
+  if (order.paymentStatus === "pending") {
+    fail(res, "The payment is still being reviewed by the provider");
+  }
+  return order;
+};
+
+// Price, discount, tax and ship the items the same way for quotes and
+// orders. Automatic promotions are applied first, the coupon on what is
+// left. The coupon is checked against the customer's uses when the customer
+// is known.
+const priceOrder = async (res, body, customer) => {
+  const { orderItems, shippingAddress, shippingMethod, couponCode } = body;
+
+  const promotion = await applyPromotions(
+    await checkOrderItems(res, orderItems)
+  );
+  let items = promotion.items;
+  let discount = null;
+  if (couponCode) {
+    try {
+      discount = await applyCoupon(couponCode, items, customer);
+    } catch (error) {
+      res.status(400);
+      throw error;
+    }
+    items = discount.items;
+  }
+  items = await applyTaxes(items, shippingAddress);
+
+  // Whether the coupon or a promotion makes a shipping method free
+  const isShippingFree = (method) =>
+    Boolean(discount && discount.freeShipping) ||
+    promotion.promotions.some(
+      (p) =>
+        p.promotion.type === "free_shipping" &&
+        coversShipping(p.promotion, method)
+    );
+  const shipping = shippingMethod
+    ? await checkShippingMethod(res, items, shippingAddress, shippingMethod)
+    : null;
+  const shippingPrice =
+    shipping && !isShippingFree(shipping) ? shipping.price : 0;
+  return {
+    items,
+    shipping,
+    coupon: discount && discount.coupon,
+    promotions: getPromotionSavings(promotion.promotions, shipping),
+    isShippingFree,
+    prices: calculateOrderPrices(items, shippingPrice),
+  };
+};
+
+// Items are taken out of stock when the order is placed and put back when
+// it is cancelled or not paid in time. So is the use of its coupon. Guests
+// give an email instead of logging in and get a link to the order.
+const createOrder = asyncHandler(async (req, res) => {
+  const { shippingAddress, shippingMethod, paymentMethod, guestEmail } =
+    req.body;
+  if (!req.user && !isEmail(guestEmail)) {
+    fail(res, "Enter a valid email address for your order");
+  }
+  if (!shippingMethod) {
+    fail(res, "Choose a shipping method");
+  }
+  if (!parseAddress(shippingAddress)) {
+    fail(res, "Enter a complete shipping address");
+  }
+  const payment = await getEnabledMethod(paymentMethod);
+  if (!payment) {
+    fail(res, "Choose one of the available payment methods");
+  }
+  // Billed to the shipping address unless another one is given
+  const billingAddress = parseAddress(
+    req.body.billingAddress || shippingAddress
+  );
+  if (!billingAddress) {
+    fail(res, "Enter a complete billing address");
+  }
+
+  const customer = req.user
+    ? { user: req.user._id }
+    : { guestEmail: guestEmail.trim().toLowerCase() };
+  const { items, shipping, coupon, promotions, prices } = await priceOrder(
+    res,
+    req.body,
+    customer
+  );
+  try {
+    await reserveStock(items);
+  } catch (error) {
+    res.status(400);
+    throw error;
+  }
+  let couponCustomer;
+  if (coupon) {
+    try {
+      couponCustomer = await redeemCoupon(coupon._id, customer);
+    } catch (error) {
+      await returnStock(items);
+      res.status(400);
+      throw error;
+    }
+  }
+
+  const order = new Order({
+    orderItems: items,
+    ...customer,
+    shippingAddress,
+    billingAddress,
+    shippingMethod: {
+      method: shipping._id,
+      name: shipping.name,
+      type: shipping.type,
+      estimatedDays: shipping.estimatedDays,
+    },
+    ...(coupon && {
+      coupon: {
+        coupon: coupon._id,
+        code: coupon.code,
+        type: coupon.type,
+        freeShipping: coupon.type === "free_shipping",
+        redeemed: true,
+        customer: couponCustomer,
+      },
+    }),
+    promotions,
+    paymentMethod: payment.provider,
+    ...prices,
+    stockReserved: true,
+    reservedUntil: getReservationExpiry(),
+  });
+  const provider = getProvider(payment.provider);
+  if (provider.prepareOrder) {
+    provider.prepareOrder(order, payment);
+  }
+
+  let createdOrder;
+  try {
+    createdOrder = await order.save();
+  } catch (error) {
+    await returnStock(items);
+    if (coupon) {
+      await returnCoupon(coupon._id, couponCustomer);
+    }
+    throw error;
+  }
+
+  if (!req.user) {
+    const accessToken = generateOrderAccessToken(createdOrder._id);
+    await sendGuestOrderEmail(createdOrder, accessToken).catch((error) =>
+      console.error(`Sending the guest order email failed: ${error.message}`)
+    );
+    res.status(201).json({ ...createdOrder.toObject(), accessToken });
+    return;
+  }
+
+  // The cart was ordered, on every device
+  await User.updateOne({ _id: req.user._id }, { cart: [] });
+  res.status(201).json(createdOrder);
+});
+
 
 /**
  * @swagger
@@ -12,7 +305,7 @@ const orderRouter = express.Router();
  *   post:
  *     tags: [Order]
  *     summary: Create a new order
- *     description: Create a new order with the provided order details
+ *     description: Create a new order with the provided order details. The items are taken out of stock until the order is cancelled or left unpaid for ORDER_RESERVATION_MINUTES, BANK_TRANSFER_DAYS for bank transfers and until delivery for cash on delivery. paymentMethod is the provider of one of the enabled payment methods (GET /payments/methods). Without a token the order is placed as a guest with guestEmail, and the response has the accessToken of the order link that is also emailed to the guest.
  *     security:
  *       - BearerAuth: []
  *     produces:
@@ -30,12 +323,17 @@ const orderRouter = express.Router();
  *         schema:
  *           $ref: '#/definitions/Order'
  *       400:
- *         description: Bad request
+ *         description: Bad request, or not enough stock for some items
  *         schema:
  *           type: object
  *           properties:
  *             message:
  *               type: string
+ *             items:
+ *               type: array
+ *               description: The items that are short, with requested and available quantities
+ *               items:
+ *                 type: object
  *       401:
  *         description: Unauthorized
  *         schema:
@@ -45,39 +343,81 @@ const orderRouter = express.Router();
  *               type: string
  */
 // CREATE ORDER
+orderRouter.post("/", identify, createOrder);
+
+/**
+ * @swagger
+ * /orders/quote:
+ *   post:
+ *     tags: [Order]
+ *     summary: Price an order
+ *     description: Price the items with the current product prices, apply the running promotions and the coupon, tax and ship them to the shipping address and return the totals the order would be created with, along with the shipping methods available for them. Shipping methods made free by a promotion or the coupon have a price of 0 and their usual price in originalPrice.
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - in: body
+ *         name: order
+ *         description: The items to price, only product, variant and qty are used
+ *         required: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             orderItems:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   product:
+ *                     type: string
+ *                   variant:
+ *                     type: string
+ *                   qty:
+ *                     type: number
+ *             shippingAddress:
+ *               type: object
+ *               description: Address the tax rules are matched against, the default rate is used without it
+ *             shippingMethod:
+ *               type: string
+ *               description: ID of the chosen shipping method, shipping is not priced without it
+ *             couponCode:
+ *               type: string
+ *               description: Coupon to apply. The limit per customer is checked when the order is placed.
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         schema:
+ *           $ref: '#/definitions/OrderQuote'
+ *       400:
+ *         description: Unknown product, invalid quantity, unavailable shipping method or coupon that can't be used
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// QUOTE ORDER
 orderRouter.post(
-  "/",
-  protect,
+  "/quote",
   asyncHandler(async (req, res) => {
-    const {
-      orderItems,
-      shippingAddress,
-      paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
-    } = req.body;
-
-    if (orderItems && orderItems.length === 0) {
-      res.status(400);
-      throw new Error("No order items");
-      return;
-    } else {
-      const order = new Order({
-        orderItems,
-        user: req.user._id,
-        shippingAddress,
-        paymentMethod,
-        itemsPrice,
-        taxPrice,
-        shippingPrice,
-        totalPrice,
-      });
-
-      const createOrder = await order.save();
-      res.status(201).json(createOrder);
-    }
+    const { items, shipping, coupon, promotions, isShippingFree, prices } =
+      await priceOrder(res, req.body);
+    const options = await getShippingOptions(items, req.body.shippingAddress);
+    res.json({
+      orderItems: items,
+      shippingOptions: options.map((option) =>
+        isShippingFree(option)
+          ? { ...option, price: 0, originalPrice: option.price }
+          : option
+      ),
+      shippingMethod: shipping,
+      coupon: coupon && {
+        code: coupon.code,
+        type: coupon.type,
+        description: coupon.description,
+      },
+      promotions,
+      ...prices,
+    });
   })
 );
 /**
@@ -160,14 +500,14 @@ orderRouter.get(
 // GET ORDER BY ID
 orderRouter.get(
   "/:id",
-  protect,
+  identify,
   asyncHandler(async (req, res) => {
-    const order = await Order.findById(req.params.id).populate(
-      "user",
-      "name email"
-    );
+    const order = mongoose.isValidObjectId(req.params.id)
+      ? await Order.findById(req.params.id)
+      : null;
 
-    if (order) {
+    if (order && canAccessOrder(req, order)) {
+      await order.populate("user", "name email");
       res.json(order);
     } else {
       res.status(404);
@@ -175,13 +515,81 @@ orderRouter.get(
     }
   })
 );
+/**
+ * @swagger
+ * /orders/{id}/payment:
+ *   post:
+ *     tags: [Order]
+ *     summary: Start the payment of an order
+ *     description: Start a payment the customer completes with the provider of the order's payment method. For PayPal it creates a PayPal order for the total price, for the buyer to approve in the PayPal window. Cash on delivery and bank transfer have nothing to start. Same access as GET /orders/{id}.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: Order ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: access
+ *         in: query
+ *         description: Access token of a guest order link
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: What the storefront needs for the payment, the PayPal order id for PayPal
+ *         schema:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *       400:
+ *         description: Already paid or cancelled, or nothing to pay online
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Order not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// START PAYMENT
+orderRouter.post(
+  "/:id/payment",
+  identify,
+  asyncHandler(async (req, res) => {
+    const order = await getPayableOrder(req, res);
+    const provider = getProvider(order.paymentMethod);
+    if (!provider || !provider.initiate) {
+      fail(res, "This order is not paid online");
+    }
+
+    let payment;
+    try {
+      payment = await provider.initiate(order);
+    } catch (error) {
+      res.status(400);
+      throw error;
+    }
+    await order.save();
+    res.json(payment);
+  })
+);
 /**
  * @swagger
  * /orders/{id}:
  *   get:
  *     tags: [Order]
  *     summary: Get order by ID
- *     description: Retrieve an order by its ID
+ *     description: Retrieve an order by its ID. Only the customer who placed it and admins can, or a guest with the access token of the order link. The order is paid through POST /orders/{id}/payment and PUT /orders/{id}/pay with the same access.
  *     security:
  *       - BearerAuth: []
  *     produces:
@@ -193,6 +601,11 @@ orderRouter.get(
  *         required: true
  *         schema:
  *           type: string
+ *       - name: access
+ *         in: query
+ *         description: Access token of a guest order link
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Successful operation
@@ -214,29 +627,210 @@ orderRouter.get(
  *               type: string
  */
 
+/**
+ * @swagger
+ * /orders/{id}/pay:
+ *   put:
+ *     tags: [Order]
+ *     summary: Confirm the payment of an order
+ *     description: Confirm the payment with the provider of the order's payment method. PayPal captures the PayPal order created with POST /orders/{id}/payment once the buyer approved it, and the order is marked paid only when PayPal captured its total price in the shop currency. A capture PayPal reviews first leaves the order unpaid with paymentStatus pending until PayPal notifies the outcome. Cash on delivery and bank transfer payments are confirmed by admins when the money arrived. Same access as GET /orders/{id}.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: Order ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: access
+ *         in: query
+ *         description: Access token of a guest order link
+ *         schema:
+ *           type: string
+ *       - in: body
+ *         name: payment
+ *         required: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             orderID:
+ *               type: string
+ *               description: The approved PayPal order
+ *             reference:
+ *               type: string
+ *               description: Receipt or transfer reference of a cash or bank payment
+ *     responses:
+ *       200:
+ *         description: The paid order
+ *         schema:
+ *           $ref: '#/definitions/Order'
+ *       400:
+ *         description: Already paid, cancelled, or the payment was not captured in full
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       401:
+ *         description: Only admins confirm cash on delivery and bank transfer payments
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Order not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
 // ORDER IS PAID
 orderRouter.put(
   "/:id/pay",
-  protect,
+  identify,
   asyncHandler(async (req, res) => {
-    const order = await Order.findById(req.params.id);
-
-    if (order) {
-      order.isPaid = true;
-      order.paidAt = Date.now();
-      order.paymentResult = {
-        id: req.body.id,
-        status: req.body.status,
-        update_time: req.body.update_time,
-        email_address: req.body.email_address,
-      };
+    const order = await getPayableOrder(req, res);
+    const provider = getProvider(order.paymentMethod);
+    if (!provider) {
+      fail(res, "Unknown payment method");
+    }
+    if (provider.confirmedBy === "admin" && !(req.user && req.user.isAdmin)) {
+      res.status(401);
+      throw new Error("The shop confirms this payment when it arrives");
+    }
 
-      const updatedOrder = await order.save();
-      res.json(updatedOrder);
+    let paymentResult;
+    try {
+      paymentResult = await provider.confirm(order, req.body);
+    } catch (error) {
+      res.status(400);
+      throw error;
+    }
+    if (paymentResult.status === "PENDING") {
+      res.json(await markPaymentPending(order, paymentResult));
     } else {
+      res.json(await markOrderPaid(order, paymentResult));
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /orders/{id}/refunds:
+ *   post:
+ *     tags: [Order]
+ *     summary: Refund an order
+ *     description: Give back all or part of the payment of a paid order through the provider of its payment method (admin only). Refund order lines with items, an amount, or both when the amount is not what the items cost. Items can be put back in stock. Cash on delivery and bank transfer refunds are recorded with status MANUAL, the shop pays them back itself. The order keeps every refund in refunds and gets paymentStatus partially_refunded or refunded.
+ *     security:
+ *       - BearerAuth: []
+ *     produces:
+ *       - application/json
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: Order ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: body
+ *         name: refund
+ *         required: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             items:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   item:
+ *                     type: string
+ *                     description: ID of the order line
+ *                   qty:
+ *                     type: number
+ *             amount:
+ *               type: number
+ *               description: Defaults to what the buyer paid for the items
+ *             reason:
+ *               type: string
+ *             restock:
+ *               type: boolean
+ *     responses:
+ *       201:
+ *         description: The order with the refund
+ *         schema:
+ *           $ref: '#/definitions/Order'
+ *       400:
+ *         description: Not paid, more than is left to refund, or the provider refused the refund
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *       404:
+ *         description: Order not found
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ */
+// REFUND ORDER
+orderRouter.post(
+  "/:id/refunds",
+  protect,
+  admin,
+  asyncHandler(async (req, res) => {
+    const order = mongoose.isValidObjectId(req.params.id)
+      ? await Order.findById(req.params.id)
+      : null;
+    if (!order) {
       res.status(404);
       throw new Error("Order Not Found");
     }
+    if (!order.isPaid) {
+      fail(res, "Only paid orders can be refunded");
+    }
+    const provider = getProvider(order.paymentMethod);
+    if (!provider) {
+      fail(res, "Unknown payment method");
+    }
+
+    let refund;
+    try {
+      refund = parseRefund(order, req.body);
+    } catch (error) {
+      res.status(400);
+      throw error;
+    }
+    const reservedOrder = await reserveRefund(order, refund.amount);
+    if (!reservedOrder) {
+      fail(res, "The order was refunded in the meantime, reload it");
+    }
+    let result;
+    try {
+      result = await provider.refund(reservedOrder, refund.amount);
+    } catch (error) {
+      await releaseRefund(reservedOrder, refund.amount);
+      res.status(400);
+      throw error;
+    }
+    const refundedOrder = await recordRefund(
+      reservedOrder,
+      {
+        ...refund,
+        refundId: result.id,
+        status: result.status,
+        createdBy: req.user._id,
+      },
+      true
+    );
+    res.status(201).json(refundedOrder);
   })
 );
 
@@ -305,7 +899,7 @@ orderRouter.put(
  *   put:
  *     tags: [Order]
  *     summary: Mark order as unpaid
- *     description: Mark an order as unpaid by updating the `isPaid` field, clearing the `paidAt` timestamp, resetting the `paymentResult`, and setting the status to "Unpaid".
+ *     description: Mark an order as unpaid by updating the `isPaid` field, clearing the `paidAt` timestamp, resetting the `paymentResult`, and setting the status to "Unpaid" (admin only). Only cash on delivery and bank transfer payments recorded by mistake can be undone, their charge is marked failed in the transactions. PayPal payments are refunded instead.
  *     security:
  *       - BearerAuth: []
  *     produces:
@@ -322,6 +916,13 @@ orderRouter.put(
  *         description: Successful operation
  *         schema:
  *           $ref: '#/definitions/Order'
+ *       400:
+ *         description: Paid with PayPal, or refunded
+ *         schema:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
  *       401:
  *         description: Unauthorized
  *         schema:
@@ -342,16 +943,25 @@ orderRouter.put(
 orderRouter.put(
   "/:id/unpaid",
   protect,
+  admin,
   asyncHandler(async (req, res) => {
     const order = await Order.findById(req.params.id);
 
     if (order) {
-      order.isPaid = false;
-      order.paidAt = undefined;
-      order.paymentResult = undefined;
+      // Money a provider took goes back with a refund
+      const provider = getProvider(order.paymentMethod);
+      if (!provider) {
+        fail(res, "Unknown payment method");
+      }
+      if (provider.confirmedBy !== "admin") {
+        fail(res, `${provider.name} payments are refunded instead`);
+      }
+      if (order.refunds.length) {
+        fail(res, "Refunded orders stay paid");
+      }
       order.status = "Unpaid"; // Shto statusin e ri "Unpaid" ose një vlerë tjetër për t'i shënuar si "Nuk është paguar" ose "Anuluar"
 
-      const updatedOrder = await order.save();
+      const updatedOrder = await markOrderUnpaid(order);
       res.json(updatedOrder);
     } else {
       res.status(404);
@@ -412,40 +1022,7 @@ orderRouter.put(
  *         description: Internal server error
  */
 //shtim i nje porosie
-orderRouter.post(
-  "/order",
-  protect,
-  asyncHandler(async (req, res) => {
-    const {
-      orderItems,
-      shippingAddress,
-      paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
-    } = req.body;
-
-    if (orderItems && orderItems.length === 0) {
-      res.status(400);
-      throw new Error("No order items");
-    } else {
-      const order = new Order({
-        orderItems,
-        user: req.user._id,
-        shippingAddress,
-        paymentMethod,
-        itemsPrice,
-        taxPrice,
-        shippingPrice,
-        totalPrice,
-      });
-
-      const createdOrder = await order.save();
-      res.status(201).json(createdOrder);
-    }
-  })
-);
+orderRouter.post("/order", protect, createOrder);
 /**
  * @swagger
  * /orders/{id}/cancel:
@@ -927,7 +1504,10 @@ orderRouter.get(
  * /orders/{id}:
  *   put:
  *     summary: Update an order by ID
+ *     description: Change the status of an order (admin only). The payment method is chosen when the order is placed and cannot be changed here.
  *     tags: [Orders]
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -943,8 +1523,6 @@ orderRouter.get(
  *           properties:
  *             status:
  *               type: string
- *             paymentMethod:
- *               type: string
  *     responses:
  *       '200':
  *         description: OK
@@ -957,9 +1535,11 @@ orderRouter.get(
 // Update an order by ID
 orderRouter.put(
   '/orders/:id',
+  protect,
+  admin,
   asyncHandler(async (req, res) => {
     const orderId = req.params.id;
-    const { status, paymentMethod } = req.body;
+    const { status } = req.body;
 
     // Find the order by ID
     const order = await Order.findById(orderId);
@@ -969,7 +1549,6 @@ orderRouter.put(
     } else {
       // Update the order with the provided data
       order.status = status || order.status;
-      order.paymentMethod = paymentMethod || order.paymentMethod;
 
       // Save the updated order
       const updatedOrder = await order.save();
@@ -985,7 +1564,10 @@ orderRouter.put(
  * /orders/{id}:
  *   delete:
  *     summary: Delete an order by ID
+ *     description: Delete an order (admin only). Items of an order that was not delivered go back in stock and its coupon use is given back.
  *     tags: [Orders]
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -1004,6 +1586,8 @@ orderRouter.put(
 // Delete an order by ID
 orderRouter.delete(
   '/orders/:id',
+  protect,
+  admin,
   asyncHandler(async (req, res) => {
     const orderId = req.params.id;
 
@@ -1013,6 +1597,12 @@ orderRouter.delete(
     if (!order) {
       res.status(404).json({ message: 'Order not found' });
     } else {
+      // Items that were not shipped and the coupon use go back
+      if (!order.isDelivered) {
+        await releaseStock(order._id);
+      }
+      await releaseCoupon(order._id);
+
       // Delete the order from the Order collection
       await Order.findByIdAndRemove(orderId);
 
@@ -1032,6 +1622,7 @@ orderRouter.delete(
  * /orders/{id}/cancel:
  *   put:
  *     summary: Cancel an order
+ *     description: Cancel an unpaid order and put its items back in stock. Same access as GET /orders/{id}.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -1042,13 +1633,16 @@ orderRouter.delete(
  *         description: Order ID
  *         schema:
  *           type: string
+ *       - name: access
+ *         in: query
+ *         description: Access token of a guest order link
+ *         schema:
+ *           type: string
  *     responses:
  *       '200':
  *         description: Order successfully cancelled
  *       '400':
- *         description: Cannot cancel a paid order
- *       '401':
- *         description: Unauthorized access
+ *         description: Cannot cancel a paid order, or one whose payment the provider is still reviewing
  *       '404':
  *         description: Order not found
  *       '500':
@@ -1058,20 +1652,44 @@ orderRouter.delete(
 // Cancel an order
 orderRouter.put(
   "/:id/cancel",
-  protect,
+  identify,
   asyncHandler(async (req, res) => {
-    const order = await Order.findById(req.params.id);
+    const order = mongoose.isValidObjectId(req.params.id)
+      ? await Order.findById(req.params.id)
+      : null;
 
-    if (order) {
+    if (order && canAccessOrder(req, order)) {
       if (order.isPaid) {
         res.status(400);
         throw new Error("Cannot cancel a paid order");
       }
+      if (order.isCancelled) {
+        res.status(400);
+        throw new Error("Order is already cancelled");
+      }
+      // The provider may still take the money
+      if (order.paymentStatus === "pending") {
+        res.status(400);
+        throw new Error("Cannot cancel an order while its payment is reviewed");
+      }
 
-      order.isCancelled = true;
-      order.cancelledAt = Date.now();
-
-      const updatedOrder = await order.save();
+      // Not if it was paid or cancelled since it was read
+      const updatedOrder = await Order.findOneAndUpdate(
+        {
+          _id: order._id,
+          isPaid: false,
+          isCancelled: false,
+          paymentStatus: { $ne: "pending" },
+        },
+        { isCancelled: true, cancelledAt: Date.now() },
+        { new: true }
+      );
+      if (!updatedOrder) {
+        res.status(400);
+        throw new Error("Order was paid or cancelled meanwhile");
+      }
+      await releaseStock(updatedOrder._id);
+      await releaseCoupon(updatedOrder._id);
       res.json(updatedOrder);
     } else {
       res.status(404);
@@ -0,0 +1,32 @@
+const shippingMethods = [
+  {
+    name: "Standard",
+    type: "standard",
+    description: "Tracked delivery to your door",
+    estimatedDays: "3-5 business days",
+    freeShippingOver: 100,
+    rates: [
+      { country: "*", minWeight: 0, maxWeight: 5, price: 10 },
+      { country: "*", minWeight: 5, price: 20 },
+    ],
+  },
+  {
+    name: "Express",
+    type: "express",
+    description: "Priority delivery",
+    estimatedDays: "1-2 business days",
+    rates: [
+      { country: "*", minWeight: 0, maxWeight: 5, price: 25 },
+      { country: "*", minWeight: 5, price: 40 },
+    ],
+  },
+  {
+    name: "Store pickup",
+    type: "pickup",
+    description: "Collect your order at our store",
+    estimatedDays: "Ready in 1 business day",
+    rates: [{ country: "*", price: 0 }],
+  },
+];
+
+export default shippingMethods;
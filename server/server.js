@@ -6,20 +6,65 @@ import productRoute from "./Routes/ProductRoutes.js";
 import { errorHandler, notFound } from "./Middleware/Errors.js";
 import userRouter from "./Routes/UserRoutes.js";
 import orderRouter from "./Routes/orderRoutes.js";
+import categoryRouter from "./Routes/CategoryRoutes.js";
+import uploadRouter from "./Routes/UploadRoutes.js";
+import taxRouter from "./Routes/TaxRoutes.js";
+import shippingRouter from "./Routes/ShippingRoutes.js";
+import couponRouter from "./Routes/CouponRoutes.js";
+import promotionRouter from "./Routes/PromotionRoutes.js";
+import cartRouter from "./Routes/CartRoutes.js";
+import { getUploadDir } from "./utils/imageStorage.js";
+import { startReservationSweeper } from "./utils/inventory.js";
+import { startAlertMailer } from "./utils/alerts.js";
+import { getMailer } from "./utils/mailer.js";
+import notificationRouter from "./Routes/NotificationRoutes.js";
+import paymentRouter from "./Routes/PaymentRoutes.js";
+import transactionRouter from "./Routes/TransactionRoutes.js";
+import { getCurrency, getPayPalMode } from "./utils/paypal.js";
 
 
 dotenv.config();
 connectDatabase();
+startReservationSweeper();
+// A mail transport that is not set up stops the server here, not at the
+// first order
+getMailer();
+startAlertMailer();
 const app = express();
-app.use(express.json());
+// Payment notifications are signed over the exact body that was sent
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhooks/")) {
+        req.rawBody = buf.toString("utf8");
+      }
+    },
+  })
+);
 
 // API
 app.use("/api/import", ImportData);
 app.use("/api/products", productRoute);
 app.use("/api/users", userRouter);
 app.use("/api/orders", orderRouter);
+app.use("/api/categories", categoryRouter);
+app.use("/api/upload", uploadRouter);
+app.use("/api/taxes", taxRouter);
+app.use("/api/shipping", shippingRouter);
+app.use("/api/coupons", couponRouter);
+app.use("/api/promotions", promotionRouter);
+app.use("/api/cart", cartRouter);
+app.use("/api/notifications", notificationRouter);
+app.use("/api/payments", paymentRouter);
+app.use("/api/transactions", transactionRouter);
+app.use("/uploads", express.static(getUploadDir()));
+// The storefront shows a test button instead of PayPal's in mock mode
 app.get("/api/config/paypal", (req, res) => {
-  res.send(process.env.PAYPAL_CLIENT_ID);
+  res.json({
+    clientId: process.env.PAYPAL_CLIENT_ID,
+    currency: getCurrency(),
+    mock: getPayPalMode() === "mock",
+  });
 });
 
 // ERROR HANDLER
@@ -0,0 +1,36 @@
+const ADDRESS_FIELDS = ["address", "city", "postalCode", "country"];
+const DEFAULT_FLAGS = ["isDefaultShipping", "isDefaultBilling"];
+
+// A complete address with trimmed fields, null when one is missing
+const parseAddress = (value) => {
+  if (!value || typeof value !== "object") {
+    return null;
+  }
+  const address = {};
+  for (const field of ADDRESS_FIELDS) {
+    const text = typeof value[field] === "string" ? value[field].trim() : "";
+    if (!text) {
+      return null;
+    }
+    address[field] = text;
+  }
+  return address;
+};
+
+// One address of the book is the default shipping address and one the
+// default billing address: the preferred one, else the current default, else
+// the first address
+const setDefaultAddresses = (addresses, preferred = {}) => {
+  DEFAULT_FLAGS.forEach((flag) => {
+    const chosen =
+      preferred[flag] ||
+      addresses.find((address) => address[flag]) ||
+      addresses[0];
+    addresses.forEach((address) => {
+      address[flag] = address === chosen;
+    });
+  });
+  return addresses;
+};
+
+export { parseAddress, setDefaultAddresses };
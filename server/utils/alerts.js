@@ -0,0 +1,198 @@
+import Notification from "../Models/NotificationModel.js";
+import User from "../Models/UserModel.js";
+import { sendMail } from "./mailer.js";
+import { formatPrice, getUnitPrice } from "./pricing.js";
+
+const MAIL_INTERVAL = 60 * 1000;
+const MAIL_BATCH = 50;
+const MAX_MAIL_ATTEMPTS = 3;
+
+// The setting of notificationSettings that turns each alert off
+const ALERT_SETTINGS = {
+  price_drop: "priceDrop",
+  back_in_stock: "backInStock",
+};
+
+// Price and stock of every variant, or of the product when it has none.
+// Taken before a product is changed to compare with afterwards.
+const getStockSnapshot = (product) => {
+  const lines = product.variants.length ? product.variants : [null];
+  return lines.map((variant) => ({
+    variant: variant ? variant._id.toString() : null,
+    options: variant
+      ? variant.options.map(({ name, value }) => ({ name, value }))
+      : [],
+    price: getUnitPrice(product, variant),
+    countInStock: variant ? variant.countInStock : product.countInStock,
+  }));
+};
+
+// Lower prices and stock coming back from 0 between two snapshots. New
+// variants are not alerts.
+const findProductAlerts = (before, after) => {
+  const alerts = [];
+  after.forEach((line) => {
+    const previous = before.find((l) => l.variant === line.variant);
+    if (!previous) {
+      return;
+    }
+    const { variant, options, price } = line;
+    if (price < previous.price) {
+      alerts.push({
+        type: "price_drop",
+        variant,
+        options,
+        oldPrice: previous.price,
+        price,
+      });
+    }
+    if (previous.countInStock <= 0 && line.countInStock > 0) {
+      alerts.push({ type: "back_in_stock", variant, options, price });
+    }
+  });
+  return alerts;
+};
+
+const describeAlert = (product, alert) => {
+  const name = alert.options.length
+    ? `${product.name} (${alert.options
+        .map((option) => `${option.name}: ${option.value}`)
+        .join(", ")})`
+    : product.name;
+  const oldPrice = formatPrice(alert.oldPrice);
+  const price = formatPrice(alert.price);
+  return alert.type === "price_drop"
+    ? {
+        title: "Price drop",
+        message: `${name} went down from ${oldPrice} to ${price}`,
+      }
+    : { title: "Back in stock", message: `${name} is back in stock` };
+};
+
+// Notify the users who saved the product of what changed since the snapshot.
+// A wishlist entry without a variant matches every variant, but gets one
+// alert of each type.
+const queueProductAlerts = async (before, product) => {
+  const alerts = findProductAlerts(before, getStockSnapshot(product));
+  if (!alerts.length) {
+    return 0;
+  }
+
+  const users = await User.find({ "favorites.product": product._id }).select(
+    "favorites notificationSettings"
+  );
+  const notifications = [];
+  users.forEach((user) => {
+    const settings = user.notificationSettings;
+    const sent = new Set();
+    user.favorites
+      .filter((item) => item.product.equals(product._id))
+      .forEach((item) => {
+        const variant = item.variant ? item.variant.toString() : null;
+        Object.keys(ALERT_SETTINGS).forEach((type) => {
+          const alert = alerts.find(
+            (a) => a.type === type && (!variant || a.variant === variant)
+          );
+          const key = alert && `${type}-${alert.variant}`;
+          if (!alert || !settings[ALERT_SETTINGS[type]] || sent.has(key)) {
+            return;
+          }
+          sent.add(key);
+          notifications.push({
+            user: user._id,
+            type,
+            product: product._id,
+            variant: alert.variant,
+            ...describeAlert(product, alert),
+            link: `/products/${product._id}`,
+            oldPrice: alert.oldPrice,
+            price: alert.price,
+            email: { status: settings.email ? "pending" : "skipped" },
+          });
+        });
+      });
+  });
+
+  if (notifications.length) {
+    await Notification.insertMany(notifications);
+    sendQueuedEmails().catch((error) =>
+      console.error(`Sending alert emails failed: ${error.message}`)
+    );
+  }
+  return notifications.length;
+};
+
+const alertEmail = (notification) => {
+  const shopUrl = process.env.SHOP_URL || "http://localhost:3000";
+  return {
+    to: notification.user.email,
+    subject: `${notification.title}: ${notification.message}`,
+    text: [
+      `Hi ${notification.user.name},`,
+      `${notification.message}.`,
+      `${shopUrl}${notification.link}`,
+      "You get this email because the product is on your wishlist. You can turn these emails off in your profile.",
+    ].join("\n\n"),
+  };
+};
+
+// Send the queued emails, oldest first. A failed email is tried again on the
+// next runs, up to MAX_MAIL_ATTEMPTS times.
+const sendQueuedEmails = async () => {
+  const tried = [];
+  for (let i = 0; i < MAIL_BATCH; i++) {
+    const notification = await Notification.findOneAndUpdate(
+      { "email.status": "pending", _id: { $nin: tried } },
+      { "email.status": "sending", $inc: { "email.attempts": 1 } },
+      { new: true, sort: { createdAt: 1 } }
+    ).populate("user", "name email");
+    if (!notification) {
+      break;
+    }
+    tried.push(notification._id);
+
+    if (!notification.user) {
+      notification.email.status = "skipped";
+    } else {
+      try {
+        await sendMail(alertEmail(notification));
+        notification.email.status = "sent";
+        notification.email.sentAt = Date.now();
+        notification.email.error = undefined;
+      } catch (error) {
+        notification.email.status =
+          notification.email.attempts < MAX_MAIL_ATTEMPTS
+            ? "pending"
+            : "failed";
+        notification.email.error = error.message;
+      }
+    }
+    await notification.save();
+  }
+  return tried.length;
+};
+
+const startAlertMailer = () => {
+  const send = () =>
+    sendQueuedEmails().catch((error) =>
+      console.error(`Sending alert emails failed: ${error.message}`)
+    );
+  // Emails that were being sent when the server stopped are sent again
+  Notification.updateMany(
+    { "email.status": "sending" },
+    { "email.status": "pending" }
+  )
+    .then(send)
+    .catch((error) =>
+      console.error(`Requeueing alert emails failed: ${error.message}`)
+    );
+  setInterval(send, MAIL_INTERVAL).unref();
+};
+
+export {
+  findProductAlerts,
+  getStockSnapshot,
+  queueProductAlerts,
+  sendQueuedEmails,
+  startAlertMailer,
+};
@@ -0,0 +1,180 @@
+import mongoose from "mongoose";
+import Product from "../Models/ProductModel.js";
+import { getUnitPrice } from "./pricing.js";
+
+// Each variant of a product is a separate cart line
+const isSameLine = (a, b) =>
+  `${a.product}` === `${b.product}` &&
+  `${a.variant || null}` === `${b.variant || null}`;
+
+// Cart lines sent by the storefront, only product, variant and qty are kept.
+// Returns null when a line is not valid.
+const parseCartItems = (items) => {
+  if (!Array.isArray(items)) {
+    return null;
+  }
+  const lines = [];
+  for (const item of items) {
+    const qty = Number(item && item.qty);
+    if (
+      !item ||
+      !mongoose.isValidObjectId(item.product) ||
+      (item.variant && !mongoose.isValidObjectId(item.variant)) ||
+      !Number.isInteger(qty) ||
+      qty < 1
+    ) {
+      return null;
+    }
+    const line = {
+      product: item.product,
+      variant: item.variant || null,
+      qty,
+    };
+    const existing = lines.find((l) => isSameLine(l, line));
+    if (existing) {
+      existing.qty = Math.max(existing.qty, qty);
+    } else {
+      lines.push(line);
+    }
+  }
+  return lines;
+};
+
+// Merge a cart into another. A line in both keeps the larger quantity, so
+// merging the same cart twice doesn't double it.
+const mergeCartItems = (cart, items) => {
+  const merged = cart.map(({ product, variant, qty }) => ({
+    product,
+    variant,
+    qty,
+  }));
+  items.forEach((item) => {
+    const existing = merged.find((line) => isSameLine(line, item));
+    if (existing) {
+      existing.qty = Math.max(existing.qty, item.qty);
+    } else {
+      merged.push(item);
+    }
+  });
+  return merged;
+};
+
+// A cart line as the storefront keeps it, with the current name, image,
+// price and stock
+const toCartItem = (product, variant, qty) => ({
+  product: product._id,
+  variant: variant ? variant._id : null,
+  sku: variant ? variant.sku : undefined,
+  options: variant
+    ? variant.options.map(({ name, value }) => ({ name, value }))
+    : [],
+  name: product.name,
+  image: (variant && variant.image) || product.image,
+  price: getUnitPrice(product, variant),
+  countInStock: variant ? variant.countInStock : product.countInStock,
+  qty,
+});
+
+// The product and variant of a line, null when either was removed or the
+// product now has options to choose
+const findLineProduct = (products, item) => {
+  const product =
+    mongoose.isValidObjectId(item.product) &&
+    products.find((p) => p._id.equals(item.product));
+  if (!product) {
+    return null;
+  }
+  const variant = product.findVariant(item.variant);
+  if (item.variant ? !variant : product.variants.length) {
+    return null;
+  }
+  return { product, variant };
+};
+
+const findProducts = (items) => {
+  return Product.find({
+    _id: {
+      $in: items
+        .map((item) => item.product)
+        .filter((id) => mongoose.isValidObjectId(id)),
+    },
+  });
+};
+
+// The saved cart as the storefront keeps it. Products and variants that were
+// removed are left out.
+const getCartItems = async (cart) => {
+  const products = await findProducts(cart);
+  return cart
+    .map((item) => {
+      const found = findLineProduct(products, item);
+      return found && toCartItem(found.product, found.variant, item.qty);
+    })
+    .filter(Boolean);
+};
+
+// Check a cart kept by the storefront against the live products. Returns the
+// cart as it can be ordered now, with the current prices and quantities
+// reduced to the stock, and the changes the shopper should know about.
+const validateCartItems = async (items) => {
+  items = items.filter((item) => item && typeof item === "object");
+  const products = await findProducts(items);
+  const cartItems = [];
+  const changes = [];
+  items.forEach((item) => {
+    const name = item.name || "A product";
+    const line = { product: item.product, variant: item.variant || null, name };
+    const found = findLineProduct(products, item);
+    if (!found) {
+      changes.push({
+        ...line,
+        type: "removed",
+        message: `${name} is no longer available and was removed from your cart`,
+      });
+      return;
+    }
+
+    const qty = Math.max(1, Math.floor(Number(item.qty)) || 1);
+    const current = toCartItem(found.product, found.variant, qty);
+    if (current.countInStock <= 0) {
+      changes.push({
+        ...line,
+        type: "out_of_stock",
+        message: `${current.name} is out of stock and was removed from your cart`,
+      });
+      return;
+    }
+    const oldPrice = Number(item.price);
+    if (oldPrice !== current.price) {
+      changes.push({
+        ...line,
+        type: "price_changed",
+        oldPrice: Number.isNaN(oldPrice) ? null : oldPrice,
+        price: current.price,
+        message: Number.isNaN(oldPrice)
+          ? `${current.name} now costs $${current.price}`
+          : `The price of ${current.name} changed from $${oldPrice} to $${current.price}`,
+      });
+    }
+    if (qty > current.countInStock) {
+      current.qty = current.countInStock;
+      changes.push({
+        ...line,
+        type: "quantity_reduced",
+        oldQty: qty,
+        qty: current.qty,
+        message: `Only ${current.qty} of ${current.name} left, the quantity was reduced`,
+      });
+    }
+    cartItems.push(current);
+  });
+  return { cartItems, changes };
+};
+
+export {
+  getCartItems,
+  isSameLine,
+  mergeCartItems,
+  parseCartItems,
+  validateCartItems,
+};
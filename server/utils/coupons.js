@@ -0,0 +1,137 @@
+import crypto from "crypto";
+import Coupon from "../Models/CouponModel.js";
+import Order from "../Models/OrderModel.js";
+import {
+  addLineDiscounts,
+  getEligibleIndexes,
+  getLineDiscounts,
+} from "./discounts.js";
+import { formatPrice } from "./pricing.js";
+
+const normalizeCode = (code) => `${code || ""}`.trim().toUpperCase();
+
+// Key of a customer in customerUses, the user id or a hash of the guest
+// email, which can't be a key with its dots
+const getCustomerKey = (customer) =>
+  customer.user
+    ? `${customer.user}`
+    : crypto.createHash("sha256").update(customer.guestEmail).digest("hex");
+
+// Check the coupon for the items and add its discount to the lines, on top
+// of the automatic promotions. The customer limit is only checked when the
+// customer is known, customer is { user } or { guestEmail }.
+const applyCoupon = async (code, items, customer) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) }).select(
+    "+customerUses"
+  );
+  const now = new Date();
+  if (!coupon || !coupon.isActive) {
+    throw new Error("This coupon code is not valid");
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new Error("This coupon is not active yet");
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    throw new Error("This coupon has expired");
+  }
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    throw new Error("This coupon has reached its usage limit");
+  }
+  if (
+    customer &&
+    coupon.usageLimitPerCustomer != null &&
+    (coupon.customerUses.get(getCustomerKey(customer)) || 0) >=
+      coupon.usageLimitPerCustomer
+  ) {
+    throw new Error("You have already used this coupon");
+  }
+  const itemsPrice = items.reduce(
+    (total, item) => total + item.price * item.qty,
+    0
+  );
+  if (itemsPrice < coupon.minOrderValue) {
+    throw new Error(
+      `Spend at least ${formatPrice(coupon.minOrderValue)} to use this coupon`
+    );
+  }
+  const indexes = await getEligibleIndexes(coupon, items);
+  if (!indexes.length) {
+    throw new Error("This coupon does not apply to the items in your cart");
+  }
+  const discounts = getLineDiscounts(coupon, items, indexes);
+  if (coupon.type === "buy_x_get_y" && !Object.keys(discounts).length) {
+    throw new Error(
+      `Buy ${coupon.buyQuantity + 1} eligible items to use this coupon`
+    );
+  }
+  return {
+    coupon,
+    freeShipping: coupon.type === "free_shipping",
+    items: addLineDiscounts(items, discounts),
+  };
+};
+
+// Count an order against the usage limits, resolves to the key of the
+// customer to save with the order. The checks and the increments are one
+// update, so the last use can't be taken twice.
+const redeemCoupon = async (couponId, customer) => {
+  const key = getCustomerKey(customer);
+  const uses = `customerUses.${key}`;
+  const result = await Coupon.updateOne(
+    {
+      _id: couponId,
+      $and: [
+        {
+          $or: [
+            { usageLimit: null },
+            { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+          ],
+        },
+        {
+          $or: [
+            { usageLimitPerCustomer: null },
+            {
+              $expr: {
+                $lt: [{ $ifNull: [`$${uses}`, 0] }, "$usageLimitPerCustomer"],
+              },
+            },
+          ],
+        },
+      ],
+    },
+    { $inc: { usedCount: 1, [uses]: 1 } }
+  );
+  if (result.modifiedCount !== 1) {
+    const coupon = await Coupon.findById(couponId);
+    throw new Error(
+      !coupon ||
+        coupon.usageLimit == null ||
+        coupon.usedCount < coupon.usageLimit
+        ? "You have already used this coupon"
+        : "This coupon has reached its usage limit"
+    );
+  }
+  return key;
+};
+
+// Undo a redemption for an order that was never saved
+const returnCoupon = async (couponId, key) => {
+  await Coupon.updateOne(
+    { _id: couponId },
+    { $inc: { usedCount: -1, ...(key && { [`customerUses.${key}`]: -1 }) } }
+  );
+};
+
+// Give the use of a cancelled order back, once per order
+const releaseCoupon = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, "coupon.redeemed": true },
+    { "coupon.redeemed": false }
+  );
+  if (order) {
+    await returnCoupon(order.coupon.coupon, order.coupon.customer);
+  }
+  return Boolean(order);
+};
+
+export { applyCoupon, redeemCoupon, releaseCoupon, returnCoupon };
@@ -0,0 +1,112 @@
+import Category from "../Models/CategoryModel.js";
+import { roundPrice } from "./pricing.js";
+
+// What is left to pay for a line after the discounts already on it
+const lineTotal = (item) => item.price * item.qty - (item.discount || 0);
+
+// Indexes of the items a coupon or promotion applies to. Restricting to a
+// category includes its subcategories, no restriction means every item.
+const getEligibleIndexes = async (rule, items) => {
+  const indexes = items.map((item, index) => index);
+  if (!rule.products.length && !rule.categories.length) {
+    return indexes;
+  }
+  const categoryIds = [];
+  for (const id of rule.categories) {
+    categoryIds.push(...(await Category.getDescendantIds(id)));
+  }
+  return indexes.filter((index) => {
+    const item = items[index];
+    return (
+      rule.products.some((id) => id.equals(item.product)) ||
+      (item.category && categoryIds.some((id) => id.equals(item.category)))
+    );
+  });
+};
+
+// Percent off for the number of eligible units, from the highest tier reached
+const getTierValue = (tiers, quantity) => {
+  return tiers
+    .filter((tier) => quantity >= tier.minQuantity)
+    .reduce((value, tier) => Math.max(value, tier.value), 0);
+};
+
+const getPercentDiscounts = (items, indexes, percent) => {
+  const discounts = {};
+  indexes.forEach((index) => {
+    discounts[index] = roundPrice(
+      (lineTotal(items[index]) * Math.min(percent, 100)) / 100
+    );
+  });
+  return discounts;
+};
+
+// Amount taken off each eligible line, by index. Lines already discounted
+// are only discounted on what is left to pay.
+const getLineDiscounts = (rule, items, indexes) => {
+  let discounts = {};
+  if (rule.type === "percentage") {
+    discounts = getPercentDiscounts(items, indexes, rule.value);
+  } else if (rule.type === "tiered") {
+    const quantity = indexes.reduce((sum, i) => sum + items[i].qty, 0);
+    const percent = getTierValue(rule.tiers, quantity);
+    if (percent > 0) {
+      discounts = getPercentDiscounts(items, indexes, percent);
+    }
+  } else if (rule.type === "fixed") {
+    // Shared by the lines in proportion to their totals, the last line
+    // takes the rounding difference
+    const total = indexes.reduce((sum, i) => sum + lineTotal(items[i]), 0);
+    const amount = Math.min(rule.value, total);
+    let left = roundPrice(amount);
+    indexes.forEach((index, position) => {
+      discounts[index] =
+        position === indexes.length - 1
+          ? left
+          : roundPrice((amount * lineTotal(items[index])) / total);
+      left = roundPrice(left - discounts[index]);
+    });
+  } else if (rule.type === "buy_x_get_y") {
+    // Most expensive units first, so the free ones are the cheapest
+    const units = [];
+    indexes.forEach((index) => {
+      const price = lineTotal(items[index]) / items[index].qty;
+      for (let n = 0; n < items[index].qty; n++) {
+        units.push({ index, price });
+      }
+    });
+    units.sort((a, b) => b.price - a.price);
+    const groupSize = rule.buyQuantity + rule.getQuantity;
+    units.forEach((unit, position) => {
+      if (position % groupSize >= rule.buyQuantity) {
+        discounts[unit.index] = roundPrice(
+          (discounts[unit.index] || 0) + unit.price
+        );
+      }
+    });
+  }
+  Object.keys(discounts).forEach((index) => {
+    discounts[index] = Math.min(discounts[index], lineTotal(items[index]));
+    if (discounts[index] <= 0) {
+      delete discounts[index];
+    }
+  });
+  return discounts;
+};
+
+// Add the discounts to the lines
+const addLineDiscounts = (items, discounts) => {
+  return items.map((item, index) => ({
+    ...item,
+    discount: roundPrice((item.discount || 0) + (discounts[index] || 0)),
+  }));
+};
+
+// Sum of the discounts of getLineDiscounts
+const sumDiscounts = (discounts) => {
+  return roundPrice(
+    Object.values(discounts).reduce((total, value) => total + value, 0)
+  );
+};
+
+export { addLineDiscounts, getEligibleIndexes, getLineDiscounts, sumDiscounts };
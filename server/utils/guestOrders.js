@@ -0,0 +1,69 @@
+import jwt from "jsonwebtoken";
+import Order from "../Models/OrderModel.js";
+import User from "../Models/UserModel.js";
+import { sendMail } from "./mailer.js";
+
+const isEmail = (value) =>
+  typeof value === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim());
+
+// Audience of order link tokens, so they are never taken for a login token
+// signed with the same secret
+const ORDER_ACCESS_AUDIENCE = "order-access";
+
+// Signed token of the link that lets a guest view and pay for their order,
+// valid for ORDER_ACCESS_DAYS
+const generateOrderAccessToken = (orderId) => {
+  const days = Number(process.env.ORDER_ACCESS_DAYS) || 90;
+  return jwt.sign({ order: `${orderId}` }, process.env.JWT_SECRET, {
+    expiresIn: `${days}d`,
+    audience: ORDER_ACCESS_AUDIENCE,
+  });
+};
+
+const verifyOrderAccessToken = (token, orderId) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      audience: ORDER_ACCESS_AUDIENCE,
+    });
+    return decoded.order === `${orderId}`;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Email the guest the link to their order, the only way back to it
+const sendGuestOrderEmail = async (order, accessToken) => {
+  const shopUrl = process.env.SHOP_URL || "http://localhost:3000";
+  await sendMail({
+    to: order.guestEmail,
+    subject: `Your order ${order._id}`,
+    text: [
+      "Thank you for your order.",
+      `View and pay for it at ${shopUrl}/order/${order._id}?access=${accessToken}`,
+      "You can also create an account from that page to keep track of all your orders.",
+    ].join("\n\n"),
+  });
+};
+
+// Guest emails are stored lowercased, accounts keep the case they were
+// registered with
+const findUserByEmail = (email) =>
+  User.findOne({ email }).collation({ locale: "en", strength: 2 });
+
+// Give the guest orders placed with the user's email to the user
+const claimGuestOrders = async (user) => {
+  const result = await Order.updateMany(
+    { guestEmail: user.email.toLowerCase(), user: null },
+    { user: user._id, $unset: { guestEmail: 1 } }
+  );
+  return result.modifiedCount;
+};
+
+export {
+  claimGuestOrders,
+  findUserByEmail,
+  generateOrderAccessToken,
+  isEmail,
+  sendGuestOrderEmail,
+  verifyOrderAccessToken,
+};
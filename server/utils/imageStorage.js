@@ -0,0 +1,43 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Folder that local uploads are written to and served from
+const getUploadDir = () => path.resolve(process.env.UPLOAD_DIR || "uploads");
+
+// Keeps files on the local disk. Other storages (S3, a CDN, ...) only need
+// the same save and remove functions, see setStorage.
+const createLocalStorage = (directory, baseUrl = "/uploads") => ({
+  save: async (key, buffer) => {
+    const file = path.join(directory, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return `${baseUrl}/${key}`;
+  },
+  remove: async (key) => {
+    await fs.rm(path.join(directory, key), { force: true });
+  },
+});
+
+const adapters = {
+  local: () => createLocalStorage(getUploadDir()),
+};
+
+let storage = null;
+
+// Storage chosen with UPLOAD_STORAGE, local disk by default
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.UPLOAD_STORAGE || "local";
+    if (!adapters[name]) {
+      throw new Error(`Unknown upload storage "${name}"`);
+    }
+    storage = adapters[name]();
+  }
+  return storage;
+};
+
+const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+export { createLocalStorage, getStorage, getUploadDir, setStorage };
@@ -0,0 +1,74 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import { getStorage } from "./imageStorage.js";
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+const IMAGE_FORMATS = { jpeg: "jpg", png: "png", webp: "webp", gif: "gif" };
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const MAX_IMAGES = 10;
+const THUMBNAIL_SIZES = { small: 150, medium: 400, large: 800 };
+
+// Format and size of an image, null when the file is not an image we accept
+const readImage = async (buffer) => {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    return IMAGE_FORMATS[metadata.format] ? metadata : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Store an image with a thumbnail for every size and return their urls
+const saveImage = async (buffer, metadata) => {
+  const storage = getStorage();
+  const date = new Date();
+  const key = [
+    date.getFullYear(),
+    `${date.getMonth() + 1}`.padStart(2, "0"),
+    crypto.randomBytes(12).toString("hex"),
+  ].join("/");
+
+  // Turn photos the right way up, as EXIF data is stripped
+  const original = await sharp(buffer, { animated: true }).rotate().toBuffer();
+  const url = await storage.save(
+    `${key}.${IMAGE_FORMATS[metadata.format]}`,
+    original
+  );
+
+  // Tall and small images give thumbnails narrower than their size, keep the
+  // real width for the srcset
+  const thumbnails = {};
+  const thumbnailWidths = {};
+  for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({
+        width: size,
+        height: size,
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    thumbnails[name] = await storage.save(`${key}-${name}.webp`, data);
+    thumbnailWidths[name] = info.width;
+  }
+
+  const rotated = metadata.orientation >= 5;
+  return {
+    url,
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    thumbnails,
+    thumbnailWidths,
+  };
+};
+
+export {
+  IMAGE_TYPES,
+  MAX_IMAGES,
+  MAX_IMAGE_SIZE,
+  THUMBNAIL_SIZES,
+  readImage,
+  saveImage,
+};
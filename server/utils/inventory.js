@@ -0,0 +1,173 @@
+import Order from "../Models/OrderModel.js";
+import Product from "../Models/ProductModel.js";
+import { releaseCoupon } from "./coupons.js";
+import { getStockSnapshot, queueProductAlerts } from "./alerts.js";
+
+const SWEEP_INTERVAL = 5 * 60 * 1000;
+
+// Until when a new unpaid order keeps its items, ORDER_RESERVATION_MINUTES
+// after it is placed
+const getReservationExpiry = () => {
+  const minutes = Number(process.env.ORDER_RESERVATION_MINUTES) || 60;
+  return new Date(Date.now() + minutes * 60000);
+};
+
+// Take qty items out of stock, only if that many are left. The check and
+// the decrement are one update, so two buyers can't both get the last one.
+const takeStock = async (item, qty) => {
+  if (item.variant) {
+    const result = await Product.updateOne(
+      {
+        _id: item.product,
+        variants: {
+          $elemMatch: { _id: item.variant, countInStock: { $gte: qty } },
+        },
+      },
+      { $inc: { "variants.$.countInStock": -qty, countInStock: -qty } }
+    );
+    return result.modifiedCount === 1;
+  }
+  const result = await Product.updateOne(
+    { _id: item.product, countInStock: { $gte: qty } },
+    { $inc: { countInStock: -qty } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Resolves to the product as it was before
+const putBackStock = async (item) => {
+  if (item.variant) {
+    return Product.findOneAndUpdate(
+      { _id: item.product, "variants._id": item.variant },
+      { $inc: { "variants.$.countInStock": item.qty, countInStock: item.qty } }
+    );
+  }
+  return Product.findOneAndUpdate(
+    { _id: item.product },
+    { $inc: { countInStock: item.qty } }
+  );
+};
+
+// How many of an item are left, for the error message
+const getAvailable = async (item) => {
+  const product = await Product.findById(item.product);
+  if (!product) {
+    return 0;
+  }
+  if (item.variant) {
+    const variant = product.findVariant(item.variant);
+    return variant ? variant.countInStock : 0;
+  }
+  return product.countInStock;
+};
+
+// Reserve the stock of every order item. When any item is short nothing is
+// reserved and the error lists every item that is short.
+const reserveStock = async (items) => {
+  const taken = [];
+  const missing = [];
+  for (const item of items) {
+    if (await takeStock(item, item.qty)) {
+      taken.push(item);
+    } else {
+      missing.push({
+        product: item.product,
+        variant: item.variant,
+        name: item.name,
+        requested: item.qty,
+        available: await getAvailable(item),
+      });
+    }
+  }
+  if (missing.length) {
+    await returnStock(taken);
+    const error = new Error(
+      missing
+        .map((item) =>
+          item.available > 0
+            ? `Only ${item.available} of ${item.name} left in stock`
+            : `${item.name} is out of stock`
+        )
+        .join(". ")
+    );
+    error.items = missing;
+    throw error;
+  }
+};
+
+// Put items that were reserved for an order that was never saved back
+const returnStock = async (items) => {
+  await Promise.all(items.map(putBackStock));
+};
+
+// Put the items of a cancelled or refunded order back in stock, and alert
+// the users who saved a product that comes back in stock. One item at a
+// time, so each alert compares with the stock before it.
+const restockItems = async (items) => {
+  for (const item of items) {
+    const before = await putBackStock(item);
+    if (before) {
+      const product = await Product.findById(item.product);
+      await queueProductAlerts(getStockSnapshot(before), product).catch(
+        (error) =>
+          console.error(`Queueing product alerts failed: ${error.message}`)
+      );
+    }
+  }
+};
+
+// Put the items of an order back in stock, once per order
+const releaseStock = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, stockReserved: true },
+    { stockReserved: false }
+  );
+  if (order) {
+    await restockItems(order.orderItems);
+  }
+  return Boolean(order);
+};
+
+// Cancel the unpaid orders that are past the reservation time
+const releaseExpiredOrders = async () => {
+  const orders = await Order.find({
+    isPaid: false,
+    isCancelled: { $ne: true },
+    stockReserved: true,
+    reservedUntil: { $lt: new Date() },
+  }).select("_id");
+  for (const { _id } of orders) {
+    const cancelled = await Order.findOneAndUpdate(
+      { _id, isPaid: false, isCancelled: { $ne: true } },
+      {
+        isCancelled: true,
+        cancelledAt: Date.now(),
+        cancelReason: "Not paid in time",
+      }
+    );
+    if (cancelled) {
+      await releaseStock(_id);
+      await releaseCoupon(_id);
+    }
+  }
+  return orders.length;
+};
+
+const startReservationSweeper = () => {
+  const sweep = () =>
+    releaseExpiredOrders().catch((error) =>
+      console.error(`Releasing expired orders failed: ${error.message}`)
+    );
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL).unref();
+};
+
+export {
+  getReservationExpiry,
+  releaseExpiredOrders,
+  releaseStock,
+  reserveStock,
+  restockItems,
+  returnStock,
+  startReservationSweeper,
+};
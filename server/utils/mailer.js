@@ -0,0 +1,59 @@
+import nodemailer from "nodemailer";
+
+// Writes emails to the server log, nothing is delivered
+const createLogTransport = () => ({
+  send: async ({ to, subject, text }) => {
+    console.log(`Email to ${to}: ${subject}\n${text}`);
+  },
+});
+
+// Sends emails through the SMTP server in SMTP_HOST and SMTP_PORT, logging
+// in with SMTP_USER and SMTP_PASS. Port 465 uses TLS from the start, the
+// others upgrade with STARTTLS.
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error("SMTP_HOST is required to send emails over SMTP");
+  }
+  const port = Number(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+  const from = process.env.MAIL_FROM || process.env.SMTP_USER;
+  return {
+    send: ({ to, subject, text }) =>
+      transporter.sendMail({ from, to, subject, text }),
+  };
+};
+
+const transports = {
+  log: createLogTransport,
+  smtp: createSmtpTransport,
+};
+
+let mailer = null;
+
+// Transport chosen with MAIL_TRANSPORT, SMTP when SMTP_HOST is set and the
+// server log otherwise
+const getMailer = () => {
+  if (!mailer) {
+    const name =
+      process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "log");
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    mailer = transports[name]();
+    if (name === "log" && process.env.NODE_ENV === "production") {
+      console.warn("Emails are only written to the log, set SMTP_HOST");
+    }
+  }
+  return mailer;
+};
+
+const sendMail = (message) => getMailer().send(message);
+
+export { getMailer, sendMail };
@@ -0,0 +1,71 @@
+import PaymentEvent from "../Models/PaymentEventModel.js";
+import { applyPaymentChange, getProvider } from "./payments.js";
+
+// An event still processing after this was left behind by a crash
+const STALE_PROCESSING = 5 * 60 * 1000;
+
+// Store a verified notification. A notification the provider sends again
+// resolves to the event stored the first time.
+const recordEvent = async (provider, { id, type }, payload) => {
+  try {
+    return await PaymentEvent.create({
+      provider,
+      eventId: id,
+      type,
+      payload,
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return PaymentEvent.findOne({ provider, eventId: id });
+  }
+};
+
+// Run an event that was not processed yet or failed. The event is claimed
+// first so it runs once even when the provider sends it twice at the same
+// time. Resolves to the event afterwards, null when it was not run.
+const processEvent = async (event) => {
+  const claimed = await PaymentEvent.findOneAndUpdate(
+    {
+      _id: event._id,
+      $or: [
+        { status: { $in: ["received", "failed"] } },
+        {
+          status: "processing",
+          updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING) },
+        },
+      ],
+    },
+    { status: "processing", $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  try {
+    const provider = getProvider(claimed.provider);
+    if (!provider || !provider.webhook) {
+      throw new Error("This payment provider sends no notifications");
+    }
+    const change = await provider.webhook(claimed);
+    if (change) {
+      claimed.order = change.order._id;
+      await applyPaymentChange(change);
+    }
+    claimed.status = change ? "processed" : "ignored";
+    claimed.error = undefined;
+    claimed.processedAt = Date.now();
+  } catch (error) {
+    console.error(
+      `Payment event ${claimed.provider} ${claimed.eventId} failed:`,
+      error.message
+    );
+    claimed.status = "failed";
+    claimed.error = error.message;
+  }
+  return claimed.save();
+};
+
+export { processEvent, recordEvent };
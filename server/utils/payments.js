@@ -0,0 +1,550 @@
+import Order from "../Models/OrderModel.js";
+import PaymentMethod from "../Models/PaymentMethodModel.js";
+import { getReservationExpiry, restockItems } from "./inventory.js";
+import { getCurrency, getPayPal, toAmount } from "./paypal.js";
+import { roundPrice } from "./pricing.js";
+import { recordTransaction } from "./transactions.js";
+
+// Settings of a provider the first time the shop runs with it
+const DEFAULT_METHODS = {
+  paypal: {
+    description: "Pay online with your PayPal account or a card",
+    isEnabled: true,
+    sortOrder: 1,
+  },
+  cod: {
+    description: "Pay in cash to the courier when your order arrives",
+    isEnabled: true,
+    sortOrder: 2,
+  },
+  bank_transfer: {
+    description: "Pay by bank transfer, we ship once the money arrives",
+    isEnabled: false,
+    sortOrder: 3,
+  },
+};
+
+// Days a bank transfer order keeps its items, BANK_TRANSFER_DAYS
+const getBankTransferExpiry = () => {
+  const days = Number(process.env.BANK_TRANSFER_DAYS) || 7;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// When an unpaid order gives its items back. Cash on delivery keeps them
+// until delivery, delivered and cancelled orders have none to give back.
+const getPaymentExpiry = (order) => {
+  const key = toProviderKey(order.paymentMethod);
+  if (order.isDelivered || order.isCancelled || key === "cod") {
+    return undefined;
+  }
+  return key === "bank_transfer"
+    ? getBankTransferExpiry()
+    : getReservationExpiry();
+};
+
+// Call PayPal, logging what went wrong and telling the customer less
+const callPayPal = async (order, request, message) => {
+  try {
+    return await request(getPayPal());
+  } catch (error) {
+    console.error(`PayPal for order ${order._id}:`, error.message);
+    throw new Error(message);
+  }
+};
+
+// A capture only pays the order when it took the whole total
+const checkCapture = (order, capture, statuses = ["COMPLETED"]) => {
+  if (
+    !statuses.includes(capture.status) ||
+    capture.amount !== toAmount(order.totalPrice) ||
+    capture.currency !== getCurrency()
+  ) {
+    console.error(
+      `PayPal payment of order ${order._id} does not match:`,
+      capture
+    );
+    throw new Error("The PayPal payment does not match the order total");
+  }
+  return {
+    ...capture,
+    amount: Number(capture.amount),
+    fee: capture.fee ? Number(capture.fee) : undefined,
+  };
+};
+
+// PayPal capture notifications and the payment status they give the order
+const PAYPAL_CAPTURE_STATES = {
+  "PAYMENT.CAPTURE.PENDING": "pending",
+  "PAYMENT.CAPTURE.DENIED": "failed",
+  "PAYMENT.CAPTURE.REVERSED": "reversed",
+};
+
+const getRelatedIds = (resource) =>
+  (resource.supplementary_data || {}).related_ids || {};
+
+// The order of a PayPal capture, or of the capture a refund or reversal
+// points up to
+const findPayPalOrder = async (resource) => {
+  const related = getRelatedIds(resource);
+  if (related.order_id) {
+    return Order.findOne({ paypalOrderId: related.order_id });
+  }
+  const up = (resource.links || []).find(
+    (link) => link.rel === "up" && link.href.includes("/captures/")
+  );
+  const captureId = up ? up.href.split("/").pop() : resource.id;
+  return captureId
+    ? Order.findOne({ "paymentResult.captureId": captureId })
+    : null;
+};
+
+// Status of a provider refund in the ledger
+const REFUND_STATUSES = {
+  COMPLETED: "completed",
+  PENDING: "pending",
+  MANUAL: "manual",
+};
+
+// Payments an admin records by hand, with the receipt or transfer reference
+const manualPayment = (order, body) => ({
+  id: `${body.reference || ""}`.trim() || undefined,
+  status: "COMPLETED",
+  update_time: new Date().toISOString(),
+  amount: order.totalPrice,
+  currency: getCurrency(),
+});
+
+const paypal = {
+  name: "PayPal",
+  confirmedBy: "customer",
+  initiate: async (order) => {
+    const paypalOrder = await callPayPal(
+      order,
+      (client) =>
+        client.createOrder({
+          reference: order._id.toString(),
+          amount: toAmount(order.totalPrice),
+          currency: getCurrency(),
+        }),
+      "PayPal is not available, please try again"
+    );
+    order.paypalOrderId = paypalOrder.id;
+    return { id: paypalOrder.id };
+  },
+  confirm: async (order, body) => {
+    if (!order.paypalOrderId || body.orderID !== order.paypalOrderId) {
+      throw new Error("This PayPal payment is not for this order");
+    }
+    const capture = await callPayPal(
+      order,
+      (client) => client.captureOrder(order.paypalOrderId),
+      "PayPal could not take the payment, please try again"
+    );
+    // PayPal reviews some payments first, a PENDING capture pays the order
+    // when its PAYMENT.CAPTURE.COMPLETED notification arrives
+    return checkCapture(order, capture, ["COMPLETED", "PENDING"]);
+  },
+  refund: async (order, amount) => {
+    if (!order.paymentResult || !order.paymentResult.captureId) {
+      throw new Error("Refund this payment from your PayPal account");
+    }
+    return callPayPal(
+      order,
+      (client) =>
+        client.refundCapture(order.paymentResult.captureId, {
+          amount: toAmount(amount),
+          currency: order.paymentResult.currency || getCurrency(),
+        }),
+      "PayPal could not refund the payment, please try again"
+    );
+  },
+  verifyWebhook: async (req) => {
+    const verified = await getPayPal().verifyWebhook({
+      headers: req.headers,
+      rawBody: req.rawBody,
+    });
+    if (!verified || !req.body.id || !req.body.event_type) {
+      throw new Error("PayPal did not send this notification");
+    }
+    return { id: req.body.id, type: req.body.event_type };
+  },
+  // A completed payment is read back from PayPal before the order is paid
+  webhook: async ({ type, payload }) => {
+    const resource = payload.resource || {};
+    if (
+      type === "CHECKOUT.ORDER.COMPLETED" ||
+      type === "PAYMENT.CAPTURE.COMPLETED"
+    ) {
+      const paypalOrderId =
+        type === "CHECKOUT.ORDER.COMPLETED"
+          ? resource.id
+          : getRelatedIds(resource).order_id;
+      const order = paypalOrderId && (await Order.findOne({ paypalOrderId }));
+      if (!order) {
+        return null;
+      }
+      const capture = await callPayPal(
+        order,
+        (client) => client.getOrder(paypalOrderId),
+        "PayPal order could not be read"
+      );
+      if (capture.status === "PENDING") {
+        return { order, paymentStatus: "pending" };
+      }
+      return {
+        order,
+        paymentStatus: "paid",
+        paymentResult: checkCapture(order, capture),
+      };
+    }
+    // Refunds made from the shop are recorded already
+    if (type === "PAYMENT.CAPTURE.REFUNDED") {
+      const order = await findPayPalOrder(resource);
+      if (
+        !order ||
+        order.refunds.some((refund) => refund.refundId === resource.id)
+      ) {
+        return null;
+      }
+      return {
+        order,
+        refund: {
+          amount: Number((resource.amount || {}).value),
+          items: [],
+          reason: "Refunded from PayPal",
+          refundId: resource.id,
+          status: resource.status,
+        },
+      };
+    }
+    if (PAYPAL_CAPTURE_STATES[type]) {
+      const order = await findPayPalOrder(resource);
+      return order && { order, paymentStatus: PAYPAL_CAPTURE_STATES[type] };
+    }
+    if (type.startsWith("CUSTOMER.DISPUTE.")) {
+      const transaction = (resource.disputed_transactions || [])[0] || {};
+      const order =
+        transaction.seller_transaction_id &&
+        (await Order.findOne({
+          "paymentResult.captureId": transaction.seller_transaction_id,
+        }));
+      return (
+        order && {
+          order,
+          dispute: {
+            id: resource.dispute_id,
+            status: resource.status,
+            reason: resource.reason,
+            amount: resource.dispute_amount
+              ? Number(resource.dispute_amount.value)
+              : undefined,
+            updatedAt: resource.update_time || Date.now(),
+          },
+        }
+      );
+    }
+    return null;
+  },
+};
+
+const cod = {
+  name: "Cash on delivery",
+  confirmedBy: "admin",
+  // Paid when it arrives, so the items stay reserved until then
+  prepareOrder: (order, method) => {
+    order.reservedUntil = undefined;
+    order.paymentInstructions = method.instructions;
+  },
+  confirm: async (order, body) => manualPayment(order, body),
+  // The shop pays the customer back itself
+  refund: async () => ({ status: "MANUAL" }),
+};
+
+const bankTransfer = {
+  name: "Bank transfer",
+  confirmedBy: "admin",
+  prepareOrder: (order, method) => {
+    order.reservedUntil = getBankTransferExpiry();
+    order.paymentInstructions = `${method.instructions}\nReference: ${order._id}`;
+  },
+  confirm: async (order, body) => manualPayment(order, body),
+  refund: async () => ({ status: "MANUAL" }),
+};
+
+// Every provider has a name and the same functions:
+// - prepareOrder(order, method): sets up a new order before it is saved
+// - initiate(order): starts a payment the customer completes, resolves to
+//   what the storefront needs for it
+// - confirm(order, body): takes or records the payment, resolves to the
+//   paymentResult of the order
+// - refund(order, amount): gives back part or all of the payment, resolves
+//   to the { id, status } of the refund
+// - verifyWebhook(req): checks that the provider sent a notification,
+//   resolves to its { id, type }
+// - webhook(event): reads a stored notification, resolves to the change it
+//   reports for an order, else null. The change has the order and any of
+//   paymentStatus ("paid", "pending", "failed" or "reversed"), the
+//   paymentResult of a "paid", a dispute and a refund made outside the
+//   shop, see applyPaymentChange.
+// Only confirm and refund are required. A provider with webhook also needs
+// verifyWebhook. confirmedBy says who may confirm a payment, the customer
+// or an admin.
+const providers = {
+  paypal,
+  cod,
+  bank_transfer: bankTransfer,
+};
+
+// Orders from before the providers say "Paypal" or "PayPal"
+const toProviderKey = (value) =>
+  `${value || "paypal"}`
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+
+const getProvider = (value) => providers[toProviderKey(value)] || null;
+
+// The settings of every provider, in the order the storefront shows them
+const getPaymentMethods = async () => {
+  const methods = await PaymentMethod.find({});
+  for (const provider of Object.keys(providers)) {
+    if (!methods.some((method) => method.provider === provider)) {
+      methods.push(
+        await PaymentMethod.findOneAndUpdate(
+          { provider },
+          { $setOnInsert: { provider, ...DEFAULT_METHODS[provider] } },
+          { upsert: true, new: true }
+        )
+      );
+    }
+  }
+  return methods
+    .filter((method) => providers[method.provider])
+    .sort((a, b) => a.sortOrder - b.sortOrder)
+    .map((method) => ({
+      ...method.toObject(),
+      name: providers[method.provider].name,
+    }));
+};
+
+// The enabled method for a provider, null when it can't be used
+const getEnabledMethod = async (value) => {
+  const methods = await getPaymentMethods();
+  return (
+    methods.find(
+      (method) => method.provider === toProviderKey(value) && method.isEnabled
+    ) || null
+  );
+};
+
+// Ledger entry of the payment of an order
+const recordOrderTransaction = (order, fields) =>
+  recordTransaction({
+    provider: toProviderKey(order.paymentMethod),
+    order: order._id,
+    ...fields,
+  });
+
+// The charge of an order, written again each time its payment changes
+const recordCharge = (order, status) => {
+  const payment = order.paymentResult || {};
+  return recordOrderTransaction(order, {
+    type: "charge",
+    status,
+    amount: payment.amount || order.totalPrice,
+    currency: payment.currency,
+    reference: payment.captureId || payment.id,
+  });
+};
+
+// Money taken for an order that was cancelled, or paid another way, while
+// the payment went through. The charge is recorded and, for a cancelled
+// order, given back. When that fails the order is flagged refund_needed for
+// an admin to refund from the provider's account.
+const returnUnexpectedPayment = async (order, paymentResult) => {
+  const current = await Order.findById(order._id);
+  const reference = paymentResult.captureId || paymentResult.id;
+  const paid = current.paymentResult || {};
+  if (current.isPaid && (paid.captureId || paid.id) === reference) {
+    // The same payment, confirmed by the customer and by a notification
+    return current;
+  }
+  await recordOrderTransaction(current, {
+    type: "charge",
+    status: "completed",
+    amount: paymentResult.amount,
+    currency: paymentResult.currency,
+    reference,
+    description: current.isPaid
+      ? "Second payment of a paid order"
+      : "Paid after the order was cancelled",
+  });
+  if (!current.isPaid) {
+    // Refunds and notifications find the order by its payment
+    current.paymentResult = paymentResult;
+    try {
+      const result = await getProvider(current.paymentMethod).refund(
+        current,
+        paymentResult.amount
+      );
+      return await recordRefund(current, {
+        amount: paymentResult.amount,
+        items: [],
+        reason: "Paid after the order was cancelled",
+        refundId: result.id,
+        status: result.status,
+      });
+    } catch (error) {
+      console.error(
+        `Payment ${reference} of cancelled order ${current._id} was not refunded:`,
+        error.message
+      );
+    }
+  }
+  current.paymentStatus = "refund_needed";
+  return current.save();
+};
+
+// Only an open unpaid order is marked paid, the reservation sweeper may
+// have cancelled it while the payment was taken
+const markOrderPaid = async (order, paymentResult) => {
+  const paidOrder = await Order.findOneAndUpdate(
+    { _id: order._id, isPaid: false, isCancelled: { $ne: true } },
+    {
+      isPaid: true,
+      paidAt: Date.now(),
+      paymentResult,
+      $unset: { reservedUntil: 1, paymentStatus: 1 },
+    },
+    { new: true }
+  );
+  if (!paidOrder) {
+    return returnUnexpectedPayment(order, paymentResult);
+  }
+  await recordCharge(paidOrder, "completed");
+  if (paymentResult.fee) {
+    await recordOrderTransaction(paidOrder, {
+      type: "fee",
+      status: "completed",
+      amount: paymentResult.fee,
+      currency: paymentResult.currency,
+      reference: paymentResult.captureId,
+      description: `${getProvider(paidOrder.paymentMethod).name} fee`,
+    });
+  }
+  return paidOrder;
+};
+
+// Undo a payment recorded by mistake, its charge no longer counts
+const markOrderUnpaid = async (order) => {
+  if (order.isPaid) {
+    await recordCharge(order, "failed");
+  }
+  order.isPaid = false;
+  order.paidAt = undefined;
+  order.paymentResult = undefined;
+  order.paymentStatus = undefined;
+  // The buyer pays again before the items go back in stock
+  order.reservedUntil = getPaymentExpiry(order);
+  return order.save();
+};
+
+// The provider is still reviewing the payment, the items stay reserved
+// until it decides
+const markPaymentPending = async (order, paymentResult) => {
+  order.reservedUntil = undefined;
+  order.paymentResult = paymentResult;
+  order.paymentStatus = "pending";
+  const pendingOrder = await order.save();
+  await recordCharge(pendingOrder, "pending");
+  return pendingOrder;
+};
+
+// Add a refund to the order, then put its items back in stock when asked.
+// reserved is true when reserveRefund already counted the amount.
+const recordRefund = async (order, refund, reserved = false) => {
+  order.refunds.push(refund);
+  if (!reserved) {
+    order.refundedAmount = roundPrice(
+      (order.refundedAmount || 0) + refund.amount
+    );
+  }
+  order.paymentStatus =
+    roundPrice(order.refundedAmount) >= order.totalPrice
+      ? "refunded"
+      : "partially_refunded";
+  const refundedOrder = await order.save();
+  await recordOrderTransaction(refundedOrder, {
+    type: "refund",
+    status: REFUND_STATUSES[refund.status] || "completed",
+    amount: refund.amount,
+    currency: (order.paymentResult || {}).currency,
+    reference: refund.refundId,
+    description: refund.reason,
+    createdBy: refund.createdBy,
+  });
+  if (refund.restock) {
+    await restockItems(
+      refund.items.map((line) => {
+        const item = order.orderItems.id(line.item);
+        return { product: item.product, variant: item.variant, qty: line.qty };
+      })
+    );
+  }
+  return refundedOrder;
+};
+
+// Bring an order in line with a change a provider notified
+const applyPaymentChange = async (change) => {
+  const { order, paymentStatus, paymentResult, dispute, refund } = change;
+  if (dispute) {
+    order.dispute = dispute;
+  }
+  if (refund) {
+    return recordRefund(order, refund);
+  }
+  if (paymentStatus === "paid" && !order.isPaid) {
+    // Refunds the payment when the order was cancelled
+    return markOrderPaid(order, paymentResult);
+  } else if (paymentStatus === "reversed") {
+    // The money went back to the buyer, who can pay again before the
+    // items go back in stock
+    order.isPaid = false;
+    order.paidAt = undefined;
+    order.paymentStatus = paymentStatus;
+    order.reservedUntil = getPaymentExpiry(order);
+    const reversedOrder = await order.save();
+    await recordOrderTransaction(reversedOrder, {
+      type: "refund",
+      status: "completed",
+      amount: (order.paymentResult || {}).amount || order.totalPrice,
+      reference: (order.paymentResult || {}).captureId,
+      description: "Payment reversed",
+    });
+    return reversedOrder;
+  } else if (paymentStatus === "pending" && !order.isPaid) {
+    return markPaymentPending(order, order.paymentResult);
+  } else if (paymentStatus === "failed" && !order.isPaid) {
+    // The buyer can pay again before the reservation runs out
+    order.paymentStatus = paymentStatus;
+    order.reservedUntil = order.isCancelled
+      ? undefined
+      : getReservationExpiry();
+    const failedOrder = await order.save();
+    await recordCharge(failedOrder, "failed");
+    return failedOrder;
+  }
+  return order.save();
+};
+
+export {
+  applyPaymentChange,
+  getEnabledMethod,
+  getPaymentMethods,
+  getProvider,
+  markOrderPaid,
+  markOrderUnpaid,
+  markPaymentPending,
+  recordRefund,
+  toProviderKey,
+};
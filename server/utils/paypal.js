@@ -0,0 +1,235 @@
+import crypto from "crypto";
+
+const API_URLS = {
+  sandbox: "https://api-m.sandbox.paypal.com",
+  live: "https://api-m.paypal.com",
+};
+
+const getCurrency = () => process.env.PAYPAL_CURRENCY || "USD";
+
+// PayPal amounts are strings with two decimals
+const toAmount = (value) => Number(value).toFixed(2);
+
+// The capture of a PayPal order, in the shape stored on our orders
+const readCapture = (data) => {
+  const unit = (data.purchase_units || [])[0] || {};
+  const capture = ((unit.payments || {}).captures || [])[0] || {};
+  const breakdown = capture.seller_receivable_breakdown || {};
+  return {
+    id: data.id,
+    status: capture.status || data.status,
+    captureId: capture.id,
+    amount: capture.amount ? capture.amount.value : undefined,
+    currency: capture.amount ? capture.amount.currency_code : undefined,
+    fee: breakdown.paypal_fee ? breakdown.paypal_fee.value : undefined,
+    email_address: data.payer ? data.payer.email_address : undefined,
+    update_time: capture.update_time || new Date().toISOString(),
+  };
+};
+
+// Talks to the PayPal REST API with the app's client id and secret
+const createPayPalClient = ({ clientId, secret, baseUrl, webhookId }) => {
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(
+        `PayPal ${response.status}: ${data.message || data.error || ""}`
+      );
+    }
+    return data;
+  };
+
+  const authorize = async () => {
+    const { access_token } = await request("/v1/oauth2/token", {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${clientId}:${secret}`).toString(
+          "base64"
+        )}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: "grant_type=client_credentials",
+    });
+    return {
+      Authorization: `Bearer ${access_token}`,
+      "Content-Type": "application/json",
+    };
+  };
+
+  return {
+    createOrder: async ({ reference, amount, currency }) => {
+      const data = await request("/v2/checkout/orders", {
+        method: "POST",
+        headers: await authorize(),
+        body: JSON.stringify({
+          intent: "CAPTURE",
+          purchase_units: [
+            {
+              reference_id: reference,
+              amount: { currency_code: currency, value: amount },
+            },
+          ],
+        }),
+      });
+      return { id: data.id, status: data.status };
+    },
+    // The id is sent again so a retried capture is not taken twice
+    captureOrder: async (id) => {
+      const data = await request(`/v2/checkout/orders/${id}/capture`, {
+        method: "POST",
+        headers: { ...(await authorize()), "PayPal-Request-Id": id },
+      });
+      return readCapture(data);
+    },
+    getOrder: async (id) => {
+      const data = await request(`/v2/checkout/orders/${id}`, {
+        headers: await authorize(),
+      });
+      return readCapture(data);
+    },
+    refundCapture: async (captureId, { amount, currency }) => {
+      const data = await request(`/v2/payments/captures/${captureId}/refund`, {
+        method: "POST",
+        headers: await authorize(),
+        body: JSON.stringify({
+          amount: { currency_code: currency, value: amount },
+        }),
+      });
+      return { id: data.id, status: data.status };
+    },
+    // Asks PayPal whether it sent the notification to our webhook. The event
+    // goes back as it was received, the signature covers the exact body.
+    verifyWebhook: async ({ headers, rawBody }) => {
+      if (!webhookId) {
+        throw new Error("PAYPAL_WEBHOOK_ID is not set");
+      }
+      const fields = JSON.stringify({
+        auth_algo: headers["paypal-auth-algo"],
+        cert_url: headers["paypal-cert-url"],
+        transmission_id: headers["paypal-transmission-id"],
+        transmission_sig: headers["paypal-transmission-sig"],
+        transmission_time: headers["paypal-transmission-time"],
+        webhook_id: webhookId,
+      });
+      const data = await request("/v1/notifications/verify-webhook-signature", {
+        method: "POST",
+        headers: await authorize(),
+        body: `${fields.slice(0, -1)},"webhook_event":${rawBody}}`,
+      });
+      return data.verification_status === "SUCCESS";
+    },
+  };
+};
+
+// Stand-in for PayPal to try the whole payment flow offline. Buyers approve
+// every order straight away and captures take the amount that was ordered.
+// Notifications are signed with an HMAC of the body in the
+// paypal-transmission-sig header, see signWebhook.
+const createMockPayPal = ({ webhookSecret = "mock-webhook-secret" } = {}) => {
+  const orders = new Map();
+  const randomId = (prefix) =>
+    `${prefix}-${crypto.randomBytes(8).toString("hex").toUpperCase()}`;
+  const signWebhook = (rawBody) =>
+    crypto.createHmac("sha256", webhookSecret).update(rawBody).digest("hex");
+  const toPayPalOrder = (id, order) => ({
+    id,
+    status: order.status,
+    payer: { email_address: "buyer@example.com" },
+    purchase_units: [
+      {
+        reference_id: order.reference,
+        payments: order.captureId
+          ? {
+              captures: [
+                {
+                  id: order.captureId,
+                  status: "COMPLETED",
+                  amount: {
+                    currency_code: order.currency,
+                    value: order.amount,
+                  },
+                },
+              ],
+            }
+          : {},
+      },
+    ],
+  });
+
+  return {
+    orders,
+    createOrder: async ({ reference, amount, currency }) => {
+      const id = randomId("MOCK");
+      orders.set(id, { reference, amount, currency, status: "APPROVED" });
+      return { id, status: "CREATED" };
+    },
+    captureOrder: async (id) => {
+      const order = orders.get(id);
+      if (!order) {
+        throw new Error("PayPal 404: RESOURCE_NOT_FOUND");
+      }
+      if (order.status === "COMPLETED") {
+        throw new Error("PayPal 422: ORDER_ALREADY_CAPTURED");
+      }
+      order.status = "COMPLETED";
+      order.captureId = randomId("CAPTURE");
+      return readCapture(toPayPalOrder(id, order));
+    },
+    getOrder: async (id) => {
+      const order = orders.get(id);
+      if (!order) {
+        throw new Error("PayPal 404: RESOURCE_NOT_FOUND");
+      }
+      return readCapture(toPayPalOrder(id, order));
+    },
+    refundCapture: async (captureId) => {
+      const order = [...orders.values()].find((o) => o.captureId === captureId);
+      if (!order) {
+        throw new Error("PayPal 404: RESOURCE_NOT_FOUND");
+      }
+      return { id: randomId("REFUND"), status: "COMPLETED" };
+    },
+    signWebhook,
+    verifyWebhook: async ({ headers, rawBody }) => {
+      const signature = Buffer.from(`${headers["paypal-transmission-sig"]}`);
+      const expected = Buffer.from(signWebhook(rawBody || ""));
+      return (
+        signature.length === expected.length &&
+        crypto.timingSafeEqual(signature, expected)
+      );
+    },
+  };
+};
+
+// PayPal environment chosen with PAYPAL_MODE: sandbox (default), live or mock
+const getPayPalMode = () => process.env.PAYPAL_MODE || "sandbox";
+
+let paypal = null;
+
+const getPayPal = () => {
+  if (!paypal) {
+    const mode = getPayPalMode();
+    if (mode === "mock") {
+      // The mock takes no money, it must never mark real orders paid
+      if (process.env.NODE_ENV === "production") {
+        throw new Error("The mock PayPal cannot be used in production");
+      }
+      paypal = createMockPayPal({
+        webhookSecret: process.env.PAYPAL_WEBHOOK_SECRET,
+      });
+    } else if (API_URLS[mode]) {
+      paypal = createPayPalClient({
+        clientId: process.env.PAYPAL_CLIENT_ID,
+        secret: process.env.PAYPAL_SECRET,
+        baseUrl: API_URLS[mode],
+        webhookId: process.env.PAYPAL_WEBHOOK_ID,
+      });
+    } else {
+      throw new Error(`Unknown PayPal mode "${mode}"`);
+    }
+  }
+  return paypal;
+};
+
+export { getCurrency, getPayPal, getPayPalMode, toAmount };
@@ -0,0 +1,39 @@
+import { getCurrency } from "./paypal.js";
+
+// Round to whole cents
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Price with the shop's currency code, for messages and emails
+const formatPrice = (value) => `${Number(value).toFixed(2)} ${getCurrency()}`;
+
+// Current unit price of a product, or of the variant when one is picked
+const getUnitPrice = (product, variant) => {
+  return variant && variant.price != null ? variant.price : product.price;
+};
+
+// Totals of an order from items priced and taxed by the server. Used both to
+// quote the checkout and to save the order, so the two always agree. Tax
+// included in the prices counts in taxPrice but is not added to the total.
+// Coupon discounts are set on the lines they apply to.
+const calculateOrderPrices = (items, shippingPrice = 0) => {
+  const itemsPrice = roundPrice(
+    items.reduce((total, item) => total + item.price * item.qty, 0)
+  );
+  const discountPrice = roundPrice(
+    items.reduce((total, item) => total + (item.discount || 0), 0)
+  );
+  const taxPrice = roundPrice(
+    items.reduce((total, item) => total + (item.taxAmount || 0), 0)
+  );
+  const addedTax = roundPrice(
+    items
+      .filter((item) => !item.taxInclusive)
+      .reduce((total, item) => total + (item.taxAmount || 0), 0)
+  );
+  const totalPrice = roundPrice(
+    itemsPrice - discountPrice + shippingPrice + addedTax
+  );
+  return { itemsPrice, discountPrice, shippingPrice, taxPrice, totalPrice };
+};
+
+export { calculateOrderPrices, formatPrice, getUnitPrice, roundPrice };
@@ -0,0 +1,191 @@
+import Product from "../Models/ProductModel.js";
+import Category from "../Models/CategoryModel.js";
+import { parseKeyword } from "./textSearch.js";
+
+const PRICE_BOUNDARIES = [0, 25, 50, 100, 200];
+const RATING_STEPS = [4, 3, 2, 1];
+
+const SORT_OPTIONS = {
+  relevance: { score: { $meta: "textScore" }, rating: -1, _id: -1 },
+  newest: { _id: -1 },
+  price_asc: { price: 1, _id: -1 },
+  price_desc: { price: -1, _id: -1 },
+  rating: { rating: -1, numReviews: -1, _id: -1 },
+  popular: { numReviews: -1, rating: -1, _id: -1 },
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? undefined : number;
+};
+
+// One mongo condition per filter so facets can leave their own filter out.
+// The keyword goes through the text index, with misspellings corrected.
+const buildProductFilters = async (query) => {
+  const filters = {};
+
+  const search = query.keyword ? await parseKeyword(query.keyword) : null;
+  if (search) {
+    filters.keyword = { $text: { $search: search.terms.join(" ") } };
+  }
+
+  if (query.category) {
+    const category = await Category.findByIdOrSlug(query.category);
+    filters.category = {
+      category: {
+        $in: category ? await Category.getDescendantIds(category._id) : [],
+      },
+    };
+  }
+
+  const minPrice = toNumber(query.minPrice);
+  const maxPrice = toNumber(query.maxPrice);
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filters.price = { price: {} };
+    if (minPrice !== undefined) {
+      filters.price.price.$gte = minPrice;
+    }
+    if (maxPrice !== undefined) {
+      filters.price.price.$lte = maxPrice;
+    }
+  }
+
+  const minRating = toNumber(query.minRating);
+  if (minRating) {
+    filters.rating = { rating: { $gte: minRating } };
+  }
+
+  if (query.inStock === "true" || query.inStock === "1") {
+    filters.inStock = { countInStock: { $gt: 0 } };
+  }
+
+  return { filters, search };
+};
+
+// Merge the filters into a single query, optionally leaving one out
+const combineFilters = (filters, except) => {
+  const conditions = Object.keys(filters)
+    .filter((key) => key !== except)
+    .map((key) => filters[key]);
+  return conditions.length ? { $and: conditions } : {};
+};
+
+// Keyword searches are ranked by relevance unless another order is chosen
+const getProductSort = (sort, search) => {
+  if (sort === "relevance" || (!SORT_OPTIONS[sort] && search)) {
+    return search ? SORT_OPTIONS.relevance : SORT_OPTIONS.newest;
+  }
+  return SORT_OPTIONS[sort] || SORT_OPTIONS.newest;
+};
+
+// Category counts include the products of every subcategory
+const getCategoryFacet = async (filters) => {
+  const [groups, categories] = await Promise.all([
+    Product.aggregate([
+      { $match: combineFilters(filters, "category") },
+      { $group: { _id: "$category", count: { $sum: 1 } } },
+    ]),
+    Category.find({}).select("_id parent").lean(),
+  ]);
+  const parents = {};
+  categories.forEach((c) => {
+    parents[c._id.toString()] = c.parent ? c.parent.toString() : null;
+  });
+  const counts = {};
+  groups.forEach((group) => {
+    let id = group._id ? group._id.toString() : null;
+    while (id && id in parents) {
+      counts[id] = (counts[id] || 0) + group.count;
+      id = parents[id];
+    }
+  });
+  return counts;
+};
+
+const getPriceFacet = async (filters) => {
+  const [result] = await Product.aggregate([
+    { $match: combineFilters(filters, "price") },
+    {
+      $facet: {
+        stats: [
+          {
+            $group: {
+              _id: null,
+              min: { $min: "$price" },
+              max: { $max: "$price" },
+            },
+          },
+        ],
+        ranges: [
+          {
+            $bucket: {
+              groupBy: "$price",
+              boundaries: PRICE_BOUNDARIES,
+              default: "over",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+  const stats = result.stats[0] || { min: 0, max: 0 };
+  const ranges = PRICE_BOUNDARIES.map((min, index) => {
+    const max = PRICE_BOUNDARIES[index + 1];
+    return { min, max: max === undefined ? null : max, count: 0 };
+  });
+  result.ranges.forEach((bucket) => {
+    const index =
+      bucket._id === "over"
+        ? ranges.length - 1
+        : PRICE_BOUNDARIES.indexOf(bucket._id);
+    if (index !== -1) {
+      ranges[index].count = bucket.count;
+    }
+  });
+  return { min: stats.min, max: stats.max, ranges };
+};
+
+const getRatingFacet = async (filters) => {
+  const group = { _id: null };
+  RATING_STEPS.forEach((step) => {
+    group[`rating${step}`] = {
+      $sum: { $cond: [{ $gte: ["$rating", step] }, 1, 0] },
+    };
+  });
+  const [result] = await Product.aggregate([
+    { $match: combineFilters(filters, "rating") },
+    { $group: group },
+  ]);
+  return RATING_STEPS.map((step) => ({
+    value: step,
+    count: result ? result[`rating${step}`] : 0,
+  }));
+};
+
+const getStockFacet = async (filters) => {
+  return Product.countDocuments(
+    combineFilters({ ...filters, inStock: { countInStock: { $gt: 0 } } })
+  );
+};
+
+// Counts for every filter, each computed with the other filters applied
+const getProductFacets = async (filters) => {
+  const [categories, price, rating, inStock] = await Promise.all([
+    getCategoryFacet(filters),
+    getPriceFacet(filters),
+    getRatingFacet(filters),
+    getStockFacet(filters),
+  ]);
+  return { categories, price, rating, inStock };
+};
+
+export {
+  buildProductFilters,
+  combineFilters,
+  getProductSort,
+  getProductFacets,
+};
@@ -0,0 +1,87 @@
+import Promotion from "../Models/PromotionModel.js";
+import {
+  addLineDiscounts,
+  getEligibleIndexes,
+  getLineDiscounts,
+  sumDiscounts,
+} from "./discounts.js";
+
+// Promotions running now, in the order they are applied
+const getRunningPromotions = () => {
+  const now = new Date();
+  return Promotion.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+    ],
+  }).sort({ priority: -1, _id: 1 });
+};
+
+// Apply every promotion the items qualify for and add their discounts to
+// the lines. Free shipping promotions are returned with a discount of 0,
+// what they save depends on the shipping method.
+const applyPromotions = async (items) => {
+  const itemsPrice = items.reduce(
+    (total, item) => total + item.price * item.qty,
+    0
+  );
+  const applied = [];
+  for (const promotion of await getRunningPromotions()) {
+    if (itemsPrice < promotion.minOrderValue) {
+      continue;
+    }
+    const indexes = await getEligibleIndexes(promotion, items);
+    if (!indexes.length) {
+      continue;
+    }
+    if (promotion.type === "free_shipping") {
+      applied.push({ promotion, discount: 0 });
+    } else {
+      const discounts = getLineDiscounts(promotion, items, indexes);
+      const discount = sumDiscounts(discounts);
+      if (!discount) {
+        continue;
+      }
+      items = addLineDiscounts(items, discounts);
+      applied.push({ promotion, discount });
+    }
+    if (promotion.exclusive) {
+      break;
+    }
+  }
+  return { items, promotions: applied };
+};
+
+// Whether a free shipping promotion covers a shipping method
+const coversShipping = (promotion, method) => {
+  return (
+    !promotion.shippingTypes.length ||
+    promotion.shippingTypes.includes(method.type)
+  );
+};
+
+// The applied promotions as saved on the order. Free shipping promotions are
+// left out when they don't cover the chosen method and save its price when
+// they do.
+const getPromotionSavings = (applied, shipping) => {
+  return applied
+    .filter(
+      ({ promotion }) =>
+        promotion.type !== "free_shipping" ||
+        !shipping ||
+        coversShipping(promotion, shipping)
+    )
+    .map(({ promotion, discount }) => ({
+      promotion: promotion._id,
+      name: promotion.name,
+      description: promotion.description,
+      type: promotion.type,
+      discount:
+        promotion.type === "free_shipping" && shipping
+          ? shipping.price
+          : discount,
+    }));
+};
+
+export { applyPromotions, coversShipping, getPromotionSavings };
@@ -0,0 +1,98 @@
+import Order from "../Models/OrderModel.js";
+import { getCurrency } from "./paypal.js";
+import { roundPrice } from "./pricing.js";
+
+// What the buyer paid for an order line, after its discount and with the
+// tax that was added to the price
+const getLineTotal = (item) =>
+  item.price * item.qty -
+  (item.discount || 0) +
+  (item.taxInclusive ? 0 : item.taxAmount || 0);
+
+// Units of an order line refunded so far
+const getRefundedQty = (order, itemId) =>
+  order.refunds.reduce(
+    (total, refund) =>
+      total +
+      refund.items
+        .filter((line) => line.item && line.item.equals(itemId))
+        .reduce((sum, line) => sum + line.qty, 0),
+    0
+  );
+
+// Money of the order that was not refunded yet
+const getRefundable = (order) =>
+  roundPrice(order.totalPrice - (order.refundedAmount || 0));
+
+// Check a refund request against what is left to refund. items are
+// { item, qty } for the order lines refunded, amount is what to refund and
+// defaults to what the buyer paid for the items.
+const parseRefund = (order, body) => {
+  const items = [];
+  for (const line of body.items || []) {
+    const qty = Number(line.qty);
+    if (!qty) {
+      continue;
+    }
+    const item = order.orderItems.id(line.item);
+    if (!item) {
+      throw new Error("Order item not found");
+    }
+    if (!Number.isInteger(qty) || qty < 0) {
+      throw new Error("Refunded quantities must be whole numbers");
+    }
+    const left = item.qty - getRefundedQty(order, item._id);
+    if (qty > left) {
+      throw new Error(`Only ${left} of ${item.name} left to refund`);
+    }
+    items.push({
+      item: item._id,
+      name: item.name,
+      qty,
+      amount: roundPrice((getLineTotal(item) * qty) / item.qty),
+    });
+  }
+
+  const amount =
+    body.amount !== undefined && body.amount !== ""
+      ? roundPrice(Number(body.amount))
+      : roundPrice(items.reduce((total, line) => total + line.amount, 0));
+  if (Number.isNaN(amount) || amount <= 0) {
+    throw new Error("Choose the items or enter the amount to refund");
+  }
+  const refundable = getRefundable(order);
+  if (amount > refundable) {
+    throw new Error(
+      `Only ${refundable.toFixed(2)} ${getCurrency()} is left to refund`
+    );
+  }
+  return {
+    amount,
+    items,
+    reason: `${body.reason || ""}`.trim() || undefined,
+    restock: Boolean(body.restock) && items.length > 0,
+  };
+};
+
+// Count the amount as refunded before the provider is asked for it, so two
+// refunds at the same time cannot give back more than was paid. Resolves to
+// the order with the amount added, or null when not that much is left.
+const reserveRefund = (order, amount) =>
+  Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $or: [
+        { refundedAmount: { $lte: roundPrice(order.totalPrice - amount) } },
+        // Orders placed before refunds were added
+        { refundedAmount: { $exists: false } },
+      ],
+    },
+    { $inc: { refundedAmount: amount } },
+    { new: true }
+  );
+
+// Give back a reserved amount the provider did not refund
+const releaseRefund = (order, amount) =>
+  Order.updateOne({ _id: order._id }, { $inc: { refundedAmount: -amount } });
+
+export { parseRefund, releaseRefund, reserveRefund };
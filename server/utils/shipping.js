@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+import ShippingMethod from "../Models/ShippingMethodModel.js";
+import defaultMethods from "../data/shippingMethods.js";
+import { roundPrice } from "./pricing.js";
+
+const normalize = (value) => `${value || ""}`.trim().toLowerCase();
+
+const inRange = (value, min, max) => {
+  return value >= (min || 0) && (max == null || value < max);
+};
+
+// Weight and value after discounts of the items, as used by the rate tables
+const getShipmentDetails = (items, address) => {
+  return {
+    country: normalize(address && address.country),
+    weight: items.reduce(
+      (total, item) => total + (item.weight || 0) * item.qty,
+      0
+    ),
+    itemsPrice: roundPrice(
+      items.reduce(
+        (total, item) => total + item.price * item.qty - (item.discount || 0),
+        0
+      )
+    ),
+  };
+};
+
+// Price of a method for a shipment, null when no rate applies to it.
+// Rates for the country come before rates for every country ("*").
+const getMethodPrice = (method, shipment) => {
+  const rates = method.rates.filter(
+    (rate) =>
+      inRange(shipment.weight, rate.minWeight, rate.maxWeight) &&
+      inRange(shipment.itemsPrice, rate.minOrderValue, rate.maxOrderValue)
+  );
+  const rate =
+    rates.find((r) => normalize(r.country) === shipment.country) ||
+    rates.find((r) => r.country === "*");
+  if (!rate) {
+    return null;
+  }
+  if (
+    method.freeShippingOver != null &&
+    shipment.itemsPrice >= method.freeShippingOver
+  ) {
+    return 0;
+  }
+  return rate.price;
+};
+
+const toOption = (method, price) => ({
+  _id: method._id,
+  name: method.name,
+  type: method.type,
+  description: method.description,
+  estimatedDays: method.estimatedDays,
+  freeShippingOver: method.freeShippingOver,
+  price,
+});
+
+let methodsChecked = false;
+
+// A new shop starts with the methods of data/shippingMethods.js, so orders
+// can be placed before an admin sets up their own
+const ensureShippingMethods = async () => {
+  if (methodsChecked) {
+    return;
+  }
+  if ((await ShippingMethod.estimatedDocumentCount()) === 0) {
+    await Promise.all(
+      defaultMethods.map((method) =>
+        ShippingMethod.updateOne(
+          { name: method.name },
+          { $setOnInsert: method },
+          { upsert: true }
+        )
+      )
+    );
+  }
+  methodsChecked = true;
+};
+
+// Active methods that ship the items to the address, cheapest first
+const getShippingOptions = async (items, address) => {
+  await ensureShippingMethods();
+  const shipment = getShipmentDetails(items, address);
+  const methods = await ShippingMethod.find({ isActive: true }).lean();
+  return methods
+    .map((method) => toOption(method, getMethodPrice(method, shipment)))
+    .filter((option) => option.price !== null)
+    .sort((a, b) => a.price - b.price);
+};
+
+// The chosen method with its price, null when it cannot ship the items
+const getShippingOption = async (items, address, methodId) => {
+  if (!mongoose.isValidObjectId(methodId)) {
+    return null;
+  }
+  await ensureShippingMethods();
+  const method = await ShippingMethod.findOne({
+    _id: methodId,
+    isActive: true,
+  }).lean();
+  if (!method) {
+    return null;
+  }
+  const price = getMethodPrice(method, getShipmentDetails(items, address));
+  return price === null ? null : toOption(method, price);
+};
+
+export {
+  ensureShippingMethods,
+  getMethodPrice,
+  getShippingOption,
+  getShippingOptions,
+};
@@ -0,0 +1,80 @@
+import TaxRule from "../Models/TaxRuleModel.js";
+import { roundPrice } from "./pricing.js";
+
+const DEFAULT_TAX_CLASS = "standard";
+
+const normalize = (value) => `${value || ""}`.trim().toLowerCase();
+
+// Rate used when no rule matches, exclusive of the product price
+const getDefaultRate = () => {
+  const rate = Number(process.env.DEFAULT_TAX_RATE);
+  return process.env.DEFAULT_TAX_RATE && !Number.isNaN(rate) ? rate : 15;
+};
+
+// How closely a rule matches the address: region, then country, then "*"
+const matchScore = (rule, country, region) => {
+  const ruleCountry = normalize(rule.country);
+  if (ruleCountry !== "*" && ruleCountry !== country) {
+    return 0;
+  }
+  if (rule.region) {
+    return normalize(rule.region) === region ? 3 : 0;
+  }
+  return ruleCountry === "*" ? 1 : 2;
+};
+
+// Most specific rule of a tax class for the address, null when none matches
+const findTaxRule = (rules, address, taxClass) => {
+  const country = normalize(address.country);
+  const region = normalize(address.region || address.city);
+  let best = null;
+  let bestScore = 0;
+  rules.forEach((rule) => {
+    if (normalize(rule.taxClass) !== normalize(taxClass)) {
+      return;
+    }
+    const score = matchScore(rule, country, region);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+// Tax of one order line. Inclusive tax is taken out of the line total,
+// exclusive tax comes on top of it.
+const lineTax = (total, rate, inclusive) => {
+  return roundPrice(
+    inclusive ? total - total / (1 + rate / 100) : (total * rate) / 100
+  );
+};
+
+// Add the tax of every item for the shipping address, on the line total
+// after discounts. A product class without a rule for the address falls back
+// to the standard class.
+const applyTaxes = async (items, address) => {
+  const rules = await TaxRule.find({}).lean();
+  return items.map((item) => {
+    const taxClass = item.taxClass || DEFAULT_TAX_CLASS;
+    const rule =
+      findTaxRule(rules, address || {}, taxClass) ||
+      findTaxRule(rules, address || {}, DEFAULT_TAX_CLASS);
+    const taxRate = rule ? rule.rate : getDefaultRate();
+    const taxInclusive = rule ? rule.inclusive : false;
+    return {
+      ...item,
+      taxClass,
+      taxName: rule ? rule.name : "Tax",
+      taxRate,
+      taxInclusive,
+      taxAmount: lineTax(
+        item.price * item.qty - (item.discount || 0),
+        taxRate,
+        taxInclusive
+      ),
+    };
+  });
+};
+
+export { DEFAULT_TAX_CLASS, applyTaxes, findTaxRule };
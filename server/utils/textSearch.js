@@ -0,0 +1,285 @@
+import Product from "../Models/ProductModel.js";
+import Category from "../Models/CategoryModel.js";
+
+const VOCABULARY_TTL = 5 * 60 * 1000;
+const MAX_PREFIX_EXPANSIONS = 3;
+const SNIPPET_LENGTH = 160;
+const SUGGEST_LIMIT = 6;
+const SUGGEST_CATEGORY_LIMIT = 3;
+
+let vocabulary = null;
+let vocabularyBuiltAt = 0;
+
+// A query parameter given more than once arrives as an array, the first
+// value is used
+const toText = (value) => {
+  const first = Array.isArray(value) ? value[0] : value;
+  return typeof first === "string" ? first : "";
+};
+
+const tokenize = (text) => {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9À-ɏ]+/)
+    .filter((word) => word.length > 1);
+};
+
+const escapeRegex = (text) => text.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, "\\$&");
+
+// Edit distance, giving up as soon as it is larger than max
+const levenshtein = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Every word that appears in a product name, description or category
+const getVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabularyBuiltAt < VOCABULARY_TTL) {
+    return vocabulary;
+  }
+  const products = await Product.find({})
+    .select("name description categoryPath")
+    .lean();
+  const words = new Set();
+  products.forEach((p) => {
+    tokenize(`${p.name} ${p.description} ${p.categoryPath || ""}`).forEach(
+      (word) => words.add(word)
+    );
+  });
+  vocabulary = [...words];
+  vocabularyBuiltAt = Date.now();
+  return vocabulary;
+};
+
+// Call after products change so the next search rebuilds the word list
+const invalidateVocabulary = () => {
+  vocabulary = null;
+};
+
+// Replace unknown words with the closest known word ("sneeker" -> "sneaker")
+// and expand partial words to the words they start
+const correctTerm = (term, words) => {
+  if (words.includes(term)) {
+    return { matches: [term], corrected: term };
+  }
+  const maxDistance = term.length <= 4 ? 1 : 2;
+  let best = null;
+  let bestDistance = maxDistance + 1;
+  words.forEach((word) => {
+    const distance = levenshtein(term, word, maxDistance);
+    if (
+      distance < bestDistance ||
+      (distance === bestDistance && best && word.length < best.length)
+    ) {
+      best = word;
+      bestDistance = distance;
+    }
+  });
+  const prefixed =
+    term.length >= 3
+      ? words
+          .filter((word) => word.startsWith(term))
+          .sort((a, b) => a.length - b.length)
+          .slice(0, MAX_PREFIX_EXPANSIONS)
+      : [];
+  const matches = [...new Set([...(best ? [best] : []), ...prefixed])];
+  return {
+    matches: matches.length ? matches : [term],
+    corrected: prefixed.length || !best ? term : best,
+  };
+};
+
+// Parse a keyword into the words to search for
+const parseKeyword = async (value) => {
+  const keyword = toText(value);
+  const terms = tokenize(keyword);
+  if (!terms.length) {
+    return null;
+  }
+  const words = await getVocabulary();
+  const searchTerms = [];
+  const corrected = terms.map((term) => {
+    const result = correctTerm(term, words);
+    searchTerms.push(...result.matches);
+    return result.corrected;
+  });
+  return {
+    keyword: keyword.trim(),
+    terms: [...new Set(searchTerms)],
+    corrected: corrected.join(" "),
+    isCorrected: corrected.join(" ") !== terms.join(" "),
+  };
+};
+
+// Split text into parts, marking the words that match one of the terms
+const highlightText = (text, terms, snippet) => {
+  if (!text) {
+    return [];
+  }
+  const pattern = /[a-z0-9À-ɏ]+/gi;
+  const isMatch = (word) => {
+    const lower = word.toLowerCase();
+    return terms.some(
+      (term) =>
+        lower.startsWith(term) || (lower.length > 3 && term.startsWith(lower))
+    );
+  };
+
+  let start = 0;
+  let end = text.length;
+  if (snippet && text.length > SNIPPET_LENGTH) {
+    let first = -1;
+    let found;
+    while (first === -1 && (found = pattern.exec(text))) {
+      if (found[0].length > 1 && isMatch(found[0])) {
+        first = found.index;
+      }
+    }
+    pattern.lastIndex = 0;
+    start = Math.max(0, (first === -1 ? 0 : first) - 40);
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+  }
+
+  const part = text.slice(start, end);
+  const segments = [];
+  let last = 0;
+  let found;
+  while ((found = pattern.exec(part))) {
+    if (found[0].length > 1 && isMatch(found[0])) {
+      if (found.index > last) {
+        segments.push({ text: part.slice(last, found.index), match: false });
+      }
+      segments.push({ text: found[0], match: true });
+      last = found.index + found[0].length;
+    }
+  }
+  if (last < part.length) {
+    segments.push({ text: part.slice(last), match: false });
+  }
+  if (start > 0) {
+    segments.unshift({ text: "...", match: false });
+  }
+  if (end < text.length) {
+    segments.push({ text: "...", match: false });
+  }
+  return segments;
+};
+
+// Attach name and description highlights to the products of a search
+const addHighlights = (products, search) => {
+  return products.map((product) => {
+    const data = product.toObject ? product.toObject() : product;
+    if (!search) {
+      return data;
+    }
+    return {
+      ...data,
+      highlight: {
+        name: highlightText(data.name, search.terms),
+        description: highlightText(data.description, search.terms, true),
+      },
+    };
+  });
+};
+
+// Products and categories for a search box prefix. Names with a word starting
+// with the prefix come first, then text matches that tolerate misspellings.
+const getSuggestions = async (query, limit = SUGGEST_LIMIT) => {
+  const prefix = toText(query).trim().slice(0, 100);
+  if (!prefix) {
+    return { query: "", corrected: null, products: [], categories: [] };
+  }
+  const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegex(prefix)}`, "i");
+  const [products, categories] = await Promise.all([
+    Product.find({ name: pattern })
+      .select("name image price")
+      .sort({ numReviews: -1, rating: -1 })
+      .limit(limit)
+      .lean(),
+    Category.find({ name: pattern })
+      .select("name slug")
+      .sort({ name: 1 })
+      .limit(SUGGEST_CATEGORY_LIMIT)
+      .lean(),
+  ]);
+
+  let search = null;
+  if (products.length < limit) {
+    search = await parseKeyword(prefix);
+    if (search) {
+      const matches = await Product.find(
+        {
+          $text: { $search: search.terms.join(" ") },
+          _id: { $nin: products.map((p) => p._id) },
+        },
+        { name: 1, image: 1, price: 1, score: { $meta: "textScore" } }
+      )
+        .sort({ score: { $meta: "textScore" } })
+        .limit(limit - products.length)
+        .lean();
+      products.push(...matches);
+    }
+  }
+
+  const terms = search ? search.terms : tokenize(prefix);
+  return {
+    query: prefix,
+    corrected: search && search.isCorrected ? search.corrected : null,
+    products: products.map((p) => ({
+      _id: p._id,
+      name: p.name,
+      image: p.image,
+      price: p.price,
+      highlight: highlightText(p.name, terms),
+    })),
+    categories,
+  };
+};
+
+// "Shoes / Sneakers" for the product's category, used by the text index
+const getCategoryPath = async (categoryId) => {
+  const breadcrumb = await Category.getBreadcrumb(categoryId);
+  return breadcrumb.map((c) => c.name).join(" / ");
+};
+
+// Rewrite the category path of products in a category and its subcategories
+const refreshCategoryPaths = async (categoryId) => {
+  const ids = await Category.getDescendantIds(categoryId);
+  for (const id of ids) {
+    await Product.updateMany(
+      { category: id },
+      { categoryPath: await getCategoryPath(id) }
+    );
+  }
+  invalidateVocabulary();
+};
+
+export {
+  addHighlights,
+  getCategoryPath,
+  getSuggestions,
+  invalidateVocabulary,
+  levenshtein,
+  parseKeyword,
+  refreshCategoryPaths,
+};
@@ -0,0 +1,145 @@
+import Transaction from "../Models/TransactionModel.js";
+import { getCurrency } from "./paypal.js";
+import { roundPrice } from "./pricing.js";
+
+const CSV_COLUMNS = [
+  "date",
+  "type",
+  "provider",
+  "status",
+  "amount",
+  "currency",
+  "order",
+  "reference",
+  "description",
+];
+
+// Statuses of money that really moved
+const SETTLED = ["completed", "manual"];
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? undefined : number;
+};
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : undefined;
+};
+
+// Write a transaction without failing the payment it belongs to. A charge is
+// written once per order and provider reference and follows its payment
+// from pending to completed or failed.
+const recordTransaction = async (fields) => {
+  const transaction = {
+    date: Date.now(),
+    ...fields,
+    currency: fields.currency || getCurrency(),
+  };
+  try {
+    if (fields.type === "charge") {
+      return await Transaction.findOneAndUpdate(
+        { type: "charge", order: fields.order, reference: fields.reference },
+        transaction,
+        { upsert: true, new: true, runValidators: true }
+      );
+    }
+    return await Transaction.create(transaction);
+  } catch (error) {
+    console.error(
+      `${fields.type} of order ${fields.order} was not recorded:`,
+      error.message
+    );
+    return null;
+  }
+};
+
+// Filter of the ledger queries: type, provider, status, a from and to day
+// (both included) and a minAmount and maxAmount
+const buildTransactionFilter = (query) => {
+  const filter = {};
+  ["type", "provider", "status"].forEach((key) => {
+    if (query[key]) {
+      filter[key] = `${query[key]}`;
+    }
+  });
+
+  const from = toDate(query.from);
+  const to = toDate(query.to);
+  if (from || to) {
+    filter.date = {};
+    if (from) {
+      filter.date.$gte = from;
+    }
+    if (to) {
+      filter.date.$lt = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+    }
+  }
+
+  const minAmount = toNumber(query.minAmount);
+  const maxAmount = toNumber(query.maxAmount);
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    filter.amount = {};
+    if (minAmount !== undefined) {
+      filter.amount.$gte = minAmount;
+    }
+    if (maxAmount !== undefined) {
+      filter.amount.$lte = maxAmount;
+    }
+  }
+  return filter;
+};
+
+// Settled money of the filtered transactions by type. net is what the shop
+// kept: charges less refunds and fees.
+const getTransactionTotals = async (filter) => {
+  const groups = await Transaction.aggregate([
+    { $match: { $and: [filter, { status: { $in: SETTLED } }] } },
+    { $group: { _id: "$type", total: { $sum: "$amount" } } },
+  ]);
+  const totals = { charge: 0, refund: 0, payout: 0, fee: 0 };
+  groups.forEach((group) => {
+    totals[group._id] = roundPrice(group.total);
+  });
+  return {
+    charges: totals.charge,
+    refunds: totals.refund,
+    fees: totals.fee,
+    payouts: totals.payout,
+    net: roundPrice(totals.charge - totals.refund - totals.fee),
+  };
+};
+
+// Quote values that would break the line, and text a spreadsheet would run
+// as a formula
+const csvValue = (value) => {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  let text = `${value}`;
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (transactions) =>
+  [
+    CSV_COLUMNS.join(","),
+    ...transactions.map((transaction) =>
+      CSV_COLUMNS.map((column) => csvValue(transaction[column])).join(",")
+    ),
+  ].join("\n");
+
+export {
+  buildTransactionFilter,
+  getTransactionTotals,
+  recordTransaction,
+  toCsv,
+};
@@ -0,0 +1,38 @@
+import Product from "../Models/ProductModel.js";
+import { getUnitPrice } from "./pricing.js";
+
+// The wishlist with the current product details, newest first. Products and
+// variants that were removed are left out.
+const getWishlistItems = async (favorites) => {
+  const products = await Product.find({
+    _id: { $in: favorites.map((item) => item.product) },
+  });
+  return favorites
+    .map((item) => {
+      const product = products.find((p) => p._id.equals(item.product));
+      const variant = product && product.findVariant(item.variant);
+      if (!product || (item.variant && !variant)) {
+        return null;
+      }
+      return {
+        product: product._id,
+        variant: variant ? variant._id : null,
+        options: variant
+          ? variant.options.map(({ name, value }) => ({ name, value }))
+          : [],
+        // Products with variants can't go to the cart until one is chosen
+        hasVariants: product.variants.length > 0,
+        name: product.name,
+        image: (variant && variant.image) || product.image,
+        price: getUnitPrice(product, variant),
+        countInStock: variant ? variant.countInStock : product.countInStock,
+        rating: product.rating,
+        numReviews: product.numReviews,
+        createdAt: item.createdAt,
+      };
+    })
+    .filter(Boolean)
+    .reverse();
+};
+
+export { getWishlistItems };